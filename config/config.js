@@ -3,29 +3,524 @@
 
 /**
  * Detection Mode Configuration
- * Available modes: 'regex' and 'chrome-ai'
+ * Available modes: 'regex', 'heuristic', 'statistical', 'hybrid' and 'chrome-ai'
  */
 export const DETECTION_MODES = {
   REGEX: 'regex',
+  HEURISTIC: 'heuristic',
+  STATISTICAL: 'statistical',
+  HYBRID: 'hybrid',
+  ENSEMBLE: 'ensemble',
   CHROME_AI: 'chrome-ai'
 };
 
+export const DETECTION_MODE_LABELS = {
+  [DETECTION_MODES.REGEX]: 'RegEx',
+  [DETECTION_MODES.HEURISTIC]: 'Heuristic',
+  [DETECTION_MODES.STATISTICAL]: 'Offline Model',
+  [DETECTION_MODES.HYBRID]: 'Hybrid (RegEx + Chrome AI)',
+  [DETECTION_MODES.ENSEMBLE]: 'Ensemble',
+  [DETECTION_MODES.CHROME_AI]: 'Chrome AI'
+};
+
+// Modes whose results are filtered by the sensitivity threshold
+export const THRESHOLDED_DETECTION_MODES = [
+  DETECTION_MODES.HEURISTIC,
+  DETECTION_MODES.STATISTICAL,
+  DETECTION_MODES.HYBRID,
+  DETECTION_MODES.ENSEMBLE,
+  DETECTION_MODES.CHROME_AI
+];
+
+// Modes that need Chrome AI; all others work when the AI APIs are unavailable
+export const AI_DETECTION_MODES = [DETECTION_MODES.CHROME_AI];
+
 export const DEFAULT_DETECTION_MODE = DETECTION_MODES.REGEX;
 
 /**
- * RegEx Patterns Configuration
- * Array of pattern strings that will be compiled to RegExp objects at runtime
+ * Rule categories used to group RegEx rules and explain matches
+ */
+export const RULE_CATEGORIES = {
+  CURIOSITY_GAP: 'curiosity gap',
+  LISTICLE: 'listicle',
+  QUESTION: 'question',
+  SUPERLATIVE: 'superlative',
+  URGENCY: 'urgency',
+  SPECIFICITY: 'specificity',
+  CUSTOM: 'custom'
+};
+
+/**
+ * RegEx Rules Configuration (English pack)
+ * Each rule has a stable id, a category, a weight and one or more pattern strings.
+ * All patterns of a rule must match for the rule to fire. Negative weights lower
+ * the score (e.g. concrete numbers next to a named subject read like real news).
+ * Patterns are compiled to RegExp objects at runtime with the rule's flags (default 'i').
+ */
+export const REGEX_RULES = [
+  {
+    id: 'curiosity-withheld-outcome',
+    category: RULE_CATEGORIES.CURIOSITY_GAP,
+    weight: 1,
+    pattern: '\\b(you won\'t believe|can\'t believe|never guess|what happened next|number \\d+ will)\\b'
+  },
+  {
+    id: 'curiosity-secret',
+    category: RULE_CATEGORIES.CURIOSITY_GAP,
+    weight: 1,
+    pattern: '\\b(shocking|revealed|secret|this one trick|this one food|this simple habit|doctors (?:hate|are (?:stunned|shocked))|burns fat)\\b'
+  },
+  {
+    id: 'listicle-leading-number',
+    category: RULE_CATEGORIES.LISTICLE,
+    weight: 1,
+    pattern: '^\\s*\\d+\\s+(ways|things|reasons|tips)'
+  },
+  {
+    id: 'listicle-top-n',
+    category: RULE_CATEGORIES.LISTICLE,
+    weight: 1,
+    pattern: 'top\\s+\\d+'
+  },
+  {
+    id: 'question-mark',
+    category: RULE_CATEGORIES.QUESTION,
+    weight: 1,
+    pattern: '\\?$'
+  },
+  {
+    id: 'question-wh-word',
+    category: RULE_CATEGORIES.QUESTION,
+    weight: 1,
+    pattern: '^(what|why|how|when|where|who|which)\\b'
+  },
+  {
+    id: 'superlative-hype',
+    category: RULE_CATEGORIES.SUPERLATIVE,
+    weight: 1,
+    pattern: '\\b(jaw[- ]?dropping|mind[- ]?blowing|unbelievable|insane|crazy|epic|ultimate)\\b'
+  },
+  {
+    id: 'urgency-call-to-action',
+    category: RULE_CATEGORIES.URGENCY,
+    weight: 1,
+    pattern: '\\b(stop what you\'re doing|must see|will change your life)\\b'
+  },
+  {
+    id: 'specific-number-named-subject',
+    category: RULE_CATEGORIES.SPECIFICITY,
+    weight: -1,
+    // Explicit figure plus an acronym or a proper noun inside sentence-case text
+    pattern: ['\\d[\\d,.]*%?', '\\b[A-Z]{2,}\\b|(?<=\\b[a-z]{3,} )[A-Z][a-z]+'],
+    flags: ''
+  }
+];
+
+/**
+ * Wrap alternatives in Unicode-aware word boundaries
+ * `\b` only knows ASCII letters, so packs for languages with accented words use
+ * letter lookarounds instead and are compiled with the 'iu' flags.
+ * @param {string} alternatives - Alternation source
+ * @returns {string} Pattern source
+ */
+function wordPattern(alternatives) {
+  return `(?<!\\p{L})(?:${alternatives})(?!\\p{L})`;
+}
+
+/**
+ * German RegEx Rules
+ * Nouns are capitalized in German, so the specificity rule only looks for acronyms.
+ */
+export const REGEX_RULES_DE = [
+  {
+    id: 'curiosity-withheld-outcome',
+    category: RULE_CATEGORIES.CURIOSITY_GAP,
+    weight: 1,
+    pattern: wordPattern('du wirst (?:es )?nicht glauben|sie werden (?:es )?nicht glauben|was dann (?:geschah|passierte)|niemals erraten|das glaubt (?:keiner|niemand)'),
+    flags: 'iu'
+  },
+  {
+    id: 'curiosity-secret',
+    category: RULE_CATEGORIES.CURIOSITY_GAP,
+    weight: 1,
+    pattern: wordPattern('schockierend|enthüllt|geheimnis|dieser eine trick|ärzte hassen|ärzte sind (?:schockiert|sprachlos)|das steckt dahinter'),
+    flags: 'iu'
+  },
+  {
+    id: 'listicle-leading-number',
+    category: RULE_CATEGORIES.LISTICLE,
+    weight: 1,
+    pattern: '^\\s*\\d+\\s+(?:wege|dinge|gründe|tipps|tricks)(?!\\p{L})',
+    flags: 'iu'
+  },
+  {
+    id: 'listicle-top-n',
+    category: RULE_CATEGORIES.LISTICLE,
+    weight: 1,
+    pattern: 'top\\s+\\d+',
+    flags: 'iu'
+  },
+  {
+    id: 'question-mark',
+    category: RULE_CATEGORIES.QUESTION,
+    weight: 1,
+    pattern: '\\?$'
+  },
+  {
+    id: 'question-wh-word',
+    category: RULE_CATEGORIES.QUESTION,
+    weight: 1,
+    pattern: '^(?:was|warum|wieso|weshalb|wie|wann|wo|wer|welche[rsnm]?)(?!\\p{L})',
+    flags: 'iu'
+  },
+  {
+    id: 'superlative-hype',
+    category: RULE_CATEGORIES.SUPERLATIVE,
+    weight: 1,
+    pattern: wordPattern('unfassbar|unglaublich|wahnsinn|krass|irre|atemberaubend|sensationell'),
+    flags: 'iu'
+  },
+  {
+    id: 'urgency-call-to-action',
+    category: RULE_CATEGORIES.URGENCY,
+    weight: 1,
+    pattern: wordPattern('muss man gesehen haben|wird dein leben verändern|verändert alles|jetzt sofort'),
+    flags: 'iu'
+  },
+  {
+    id: 'specific-number-named-subject',
+    category: RULE_CATEGORIES.SPECIFICITY,
+    weight: -1,
+    pattern: ['\\d[\\d,.]*%?', '\\b[A-Z]{2,}\\b'],
+    flags: ''
+  }
+];
+
+/**
+ * Spanish RegEx Rules
+ */
+export const REGEX_RULES_ES = [
+  {
+    id: 'curiosity-withheld-outcome',
+    category: RULE_CATEGORIES.CURIOSITY_GAP,
+    weight: 1,
+    pattern: wordPattern('no vas a creer|no creerás|no podrás creer|lo que pasó después|nunca adivinarás|lo que nadie te cuenta'),
+    flags: 'iu'
+  },
+  {
+    id: 'curiosity-secret',
+    category: RULE_CATEGORIES.CURIOSITY_GAP,
+    weight: 1,
+    pattern: wordPattern('impactante|revelado|secreto|este truco|los médicos odian|te sorprenderá'),
+    flags: 'iu'
+  },
+  {
+    id: 'listicle-leading-number',
+    category: RULE_CATEGORIES.LISTICLE,
+    weight: 1,
+    pattern: '^\\s*\\d+\\s+(?:formas|maneras|cosas|razones|consejos|trucos)(?!\\p{L})',
+    flags: 'iu'
+  },
+  {
+    id: 'listicle-top-n',
+    category: RULE_CATEGORIES.LISTICLE,
+    weight: 1,
+    pattern: 'top\\s+\\d+',
+    flags: 'iu'
+  },
+  {
+    id: 'question-mark',
+    category: RULE_CATEGORIES.QUESTION,
+    weight: 1,
+    pattern: '\\?$'
+  },
+  {
+    id: 'question-wh-word',
+    category: RULE_CATEGORIES.QUESTION,
+    weight: 1,
+    pattern: '^¿?\\s*(?:qué|por qué|cómo|cuándo|dónde|quién(?:es)?|cuál(?:es)?)(?!\\p{L})',
+    flags: 'iu'
+  },
+  {
+    id: 'superlative-hype',
+    category: RULE_CATEGORIES.SUPERLATIVE,
+    weight: 1,
+    pattern: wordPattern('increíble|alucinante|brutal|épico|definitivo|insólito'),
+    flags: 'iu'
+  },
+  {
+    id: 'urgency-call-to-action',
+    category: RULE_CATEGORIES.URGENCY,
+    weight: 1,
+    pattern: wordPattern('tienes que verlo|debes ver|cambiará tu vida|antes de que sea tarde'),
+    flags: 'iu'
+  },
+  {
+    id: 'specific-number-named-subject',
+    category: RULE_CATEGORIES.SPECIFICITY,
+    weight: -1,
+    pattern: ['\\d[\\d,.]*%?', '\\b[A-Z]{2,}\\b|(?<=(?<!\\p{L})\\p{Ll}{3,} )\\p{Lu}\\p{Ll}+'],
+    flags: 'u'
+  }
+];
+
+/**
+ * French RegEx Rules
+ */
+export const REGEX_RULES_FR = [
+  {
+    id: 'curiosity-withheld-outcome',
+    category: RULE_CATEGORIES.CURIOSITY_GAP,
+    weight: 1,
+    pattern: wordPattern('vous n[\'’]allez pas (?:le )?croire|tu ne vas pas (?:le )?croire|ce qui (?:s[\'’]est passé|est arrivé) ensuite|vous ne devinerez jamais'),
+    flags: 'iu'
+  },
+  {
+    id: 'curiosity-secret',
+    category: RULE_CATEGORIES.CURIOSITY_GAP,
+    weight: 1,
+    pattern: wordPattern('choquant|révélé|secret|cette astuce|les médecins détestent'),
+    flags: 'iu'
+  },
+  {
+    id: 'listicle-leading-number',
+    category: RULE_CATEGORIES.LISTICLE,
+    weight: 1,
+    pattern: '^\\s*\\d+\\s+(?:façons|manières|choses|raisons|conseils|astuces)(?!\\p{L})',
+    flags: 'iu'
+  },
+  {
+    id: 'listicle-top-n',
+    category: RULE_CATEGORIES.LISTICLE,
+    weight: 1,
+    pattern: 'top\\s+\\d+',
+    flags: 'iu'
+  },
+  {
+    id: 'question-mark',
+    category: RULE_CATEGORIES.QUESTION,
+    weight: 1,
+    pattern: '\\?$'
+  },
+  {
+    id: 'question-wh-word',
+    category: RULE_CATEGORIES.QUESTION,
+    weight: 1,
+    pattern: '^(?:qu[\'’]|(?:que|quoi|pourquoi|comment|quand|où|qui|quel(?:le)?s?)(?!\\p{L}))',
+    flags: 'iu'
+  },
+  {
+    id: 'superlative-hype',
+    category: RULE_CATEGORIES.SUPERLATIVE,
+    weight: 1,
+    pattern: wordPattern('incroyable|hallucinant|dingue|épique|ultime'),
+    flags: 'iu'
+  },
+  {
+    id: 'urgency-call-to-action',
+    category: RULE_CATEGORIES.URGENCY,
+    weight: 1,
+    pattern: wordPattern('à voir absolument|va changer votre vie|avant qu[\'’]il ne soit trop tard'),
+    flags: 'iu'
+  },
+  {
+    id: 'specific-number-named-subject',
+    category: RULE_CATEGORIES.SPECIFICITY,
+    weight: -1,
+    pattern: ['\\d[\\d,.]*\\s?%?', '\\b[A-Z]{2,}\\b|(?<=(?<!\\p{L})\\p{Ll}{3,} )\\p{Lu}\\p{Ll}+'],
+    flags: 'u'
+  }
+];
+
+/**
+ * Language Configuration
+ * Pattern packs are picked per link from the page language or the link text
+ */
+export const LANGUAGE_CONFIG = {
+  DEFAULT: 'en',
+  SUPPORTED: ['en', 'de', 'es', 'fr'],
+  NAMES: {
+    en: 'English',
+    de: 'German',
+    es: 'Spanish',
+    fr: 'French'
+  }
+};
+
+export const REGEX_RULE_PACKS = {
+  en: REGEX_RULES,
+  de: REGEX_RULES_DE,
+  es: REGEX_RULES_ES,
+  fr: REGEX_RULES_FR
+};
+
+/**
+ * Hybrid Cascade Configuration
+ * RegEx confidences inside [min, max) are uncertain and sent to Chrome AI.
+ * Below min the link is accepted as not clickbait, at or above max as clickbait.
+ * When Chrome AI is unavailable, uncertain RegEx matches count as clickbait.
+ */
+export const HYBRID_CONFIG = {
+  UNCERTAINTY_BAND: {
+    min: 0.3,
+    max: 0.6
+  }
+};
+
+/**
+ * Ensemble Configuration
+ * Per-detector scores are converted to clickbait probabilities and combined into a
+ * weighted average. Detectors that fail or time out are left out and the result is
+ * marked as degraded.
+ */
+export const ENSEMBLE_CONFIG = {
+  DETECTORS: [DETECTION_MODES.REGEX, DETECTION_MODES.HEURISTIC, DETECTION_MODES.CHROME_AI],
+  WEIGHTS: {
+    [DETECTION_MODES.REGEX]: 1,
+    [DETECTION_MODES.HEURISTIC]: 1,
+    [DETECTION_MODES.CHROME_AI]: 2
+  },
+  DETECTOR_TIMEOUT: 10000,            // 10 seconds per detector and link
+  // Clickbait probability when no RegEx or heuristic rule fires: about 4 in 10 such
+  // headlines in data/headlines.tsv are clickbait
+  RULE_MISS_PROBABILITY: 0.4
+};
+
+/**
+ * Custom Pattern Configuration
+ * Limits for user-defined patterns managed on the options page
+ */
+export const CUSTOM_PATTERN_CONFIG = {
+  MAX_PATTERNS: 50,                  // Maximum number of user patterns
+  MAX_LENGTH: 200,                   // Maximum pattern length in characters
+  DEFAULT_WEIGHT: 1                  // Weight of a new user pattern
+};
+
+/**
+ * Link Context Configuration
+ * Bounds the heading, teaser, image alt, aria-label and section text sent with each link
+ */
+export const CONTEXT_CONFIG = {
+  MAX_FIELD_LENGTH: 300,             // Characters kept per context field
+  MAX_DEPTH: 4,                      // Ancestor levels searched for the card container
+  MIN_TEASER_LENGTH: 20,             // Shorter paragraphs are not treated as teasers
+  MAX_SECTION_LENGTH: 40,            // Longer labels are not treated as section names
+  RULE_FIELDS: ['teaser', 'imageAlt', 'ariaLabel'], // Fields checked by the rule engine
+  RULE_CATEGORIES: [                 // Rule categories that also apply to context text
+    RULE_CATEGORIES.CURIOSITY_GAP,
+    RULE_CATEGORIES.SUPERLATIVE,
+    RULE_CATEGORIES.URGENCY
+  ],
+  RULE_WEIGHT_FACTOR: 0.5            // Context matches count half as much as headline matches
+};
+
+/**
+ * Prompt Template Configuration
+ * Named, versioned prompts for the Prompt API and the Summarizer API. Bump a template's
+ * version whenever its text changes: the version is part of the classification cache
+ * key, so stale verdicts from the old prompt are not reused.
+ * Placeholders use `{{name}}`; `REQUIRED_PLACEHOLDERS` lists the ones a kind cannot do without.
  */
-export const REGEX_PATTERNS = [
-  '\\b(you won\'t believe|shocking|revealed|secret|this one trick|this one food|this simple habit|doctors (?:hate|are (?:stunned|shocked))|never guess|what happened next|number \\d+ will|will change your life|jaw[- ]?dropping|mind[- ]?blowing|burns fat)\\b',
-  '^\\s*\\d+\\s+(ways|things|reasons|tips)',
-  '\\?$',
-  '^(what|why|how|when|where|who|which)\\b',
-  'top\\s+\\d+',
-  'unbelievable|insane|crazy|epic|ultimate',
-  'can\'t believe|stop what you\'re doing|must see'
+export const PROMPT_KINDS = {
+  CLASSIFY: 'classify',
+  CLASSIFY_BATCH: 'classify-batch',
+  REPAIR: 'repair',
+  SUMMARY_CONTEXT: 'summary-context',
+  ANSWER: 'answer',
+  DELIVERY: 'delivery'
+};
+
+export const PROMPT_TEMPLATES = [
+  {
+    id: 'classify-standard',
+    kind: PROMPT_KINDS.CLASSIFY,
+    version: 1,
+    label: 'Standard',
+    text: 'Analyze if this title is clickbait (uses curiosity gap, emotional triggers, or withholds key information):\n' +
+          '"{{title}}"\n{{context}}\n' +
+          'Return JSON with isClickbait (boolean), confidence (0-1), and reason.'
+  },
+  {
+    id: 'classify-strict',
+    kind: PROMPT_KINDS.CLASSIFY,
+    version: 1,
+    label: 'Strict (only withheld information)',
+    text: 'Decide if this title deliberately withholds the key fact so the reader has to click to learn it. ' +
+          'Emotional wording, questions or lists alone are not enough:\n' +
+          '"{{title}}"\n{{context}}\n' +
+          'Return JSON with isClickbait (boolean), confidence (0-1), and reason.'
+  },
+  {
+    id: 'classify-batch-standard',
+    kind: PROMPT_KINDS.CLASSIFY_BATCH,
+    version: 1,
+    label: 'Standard',
+    text: 'Analyze each numbered title and decide if it is clickbait (uses curiosity gap, emotional triggers, ' +
+          'or withholds key information). Indented lines show what appears next to the link on the page.\n' +
+          '{{titles}}\n\n' +
+          'Return JSON with a "results" array holding one entry per title: index (the title\'s number), ' +
+          'isClickbait (boolean), confidence (0-1), and reason.'
+  },
+  {
+    id: 'repair-json',
+    kind: PROMPT_KINDS.REPAIR,
+    version: 1,
+    label: 'Ask for valid JSON',
+    text: 'Your previous answer could not be used ({{failure}}). Previous answer:\n{{response}}\n\n' +
+          'Reply again with only a JSON object: isClickbait (boolean), confidence (number from 0 to 1), and reason (string).'
+  },
+  {
+    id: 'summary-answer',
+    kind: PROMPT_KINDS.SUMMARY_CONTEXT,
+    version: 1,
+    label: 'Answer the title',
+    text: 'Answer the clickbait-style question concisely in one short sentence. Title: {{title}}'
+  },
+  {
+    id: 'answer-standard',
+    kind: PROMPT_KINDS.ANSWER,
+    version: 1,
+    label: 'Answer with evidence',
+    text: 'Headline: "{{title}}"\n\nArticle:\n{{article}}\n\n' +
+          'The headline withholds information so that readers click. Using only the article, answer the ' +
+          'question the headline raises in one short sentence. Copy the sentence from the article that ' +
+          'supports the answer word for word as the quote. If the article does not answer the headline, ' +
+          'set answered to false and leave the quote empty.\n' +
+          'Return JSON with answered (boolean), answer (string), and quote (string).'
+  },
+  {
+    id: 'delivery-standard',
+    kind: PROMPT_KINDS.DELIVERY,
+    version: 1,
+    label: 'Does the article deliver?',
+    text: 'Headline: "{{title}}"\n\nArticle:\n{{article}}\n\n' +
+          'Does the article substantiate the claim or promise of the headline, or is it padding around a ' +
+          'mundane fact? Score 1 if the article fully delivers what the headline promises and 0 if it does not ' +
+          'deliver at all.\n' +
+          'Return JSON with score (0-1) and reason (string).'
+  }
 ];
 
+export const PROMPT_CONFIG = {
+  DEFAULTS: {                        // Template used for each kind unless the user picks another
+    [PROMPT_KINDS.CLASSIFY]: 'classify-standard',
+    [PROMPT_KINDS.CLASSIFY_BATCH]: 'classify-batch-standard',
+    [PROMPT_KINDS.REPAIR]: 'repair-json',
+    [PROMPT_KINDS.SUMMARY_CONTEXT]: 'summary-answer',
+    [PROMPT_KINDS.ANSWER]: 'answer-standard',
+    [PROMPT_KINDS.DELIVERY]: 'delivery-standard'
+  },
+  REQUIRED_PLACEHOLDERS: {
+    [PROMPT_KINDS.CLASSIFY]: ['title'],
+    [PROMPT_KINDS.CLASSIFY_BATCH]: ['titles'],
+    [PROMPT_KINDS.REPAIR]: ['response'],
+    [PROMPT_KINDS.SUMMARY_CONTEXT]: [],
+    [PROMPT_KINDS.ANSWER]: ['title', 'article'],
+    [PROMPT_KINDS.DELIVERY]: ['title', 'article']
+  },
+  MAX_OVERRIDE_LENGTH: 4000          // Characters allowed in a user override
+};
+
 /**
  * Chrome AI Sensitivity Configuration
  * Controls the threshold for AI-detected clickbait
@@ -46,12 +541,285 @@ export const TIMEOUT_CONFIG = {
   CLASSIFICATION_PER_LINK: 5000,    // 5 seconds per link
   // Summary generation timeout
   SUMMARY: 30000,                    // 30 seconds for fetching and summarizing
+  // Batched AI classification timeout; unanswered headlines fall back to single calls
+  AI_BATCH: 20000,                   // 20 seconds per batch prompt
   // Message/request timeout
   MESSAGE: 45000,                    // 45 seconds - longer than service worker timeout
+  // Added to the service worker's classification timeout for the page's wait, so the
+  // page never gives up on a request the service worker is still allowed to finish
+  MESSAGE_MARGIN: 15000,
   // Service worker keepalive interval
   KEEPALIVE_INTERVAL: 5000           // 5 seconds - ping interval to keep worker alive
 };
 
+/**
+ * Summary Style Configuration
+ * Options of the Summarizer API. One summarizer instance is kept per style, and the
+ * style is part of the summary cache key. The presets are offered in the tooltip.
+ * The 'answer' type is not a Summarizer type: it asks the Prompt API to answer the
+ * headline from the article and returns {answered, answer, quote}.
+ */
+export const SUMMARY_CONFIG = {
+  TYPES: ['tldr', 'key-points', 'teaser', 'headline', 'answer'],
+  ANSWER_TYPE: 'answer',
+  FORMATS: ['plain-text', 'markdown'],
+  LENGTHS: ['short', 'medium', 'long'],
+  DEFAULT: { type: 'tldr', format: 'plain-text', length: 'short' },
+  LABELS: {
+    'tldr': 'TL;DR',
+    'key-points': 'Key points',
+    'teaser': 'Teaser',
+    'headline': 'One-line summary',
+    'answer': 'Answer',
+    'plain-text': 'Plain text',
+    'markdown': 'Markdown',
+    'short': 'Short',
+    'medium': 'Medium',
+    'long': 'Long'
+  },
+  PRESETS: [                         // Styles the tooltip can switch to for one link
+    { type: 'answer', length: 'short' },
+    { type: 'tldr', length: 'short' },
+    { type: 'key-points', length: 'short' },
+    { type: 'headline', length: 'short' },
+    { type: 'teaser', length: 'medium' }
+  ]
+};
+
+/**
+ * Bait Delivery Configuration
+ * After an article is fetched, a "bait delivered" score (0 = the article does not back the
+ * headline, 1 = it fully delivers) moves the link's clickbait confidence after the fact.
+ * The Prompt API scores it when available; otherwise title terms are looked up in the article.
+ */
+export const DELIVERY_CONFIG = {
+  WEIGHT: 0.4,                       // Confidence shift at score 0 (+WEIGHT) or 1 (-WEIGHT)
+  MIN_TITLE_TERMS: 2,                // Titles with fewer content words get no lexical score
+  MIN_TERM_LENGTH: 3,
+  LEAD_LENGTH: 1500,                 // Characters counted as the article's lead
+  LEAD_WEIGHT: 0.4,                  // Share of the lexical score from terms found in the lead
+  STOPWORDS: [
+    'the', 'and', 'for', 'you', 'your', 'this', 'that', 'these', 'those', 'what', 'when', 'where',
+    'which', 'who', 'why', 'how', 'will', 'won', 'can', 'are', 'was', 'were', 'has', 'have', 'had',
+    'with', 'from', 'into', 'about', 'after', 'before', 'just', 'here', 'there', 'they', 'them',
+    'their', 'its', 'our', 'out', 'not', 'all', 'any', 'but', 'his', 'her', 'she', 'him', 'one',
+    'never', 'ever', 'every', 'really', 'believe', 'happened', 'next', 'shocking', 'amazing', 'reason'
+  ]
+};
+
+/**
+ * Summary Streaming Configuration
+ * Summaries are streamed from the service worker to the tooltip over a long-lived port
+ */
+export const STREAM_CONFIG = {
+  SUMMARY_PORT: 'bb-summary-stream', // runtime.connect() port name
+  IDLE_TIMEOUT: 15000                // A stream without a new chunk for 15 seconds counts as cut off
+};
+
+/**
+ * AI Provider Configuration
+ * The provider is picked in the settings (`aiProvider`). Chrome's built-in AI needs no setup;
+ * the OpenAI-compatible provider talks to a user-configured HTTP endpoint such as a local
+ * llama.cpp or Ollama server.
+ */
+export const AI_PROVIDERS = {
+  CHROME: 'chrome',
+  OPENAI_COMPATIBLE: 'openai-compatible'
+};
+
+export const AI_PROVIDER_LABELS = {
+  [AI_PROVIDERS.CHROME]: 'Chrome built-in AI',
+  [AI_PROVIDERS.OPENAI_COMPATIBLE]: 'OpenAI-compatible server'
+};
+
+export const OPENAI_PROVIDER_CONFIG = {
+  DEFAULT_ENDPOINT: 'http://localhost:11434/v1', // Ollama; llama.cpp serves http://localhost:8080/v1
+  AVAILABILITY_TIMEOUT: 3000,        // GET /models
+  REQUEST_TIMEOUT: 30000,            // Until the response headers arrive
+  TEMPERATURE: 0,
+  SUMMARY_TYPES: {                   // What the model is asked for, per summary type
+    'tldr': 'a short TL;DR of the article',
+    'key-points': 'the key points of the article as a list',
+    'teaser': 'an intriguing teaser for the article that does not give everything away',
+    'headline': 'a one-line headline that states what the article is about'
+  },
+  SUMMARY_LENGTHS: {
+    'short': 'Keep it to one to three sentences or bullets.',
+    'medium': 'Keep it to three to five sentences or bullets.',
+    'long': 'Keep it to five to seven sentences or bullets.'
+  }
+};
+
+/**
+ * AI Backend Configuration
+ * Where the active provider runs. With Chrome's built-in AI, the service worker is used when
+ * it exposes LanguageModel/Summarizer. If it does not, content scripts inject
+ * src/content/inpage.js and the service worker sends its prompts through a tab's page context.
+ */
+export const AI_BACKENDS = {
+  SERVICE_WORKER: 'service-worker',
+  PAGE_BRIDGE: 'page-bridge',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+  NONE: 'none'
+};
+
+export const AI_BACKEND_LABELS = {
+  [AI_BACKENDS.SERVICE_WORKER]: 'Service worker',
+  [AI_BACKENDS.PAGE_BRIDGE]: 'Page bridge',
+  [AI_BACKENDS.OPENAI_COMPATIBLE]: 'Local server',
+  [AI_BACKENDS.NONE]: 'Unavailable'
+};
+
+export const BRIDGE_CONFIG = {
+  READY_TIMEOUT: 5000,               // Injected script must announce itself within 5 seconds
+  INIT_TIMEOUT: 60000,               // Creating the sessions may include a model download
+  CLASSIFY_TIMEOUT: 20000,           // Per prompt
+  SUMMARIZE_TIMEOUT: 30000           // Per summary
+};
+
+/**
+ * Model Status
+ * Availability of each AI API as reported by the provider ('unknown' before the first
+ * check), shown in the popup with the download progress
+ */
+export const MODEL_AVAILABILITY = {
+  UNKNOWN: 'unknown',
+  UNAVAILABLE: 'unavailable',
+  DOWNLOADABLE: 'downloadable',
+  DOWNLOADING: 'downloading',
+  AVAILABLE: 'available'
+};
+
+export const MODEL_AVAILABILITY_LABELS = {
+  [MODEL_AVAILABILITY.UNKNOWN]: 'Checking…',
+  [MODEL_AVAILABILITY.UNAVAILABLE]: 'Not supported',
+  [MODEL_AVAILABILITY.DOWNLOADABLE]: 'Not downloaded',
+  [MODEL_AVAILABILITY.DOWNLOADING]: 'Downloading',
+  [MODEL_AVAILABILITY.AVAILABLE]: 'Ready'
+};
+
+/**
+ * Prompt Session Configuration
+ * Each classification runs in a clone of a clean base session, so no conversation
+ * history builds up. Builds that cannot clone reuse the base session and replace it
+ * before its input usage reaches the quota.
+ */
+export const PROMPT_SESSION_CONFIG = {
+  QUOTA_HEADROOM: 0.8,               // Replace an unclonable session at 80% of its input quota
+  QUOTA_ERRORS: ['QuotaExceededError'], // The input does not fit the session
+  DESTROYED_ERRORS: ['InvalidStateError'] // The session was destroyed
+};
+
+/**
+ * Article Extraction Configuration
+ * Fetched pages are reduced to their main content by scoring blocks: paragraphs add to the
+ * score of their parent and grandparent, class names and link density adjust it, and the
+ * best-scoring block plus related siblings becomes the article. JSON-LD and Open Graph
+ * metadata are read first (src/lib/article-metadata.js).
+ */
+export const READABILITY_CONFIG = {
+  MIN_PARAGRAPH_LENGTH: 25,          // Shorter paragraphs do not score their ancestors
+  MIN_BLOCK_LENGTH: 20,              // Shorter blocks are dropped from the output, except headings
+  MAX_LINK_DENSITY: 0.5,             // Blocks with more link text than this are navigation
+  PARENT_SCORE_SHARE: 0.75,          // The parent replaces the top block if it scores this share of it
+  SIBLING_SCORE_SHARE: 0.2,          // Siblings scoring this share of the top block are included
+  MIN_TEXT_DENSITY: 10,              // Text characters per element below which a block is boilerplate
+  BYLINE_MAX_LENGTH: 100,
+  // A JSON-LD articleBody replaces the extracted text if it is this long and holds at least
+  // this share of the text extracted from the page
+  MIN_ARTICLE_BODY_LENGTH: 500,
+  ARTICLE_BODY_SHARE: 0.5,
+  // Class and id words of content and of boilerplate (case-insensitive patterns)
+  POSITIVE_PATTERN: 'article|body|content|entry|main|page|post|story|text|blog',
+  NEGATIVE_PATTERN: 'banner|cookie|consent|comment|contact|footer|footnote|gdpr|masthead|menu|modal|nav|' +
+    'newsletter|outbrain|popup|promo|related|share|shopping|sidebar|sponsor|social|subscribe|taboola|' +
+    'widget|(^|[\\s_-])ads?([\\s_-]|$)',
+  BYLINE_PATTERN: 'byline|author|writtenby'
+};
+
+/**
+ * Offscreen Document Configuration
+ * Where chrome.offscreen is available, fetched pages are parsed by a real DOMParser in an
+ * offscreen document; otherwise, or if it fails, the service worker's tokenizer is used.
+ */
+export const OFFSCREEN_CONFIG = {
+  MESSAGE_TARGET: 'offscreen',       // `target` of runtime messages meant for the document
+  REASONS: ['DOM_PARSER'],
+  JUSTIFICATION: 'Parse fetched articles to extract their main content',
+  TIMEOUT: 10000                     // Per extraction
+};
+
+/**
+ * Page Type Configuration
+ * Fetched pages are classified before they are summarized; only articles are. The other
+ * types are cached for FAILURE_TTL_MINUTES instead of CACHE.DURATION_DAYS, since a paywall
+ * or an outage may be gone on the next visit.
+ */
+export const PAGE_TYPES = {
+  ARTICLE: 'article',
+  PAYWALLED: 'paywalled',
+  CONSENT_WALL: 'consent-wall',
+  ERROR: 'error',
+  NON_ARTICLE: 'non-article'
+};
+
+export const PAGE_TYPE_LABELS = {
+  [PAGE_TYPES.PAYWALLED]: 'Paywalled — no summary available',
+  [PAGE_TYPES.CONSENT_WALL]: 'Cookie consent wall — no summary available',
+  [PAGE_TYPES.ERROR]: 'Page not found or unavailable — no summary available',
+  [PAGE_TYPES.NON_ARTICLE]: 'Not an article — no summary available'
+};
+
+export const PAGE_CHECK_CONFIG = {
+  MIN_ARTICLE_LENGTH: 150,           // Less extracted text than this is not an article
+  MAX_TEASER_LENGTH: 1500,           // Wall markers only count on pages with less text than this
+  SOFT_404_MAX_LENGTH: 500,          // Error titles only count on pages with less text than this
+  FAILURE_TTL_MINUTES: 30,
+  // Class or id fragments of paywall overlays (case-insensitive pattern)
+  PAYWALL_CLASS_PATTERN: 'paywall|regwall|meter-?wall|piano-(?:offer|template)|tp-modal|subscriber-only|premium-(?:content|gate)',
+  PAYWALL_PHRASES: [
+    'subscribe to continue reading', 'subscribe to read', 'this article is for subscribers',
+    'this content is for subscribers', 'already a subscriber', 'to continue reading, please',
+    'create a free account to continue', 'sign in to continue reading', 'you have reached your limit'
+  ],
+  CONSENT_PHRASES: [
+    'we value your privacy', 'before you continue', 'accept all cookies', 'accept cookies to continue',
+    'your privacy choices', 'we and our partners', 'manage cookie preferences', 'consent to the use of cookies'
+  ],
+  // Redirect targets of consent interstitials
+  CONSENT_URL_PATTERN: '^https?://(?:consent\\.[^/]+|[^/]+/(?:consent|privacy-gate|cookie-consent))',
+  // Titles and headings of error pages served with status 200
+  SOFT_404_PATTERN: '\\b(?:404|page (?:not|cannot be) found|not found|no longer (?:available|exists)|does ?n[o\']t exist|error occurred)\\b'
+};
+
+/**
+ * URL Normalization Configuration
+ * Summaries, metadata and badges are keyed by article URL. Links through known redirectors
+ * are unwrapped and tracking parameters dropped first, so the same article linked from
+ * different places is fetched and summarized once. Shorteners (t.co, bit.ly, ...) carry no
+ * target in the URL; they are followed by fetch and mapped to the page's canonical URL.
+ */
+export const URL_CONFIG = {
+  // Host and path patterns (case-insensitive) and the query parameters holding the target
+  REDIRECTORS: [
+    { HOST: '(?:^|\\.)google\\.[a-z.]+$', PATH: '^/url$', PARAMS: ['q', 'url'] },
+    { HOST: '^lm?\\.facebook\\.com$', PATH: '^/l\\.php$', PARAMS: ['u'] },
+    { HOST: '^l\\.instagram\\.com$', PATH: '^/$', PARAMS: ['u'] },
+    { HOST: '^out\\.reddit\\.com$', PATH: '', PARAMS: ['url'] },
+    { HOST: '(?:^|\\.)youtube\\.com$', PATH: '^/redirect$', PARAMS: ['q'] },
+    { HOST: '(?:^|\\.)duckduckgo\\.com$', PATH: '^/l/?$', PARAMS: ['uddg'] },
+    { HOST: '(?:^|\\.)linkedin\\.com$', PATH: '^/redir/redirect', PARAMS: ['url'] },
+    { HOST: '^slack-redir\\.net$', PATH: '^/link$', PARAMS: ['url'] },
+    { HOST: '^vk\\.com$', PATH: '^/away\\.php$', PARAMS: ['to'] }
+  ],
+  MAX_UNWRAP_DEPTH: 3,               // Redirectors wrapping redirectors
+  // Query parameters that only track where a click came from (case-insensitive pattern)
+  TRACKING_PARAM_PATTERN: '^(?:utm_\\w+|fbclid|gclid|gclsrc|dclid|msclkid|yclid|twclid|igshid|mc_cid|mc_eid|_ga|_gl|ref_src|ref_url|cmpid|mkt_tok|spm|__twitter_impression)$',
+  // Public suffixes with two labels (co.uk, com.au, ...), for telling sites apart without
+  // the full public suffix list. A canonical link on another site is ignored.
+  SECOND_LEVEL_SUFFIX_PATTERN: '^(?:co|com|net|org|gov|edu|ac|or|ne|go|gob|nic|ltd|plc)\\.[a-z]{2}$'
+};
+
 /**
  * Performance Configuration
  * Concurrency limits, cache settings, and size limits
@@ -59,6 +827,9 @@ export const TIMEOUT_CONFIG = {
 export const PERFORMANCE_CONFIG = {
   // Concurrent link processing limit
   CONCURRENT_LIMIT: 5,
+  // Headlines per batched Prompt API call (1 = one call per headline)
+  AI_BATCH_SIZE: 10,
+  AI_BATCH_MAX: 25,                  // Upper bound for the batch size setting
   // Cache configuration
   CACHE: {
     MAX_SIZE: 1000,                  // Maximum cache entries
@@ -87,7 +858,8 @@ export const RETRY_CONFIG = {
  */
 export const UI_CONFIG = {
   METRICS_UPDATE_INTERVAL: 1000,     // Metrics update interval in milliseconds (1 second)
-  CLEAR_CACHE_TIMEOUT: 2000           // Clear cache button display timeout in milliseconds (2 seconds)
+  CLEAR_CACHE_TIMEOUT: 2000,          // Clear cache button display timeout in milliseconds (2 seconds)
+  TOOLTIP_HIDE_DELAY: 300             // Grace period to move the pointer from the badge into the tooltip
 };
 
 /**
@@ -98,7 +870,7 @@ export const CONFIDENCE_CONFIG = {
   // RegEx detection confidence formula
   REGEX: {
     BASE: 0.3,                        // Base confidence
-    MULTIPLIER: 0.15,                 // Per-match multiplier
+    MULTIPLIER: 0.15,                 // Multiplier for the summed rule weights
     MAX: 0.95                          // Maximum confidence
   },
   // Heuristic detection confidence formula
@@ -110,11 +882,28 @@ export const CONFIDENCE_CONFIG = {
 };
 
 /**
- * Get compiled RegEx patterns from pattern strings
- * @returns {RegExp[]} Array of compiled RegExp objects
+ * Get compiled RegEx rules from the rule configuration
+ * User-defined patterns are appended after the built-in rules in their stored order.
+ * Callers are expected to pass only patterns that passed validation.
+ * @param {Array<Object>} customPatterns - User patterns ({ id, pattern, category, weight, enabled })
+ * @param {string} language - Pattern pack to use (falls back to LANGUAGE_CONFIG.DEFAULT)
+ * @returns {Array<Object>} Rules with their pattern strings compiled to a `regexes` array
  */
-export function getCompiledRegexPatterns() {
-  return REGEX_PATTERNS.map(pattern => new RegExp(pattern, 'i'));
+export function getCompiledRegexPatterns(customPatterns = [], language = LANGUAGE_CONFIG.DEFAULT) {
+  const builtInRules = REGEX_RULE_PACKS[language] || REGEX_RULE_PACKS[LANGUAGE_CONFIG.DEFAULT];
+  const userRules = customPatterns.map(p => ({
+    id: p.id,
+    category: p.category || RULE_CATEGORIES.CUSTOM,
+    weight: p.weight ?? CUSTOM_PATTERN_CONFIG.DEFAULT_WEIGHT,
+    pattern: p.pattern,
+    enabled: p.enabled !== false,
+    custom: true
+  }));
+
+  return [...builtInRules, ...userRules].map(rule => ({
+    ...rule,
+    regexes: [].concat(rule.pattern).map(pattern => new RegExp(pattern, rule.flags ?? 'i'))
+  }));
 }
 
 /**
@@ -129,6 +918,18 @@ export function getClassificationTimeout(linkCount) {
   );
 }
 
+/**
+ * Convert a sensitivity setting (1-10) to a confidence threshold (0.1-1.0)
+ * @param {number} sensitivity - Sensitivity setting
+ * @returns {number} Minimum confidence for a result to count as clickbait
+ */
+export function getSensitivityThreshold(sensitivity) {
+  return Math.max(
+    SENSITIVITY_CONFIG.MIN,
+    Math.min(SENSITIVITY_CONFIG.MAX, Number(sensitivity) || SENSITIVITY_CONFIG.DEFAULT)
+  ) / 10;
+}
+
 /**
  * Get cache duration in milliseconds
  * @returns {number} Cache duration in milliseconds
@@ -137,3 +938,32 @@ export function getCacheDurationMs() {
   return PERFORMANCE_CONFIG.CACHE.DURATION_DAYS * 24 * 60 * 60 * 1000;
 }
 
+// Cache lifetime of summaries of pages that are not articles (paywalls, errors, ...)
+export function getFailureCacheTtlMs() {
+  return PAGE_CHECK_CONFIG.FAILURE_TTL_MINUTES * 60 * 1000;
+}
+
+
+/**
+ * Fill in and check a summary style; unknown values fall back to the defaults
+ * @param {Object} [style] - Partial style with type, format and length
+ * @returns {{type: string, format: string, length: string}} Summary style
+ */
+export function normalizeSummaryStyle(style = {}) {
+  const pick = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+  return {
+    type: pick(style?.type, SUMMARY_CONFIG.TYPES, SUMMARY_CONFIG.DEFAULT.type),
+    format: pick(style?.format, SUMMARY_CONFIG.FORMATS, SUMMARY_CONFIG.DEFAULT.format),
+    length: pick(style?.length, SUMMARY_CONFIG.LENGTHS, SUMMARY_CONFIG.DEFAULT.length)
+  };
+}
+
+/**
+ * Stable key for a summary style, used for summarizer instances and cache keys
+ * @param {Object} [style] - Summary style
+ * @returns {string} e.g. "tldr/plain-text/short"
+ */
+export function getSummaryStyleKey(style) {
+  const { type, format, length } = normalizeSummaryStyle(style);
+  return `${type}/${format}/${length}`;
+}
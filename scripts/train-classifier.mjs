@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+// scripts/train-classifier.mjs
+// Retrains the offline headline classifier from a labeled TSV file.
+//
+// Usage: node scripts/train-classifier.mjs [data/headlines.tsv] [src/background/models/headline-model.js]
+//
+// Input lines are "<label>\t<headline>" with label 1 (clickbait) or 0; lines starting
+// with '#' are ignored. The script fits an L2-regularized logistic regression over the
+// features from src/lib/headline-features.js, calibrates the scores with Platt scaling
+// on out-of-fold predictions, and writes the model as an ES module.
+import { readFileSync, writeFileSync } from 'node:fs';
+import { extractFeatures } from '../src/lib/headline-features.js';
+
+const OPTIONS = {
+  MIN_DOC_FREQ: 2,          // Drop features seen in fewer headlines
+  MAX_FEATURES: 3000,       // Keep the most frequent features
+  EPOCHS: 300,
+  LEARNING_RATE: 0.5,
+  L2: 0.001,
+  FOLDS: 5
+};
+
+const [inputPath = 'data/headlines.tsv', outputPath = 'src/background/models/headline-model.js'] = process.argv.slice(2);
+
+function loadExamples(path) {
+  return readFileSync(path, 'utf8')
+    .split(/\r?\n/)
+    .filter(line => line.trim() && !line.startsWith('#'))
+    .map((line, i) => {
+      const [label, ...rest] = line.split('\t');
+      const text = rest.join('\t').trim();
+      if ((label !== '0' && label !== '1') || !text) {
+        throw new Error(`Invalid line ${i + 1}: ${line}`);
+      }
+      return { label: Number(label), features: extractFeatures(text) };
+    });
+}
+
+function buildVocabulary(examples) {
+  const docFreq = new Map();
+  examples.forEach(ex => ex.features.forEach(f => docFreq.set(f, (docFreq.get(f) || 0) + 1)));
+  return [...docFreq.entries()]
+    .filter(([, df]) => df >= OPTIONS.MIN_DOC_FREQ)
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, OPTIONS.MAX_FEATURES)
+    .map(([feature]) => feature);
+}
+
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+
+function toIndices(examples, index) {
+  return examples.map(ex => ({
+    label: ex.label,
+    indices: [...ex.features].filter(f => index.has(f)).map(f => index.get(f))
+  }));
+}
+
+// Full-batch gradient descent; data sets here are small
+function fitLogistic(rows, size) {
+  const weights = new Float64Array(size);
+  let bias = 0;
+  for (let epoch = 0; epoch < OPTIONS.EPOCHS; epoch++) {
+    const grad = new Float64Array(size);
+    let gradBias = 0;
+    for (const row of rows) {
+      let z = bias;
+      for (const i of row.indices) z += weights[i];
+      const error = sigmoid(z) - row.label;
+      gradBias += error;
+      for (const i of row.indices) grad[i] += error;
+    }
+    for (let i = 0; i < size; i++) {
+      weights[i] -= OPTIONS.LEARNING_RATE * (grad[i] / rows.length + OPTIONS.L2 * weights[i]);
+    }
+    bias -= OPTIONS.LEARNING_RATE * gradBias / rows.length;
+  }
+  return { weights, bias };
+}
+
+function rawScore(model, row) {
+  let z = model.bias;
+  for (const i of row.indices) z += model.weights[i];
+  return z;
+}
+
+// Platt scaling: fit p = sigmoid(a * z + b) on held-out scores
+function fitPlatt(scores, labels) {
+  let a = 1;
+  let b = 0;
+  for (let epoch = 0; epoch < 2000; epoch++) {
+    let gradA = 0;
+    let gradB = 0;
+    scores.forEach((z, i) => {
+      const error = sigmoid(a * z + b) - labels[i];
+      gradA += error * z;
+      gradB += error;
+    });
+    a -= 0.05 * gradA / scores.length;
+    b -= 0.05 * gradB / scores.length;
+  }
+  return { a, b };
+}
+
+function logLoss(probabilities, labels) {
+  const eps = 1e-9;
+  return -probabilities.reduce((sum, p, i) =>
+    sum + (labels[i] ? Math.log(p + eps) : Math.log(1 - p + eps)), 0) / labels.length;
+}
+
+function main() {
+  const examples = loadExamples(inputPath);
+  if (examples.length < OPTIONS.FOLDS * 2) {
+    throw new Error(`Need at least ${OPTIONS.FOLDS * 2} labeled headlines, got ${examples.length}`);
+  }
+
+  const vocabulary = buildVocabulary(examples);
+  const index = new Map(vocabulary.map((f, i) => [f, i]));
+  const rows = toIndices(examples, index);
+
+  // Out-of-fold scores for calibration and evaluation
+  const oofScores = new Array(rows.length);
+  for (let fold = 0; fold < OPTIONS.FOLDS; fold++) {
+    const train = rows.filter((_, i) => i % OPTIONS.FOLDS !== fold);
+    const model = fitLogistic(train, vocabulary.length);
+    rows.forEach((row, i) => {
+      if (i % OPTIONS.FOLDS === fold) oofScores[i] = rawScore(model, row);
+    });
+  }
+  const labels = rows.map(r => r.label);
+  const calibration = fitPlatt(oofScores, labels);
+  const oofProbabilities = oofScores.map(z => sigmoid(calibration.a * z + calibration.b));
+  const accuracy = oofProbabilities.filter((p, i) => (p >= 0.5 ? 1 : 0) === labels[i]).length / labels.length;
+
+  const final = fitLogistic(rows, vocabulary.length);
+  const weights = {};
+  vocabulary.forEach((f, i) => {
+    const w = Math.round(final.weights[i] * 10000) / 10000;
+    if (w !== 0) weights[f] = w;
+  });
+
+  const model = {
+    version: 1,
+    examples: rows.length,
+    bias: Math.round(final.bias * 10000) / 10000,
+    calibration: {
+      a: Math.round(calibration.a * 10000) / 10000,
+      b: Math.round(calibration.b * 10000) / 10000
+    },
+    weights
+  };
+
+  writeFileSync(outputPath, `// ${outputPath}
+// Generated by scripts/train-classifier.mjs from ${inputPath}. Do not edit by hand.
+export const HEADLINE_MODEL = ${JSON.stringify(model, null, 2)};
+`);
+
+  console.log(`Trained on ${rows.length} headlines with ${Object.keys(weights).length} features`);
+  console.log(`Out-of-fold accuracy: ${(accuracy * 100).toFixed(1)}%, log loss: ${logLoss(oofProbabilities, labels).toFixed(3)}`);
+  console.log(`Model written to ${outputPath}`);
+}
+
+main();
@@ -1,104 +1,315 @@
 // src/background/ai-manager.js
+import { PROMPT_KINDS, PERFORMANCE_CONFIG } from '../../config/config.js';
+import { resolvePromptTemplate, renderTemplate } from '../lib/prompt-templates.js';
+import { parseClassification, coerceClassification, extractJson, parseAnswer, parseDelivery } from '../lib/response-validator.js';
+import { ChromeAIProvider } from './providers/chrome-ai-provider.js';
+
+const CONTEXT_LABELS = {
+  section: 'Section',
+  heading: 'Nearest heading',
+  teaser: 'Teaser',
+  imageAlt: 'Image description',
+  ariaLabel: 'Accessible label'
+};
+
+// Render the page context around a link as prompt lines
+function contextLines(context, indent = '') {
+  return Object.entries(CONTEXT_LABELS)
+    .filter(([field]) => context?.[field])
+    .map(([field, label]) => `${indent}- ${label}: "${context[field]}"`);
+}
+
+function formatContext(context) {
+  const lines = contextLines(context);
+  return lines.length ? `\nShown next to the link on the page:\n${lines.join('\n')}\n` : '';
+}
+
+const CLASSIFICATION_SCHEMA = {
+  type: "object",
+  properties: {
+    isClickbait: { type: "boolean" },
+    confidence: { type: "number", minimum: 0, maximum: 1 },
+    reason: { type: "string" }
+  },
+  required: ["isClickbait", "confidence"]
+};
+
+const ANSWER_SCHEMA = {
+  type: "object",
+  properties: {
+    answered: { type: "boolean" },
+    answer: { type: "string" },
+    quote: { type: "string" }
+  },
+  required: ["answered", "answer", "quote"]
+};
+
+const DELIVERY_SCHEMA = {
+  type: "object",
+  properties: {
+    score: { type: "number", minimum: 0, maximum: 1 },
+    reason: { type: "string" }
+  },
+  required: ["score"]
+};
+
 export class AIManager {
-  constructor() {
-    this.promptSession = null;
-    this.summarizer = null;
+  constructor(provider = new ChromeAIProvider()) {
+    this.provider = provider;        // See src/background/providers/index.js
     this.initialized = false;
+    this.promptSettings = {};
+    this.lastInferenceAt = null;     // Time of the last successful prompt or summary
+    this.onInference = null;         // Called with that time
   }
 
-  async initialize() {
-    // Check for Chrome AI APIs - they might be under window.ai or global
-    const hasAI = ('ai' in self && self.ai) || ('LanguageModel' in self && 'Summarizer' in self);
-
-    if (!hasAI) {
-      console.error('Chrome AI APIs not found. Checked:', {
-        hasAiProperty: 'ai' in self,
-        aiType: typeof self.ai,
-        hasLanguageModel: 'LanguageModel' in self,
-        hasSummarizer: 'Summarizer' in self
-      });
-      throw new Error('Chrome AI APIs not available');
-    }
+  /**
+   * Switch to another AI provider; call initialize() before using it
+   * @param {AIProvider} provider - Provider
+   */
+  setProvider(provider) {
+    this.provider = provider;
+    this.initialized = false;
+  }
 
-    // Use the appropriate API namespace
-    const languageModelAPI = self.ai?.languageModel || self.LanguageModel;
-    const summarizerAPI = self.ai?.summarizer || self.Summarizer;
+  // True once the provider can run prompts
+  get canPrompt() {
+    return this.initialized && this.provider.capabilities.prompt;
+  }
 
-    if (!languageModelAPI || !summarizerAPI) {
-      throw new Error('Chrome AI APIs not properly initialized');
-    }
+  get canSummarize() {
+    return this.initialized && this.provider.capabilities.summarizer;
+  }
 
-    const promptAvailability = await languageModelAPI.availability();
-    const summarizerAvailability = await summarizerAPI.availability();
+  /**
+   * Use the template choices and overrides from the settings
+   * @param {Object} promptSettings - `settings.promptTemplates`
+   */
+  setPromptTemplates(promptSettings = {}) {
+    this.promptSettings = promptSettings || {};
+  }
 
-    await this.initializePromptAPI(promptAvailability, languageModelAPI);
-    await this.initializeSummarizer(summarizerAvailability, summarizerAPI);
-    this.initialized = true;
+  // Identifies the prompts behind a classification; part of the cache key
+  getClassificationVersion() {
+    return [PROMPT_KINDS.CLASSIFY, PROMPT_KINDS.CLASSIFY_BATCH]
+      .map(kind => resolvePromptTemplate(kind, this.promptSettings).key)
+      .join('+');
   }
 
-  async initializePromptAPI(availability, languageModelAPI) {
-    if (availability === 'unavailable') {
-      throw new Error('Prompt API unavailable on this device');
-    }
+  // Identifies the prompt behind headline answers; part of their cache key
+  getAnswerVersion() {
+    return resolvePromptTemplate(PROMPT_KINDS.ANSWER, this.promptSettings).key;
+  }
 
-    console.log('Prompt API availability:', availability);
+  // Identifies the prompt behind delivery scores; part of their cache key
+  getDeliveryVersion() {
+    return resolvePromptTemplate(PROMPT_KINDS.DELIVERY, this.promptSettings).key;
+  }
 
-    this.promptSession = await languageModelAPI.create({
-      monitor(m) {
-        m.addEventListener('downloadprogress', (e) => {
-          console.log(`Prompt model download: ${Math.round((e.loaded || 0) * 100)}%`);
-        });
-      }
-    });
+  // Identifies the summarizer context; part of the summary cache key
+  getSummaryContextVersion() {
+    return resolvePromptTemplate(PROMPT_KINDS.SUMMARY_CONTEXT, this.promptSettings).key;
   }
 
-  async initializeSummarizer(availability, summarizerAPI) {
-    if (availability === 'unavailable') {
-      throw new Error('Summarizer API unavailable on this device');
-    }
+  /**
+   * Render the context the summarizer gets along with the article
+   * @param {string} [title] - Link text the summary is for
+   * @returns {string} Context; empty if the template renders to nothing
+   */
+  getSummaryContext(title = '') {
+    const template = resolvePromptTemplate(PROMPT_KINDS.SUMMARY_CONTEXT, this.promptSettings);
+    return renderTemplate(template.text, { title }).trim();
+  }
 
-    console.log('Summarizer API availability:', availability);
+  async initialize() {
+    await this.provider.initialize();
+    this.initialized = true;
+  }
 
-    this.summarizer = await summarizerAPI.create({
-      type: 'tldr',
-      format: 'plain-text',
-      length: 'short',
-      monitor(m) {
-        m.addEventListener('downloadprogress', (e) => {
-          console.log(`Summarizer model download: ${Math.round((e.loaded || 0) * 100)}%`);
-        });
-      }
-    });
+  recordInference() {
+    this.lastInferenceAt = Date.now();
+    this.onInference?.(this.lastInferenceAt);
+  }
+
+  async runPrompt(prompt, options) {
+    const result = await this.provider.classify(prompt, options);
+    this.recordInference();
+    return result;
   }
 
-  async classifyClickbait(linkText) {
+  /**
+   * Classify one title
+   * Invalid output is retried once with the repair prompt. If that fails too, the result
+   * carries a `failure` code (see RESPONSE_FAILURES) and must not be cached.
+   * @param {string} linkText - Title
+   * @param {Object} [context] - Link context
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops the prompt (and the repair prompt)
+   * @param {number} [options.tabId] - Requesting tab; the in-page bridge only runs its own tab's work
+   * @returns {Promise<{isClickbait: boolean, confidence: number, reason: string, failure?: string}>}
+   */
+  async classifyClickbait(linkText, context = null, { signal, tabId } = {}) {
+    const template = resolvePromptTemplate(PROMPT_KINDS.CLASSIFY, this.promptSettings);
+    const prompt = renderTemplate(template.text, { title: linkText, context: formatContext(context) });
+
+    const result = await this.runPrompt(prompt, { schema: CLASSIFICATION_SCHEMA, signal, tabId });
+
+    let parsed = parseClassification(result);
+    if (!parsed.ok) {
+      console.warn(`BaitBreaker: Invalid classification response (${parsed.failure}), retrying with repair prompt`);
+      const repair = resolvePromptTemplate(PROMPT_KINDS.REPAIR, this.promptSettings);
+      const repaired = await this.runPrompt(
+        renderTemplate(repair.text, { failure: parsed.failure, response: String(result ?? '').slice(0, 1000) }),
+        { schema: CLASSIFICATION_SCHEMA, signal, tabId }
+      );
+      parsed = parseClassification(repaired);
+    }
+
+    if (!parsed.ok) {
+      return { isClickbait: false, confidence: 0, reason: 'Invalid model response', failure: parsed.failure };
+    }
+    return parsed.value;
+  }
+
+  /**
+   * Classify several titles with one structured-output prompt
+   * @param {Array<{text: string, context?: Object}>} items - Titles with optional link context
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops the prompt
+   * @param {number} [options.tabId] - Requesting tab; the in-page bridge only runs its own tab's work
+   * @returns {Promise<Array<Object|null>>} One classification per item, in input order; null for
+   *   items the response left out or answered with an invalid entry
+   */
+  async classifyClickbaitBatch(items, { signal, tabId } = {}) {
     const schema = {
       type: "object",
       properties: {
-        isClickbait: { type: "boolean" },
-        confidence: { type: "number", minimum: 0, maximum: 1 },
-        reason: { type: "string" }
+        results: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              index: { type: "integer", minimum: 0, maximum: items.length - 1 },
+              isClickbait: { type: "boolean" },
+              confidence: { type: "number", minimum: 0, maximum: 1 },
+              reason: { type: "string" }
+            },
+            required: ["index", "isClickbait", "confidence"]
+          }
+        }
       },
-      required: ["isClickbait", "confidence"]
+      required: ["results"]
     };
 
-    const prompt = `Analyze if this title is clickbait (uses curiosity gap, emotional triggers, or withholds key information):
-"${linkText}"
+    const titles = items.map((item, i) =>
+      [`${i}. "${item.text}"`, ...contextLines(item.context, '   ')].join('\n')
+    ).join('\n');
 
-Return JSON with isClickbait (boolean), confidence (0-1), and reason.`;
+    const template = resolvePromptTemplate(PROMPT_KINDS.CLASSIFY_BATCH, this.promptSettings);
+    const prompt = renderTemplate(template.text, { titles });
 
-    const result = await this.promptSession.prompt(prompt, {
-      responseConstraint: schema
-    });
+    const result = await this.runPrompt(prompt, { schema, signal, tabId });
 
-    try {
-      return JSON.parse(result);
-    } catch {
-      return { isClickbait: false, confidence: 0, reason: "Parse error" };
+    const classifications = new Array(items.length).fill(null);
+    const parsed = extractJson(result);
+    if (!parsed.ok) {
+      console.warn(`BaitBreaker: Batch response unusable (${parsed.failure})`);
+      return classifications;
     }
+
+    // A bare array is accepted as the results list
+    const entries = Array.isArray(parsed.value) ? parsed.value : parsed.value?.results;
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      const index = Number(entry?.index);
+      const classification = coerceClassification(entry);
+      if (Number.isInteger(index) && index >= 0 && index < items.length &&
+          !classifications[index] && classification.ok) {
+        classifications[index] = classification.value;
+      }
+    }
+    return classifications;
+  }
+
+  /**
+   * Answer a headline from the article it links to
+   * @param {string} title - Link text
+   * @param {string} articleContent - Extracted article text
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops the prompt
+   * @param {number} [options.tabId] - Requesting tab; the in-page bridge only runs its own tab's work
+   * @returns {Promise<{answered: boolean, answer: string, quote: string, failure?: string}>}
+   */
+  async answerHeadline(title, articleContent, { signal, tabId } = {}) {
+    const article = String(articleContent || '').slice(0, PERFORMANCE_CONFIG.ARTICLE_LENGTH_LIMIT);
+    const result = await this.promptWithArticle(PROMPT_KINDS.ANSWER, title, article, ANSWER_SCHEMA, { signal, tabId });
+    const parsed = parseAnswer(result, article);
+    if (!parsed.ok) {
+      console.warn(`BaitBreaker: Invalid answer response (${parsed.failure})`);
+      return { answered: false, answer: '', quote: '', failure: parsed.failure };
+    }
+    return parsed.value;
+  }
+
+  /**
+   * Score whether the article delivers what its headline promises
+   * @param {string} title - Link text
+   * @param {string} articleContent - Extracted article text
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops the prompt
+   * @param {number} [options.tabId] - Requesting tab; the in-page bridge only runs its own tab's work
+   * @returns {Promise<{score: number, reason: string, failure?: string}>} score 0 (does not
+   *   deliver) to 1 (fully delivers)
+   */
+  async scoreDelivery(title, articleContent, { signal, tabId } = {}) {
+    const article = String(articleContent || '').slice(0, PERFORMANCE_CONFIG.ARTICLE_LENGTH_LIMIT);
+    const result = await this.promptWithArticle(PROMPT_KINDS.DELIVERY, title, article, DELIVERY_SCHEMA, { signal, tabId });
+    const parsed = parseDelivery(result);
+    if (!parsed.ok) {
+      console.warn(`BaitBreaker: Invalid delivery response (${parsed.failure})`);
+      return { score: 0.5, reason: '', failure: parsed.failure };
+    }
+    return parsed.value;
+  }
+
+  async promptWithArticle(kind, title, article, schema, { signal, tabId } = {}) {
+    const template = resolvePromptTemplate(kind, this.promptSettings);
+    const prompt = renderTemplate(template.text, { title, article });
+    return await this.runPrompt(prompt, { schema, signal, tabId });
   }
 
-  async summarizeArticle(articleContent) {
-    return await this.summarizer.summarize(articleContent);
+  /**
+   * Summarize an article
+   * @param {string} articleContent - Article text
+   * @param {Object} [style] - Summary style (type, format, length)
+   * @param {Object} [options]
+   * @param {string} [options.title] - Link text, for the summary context template
+   * @param {AbortSignal} [options.signal] - Stops the model
+   * @param {number} [options.tabId] - Requesting tab; the in-page bridge only runs its own tab's work
+   * @returns {Promise<string>} Summary
+   */
+  async summarizeArticle(articleContent, style, { title, signal, tabId } = {}) {
+    const context = this.getSummaryContext(title);
+    const summary = await this.provider.summarize(articleContent, style, { context, signal, tabId });
+    this.recordInference();
+    return summary;
+  }
+
+  /**
+   * Summarize an article, streaming if the provider supports it
+   * Yields the full summary text so far after every chunk.
+   * @param {string} articleContent - Article text
+   * @param {Object} [style] - Summary style (type, format, length)
+   * @param {Object} [options]
+   * @param {string} [options.title] - Link text, for the summary context template
+   * @param {AbortSignal} [options.signal] - Stops the model
+   * @param {number} [options.tabId] - Requesting tab; the in-page bridge only runs its own tab's work
+   */
+  async *summarizeArticleStreaming(articleContent, style, { title, signal, tabId } = {}) {
+    if (typeof this.provider.summarizeStreaming !== 'function') {
+      yield await this.summarizeArticle(articleContent, style, { title, signal, tabId });
+      return;
+    }
+    const context = this.getSummaryContext(title);
+    yield* this.provider.summarizeStreaming(articleContent, style, { context, signal, tabId });
+    this.recordInference();
   }
 }
@@ -1,75 +1,92 @@
 // src/background/article-fetcher.js
-// Service workers don't have access to DOMParser, so we use regex-based parsing
-import { PERFORMANCE_CONFIG } from '../../config/config.js';
+// Service workers don't have access to DOMParser, so pages are parsed in an offscreen
+// document where chrome.offscreen exists, and with a tolerant tokenizer otherwise. Both
+// reduce the page to its main content (src/lib/readability.js).
+import { PERFORMANCE_CONFIG, PAGE_TYPES } from '../../config/config.js';
+import { isAbortError } from '../lib/abort.js';
+import { extractArticle } from '../lib/readability.js';
+import { classifyPage } from '../lib/page-classifier.js';
+import { normalizeUrl, canonicalUrl } from '../lib/url-normalizer.js';
+import { OffscreenExtractor } from './offscreen-extractor.js';
 
 export class ArticleFetcher {
-  async fetchAndParse(url) {
+  /**
+   * @param {Object} [options]
+   * @param {OffscreenExtractor} [options.offscreen] - DOM-based extraction
+   */
+  constructor({ offscreen = new OffscreenExtractor() } = {}) {
+    this.offscreen = offscreen;
+  }
+
+  /**
+   * @param {string} url - Article URL
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the download
+   * @returns {Promise<string>} Article text
+   */
+  async fetchAndParse(url, options = {}) {
+    const article = await this.fetchArticle(url, options);
+    return article.text;
+  }
+
+  /**
+   * @param {string} url - Article URL
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the download
+   * @returns {Promise<Object>} ExtractedArticle (title, byline, paragraphs, source, metadata)
+   *   plus `text`, the paragraphs as one string, `page`, `{type, reason}` with one of
+   *   PAGE_TYPES (only articles are worth summarizing), and `url`, the normalized canonical
+   *   URL of the article
+   */
+  async fetchArticle(url, { signal } = {}) {
     try {
-      const response = await fetch(url);
+      const response = await fetch(normalizeUrl(url), { signal });
       const html = await response.text();
-
-      // Extract content using regex since DOMParser isn't available in service workers
-      const content = this.extractContent(html);
-      return content;
+      const article = await this.parse(html, { signal });
+      const pageUrl = response.url || normalizeUrl(url);
+      const page = classifyPage({ status: response.status, url: pageUrl, html, article });
+      return {
+        ...article,
+        text: this.joinParagraphs(article.paragraphs),
+        page,
+        // Walls and error pages are often served from, or name, some other page
+        url: page.type === PAGE_TYPES.ARTICLE ? canonicalUrl(article.canonicalUrl, pageUrl) : normalizeUrl(url)
+      };
     } catch (error) {
+      if (isAbortError(error)) throw signal?.reason ?? error;
       console.error('Failed to fetch article:', error);
       throw new Error(`Unable to fetch article: ${error.message}`);
     }
   }
 
-  extractContent(html) {
-    // Try to find article/main content using common patterns
-    const patterns = [
-      /<article[^>]*>([\s\S]*?)<\/article>/i,
-      /<main[^>]*>([\s\S]*?)<\/main>/i,
-      /<div[^>]*class="[^"]*article-content[^"]*"[^>]*>([\s\S]*?)<\/div>/i,
-      /<div[^>]*class="[^"]*post-content[^"]*"[^>]*>([\s\S]*?)<\/div>/i,
-      /<div[^>]*class="[^"]*entry-content[^"]*"[^>]*>([\s\S]*?)<\/div>/i,
-      /<div[^>]*id="content"[^>]*>([\s\S]*?)<\/div>/i
-    ];
-
-    let content = '';
-
-    // Try each pattern
-    for (const pattern of patterns) {
-      const match = html.match(pattern);
-      if (match && match[1]) {
-        content = match[1];
-        break;
+  /**
+   * Extract the article, in the offscreen document if possible
+   * @param {string} html - Page HTML
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<import('../lib/readability.js').ExtractedArticle>}
+   */
+  async parse(html, { signal } = {}) {
+    if (this.offscreen?.isAvailable()) {
+      try {
+        return await this.offscreen.extract(html, { signal });
+      } catch (error) {
+        if (isAbortError(error) && signal?.aborted) throw error;
+        console.warn('BaitBreaker: Offscreen extraction failed, using the tokenizer:', error.message);
       }
     }
-
-    // If no pattern matched, use the whole body
-    if (!content) {
-      const bodyMatch = html.match(/<body[^>]*>([\s\S]*?)<\/body>/i);
-      content = bodyMatch ? bodyMatch[1] : html;
-    }
-
-    // Strip HTML tags and clean text
-    return this.cleanText(this.stripHtml(content));
+    return extractArticle(html);
   }
 
-  stripHtml(html) {
-    return html
-      // Remove script and style tags with their content
-      .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-      .replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, '')
-      // Remove HTML tags
-      .replace(/<[^>]+>/g, ' ')
-      // Decode common HTML entities
-      .replace(/&nbsp;/g, ' ')
-      .replace(/&amp;/g, '&')
-      .replace(/&lt;/g, '<')
-      .replace(/&gt;/g, '>')
-      .replace(/&quot;/g, '"')
-      .replace(/&#39;/g, "'");
+  /**
+   * @param {string} html - Page HTML
+   * @returns {string} Main content, paragraphs separated by blank lines
+   */
+  extractContent(html) {
+    return this.joinParagraphs(extractArticle(html).paragraphs);
   }
 
-  cleanText(text) {
-    return (text || '')
-      .replace(/\s+/g, ' ')  // Multiple spaces to single space
-      .replace(/\n{3,}/g, '\n\n')  // Multiple newlines to double
-      .trim()
-      .slice(0, PERFORMANCE_CONFIG.ARTICLE_LENGTH_LIMIT);  // Limit length for AI processing
+  joinParagraphs(paragraphs) {
+    return paragraphs.join('\n\n').slice(0, PERFORMANCE_CONFIG.ARTICLE_LENGTH_LIMIT);  // Limit length for AI processing
   }
 }
@@ -1,5 +1,10 @@
 // src/background/cache-manager.js
 import { PERFORMANCE_CONFIG, getCacheDurationMs } from '../../config/config.js';
+import { normalizeUrl } from '../lib/url-normalizer.js';
+
+// Entry types this cache owns; other keys in chrome.storage.local (the API key, metrics,
+// error log) are left alone by clearing, expiry and eviction
+const CACHE_TYPES = ['classification', 'summary', 'delivery', 'metadata', 'alias'];
 
 export class CacheManager {
   constructor() {
@@ -11,8 +16,8 @@ export class CacheManager {
     await this.cleanOldEntries();
   }
 
-  async getClassification(text) {
-    const key = this._classificationKey(text);
+  async getClassification(text, context = null, promptVersion = '') {
+    const key = this._classificationKey(text, context, promptVersion);
     const result = await chrome.storage.local.get(key);
     if (result[key] && this.isValid(result[key])) {
       return result[key].data;
@@ -20,15 +25,66 @@ export class CacheManager {
     return null;
   }
 
-  async saveClassification(text, classification) {
-    const key = this._classificationKey(text);
+  async saveClassification(text, classification, context = null, promptVersion = '') {
+    const key = this._classificationKey(text, context, promptVersion);
     const entry = { data: classification, timestamp: Date.now(), type: 'classification' };
     await chrome.storage.local.set({ [key]: entry });
     await this.enforceMaxSize();
   }
 
-  async getSummary(url) {
-    const key = `summary_${this.hashText(url)}`;
+  async getSummary(url, styleKey = '') {
+    const key = this._summaryKey(url, styleKey);
+    const result = await chrome.storage.local.get(key);
+    if (result[key] && this.isValid(result[key])) {
+      return result[key].data;
+    }
+    return null;
+  }
+
+  // `ttl` (ms) overrides the cache duration, e.g. for pages that were paywalled or down
+  async saveSummary(url, summary, styleKey = '', ttl = null) {
+    const key = this._summaryKey(url, styleKey);
+    const entry = { data: summary, timestamp: Date.now(), url, style: styleKey, type: 'summary' };
+    if (ttl) entry.ttl = ttl;
+    await chrome.storage.local.set({ [key]: entry });
+    await this.enforceMaxSize();
+  }
+
+  async getDelivery(url, title, version = '') {
+    const key = this._deliveryKey(url, title, version);
+    const result = await chrome.storage.local.get(key);
+    if (result[key] && this.isValid(result[key])) {
+      return result[key].data;
+    }
+    return null;
+  }
+
+  async saveDelivery(url, title, delivery, version = '') {
+    const key = this._deliveryKey(url, title, version);
+    const entry = { data: delivery, timestamp: Date.now(), url, type: 'delivery' };
+    await chrome.storage.local.set({ [key]: entry });
+    await this.enforceMaxSize();
+  }
+
+  async getMetadata(url) {
+    const key = this._metadataKey(url);
+    const result = await chrome.storage.local.get(key);
+    if (result[key] && this.isValid(result[key])) {
+      return result[key].data;
+    }
+    return null;
+  }
+
+  async saveMetadata(url, metadata) {
+    const key = this._metadataKey(url);
+    const entry = { data: metadata, timestamp: Date.now(), url, type: 'metadata' };
+    await chrome.storage.local.set({ [key]: entry });
+    await this.enforceMaxSize();
+  }
+
+  // Link URL -> canonical URL of the article, learned when the link was fetched
+  async getCanonicalUrl(url) {
+    const key = this._aliasKey(url);
     const result = await chrome.storage.local.get(key);
     if (result[key] && this.isValid(result[key])) {
       return result[key].data;
@@ -36,9 +92,10 @@ export class CacheManager {
     return null;
   }
 
-  async saveSummary(url, summary) {
-    const key = `summary_${this.hashText(url)}`;
-    const entry = { data: summary, timestamp: Date.now(), url, type: 'summary' };
+  async saveCanonicalUrl(url, canonicalUrl) {
+    if (normalizeUrl(url) === normalizeUrl(canonicalUrl)) return;
+    const key = this._aliasKey(url);
+    const entry = { data: normalizeUrl(canonicalUrl), timestamp: Date.now(), url, type: 'alias' };
     await chrome.storage.local.set({ [key]: entry });
     await this.enforceMaxSize();
   }
@@ -47,7 +104,7 @@ export class CacheManager {
     const all = await chrome.storage.local.get();
     const toRemove = [];
     for (const [key, value] of Object.entries(all)) {
-      if (!this.isValid(value)) {
+      if (CACHE_TYPES.includes(value?.type) && !this.isValid(value)) {
         toRemove.push(key);
       }
     }
@@ -62,9 +119,9 @@ export class CacheManager {
     const cacheKeys = [];
 
     for (const [key, value] of Object.entries(all)) {
-      // Only remove cache entries (classifications and summaries)
-      // Keep other storage like settings
-      if (value?.type === 'classification' || value?.type === 'summary') {
+      // Only remove cache entries (classifications, summaries, delivery scores, article
+      // metadata and canonical URLs). Keep other storage like settings
+      if (CACHE_TYPES.includes(value?.type)) {
         cacheKeys.push(key);
       }
     }
@@ -94,7 +151,9 @@ export class CacheManager {
 
   async enforceMaxSize() {
     const all = await chrome.storage.local.get();
-    const entries = Object.entries(all).map(([key, value]) => ({ key, value }));
+    const entries = Object.entries(all)
+      .filter(([, value]) => CACHE_TYPES.includes(value?.type))
+      .map(([key, value]) => ({ key, value }));
     if (entries.length <= this.MAX_CACHE_SIZE) return;
 
     // sort oldest first
@@ -109,11 +168,46 @@ export class CacheManager {
   isValid(entry) {
     return entry &&
            entry.timestamp &&
-           (Date.now() - entry.timestamp) < this.CACHE_DURATION;
+           (Date.now() - entry.timestamp) < (entry.ttl || this.CACHE_DURATION);
+  }
+
+  // Same headline with different context (teaser, section, ...) or a different prompt
+  // template version gets its own entry, so a prompt change never reuses old verdicts.
+  // Context fields are sorted so the key does not depend on property order.
+  _classificationKey(text, context = null, promptVersion = '') {
+    const parts = [this.hashText(text)];
+    const fields = context ? Object.keys(context).filter(k => context[k]).sort() : [];
+    if (fields.length) parts.push(this.hashText(JSON.stringify(fields.map(k => [k, context[k]]))));
+    if (promptVersion) parts.push(this.hashText(promptVersion));
+    return `class_${parts.join('_')}`;
+  }
+
+  // URLs are normalized (redirectors unwrapped, tracking parameters dropped) so every
+  // link to an article shares its entries
+  _urlHash(url) {
+    return this.hashText(normalizeUrl(url));
+  }
+
+  // Each summary style (type/format/length) is cached separately for the same URL
+  _summaryKey(url, styleKey = '') {
+    return styleKey
+      ? `summary_${this._urlHash(url)}_${this.hashText(styleKey)}`
+      : `summary_${this._urlHash(url)}`;
+  }
+
+  // The same article can be linked with different headlines; the version covers both the
+  // delivery prompt and the lexical fallback
+  _deliveryKey(url, title, version = '') {
+    return `delivery_${this._urlHash(url)}_${this.hashText(`${title}|${version}`)}`;
+  }
+
+  // Publisher, author and date of an article, shown next to cached summaries too
+  _metadataKey(url) {
+    return `metadata_${this._urlHash(url)}`;
   }
 
-  _classificationKey(text) {
-    return `class_${this.hashText(text)}`;
+  _aliasKey(url) {
+    return `alias_${this._urlHash(url)}`;
   }
 
   hashText(text) {
@@ -0,0 +1,65 @@
+// src/background/in-flight.js
+// Summary work that is already running, by article URL and style. Several links to one
+// article (or a page asking twice) share one fetch and one model call instead of racing
+// to fill the same cache entry.
+import { abortable, cancelledError } from '../lib/abort.js';
+
+export class InFlightRequests {
+  constructor() {
+    this.pending = new Map();        // key -> {promise, controller, callers, updates, listeners}
+  }
+
+  /**
+   * Wait for the running task of `key`, or start it
+   * The task gets its own signal, aborted only when every caller waiting for it has
+   * aborted. The entry is removed once the task settles. Tasks can publish progress
+   * updates (`{type, ...}`); a caller that joins late first gets the latest update of
+   * each type.
+   * @param {string} key - What the task produces, e.g. article URL and style key
+   * @param {function(AbortSignal, function(Object): void): Promise} task - Started if
+   *   nothing runs for `key`; called with its signal and a function to publish updates
+   * @param {AbortSignal} [signal] - This caller stops waiting when it aborts
+   * @param {function(Object): void} [onUpdate] - Receives the task's updates
+   * @returns {Promise} Result of the task
+   */
+  run(key, task, signal, onUpdate) {
+    let entry = this.pending.get(key);
+    if (!entry) {
+      const controller = new AbortController();
+      entry = { controller, callers: 0, updates: new Map(), listeners: new Set() };
+      const { updates, listeners } = entry;
+      const publish = (update) => {
+        updates.set(update.type, update);
+        listeners.forEach(listener => listener(update));
+      };
+      entry.promise = Promise.resolve()
+        .then(() => task(controller.signal, publish))
+        .finally(() => {
+          listeners.clear();
+          if (this.pending.get(key) === entry) this.pending.delete(key);
+        });
+      // Callers that aborted no longer observe the outcome
+      entry.promise.catch(() => {});
+      this.pending.set(key, entry);
+    }
+
+    const current = entry;
+    current.callers++;
+    if (onUpdate) {
+      current.updates.forEach(update => onUpdate(update));
+      current.listeners.add(onUpdate);
+    }
+    const leave = () => {
+      current.listeners.delete(onUpdate);
+      if (--current.callers > 0) return;
+      if (this.pending.get(key) === current) this.pending.delete(key);
+      current.controller.abort(signal?.reason ?? cancelledError());
+    };
+    signal?.addEventListener('abort', leave, { once: true });
+    if (signal?.aborted) leave();
+    return abortable(current.promise, signal).finally(() => {
+      current.listeners.delete(onUpdate);
+      signal?.removeEventListener('abort', leave);
+    });
+  }
+}
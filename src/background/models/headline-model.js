@@ -0,0 +1,1343 @@
+// src/background/models/headline-model.js
+// Generated by scripts/train-classifier.mjs from data/headlines.tsv. Do not edit by hand.
+export const HEADLINE_MODEL = {
+  "version": 1,
+  "examples": 200,
+  "bias": -0.7472,
+  "calibration": {
+    "a": 1.7989,
+    "b": 0.584
+  },
+  "weights": {
+    "c: th": 1.2982,
+    "c:ing": 0.2085,
+    "c:ng ": 0.1361,
+    "c:thi": 0.917,
+    "c:es ": -1.0306,
+    "c:is ": 0.6917,
+    "c: re": -0.348,
+    "c:his": 0.5983,
+    "w:this": 0.6491,
+    "c: yo": 0.7646,
+    "c:er ": -0.1922,
+    "c:you": 0.7646,
+    "c:the": 0.7388,
+    "c: in": -0.4189,
+    "f:second-person": 0.6823,
+    "c:he ": 0.6529,
+    "c:on ": -0.2401,
+    "c: to": -0.0386,
+    "c:ts ": -0.3358,
+    "w:the": 0.5046,
+    "c:re ": 0.2559,
+    "c:to ": -0.1522,
+    "c:in ": -0.4032,
+    "c: ne": -0.0598,
+    "w:to": -0.1929,
+    "c: wh": 0.535,
+    "c:ion": -0.1783,
+    "c:ns ": -0.3468,
+    "c:ver": 0.1509,
+    "c:ed ": 0.3279,
+    "c:ter": -0.1655,
+    "c: co": -0.4684,
+    "c: fo": -0.0252,
+    "c:al ": -0.385,
+    "c:at ": 0.5069,
+    "c:for": -0.0306,
+    "c:or ": -0.1337,
+    "c: st": -0.0939,
+    "c:ou ": 0.3455,
+    "w:you": 0.3455,
+    "c: wi": -0.0708,
+    "c:ent": -0.3692,
+    "c:ll ": 0.2517,
+    "c:rea": 0.1844,
+    "w:in": -0.3488,
+    "c:our": 0.2449,
+    "c:res": -0.4413,
+    "c:rs ": -0.2391,
+    "c:st ": 0.0209,
+    "c:eve": 0.1392,
+    "c:ill": 0.2458,
+    "c: ar": 0.1691,
+    "c: tr": 0.1688,
+    "c:ly ": 0.4745,
+    "c:nd ": 0.1419,
+    "c: is": 0.2391,
+    "c: pr": -0.2567,
+    "c:hat": 0.3614,
+    "c:le ": 0.0837,
+    "c:th ": -0.2358,
+    "c: fa": 0.0501,
+    "c:ers": -0.289,
+    "c:ne ": 0.0988,
+    "c:nt ": -0.2696,
+    "c:out": 0.0426,
+    "c:ove": 0.0424,
+    "c:ry ": -0.233,
+    "c:se ": 0.136,
+    "w:for": -0.0206,
+    "w:is": 0.2719,
+    "c: di": 0.0045,
+    "c: he": 0.1035,
+    "c: on": 0.2545,
+    "c:ces": -0.309,
+    "c:est": -0.1267,
+    "c:ew ": -0.258,
+    "c:hin": 0.3735,
+    "c:ist": -0.1762,
+    "c:new": -0.2438,
+    "c:ur ": 0.345,
+    "c: an": 0.0308,
+    "c: be": 0.3263,
+    "c: ma": -0.1294,
+    "c: of": -0.1902,
+    "c:are": 0.4016,
+    "c:ate": -0.3438,
+    "c:oun": -0.1877,
+    "c:tio": -0.2043,
+    "c:wil": 0.1056,
+    "w:new": -0.2288,
+    "w:your": 0.2882,
+    "c: se": -0.1419,
+    "c: sh": 0.1044,
+    "c:her": 0.0049,
+    "c:nce": -0.2807,
+    "c:of ": -0.1379,
+    "c:pen": -0.0614,
+    "c:str": -0.1453,
+    "c:wha": 0.2446,
+    "c: do": 0.18,
+    "c: ha": 0.2273,
+    "c: mo": 0.0316,
+    "c: wa": 0.0591,
+    "c:ear": -0.0968,
+    "c:tri": 0.0026,
+    "w:of": -0.194,
+    "w:what": 0.2379,
+    "c: ca": -0.1421,
+    "c: ho": -0.1327,
+    "c: su": -0.1371,
+    "c:all": 0.1751,
+    "c:and": 0.1176,
+    "c:ati": -0.1332,
+    "c:che": -0.2569,
+    "c:eas": -0.0282,
+    "c:hes": 0.1503,
+    "c:ow ": 0.1908,
+    "c:ut ": 0.1668,
+    "c:ve ": 0.0771,
+    "w:are": 0.3151,
+    "w:will": 0.2285,
+    "c: ab": 0.2127,
+    "c: mi": -0.0911,
+    "c: un": -0.0193,
+    "c: we": 0.0541,
+    "c:'s ": 0.1756,
+    "c:ake": -0.0534,
+    "c:art": -0.0634,
+    "c:ce ": -0.0976,
+    "c:ds ": -0.2493,
+    "c:ese": 0.1305,
+    "c:ge ": 0.1064,
+    "c:kin": 0.045,
+    "c:men": -0.3046,
+    "c:nge": 0.1823,
+    "c:one": 0.2848,
+    "c:pro": -0.2649,
+    "c:tra": -0.124,
+    "c: ch": 0.0041,
+    "c: ex": -0.3467,
+    "c: la": -0.1081,
+    "c: li": 0.2206,
+    "c: pa": -0.0207,
+    "c:app": 0.0741,
+    "c:ch ": 0.1025,
+    "c:cre": -0.0267,
+    "c:ens": -0.1912,
+    "c:ess": 0.084,
+    "c:ity": -0.1425,
+    "c:ls ": -0.0847,
+    "c:sho": -0.049,
+    "c:sta": 0.1477,
+    "c:tal": -0.089,
+    "c:te ": -0.1981,
+    "c: de": -0.2558,
+    "c: ev": 0.1684,
+    "c: pe": 0.0909,
+    "c: te": -0.3068,
+    "c:'t ": 0.2077,
+    "c:abo": 0.1582,
+    "c:ast": -0.2135,
+    "c:bou": 0.1582,
+    "c:de ": -0.025,
+    "c:eal": 0.0237,
+    "c:ele": 0.0098,
+    "c:ere": -0.096,
+    "c:ery": 0.15,
+    "c:et ": 0.1873,
+    "c:id ": -0.0578,
+    "c:it ": -0.0187,
+    "c:ke ": -0.0098,
+    "c:n't": 0.2077,
+    "c:nti": 0.0577,
+    "c:own": 0.0266,
+    "c:pri": -0.0918,
+    "c:rd ": -0.156,
+    "c:rec": -0.1822,
+    "c:ric": 0.1598,
+    "c:rt ": -0.3131,
+    "c:tor": -0.0754,
+    "c:ty ": -0.1558,
+    "c:unc": -0.2072,
+    "w:about": 0.1582,
+    "c: af": -0.1224,
+    "c: ce": 0.0377,
+    "c: lo": 0.2956,
+    "c: po": -0.2942,
+    "c: ra": -0.2484,
+    "c:ang": 0.1307,
+    "c:cha": -0.0171,
+    "c:con": -0.4165,
+    "c:dis": -0.1479,
+    "c:ern": -0.0458,
+    "c:ets": 0.1565,
+    "c:ght": -0.1913,
+    "c:han": 0.1158,
+    "c:ic ": -0.2522,
+    "c:igh": -0.1699,
+    "c:ld ": 0.0581,
+    "c:lly": 0.3254,
+    "c:ope": -0.2813,
+    "c:ort": -0.2609,
+    "c:ou'": 0.1671,
+    "c:par": -0.0056,
+    "c:ple": 0.232,
+    "c:sec": -0.1199,
+    "c:son": 0.1497,
+    "c:tur": -0.2244,
+    "c:ure": -0.3614,
+    "w:on": -0.0778,
+    "c: fi": 0.0125,
+    "c: go": 0.1756,
+    "c: op": -0.1841,
+    "c: sa": -0.0139,
+    "c: si": 0.1994,
+    "c: ta": -0.0746,
+    "c: wo": 0.0528,
+    "c:aft": -0.0557,
+    "c:an ": -0.0472,
+    "c:ann": -0.1677,
+    "c:ar ": -0.0109,
+    "c:ase": -0.2369,
+    "c:cou": -0.0738,
+    "c:dy ": 0.0395,
+    "c:ect": -0.1809,
+    "c:en ": 0.1497,
+    "c:fte": -0.0557,
+    "c:hea": -0.118,
+    "c:how": 0.0511,
+    "c:ice": -0.0958,
+    "c:ide": 0.0673,
+    "c:ies": 0.0361,
+    "c:il ": -0.0142,
+    "c:int": 0.0203,
+    "c:ise": -0.1349,
+    "c:min": 0.0259,
+    "c:nal": 0.0371,
+    "c:nin": -0.0048,
+    "c:ous": 0.0017,
+    "c:por": -0.2253,
+    "c:rat": -0.1735,
+    "c:rch": -0.1835,
+    "c:rev": -0.0473,
+    "c:ris": -0.1213,
+    "c:ses": -0.1673,
+    "c:ss ": 0.1104,
+    "c:sts": -0.0807,
+    "c:tes": -0.1324,
+    "c:unt": -0.0201,
+    "c:wn ": 0.0148,
+    "w:after": -0.0557,
+    "c: at": 0.0599,
+    "c: bi": -0.0676,
+    "c: da": -0.0406,
+    "c: ge": 0.0587,
+    "c: le": -0.1042,
+    "c: qu": -0.025,
+    "c: ri": 0.0099,
+    "c: sc": -0.1559,
+    "c:age": -0.2055,
+    "c:ant": 0.1073,
+    "c:arc": -0.1799,
+    "c:aso": 0.1572,
+    "c:ay ": -0.0615,
+    "c:can": -0.0343,
+    "c:cel": 0.1053,
+    "c:ck ": 0.1082,
+    "c:eat": -0.0979,
+    "c:eco": -0.1744,
+    "c:end": -0.2138,
+    "c:fin": 0.0277,
+    "c:get": 0.1514,
+    "c:hap": 0.205,
+    "c:hou": -0.1381,
+    "c:hy ": 0.0346,
+    "c:ine": -0.2115,
+    "c:ins": 0.0087,
+    "c:ire": -0.0847,
+    "c:les": -0.0307,
+    "c:mak": -0.0331,
+    "c:nds": -0.1633,
+    "c:now": 0.0513,
+    "c:ntr": -0.1249,
+    "c:op ": -0.0344,
+    "c:ppe": 0.205,
+    "c:qui": -0.0461,
+    "c:ret": -0.0269,
+    "c:sea": -0.2041,
+    "c:sin": -0.1662,
+    "c:sto": 0.0474,
+    "c:tin": 0.1111,
+    "c:us ": 0.1443,
+    "c:ves": -0.1149,
+    "w:these": 0.2429,
+    "b:this is": 0.0466,
+    "c: a ": 0.3695,
+    "c: ai": -0.3283,
+    "c: ba": 0.0065,
+    "c: bo": 0.071,
+    "c: br": -0.0802,
+    "c: dr": -0.0961,
+    "c: ea": -0.0545,
+    "c: en": -0.1564,
+    "c: gr": -0.1023,
+    "c: hi": -0.02,
+    "c: kn": 0.1195,
+    "c: me": -0.0018,
+    "c: ov": 0.0433,
+    "c: ph": 0.0152,
+    "c: pl": -0.0795,
+    "c: so": -0.0005,
+    "c: vi": 0.1015,
+    "c:act": -0.086,
+    "c:ail": -0.0688,
+    "c:bel": 0.0993,
+    "c:ber": -0.1523,
+    "c:bod": 0.1312,
+    "c:cal": -0.1595,
+    "c:cie": -0.1269,
+    "c:com": -0.0521,
+    "c:ctu": -0.1433,
+    "c:day": 0.0164,
+    "c:ene": -0.0402,
+    "c:exp": -0.0771,
+    "c:ext": -0.0079,
+    "c:ike": -0.0857,
+    "c:ild": -0.2025,
+    "c:ink": -0.05,
+    "c:kno": 0.1195,
+    "c:lat": -0.1878,
+    "c:lau": 0.0566,
+    "c:lin": -0.135,
+    "c:mat": -0.0323,
+    "c:me ": -0.0826,
+    "c:nk ": -0.0317,
+    "c:nno": -0.1075,
+    "c:nou": -0.1075,
+    "c:ons": -0.0728,
+    "c:ood": -0.0103,
+    "c:pla": -0.0869,
+    "c:ran": 0.159,
+    "c:ree": -0.1071,
+    "c:rep": -0.059,
+    "c:rin": -0.1484,
+    "c:rit": 0.1073,
+    "c:tel": 0.0507,
+    "c:tha": 0.1396,
+    "c:tic": -0.0825,
+    "c:tis": -0.0073,
+    "c:tru": 0.0185,
+    "c:try": -0.0943,
+    "c:ue ": -0.1562,
+    "c:ult": -0.0412,
+    "c:und": 0.0533,
+    "c:uri": -0.1156,
+    "c:uti": -0.1035,
+    "c:why": 0.0557,
+    "c:wor": -0.053,
+    "f:leading-number": 0.3089,
+    "f:question": 0.0762,
+    "w:a": 0.3695,
+    "w:and": 0.18,
+    "w:at": 0.0373,
+    "w:why": 0.0557,
+    "c: bu": -0.107,
+    "c: by": 0.1459,
+    "c: ci": -0.158,
+    "c: cr": -0.0393,
+    "c: gu": 0.0728,
+    "c: no": 0.0969,
+    "c: ou": -0.01,
+    "c: ru": -0.1038,
+    "c: ti": -0.0033,
+    "c:'ll": 0.0603,
+    "c:ain": -0.0454,
+    "c:air": -0.0357,
+    "c:alk": -0.0133,
+    "c:anc": -0.2281,
+    "c:ans": 0.1084,
+    "c:ble": -0.0785,
+    "c:bri": 0.0532,
+    "c:by ": 0.1459,
+    "c:cit": -0.158,
+    "c:cto": -0.0392,
+    "c:cut": -0.0055,
+    "c:did": 0.0664,
+    "c:eak": 0.0609,
+    "c:ebr": 0.112,
+    "c:ecr": 0.0337,
+    "c:ee ": -0.0749,
+    "c:el ": -0.1352,
+    "c:eop": 0.0082,
+    "c:epo": -0.1391,
+    "c:esu": -0.0481,
+    "c:ey ": 0.0335,
+    "c:fe ": -0.0456,
+    "c:ger": 0.0031,
+    "c:hen": 0.1063,
+    "c:hot": 0.059,
+    "c:ife": -0.0456,
+    "c:ign": -0.0982,
+    "c:ina": 0.0829,
+    "c:inc": -0.064,
+    "c:ind": 0.1199,
+    "c:ini": -0.0657,
+    "c:ite": 0.0079,
+    "c:ith": -0.0295,
+    "c:ive": -0.1528,
+    "c:ker": -0.2036,
+    "c:lan": -0.1487,
+    "c:lar": -0.0645,
+    "c:leb": 0.112,
+    "c:lic": -0.2109,
+    "c:lif": -0.0456,
+    "c:loo": 0.1487,
+    "c:ner": -0.0594,
+    "c:nis": -0.1215,
+    "c:nob": 0.0969,
+    "c:nte": -0.004,
+    "c:nts": -0.0565,
+    "c:ody": 0.1224,
+    "c:oin": 0.0756,
+    "c:omp": -0.1146,
+    "c:on'": 0.0579,
+    "c:ore": 0.0482,
+    "c:pan": -0.1289,
+    "c:pec": -0.0972,
+    "c:per": -0.0305,
+    "c:ral": 0.0244,
+    "c:red": -0.0769,
+    "c:rni": 0.0629,
+    "c:rop": -0.0838,
+    "c:rov": -0.0238,
+    "c:she": 0.1818,
+    "c:sid": -0.0753,
+    "c:sse": -0.0793,
+    "c:ste": -0.1322,
+    "c:stu": -0.0979,
+    "c:tar": 0.0589,
+    "c:ten": -0.1904,
+    "c:tow": -0.0749,
+    "c:tud": -0.1345,
+    "c:u'l": 0.0603,
+    "c:uth": -0.0177,
+    "c:wee": 0.0018,
+    "w:announces": -0.0925,
+    "w:by": 0.1459,
+    "w:know": 0.0774,
+    "w:one": 0.2331,
+    "w:over": -0.0339,
+    "w:reason": 0.1436,
+    "w:you'll": 0.0603,
+    "c: 20": -0.095,
+    "c: ag": -0.1372,
+    "c: am": 0.0959,
+    "c: ap": -0.1308,
+    "c: cu": -0.0135,
+    "c: fl": -0.1249,
+    "c: fr": -0.0793,
+    "c: fu": -0.1675,
+    "c: ga": -0.0527,
+    "c: it": 0.0807,
+    "c: ju": 0.0712,
+    "c: or": -0.0872,
+    "c: pi": 0.0637,
+    "c: sp": 0.0384,
+    "c:abl": -0.0884,
+    "c:ace": 0.0163,
+    "c:ade": 0.0292,
+    "c:ait": 0.0949,
+    "c:aki": 0.0842,
+    "c:ale": -0.1105,
+    "c:alt": -0.1088,
+    "c:ama": 0.0257,
+    "c:any": -0.0668,
+    "c:ard": -0.1487,
+    "c:ars": 0.0656,
+    "c:ary": -0.2223,
+    "c:aun": -0.0355,
+    "c:ave": -0.0951,
+    "c:aw ": 0.1169,
+    "c:bat": -0.0324,
+    "c:be ": 0.093,
+    "c:bes": 0.0492,
+    "c:bra": -0.0694,
+    "c:bre": 0.041,
+    "c:cer": -0.0362,
+    "c:cli": -0.0918,
+    "c:cor": -0.125,
+    "c:cti": -0.06,
+    "c:der": 0.0216,
+    "c:dge": -0.0944,
+    "c:din": -0.1162,
+    "c:e's": 0.0825,
+    "c:eac": -0.0058,
+    "c:eed": 0.0756,
+    "c:eek": -0.073,
+    "c:eet": 0.0725,
+    "c:ehi": -0.0368,
+    "c:eir": 0.1317,
+    "c:ell": 0.0604,
+    "c:enc": -0.0868,
+    "c:eni": -0.0033,
+    "c:erc": -0.0868,
+    "c:fai": 0.0654,
+    "c:fas": 0.0401,
+    "c:fir": -0.1288,
+    "c:foo": -0.0081,
+    "c:gen": -0.1406,
+    "c:ges": -0.1349,
+    "c:gns": -0.0475,
+    "c:gra": -0.0506,
+    "c:hic": 0.0423,
+    "c:ht ": -0.0203,
+    "c:hts": -0.1426,
+    "c:ial": -0.0322,
+    "c:ica": -0.0873,
+    "c:ien": -0.0603,
+    "c:ima": -0.029,
+    "c:ime": -0.1169,
+    "c:imp": 0.148,
+    "c:ird": 0.0788,
+    "c:ks ": -0.1163,
+    "c:lea": -0.1006,
+    "c:len": 0.0477,
+    "c:lls": -0.1054,
+    "c:los": -0.0051,
+    "c:lth": -0.1088,
+    "c:man": -0.0757,
+    "c:mar": -0.0637,
+    "c:mis": -0.0381,
+    "c:mon": -0.0517,
+    "c:mos": 0.0586,
+    "c:mou": 0.0394,
+    "c:mpa": -0.1277,
+    "c:mpl": 0.1206,
+    "c:ncr": -0.0742,
+    "c:ned": 0.0949,
+    "c:nee": 0.0756,
+    "c:net": -0.0079,
+    "c:nev": 0.0072,
+    "c:nex": 0.0741,
+    "c:nsi": -0.0321,
+    "c:nta": -0.0834,
+    "c:ny ": -0.0718,
+    "c:obo": 0.119,
+    "c:oce": -0.0006,
+    "c:ock": -0.0114,
+    "c:off": -0.0106,
+    "c:oli": -0.1223,
+    "c:ome": -0.0424,
+    "c:ona": 0.0737,
+    "c:ong": -0.0015,
+    "c:ont": -0.1209,
+    "c:opl": 0.0765,
+    "c:ord": -0.175,
+    "c:orm": -0.0038,
+    "c:ors": -0.0262,
+    "c:ost": 0.0586,
+    "c:peo": 0.0765,
+    "c:pho": 0.0899,
+    "c:pol": -0.0991,
+    "c:pre": -0.0189,
+    "c:qua": -0.1149,
+    "c:rad": -0.1505,
+    "c:rai": -0.0801,
+    "c:re'": 0.0825,
+    "c:reg": -0.155,
+    "c:ren": -0.0316,
+    "c:rie": 0.18,
+    "c:rik": -0.1716,
+    "c:rne": 0.001,
+    "c:rns": -0.0911,
+    "c:rom": -0.1613,
+    "c:rts": -0.0136,
+    "c:sci": -0.0603,
+    "c:shi": -0.0337,
+    "c:sig": -0.0475,
+    "c:spe": -0.0986,
+    "c:sul": -0.0021,
+    "c:sur": -0.1014,
+    "c:tak": 0.0529,
+    "c:tch": 0.0471,
+    "c:tea": -0.0738,
+    "c:thr": -0.1744,
+    "c:til": 0.0592,
+    "c:top": 0.0868,
+    "c:uar": -0.2045,
+    "c:ugh": 0.0183,
+    "c:ula": -0.1427,
+    "c:ule": -0.127,
+    "c:up ": 0.0315,
+    "c:use": -0.1233,
+    "c:usi": -0.08,
+    "c:vac": -0.0969,
+    "c:wat": 0.0783,
+    "c:whe": 0.0965,
+    "c:win": -0.0144,
+    "c:wit": -0.089,
+    "c:ws ": -0.1285,
+    "c:xpe": -0.0252,
+    "c:xt ": 0.0741,
+    "c:yon": 0.0434,
+    "c:ze ": -0.0027,
+    "w:best": 0.0492,
+    "w:city": -0.1382,
+    "w:happens": 0.12,
+    "w:health": -0.1088,
+    "w:here's": 0.0825,
+    "w:life": 0.0631,
+    "w:most": 0.0586,
+    "w:next": 0.0741,
+    "w:nobody": 0.119,
+    "w:people": 0.0765,
+    "w:scientists": -0.0603,
+    "w:that": 0.1167,
+    "w:when": 0.0965,
+    "w:with": -0.089,
+    "b:about this": 0.0262,
+    "b:the best": 0.0334,
+    "b:the internet": 0.0258,
+    "b:truth about": 0.06,
+    "b:what happens": 0.1047,
+    "b:what this": 0.0253,
+    "c: 1 ": -0.0127,
+    "c: 10": 0.1059,
+    "c: ac": -0.0804,
+    "c: ad": -0.0069,
+    "c: bl": 0.0705,
+    "c: cl": -0.162,
+    "c: el": -0.095,
+    "c: im": -0.0531,
+    "c: mu": -0.0094,
+    "c: nu": -0.0467,
+    "c: pu": -0.1539,
+    "c: ro": -0.0913,
+    "c: sm": 0.0425,
+    "c: tw": -0.0351,
+    "c: up": 0.0552,
+    "c: va": -0.0757,
+    "c: ve": -0.103,
+    "c: vo": -0.128,
+    "c: ye": 0.1034,
+    "c:'re": 0.0782,
+    "c:00 ": -0.0187,
+    "c:ach": -0.0344,
+    "c:ack": 0.0359,
+    "c:ad ": -0.0222,
+    "c:adv": -0.0069,
+    "c:aff": -0.0593,
+    "c:agr": -0.0865,
+    "c:als": 0.1182,
+    "c:amo": 0.0633,
+    "c:amp": -0.1233,
+    "c:ank": -0.0408,
+    "c:ark": -0.0884,
+    "c:arl": -0.0993,
+    "c:arm": -0.1278,
+    "c:as ": 0.0355,
+    "c:ass": -0.0046,
+    "c:atc": 0.0373,
+    "c:ato": -0.1221,
+    "c:att": 0.0269,
+    "c:atu": -0.0504,
+    "c:ays": 0.1267,
+    "c:aze": 0.0742,
+    "c:ban": -0.0408,
+    "c:bil": 0.0251,
+    "c:bit": -0.0446,
+    "c:bli": -0.1539,
+    "c:bs ": -0.1115,
+    "c:cas": -0.0853,
+    "c:cen": -0.0594,
+    "c:chi": -0.0372,
+    "c:cki": 0.0273,
+    "c:cle": -0.1203,
+    "c:coa": -0.094,
+    "c:cov": -0.0423,
+    "c:cro": -0.1658,
+    "c:ct ": -0.1038,
+    "c:cte": -0.0407,
+    "c:cy ": -0.1002,
+    "c:dat": -0.0835,
+    "c:dn'": 0.1022,
+    "c:don": 0.0297,
+    "c:dow": -0.017,
+    "c:dro": -0.0066,
+    "c:duc": -0.0538,
+    "c:ead": -0.0222,
+    "c:ech": -0.1775,
+    "c:ecu": -0.1111,
+    "c:edu": -0.0826,
+    "c:efo": -0.0044,
+    "c:egi": -0.1316,
+    "c:egu": -0.1197,
+    "c:eli": 0.0716,
+    "c:eme": -0.1047,
+    "c:emi": -0.0837,
+    "c:eo ": 0.0277,
+    "c:era": -0.0288,
+    "c:eta": -0.0874,
+    "c:eth": 0.0928,
+    "c:eva": -0.0582,
+    "c:fac": -0.0822,
+    "c:gat": -0.0983,
+    "c:gin": -0.0722,
+    "c:gov": -0.0704,
+    "c:gre": -0.0865,
+    "c:gro": -0.0333,
+    "c:gs ": 0.0217,
+    "c:gue": 0.0817,
+    "c:gul": -0.1197,
+    "c:hed": -0.0065,
+    "c:hem": 0.0188,
+    "c:hoc": 0.0434,
+    "c:hol": -0.0741,
+    "c:hre": -0.1595,
+    "c:ich": 0.2409,
+    "c:ick": 0.1271,
+    "c:ict": -0.0238,
+    "c:ied": 0.1723,
+    "c:iev": 0.0716,
+    "c:ip ": 0.0302,
+    "c:ir ": -0.0712,
+    "c:isc": -0.0597,
+    "c:ish": -0.0641,
+    "c:isi": -0.0945,
+    "c:iz ": 0.0532,
+    "c:kes": 0.0171,
+    "c:law": -0.039,
+    "c:lec": -0.095,
+    "c:lie": 0.0716,
+    "c:lig": -0.0977,
+    "c:lis": -0.0973,
+    "c:lla": -0.0441,
+    "c:lli": 0.0473,
+    "c:lot": 0.0606,
+    "c:low": 0.0643,
+    "c:lt ": 0.0132,
+    "c:lts": -0.0622,
+    "c:lut": 0.0394,
+    "c:mag": -0.1061,
+    "c:mal": 0.0336,
+    "c:mer": -0.0389,
+    "c:met": 0.0612,
+    "c:mic": -0.1259,
+    "c:mpi": -0.0597,
+    "c:ney": -0.0078,
+    "c:ngs": 0.0217,
+    "c:nio": -0.0114,
+    "c:nly": 0.0783,
+    "c:nme": -0.0704,
+    "c:nni": -0.0501,
+    "c:oas": -0.094,
+    "c:obe": -0.0921,
+    "c:oct": 0.0153,
+    "c:od ": 0.0245,
+    "c:odi": -0.0189,
+    "c:og ": -0.033,
+    "c:ok ": 0.2243,
+    "c:oma": -0.1167,
+    "c:omi": -0.0045,
+    "c:onl": 0.0783,
+    "c:ook": 0.2243,
+    "c:orc": -0.0622,
+    "c:ork": -0.0769,
+    "c:orl": 0.0239,
+    "c:orn": -0.0033,
+    "c:ot ": 0.0788,
+    "c:ote": -0.0309,
+    "c:oto": 0.0635,
+    "c:oul": 0.1142,
+    "c:owe": -0.101,
+    "c:ows": -0.1025,
+    "c:pas": -0.0046,
+    "c:pil": 0.0507,
+    "c:pit": -0.0944,
+    "c:plo": -0.0466,
+    "c:ppl": -0.1417,
+    "c:ppr": -0.0832,
+    "c:pti": -0.0617,
+    "c:pub": -0.1539,
+    "c:rac": -0.031,
+    "c:rce": -0.0603,
+    "c:rid": -0.1161,
+    "c:rk ": -0.0897,
+    "c:rld": 0.0239,
+    "c:rli": -0.0824,
+    "c:rm ": -0.1339,
+    "c:rnm": -0.0704,
+    "c:roc": -0.0573,
+    "c:rou": -0.1042,
+    "c:rte": -0.0489,
+    "c:rth": -0.0824,
+    "c:rut": 0.06,
+    "c:ryo": 0.0331,
+    "c:sch": -0.0957,
+    "c:sed": -0.0424,
+    "c:see": 0.0438,
+    "c:sel": 0.0865,
+    "c:sen": -0.0647,
+    "c:sim": 0.1436,
+    "c:sio": -0.0219,
+    "c:sol": -0.0118,
+    "c:spi": -0.0175,
+    "c:sti": -0.0836,
+    "c:sum": 0.0438,
+    "c:sup": -0.139,
+    "c:sus": -0.1096,
+    "c:tag": -0.0909,
+    "c:tai": -0.0906,
+    "c:tan": 0.1459,
+    "c:ted": -0.0407,
+    "c:tie": 0.0077,
+    "c:tim": -0.0383,
+    "c:tiv": -0.0803,
+    "c:tly": 0.1443,
+    "c:tod": 0.0437,
+    "c:tro": -0.0013,
+    "c:tti": 0.0741,
+    "c:u'r": 0.0782,
+    "c:ubl": -0.1539,
+    "c:uce": -0.0538,
+    "c:udg": -0.0211,
+    "c:ues": 0.0837,
+    "c:uir": -0.1092,
+    "c:uiz": 0.0532,
+    "c:uld": 0.1142,
+    "c:um ": 0.0309,
+    "c:uni": -0.0616,
+    "c:urn": 0.0022,
+    "c:ute": 0.1008,
+    "c:vea": 0.0827,
+    "c:ven": -0.1036,
+    "c:wai": 0.0353,
+    "c:war": -0.1233,
+    "c:we ": 0.0655,
+    "c:wei": 0.1229,
+    "c:who": 0.105,
+    "c:yea": 0.1034,
+    "c:ys ": 0.1267,
+    "w:1": -0.0127,
+    "w:change": 0.1412,
+    "w:company": -0.077,
+    "w:did": 0.021,
+    "w:don't": 0.0297,
+    "w:everyone": 0.0331,
+    "w:gets": 0.1128,
+    "w:government": -0.0704,
+    "w:her": 0.0874,
+    "w:how": 0.1653,
+    "w:increase": -0.0841,
+    "w:internet": 0.0258,
+    "w:it": 0.063,
+    "w:look": 0.2243,
+    "w:need": 0.0405,
+    "w:never": 0.0532,
+    "w:only": 0.0783,
+    "w:opens": -0.1727,
+    "w:quiz": 0.0532,
+    "w:record": -0.1083,
+    "w:report": -0.0735,
+    "w:results": -0.0622,
+    "w:she": 0.1952,
+    "w:shows": -0.1025,
+    "w:signs": -0.0307,
+    "w:simple": 0.1436,
+    "w:stop": 0.0517,
+    "w:thing": 0.026,
+    "w:town": -0.0192,
+    "w:trick": 0.1271,
+    "w:tried": 0.1723,
+    "w:truth": 0.06,
+    "w:until": 0.0758,
+    "w:we": 0.0655,
+    "w:weird": 0.1229,
+    "w:you're": 0.0782,
+    "b:announces new": -0.0247,
+    "b:are the": 0.0511,
+    "b:at the": 0.0101,
+    "b:by this": 0.0528,
+    "b:decline in": -0.0469,
+    "b:everyone is": 0.0198,
+    "b:for a": 0.1384,
+    "b:growth in": -0.041,
+    "b:happens when": 0.0794,
+    "b:is the": 0.0221,
+    "b:is this": 0.025,
+    "b:new look": 0.1192,
+    "b:next is": 0.047,
+    "b:on the": 0.0134,
+    "b:over this": 0.064,
+    "b:reason your": 0.0475,
+    "b:simple habit": 0.0187,
+    "b:than you": 0.0229,
+    "b:the most": 0.017,
+    "b:this before": 0.0215,
+    "b:this one": 0.0176,
+    "b:this quiz": 0.0431,
+    "b:this simple": 0.0187,
+    "b:this the": 0.025,
+    "b:until you": 0.0158,
+    "b:what happened": 0.0283,
+    "b:when you": 0.0186,
+    "b:will change": 0.0164,
+    "b:will make": 0.0261,
+    "b:you should": 0.0573,
+    "b:you think": 0.0229,
+    "b:you won't": 0.0282,
+    "b:you're doing": 0.0605,
+    "c: cy": -0.0844,
+    "c: du": -0.0737,
+    "c: eu": -0.0772,
+    "c: fe": -0.0833,
+    "c: gl": -0.0743,
+    "c: hu": 0.0719,
+    "c: i ": 0.1517,
+    "c: jo": -0.0103,
+    "c: ke": 0.0025,
+    "c: ki": 0.0311,
+    "c: na": -0.0541,
+    "c: oc": 0.0214,
+    "c: ow": 0.0446,
+    "c: sk": 0.0279,
+    "c: sn": -0.052,
+    "c: tu": -0.0197,
+    "c: wr": 0.0848,
+    "c: zo": -0.058,
+    "c:10 ": 0.0717,
+    "c:200": -0.0534,
+    "c:30 ": -0.0023,
+    "c:abi": 0.0187,
+    "c:abs": 0.0544,
+    "c:aid": -0.0233,
+    "c:ais": -0.0439,
+    "c:ala": -0.0236,
+    "c:ali": -0.0278,
+    "c:am ": -0.0715,
+    "c:ame": -0.047,
+    "c:ami": -0.093,
+    "c:an'": 0.0476,
+    "c:ane": -0.0124,
+    "c:ani": -0.0184,
+    "c:ara": -0.0593,
+    "c:arg": -0.0561,
+    "c:ari": 0.0482,
+    "c:arn": -0.1013,
+    "c:arr": -0.0276,
+    "c:ash": 0.0564,
+    "c:ata": -0.0569,
+    "c:ath": -0.0519,
+    "c:ats": -0.0236,
+    "c:aug": 0.0922,
+    "c:aut": -0.0284,
+    "c:bal": -0.0637,
+    "c:bef": 0.0215,
+    "c:beh": 0.0369,
+    "c:blo": 0.0989,
+    "c:bso": 0.0544,
+    "c:bui": -0.1047,
+    "c:bur": -0.0132,
+    "c:cat": 0.0361,
+    "c:cea": 0.0108,
+    "c:cei": -0.0592,
+    "c:cia": 0.0038,
+    "c:cts": -0.041,
+    "c:d's": 0.0614,
+    "c:dan": -0.0803,
+    "c:deb": -0.0368,
+    "c:dec": -0.0469,
+    "c:ded": 0.0131,
+    "c:den": 0.0163,
+    "c:deo": 0.0525,
+    "c:die": 0.0352,
+    "c:doc": 0.0506,
+    "c:dog": 0.0207,
+    "c:doi": 0.0605,
+    "c:dra": -0.0654,
+    "c:dul": -0.0666,
+    "c:dvi": 0.0263,
+    "c:ea ": -0.0726,
+    "c:ean": 0.0301,
+    "c:eba": -0.0368,
+    "c:eca": -0.0703,
+    "c:ece": -0.0592,
+    "c:eci": 0.0191,
+    "c:ecl": -0.0469,
+    "c:eem": -0.0599,
+    "c:eep": 0.1407,
+    "c:efi": -0.0744,
+    "c:eiv": -0.0592,
+    "c:els": -0.0629,
+    "c:elv": 0.0515,
+    "c:ely": 0.0544,
+    "c:eng": -0.0389,
+    "c:enn": -0.0169,
+    "c:enu": -0.0656,
+    "c:epi": 0.1325,
+    "c:erg": -0.0793,
+    "c:eri": -0.0315,
+    "c:ert": 0.052,
+    "c:etl": 0.0392,
+    "c:eur": -0.0772,
+    "c:exe": -0.0324,
+    "c:fam": 0.042,
+    "c:far": -0.1037,
+    "c:fat": 0.0871,
+    "c:ff ": -0.0623,
+    "c:ffi": 0.0038,
+    "c:fic": 0.0038,
+    "c:flo": -0.0756,
+    "c:fra": -0.0464,
+    "c:fro": -0.0829,
+    "c:ful": 0.026,
+    "c:ghe": 0.0225,
+    "c:gis": -0.0593,
+    "c:gni": -0.0016,
+    "c:goi": 0.0286,
+    "c:gui": -0.0109,
+    "c:gy ": -0.0793,
+    "c:hab": 0.0187,
+    "c:hac": 0.0196,
+    "c:ham": -0.0726,
+    "c:har": -0.0616,
+    "c:has": 0.0231,
+    "c:hid": -0.0165,
+    "c:hig": -0.173,
+    "c:hil": 0.0999,
+    "c:hip": -0.0769,
+    "c:ho ": 0.0763,
+    "c:hon": 0.0003,
+    "c:hos": -0.0597,
+    "c:iam": -0.047,
+    "c:ici": 0.0038,
+    "c:icl": -0.0738,
+    "c:ida": -0.065,
+    "c:idn": 0.0454,
+    "c:ila": 0.0877,
+    "c:ilm": -0.0378,
+    "c:ilo": 0.0377,
+    "c:ils": -0.0346,
+    "c:im ": 0.1331,
+    "c:inf": -0.0741,
+    "c:iou": 0.1054,
+    "c:ira": 0.0628,
+    "c:ism": -0.0546,
+    "c:ita": -0.0597,
+    "c:iti": 0.0495,
+    "c:iva": -0.0538,
+    "c:iza": -0.0225,
+    "c:ize": 0.0031,
+    "c:job": -0.0103,
+    "c:ken": -0.0433,
+    "c:la ": -0.0261,
+    "c:lac": -0.0292,
+    "c:lds": -0.0969,
+    "c:led": 0.0077,
+    "c:leg": -0.0659,
+    "c:lia": -0.047,
+    "c:lio": 0.0892,
+    "c:lki": 0.0194,
+    "c:lks": -0.0361,
+    "c:llu": 0.0049,
+    "c:lon": -0.0863,
+    "c:lve": 0.0515,
+    "c:maz": 0.1026,
+    "c:mbe": -0.0002,
+    "c:mee": -0.0824,
+    "c:mes": -0.1039,
+    "c:mid": -0.0868,
+    "c:mil": -0.0141,
+    "c:mor": 0.0215,
+    "c:mus": -0.0358,
+    "c:nat": -0.0499,
+    "c:nch": -0.0524,
+    "c:nda": -0.0903,
+    "c:nde": -0.0027,
+    "c:ndr": 0.0639,
+    "c:nig": 0.0573,
+    "c:niv": -0.0548,
+    "c:niz": -0.0015,
+    "c:nki": -0.071,
+    "c:nne": -0.0162,
+    "c:nom": -0.0861,
+    "c:nse": -0.0746,
+    "c:nth": -0.0337,
+    "c:nue": -0.0656,
+    "c:num": -0.0002,
+    "c:nve": -0.1033,
+    "c:obs": -0.0038,
+    "c:oda": 0.0295,
+    "c:ods": 0.0032,
+    "c:odu": -0.0378,
+    "c:old": 0.0415,
+    "c:oll": -0.0455,
+    "c:olo": -0.0164,
+    "c:olu": 0.0544,
+    "c:ond": -0.0589,
+    "c:onf": -0.166,
+    "c:oon": -0.0245,
+    "c:ori": -0.0095,
+    "c:ory": -0.0082,
+    "c:osi": 0.0097,
+    "c:osp": -0.0597,
+    "c:ota": 0.1064,
+    "c:oug": -0.0738,
+    "c:owt": -0.041,
+    "c:pai": -0.0415,
+    "c:pe ": -0.0067,
+    "c:pet": 0.0679,
+    "c:pic": 0.0212,
+    "c:pin": 0.1998,
+    "c:pio": -0.0726,
+    "c:ply": -0.0941,
+    "c:pow": -0.108,
+    "c:pts": -0.1156,
+    "c:ram": -0.0715,
+    "c:rar": -0.1181,
+    "c:ref": -0.0543,
+    "c:rgy": -0.0793,
+    "c:ria": -0.079,
+    "c:rig": -0.0672,
+    "c:rim": -0.0629,
+    "c:rio": 0.1054,
+    "c:rke": -0.0831,
+    "c:rly": -0.0999,
+    "c:rma": 0.0562,
+    "c:rme": -0.0539,
+    "c:rob": -0.0664,
+    "c:rod": -0.0378,
+    "c:rog": -0.0859,
+    "c:ron": 0.0848,
+    "c:ros": -0.1069,
+    "c:row": -0.041,
+    "c:rpr": 0.0253,
+    "c:rre": -0.0276,
+    "c:rse": -0.0043,
+    "c:rta": -0.0312,
+    "c:rti": 0.0577,
+    "c:ruc": -0.0503,
+    "c:rul": -0.0605,
+    "c:run": -0.066,
+    "c:rup": -0.0817,
+    "c:ryt": 0.1274,
+    "c:san": -0.0875,
+    "c:saw": 0.1403,
+    "c:sco": -0.0132,
+    "c:scu": -0.0757,
+    "c:sit": -0.0398,
+    "c:ski": 0.0279,
+    "c:sm ": -0.0546,
+    "c:sma": 0.0697,
+    "c:som": 0.0796,
+    "c:sub": -0.0552,
+    "c:t's": 0.0245,
+    "c:ta ": -0.0569,
+    "c:tat": -0.0571,
+    "c:tec": -0.1903,
+    "c:tif": -0.0097,
+    "c:tig": -0.0553,
+    "c:tot": 0.1064,
+    "c:tre": 0.0559,
+    "c:tte": 0.0043,
+    "c:tua": -0.0823,
+    "c:tub": -0.0131,
+    "c:twe": 0.057,
+    "c:two": -0.1258,
+    "c:ual": -0.0006,
+    "c:ube": -0.0131,
+    "c:ubs": -0.1004,
+    "c:uct": -0.0503,
+    "c:ude": -0.0187,
+    "c:udy": -0.0507,
+    "c:uid": -0.0109,
+    "c:uil": -0.1047,
+    "c:ul ": 0.026,
+    "c:umb": -0.0002,
+    "c:ume": -0.0908,
+    "c:une": 0.0142,
+    "c:ung": 0.0417,
+    "c:unn": -0.0162,
+    "c:upp": -0.0941,
+    "c:upt": -0.0817,
+    "c:uro": -0.0772,
+    "c:urp": 0.0253,
+    "c:urs": -0.0034,
+    "c:urt": -0.0787,
+    "c:usp": -0.0866,
+    "c:uts": -0.0461,
+    "c:utu": -0.1142,
+    "c:val": -0.044,
+    "c:van": -0.0698,
+    "c:veh": -0.0738,
+    "c:vel": -0.0993,
+    "c:vic": 0.0263,
+    "c:vid": 0.0525,
+    "c:vil": -0.0137,
+    "c:vir": 0.0628,
+    "c:vot": -0.063,
+    "c:wal": -0.0346,
+    "c:wan": 0.0268,
+    "c:way": 0.0651,
+    "c:wel": -0.0861,
+    "c:wer": -0.108,
+    "c:whi": 0.116,
+    "c:won": 0.0282,
+    "c:wro": 0.0848,
+    "c:wth": -0.041,
+    "c:xpa": -0.0519,
+    "c:xte": -0.0819,
+    "c:yin": -0.0451,
+    "c:yth": 0.1274,
+    "w:10": 0.0717,
+    "w:absolutely": 0.0544,
+    "w:advice": 0.0263,
+    "w:agreement": -0.0599,
+    "w:air": -0.08,
+    "w:approves": -0.0592,
+    "w:bank": -0.0527,
+    "w:battery": 0.0043,
+    "w:be": 0.1065,
+    "w:before": 0.0215,
+    "w:behind": 0.0369,
+    "w:believe": 0.0599,
+    "w:can": 0.0425,
+    "w:can't": 0.0476,
+    "w:celebrity": 0.0626,
+    "w:coast": -0.056,
+    "w:court": -0.0787,
+    "w:data": -0.0569,
+    "w:day": 0.0164,
+    "w:debate": -0.0368,
+    "w:decline": -0.0469,
+    "w:didn't": 0.0454,
+    "w:doctors": 0.0506,
+    "w:dog": 0.0207,
+    "w:doing": 0.0605,
+    "w:down": 0.0147,
+    "w:end": -0.0383,
+    "w:energy": -0.0793,
+    "w:ever": 0.015,
+    "w:every": 0.0168,
+    "w:everything": 0.1274,
+    "w:expected": -0.0778,
+    "w:extends": -0.0819,
+    "w:famous": 0.042,
+    "w:fast": 0.0691,
+    "w:fat": 0.0871,
+    "w:finale": -0.0088,
+    "w:finally": 0.125,
+    "w:food": -0.0176,
+    "w:going": 0.0286,
+    "w:growth": -0.041,
+    "w:guess": 0.1129,
+    "w:habit": 0.0187,
+    "w:hack": 0.0196,
+    "w:happened": 0.0283,
+    "w:has": 0.0231,
+    "w:he": 0.0188,
+    "w:heart": -0.007,
+    "w:hospital": -0.0597,
+    "w:housing": -0.0865,
+    "w:i": 0.1517,
+    "w:inside": 0.012,
+    "w:introduces": -0.0378,
+    "w:launches": -0.0524,
+    "w:law": -0.0233,
+    "w:make": 0.0261,
+    "w:mind": 0.0989,
+    "w:minister": -0.0526,
+    "w:ministry": -0.0357,
+    "w:money": -0.018,
+    "w:month": -0.0337,
+    "w:morning": 0.0215,
+    "w:number": -0.0002,
+    "w:opening": -0.0697,
+    "w:park": -0.0559,
+    "w:parliament": -0.047,
+    "w:pet": 0.0679,
+    "w:photo": 0.0406,
+    "w:police": -0.0683,
+    "w:power": -0.108,
+    "w:prices": -0.0477,
+    "w:public": -0.1269,
+    "w:raises": -0.0439,
+    "w:rate": -0.0396,
+    "w:rates": -0.0406,
+    "w:read": 0.0134,
+    "w:reports": -0.0656,
+    "w:research": -0.0437,
+    "w:researchers": -0.0494,
+    "w:reveal": -0.033,
+    "w:revenue": -0.0656,
+    "w:rules": -0.0605,
+    "w:saw": 0.1403,
+    "w:sea": -0.0726,
+    "w:second": -0.0589,
+    "w:secretly": 0.0392,
+    "w:see": 0.0133,
+    "w:shocking": 0.017,
+    "w:should": 0.0573,
+    "w:something": 0.0796,
+    "w:strange": 0.0997,
+    "w:strike": -0.0861,
+    "w:study": -0.0507,
+    "w:talking": 0.0194,
+    "w:talks": -0.0361,
+    "w:teacher": -0.0211,
+    "w:than": 0.0229,
+    "w:things": 0.0723,
+    "w:think": 0.0229,
+    "w:three": -0.1006,
+    "w:today": 0.0295,
+    "w:totally": 0.1064,
+    "w:trade": -0.0625,
+    "w:union": -0.04,
+    "w:up": 0.0818,
+    "w:video": 0.0525,
+    "w:viral": 0.0628,
+    "w:wait": -0.0288,
+    "w:want": 0.0268,
+    "w:watch": 0.0685,
+    "w:water": 0.0098,
+    "w:which": 0.116,
+    "w:who": 0.0763,
+    "w:wins": -0.0634,
+    "w:won't": 0.0282,
+    "w:world": -0.0089,
+    "w:wrong": 0.0848,
+    "w:year": -0.0124
+  }
+};
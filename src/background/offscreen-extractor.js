@@ -0,0 +1,64 @@
+// src/background/offscreen-extractor.js
+// Service-worker side of the offscreen document (src/offscreen/offscreen.js). The document
+// parses fetched HTML with a real DOMParser and runs the article extraction there; the
+// ArticleFetcher falls back to its own tokenizer when this is unavailable or fails.
+import { OFFSCREEN_CONFIG } from '../../config/config.js';
+import { withTimeout, abortable } from '../lib/abort.js';
+
+// Path of the offscreen document (differs between source and dist builds)
+function offscreenDocumentPath() {
+  const worker = chrome.runtime.getManifest().background?.service_worker || '';
+  return worker.startsWith('src/') ? 'src/offscreen/offscreen.html' : 'offscreen.html';
+}
+
+export class OffscreenExtractor {
+  constructor() {
+    this.creating = null;            // Pending createDocument() call, shared by concurrent callers
+  }
+
+  isAvailable() {
+    return typeof chrome !== 'undefined' && !!chrome.offscreen?.createDocument;
+  }
+
+  async ensureDocument() {
+    const url = chrome.runtime.getURL(offscreenDocumentPath());
+    if (chrome.runtime.getContexts) {
+      const existing = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'], documentUrls: [url] });
+      if (existing.length > 0) return;
+    }
+    if (!this.creating) {
+      this.creating = chrome.offscreen.createDocument({
+        url,
+        reasons: OFFSCREEN_CONFIG.REASONS,
+        justification: OFFSCREEN_CONFIG.JUSTIFICATION
+      }).finally(() => {
+        this.creating = null;
+      });
+    }
+    await this.creating;
+  }
+
+  /**
+   * Extract the article of a page in the offscreen document
+   * @param {string} html - Page HTML
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<import('../lib/readability.js').ExtractedArticle>}
+   */
+  async extract(html, { signal } = {}) {
+    const timeout = withTimeout(signal, OFFSCREEN_CONFIG.TIMEOUT, 'Offscreen extraction timed out');
+    try {
+      await abortable(this.ensureDocument(), timeout.signal);
+      const response = await abortable(chrome.runtime.sendMessage({
+        target: OFFSCREEN_CONFIG.MESSAGE_TARGET,
+        action: 'extractArticle',
+        html
+      }), timeout.signal);
+      if (!response) throw new Error('Offscreen document did not answer');
+      if (response.error) throw new Error(response.error);
+      return response.article;
+    } finally {
+      timeout.clear();
+    }
+  }
+}
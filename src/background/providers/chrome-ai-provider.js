@@ -0,0 +1,320 @@
+// src/background/providers/chrome-ai-provider.js
+// Chrome's built-in AI (Gemini Nano): the Prompt API for classification and the
+// Summarizer API for summaries. Runs in the service worker.
+import {
+  AI_PROVIDERS,
+  SUMMARY_CONFIG,
+  MODEL_AVAILABILITY,
+  PROMPT_SESSION_CONFIG,
+  normalizeSummaryStyle,
+  getSummaryStyleKey
+} from '../../../config/config.js';
+import { abortable } from '../../lib/abort.js';
+
+function initialStatus() {
+  return { availability: MODEL_AVAILABILITY.UNKNOWN, progress: null, error: null };
+}
+
+// Input usage and quota of a session; older builds call them tokensSoFar and maxTokens
+function sessionUsage(session) {
+  return {
+    usage: session?.inputUsage ?? session?.tokensSoFar ?? null,
+    quota: session?.inputQuota ?? session?.maxTokens ?? null
+  };
+}
+
+// Per-call options of the Summarizer API
+function summarizeOptions(context, signal) {
+  return context ? { context, signal } : { signal };
+}
+
+export class ChromeAIProvider {
+  constructor() {
+    this.id = AI_PROVIDERS.CHROME;
+    this.promptSession = null;         // Clean base session; classifications run in clones
+    this.languageModelAPI = null;
+    this.sessionReplacement = null;  // Promise while a broken base session is replaced
+    this.sessionStats = {
+      prompts: 0,                    // Successful prompts
+      clones: 0,
+      recreations: 0,                // Base sessions replaced after an error or near the quota
+      quotaErrors: 0,
+      destroyedErrors: 0,
+      inputUsage: null,              // Of the last prompt's session
+      inputQuota: null,
+      peakInputUsage: 0
+    };
+    this.summarizer = null;          // Summarizer for the default style
+    this.summarizerAPI = null;
+    this.summarizers = new Map();    // Style key -> Promise<summarizer>
+    this.status = { prompt: initialStatus(), summarizer: initialStatus() };
+  }
+
+  get capabilities() {
+    return { prompt: !!this.promptSession, summarizer: !!this.summarizer };
+  }
+
+  /**
+   * @returns {{prompt: Object, summarizer: Object}} Per API: `availability` (MODEL_AVAILABILITY),
+   *   download `progress` 0-1 (null before a download) and the initialization `error`
+   */
+  getStatus() {
+    return { prompt: { ...this.status.prompt }, summarizer: { ...this.status.summarizer } };
+  }
+
+  // Track a model download started by create()
+  monitorDownload(monitor, api, label) {
+    monitor.addEventListener('downloadprogress', (e) => {
+      this.status[api].availability = MODEL_AVAILABILITY.DOWNLOADING;
+      this.status[api].progress = e.loaded || 0;
+      console.log(`${label} model download: ${Math.round((e.loaded || 0) * 100)}%`);
+    });
+  }
+
+  // Use the appropriate API namespace; older builds expose them under self.ai
+  getAPIs() {
+    return {
+      languageModelAPI: self.ai?.languageModel || self.LanguageModel,
+      summarizerAPI: self.ai?.summarizer || self.Summarizer
+    };
+  }
+
+  /**
+   * @returns {Promise<string>} 'unavailable', 'downloadable', 'downloading' or 'available';
+   *   the less ready of the two APIs
+   */
+  async availability() {
+    const { languageModelAPI, summarizerAPI } = this.getAPIs();
+    if (!languageModelAPI || !summarizerAPI) return 'unavailable';
+    const states = [await languageModelAPI.availability(), await summarizerAPI.availability()];
+    return ['unavailable', 'downloadable', 'downloading', 'available'].find(state => states.includes(state)) || 'unavailable';
+  }
+
+  async initialize() {
+    // Check for Chrome AI APIs - they might be under window.ai or global
+    const hasAI = ('ai' in self && self.ai) || ('LanguageModel' in self && 'Summarizer' in self);
+
+    if (!hasAI) {
+      console.error('Chrome AI APIs not found. Checked:', {
+        hasAiProperty: 'ai' in self,
+        aiType: typeof self.ai,
+        hasLanguageModel: 'LanguageModel' in self,
+        hasSummarizer: 'Summarizer' in self
+      });
+      this.failAll('Chrome AI APIs not available');
+    }
+
+    const { languageModelAPI, summarizerAPI } = this.getAPIs();
+
+    if (!languageModelAPI || !summarizerAPI) {
+      this.failAll('Chrome AI APIs not properly initialized');
+    }
+
+    const promptAvailability = await languageModelAPI.availability();
+    const summarizerAvailability = await summarizerAPI.availability();
+    this.status.prompt.availability = promptAvailability;
+    this.status.summarizer.availability = summarizerAvailability;
+
+    await this.initializePromptAPI(promptAvailability, languageModelAPI);
+    await this.initializeSummarizer(summarizerAvailability, summarizerAPI);
+  }
+
+  failAll(message) {
+    Object.values(this.status).forEach(status => {
+      status.availability = MODEL_AVAILABILITY.UNAVAILABLE;
+      status.error = message;
+    });
+    throw new Error(message);
+  }
+
+  // Run an API's initialization and record how it ended in `this.status[api]`
+  async track(api, create) {
+    try {
+      await create();
+      this.status[api].availability = MODEL_AVAILABILITY.AVAILABLE;
+      this.status[api].error = null;
+    } catch (error) {
+      this.status[api].error = error.message;
+      throw error;
+    }
+  }
+
+  async initializePromptAPI(availability, languageModelAPI) {
+    await this.track('prompt', async () => {
+      if (availability === 'unavailable') {
+        throw new Error('Prompt API unavailable on this device');
+      }
+
+      console.log('Prompt API availability:', availability);
+
+      this.languageModelAPI = languageModelAPI;
+      this.promptSession = await this.createPromptSession();
+    });
+  }
+
+  createPromptSession() {
+    return this.languageModelAPI.create({
+      monitor: (m) => this.monitorDownload(m, 'prompt', 'Prompt')
+    });
+  }
+
+  /**
+   * Replace the base session after it broke (or filled up)
+   * Concurrent callers that saw the same session share one replacement.
+   * @param {Object} broken - The session that failed
+   */
+  async replacePromptSession(broken) {
+    if (this.promptSession !== broken) return;
+    if (!this.languageModelAPI) throw new Error('Prompt API not initialized');
+    if (!this.sessionReplacement) {
+      this.sessionReplacement = this.createPromptSession()
+        .then(session => {
+          broken?.destroy?.();
+          this.promptSession = session;
+          this.sessionStats.recreations++;
+        })
+        .finally(() => { this.sessionReplacement = null; });
+    }
+    await this.sessionReplacement;
+  }
+
+  // Session health counters for the popup
+  getSessionStats() {
+    return { ...this.sessionStats };
+  }
+
+  async initializeSummarizer(availability, summarizerAPI) {
+    await this.track('summarizer', async () => {
+      if (availability === 'unavailable') {
+        throw new Error('Summarizer API unavailable on this device');
+      }
+
+      console.log('Summarizer API availability:', availability);
+
+      this.summarizerAPI = summarizerAPI;
+      this.summarizer = await this.getSummarizer(SUMMARY_CONFIG.DEFAULT);
+    });
+  }
+
+  /**
+   * Get the summarizer for a style, creating it on first use
+   * @param {Object} [style] - Summary style (type, format, length)
+   * @returns {Promise<Object>} Summarizer instance
+   */
+  async getSummarizer(style = SUMMARY_CONFIG.DEFAULT) {
+    const key = getSummaryStyleKey(style);
+    if (!this.summarizers.has(key)) {
+      if (!this.summarizerAPI) return this.summarizer;
+      const created = this.summarizerAPI.create({
+        ...normalizeSummaryStyle(style),
+        monitor: (m) => this.monitorDownload(m, 'summarizer', 'Summarizer')
+      });
+      // Forget failed creations so the next request tries again
+      created.catch(() => this.summarizers.delete(key));
+      this.summarizers.set(key, created);
+    }
+    return this.summarizers.get(key);
+  }
+
+  /**
+   * Run a structured-output prompt in a clone of the base session
+   * A destroyed base session, or one that ran out of quota, is replaced and the prompt
+   * tried once more.
+   * @param {string} prompt - Rendered prompt
+   * @param {Object} [options]
+   * @param {Object} [options.schema] - JSON schema the answer must follow
+   * @param {AbortSignal} [options.signal] - Stops the prompt
+   * @returns {Promise<string>} Raw model output
+   */
+  async classify(prompt, { schema, signal } = {}) {
+    const base = this.promptSession;
+    try {
+      return await this.promptOnce(base, prompt, schema, signal);
+    } catch (error) {
+      const quota = PROMPT_SESSION_CONFIG.QUOTA_ERRORS.includes(error?.name);
+      const destroyed = PROMPT_SESSION_CONFIG.DESTROYED_ERRORS.includes(error?.name);
+      if (quota) this.sessionStats.quotaErrors++;
+      if (destroyed) this.sessionStats.destroyedErrors++;
+      // A clean clone over quota means the prompt itself is too long; a new session will not help
+      const cloned = typeof base?.clone === 'function';
+      if (!destroyed && !(quota && !cloned)) throw error;
+
+      console.warn(`BaitBreaker: Prompt session failed (${error.name}), creating a new one`);
+      await this.replacePromptSession(base);
+      return await this.promptOnce(this.promptSession, prompt, schema, signal);
+    }
+  }
+
+  async promptOnce(base, prompt, schema, signal) {
+    let session = base;
+    if (typeof base.clone === 'function') {
+      session = await base.clone({ signal });
+      this.sessionStats.clones++;
+    } else {
+      const { usage, quota } = sessionUsage(base);
+      if (quota && usage >= quota * PROMPT_SESSION_CONFIG.QUOTA_HEADROOM) {
+        await this.replacePromptSession(base);
+        session = this.promptSession;
+      }
+    }
+
+    try {
+      const result = await session.prompt(prompt, schema ? { responseConstraint: schema, signal } : { signal });
+      this.sessionStats.prompts++;
+      const { usage, quota } = sessionUsage(session);
+      if (usage != null) {
+        this.sessionStats.inputUsage = usage;
+        this.sessionStats.inputQuota = quota;
+        this.sessionStats.peakInputUsage = Math.max(this.sessionStats.peakInputUsage, usage);
+      }
+      return result;
+    } finally {
+      if (session !== base && session !== this.promptSession) session.destroy?.();
+    }
+  }
+
+  async summarize(text, style, { context, signal } = {}) {
+    // Summarizers are shared between requests, so their creation is not aborted
+    const summarizer = await abortable(this.getSummarizer(style), signal);
+    return await summarizer.summarize(text, summarizeOptions(context, signal));
+  }
+
+  /**
+   * Summarize with the streaming Summarizer API
+   * Yields the full summary text so far after every chunk. Falls back to a single
+   * chunk when the streaming API is not available.
+   * @param {string} text - Article text
+   * @param {Object} [style] - Summary style (type, format, length)
+   * @param {Object} [options]
+   * @param {string} [options.context] - Instructions for the summarizer
+   * @param {AbortSignal} [options.signal] - Stops the model
+   */
+  async *summarizeStreaming(text, style, { context, signal } = {}) {
+    const summarizer = await abortable(this.getSummarizer(style), signal);
+    const options = summarizeOptions(context, signal);
+    if (typeof summarizer.summarizeStreaming !== 'function') {
+      yield await summarizer.summarize(text, options);
+      return;
+    }
+
+    const reader = summarizer.summarizeStreaming(text, options).getReader();
+    let summary = '';
+    let finished = false;
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+          finished = true;
+          return;
+        }
+        // Older Chrome builds send the whole text so far, newer ones only the new part
+        summary = summary && value.startsWith(summary) ? value : summary + value;
+        yield summary;
+      }
+    } finally {
+      // Stop the model when the consumer gives up early
+      if (!finished) reader.cancel().catch(() => {});
+      reader.releaseLock();
+    }
+  }
+}
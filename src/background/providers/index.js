@@ -0,0 +1,44 @@
+// src/background/providers/index.js
+// AI providers run the prompts and summaries AIManager asks for. AIManager keeps the
+// prompt templates, response validation and repair, so a provider only moves text.
+import { AI_PROVIDERS } from '../../../config/config.js';
+import { ChromeAIProvider } from './chrome-ai-provider.js';
+import { OpenAICompatibleProvider } from './openai-compatible-provider.js';
+import { PageBridgeProvider } from './page-bridge-provider.js';
+
+/**
+ * @typedef {Object} AIProvider
+ * @property {string} id - One of AI_PROVIDERS
+ * @property {{prompt: boolean, summarizer: boolean}} capabilities - What is usable after initialize()
+ * @property {function(): Promise<string>} availability - 'unavailable', 'downloadable',
+ *   'downloading' or 'available'
+ * @property {function(): {prompt: Object, summarizer: Object}} getStatus - Per API:
+ *   `{availability, progress, error}`, see ChromeAIProvider.getStatus()
+ * @property {function(): Object} [getSessionStats] - Prompt session health counters, see
+ *   ChromeAIProvider.sessionStats
+ * @property {function(): Promise<void>} initialize - Prepare the provider; throws if it cannot be used
+ * @property {function(string, {schema?: Object, signal?: AbortSignal, tabId?: number}=): Promise<string>} classify -
+ *   Run a structured-output prompt and return the raw answer
+ * @property {function(string, Object=, {context?: string, signal?: AbortSignal, tabId?: number}=): Promise<string>} summarize -
+ *   Summarize text in a summary style; `context` is the rendered summary context template
+ * @property {function(string, Object=, {context?: string, signal?: AbortSignal, tabId?: number}=): AsyncGenerator<string>} [summarizeStreaming] -
+ *   Yield the summary so far
+ */
+
+/**
+ * Create the provider selected in the settings
+ * @param {Object} settings - Settings with `aiProvider`, `aiEndpoint`, `aiModel`, `aiApiKey`
+ * @returns {AIProvider}
+ */
+export function createProvider(settings = {}) {
+  if (settings.aiProvider === AI_PROVIDERS.OPENAI_COMPATIBLE) {
+    return new OpenAICompatibleProvider({
+      endpoint: settings.aiEndpoint,
+      model: settings.aiModel,
+      apiKey: settings.aiApiKey
+    });
+  }
+  return new ChromeAIProvider();
+}
+
+export { ChromeAIProvider, OpenAICompatibleProvider, PageBridgeProvider };
@@ -0,0 +1,186 @@
+// src/background/providers/openai-compatible-provider.js
+// A user-configured OpenAI-compatible chat completions endpoint, e.g. a local llama.cpp
+// (`llama-server`) or Ollama server. Used on machines without Chrome's built-in AI.
+import { AI_PROVIDERS, OPENAI_PROVIDER_CONFIG, MODEL_AVAILABILITY, normalizeSummaryStyle } from '../../../config/config.js';
+import { childController } from '../../lib/abort.js';
+
+export class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - Base URL including the API version, e.g. http://localhost:11434/v1
+   * @param {string} [options.model] - Model name; the server's first model if empty
+   * @param {string} [options.apiKey] - Sent as a bearer token if set
+   */
+  constructor({ endpoint, model = '', apiKey = '' } = {}) {
+    this.id = AI_PROVIDERS.OPENAI_COMPATIBLE;
+    this.endpoint = String(endpoint || '').trim().replace(/\/+$/, '');
+    this.model = String(model || '').trim();
+    this.apiKey = String(apiKey || '').trim();
+    this.ready = false;
+    this.lastAvailability = MODEL_AVAILABILITY.UNKNOWN;
+    this.error = null;
+  }
+
+  get capabilities() {
+    return { prompt: this.ready, summarizer: this.ready };
+  }
+
+  // The server's one model answers prompts and summaries alike; nothing is downloaded
+  getStatus() {
+    const status = { availability: this.lastAvailability, progress: null, error: this.error };
+    return { prompt: { ...status }, summarizer: { ...status } };
+  }
+
+  /**
+   * Call the endpoint; the timeout covers the wait for the response headers
+   * @param {string} path - e.g. '/chat/completions'
+   * @param {Object} [body] - JSON body; GET if omitted
+   * @param {number} [timeout] - Milliseconds
+   * @param {AbortSignal} [signal] - Cancels the request, including reading the body
+   * @returns {Promise<Response>}
+   */
+  async request(path, body, timeout = OPENAI_PROVIDER_CONFIG.REQUEST_TIMEOUT, signal) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const { controller } = childController(signal);
+    const timer = setTimeout(() => controller.abort(), timeout);
+    let response;
+    try {
+      response = await fetch(`${this.endpoint}${path}`, {
+        method: body ? 'POST' : 'GET',
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason;
+      throw new Error(controller.signal.aborted
+        ? `${this.endpoint}${path} timed out after ${timeout}ms`
+        : `${this.endpoint}${path} is not reachable: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+    if (!response.ok) {
+      throw new Error(`${this.endpoint}${path} returned HTTP ${response.status}`);
+    }
+    return response;
+  }
+
+  /**
+   * @returns {Promise<string>} 'available' if the server lists its models, else 'unavailable'
+   */
+  async availability() {
+    if (!this.endpoint) {
+      this.error = 'No endpoint configured';
+      this.lastAvailability = MODEL_AVAILABILITY.UNAVAILABLE;
+      return this.lastAvailability;
+    }
+    try {
+      const response = await this.request('/models', null, OPENAI_PROVIDER_CONFIG.AVAILABILITY_TIMEOUT);
+      const { data } = await response.json();
+      if (!this.model) this.model = data?.[0]?.id || '';
+      this.error = null;
+      this.lastAvailability = MODEL_AVAILABILITY.AVAILABLE;
+    } catch (error) {
+      console.warn('BaitBreaker: OpenAI-compatible server unavailable:', error.message);
+      this.error = error.message;
+      this.lastAvailability = MODEL_AVAILABILITY.UNAVAILABLE;
+    }
+    return this.lastAvailability;
+  }
+
+  async initialize() {
+    if (!this.endpoint) throw new Error('No endpoint configured for the OpenAI-compatible provider');
+    if (await this.availability() === 'unavailable') {
+      throw new Error(`OpenAI-compatible server not reachable at ${this.endpoint}`);
+    }
+    this.ready = true;
+  }
+
+  chatBody(prompt, extra = {}) {
+    return {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: OPENAI_PROVIDER_CONFIG.TEMPERATURE,
+      ...extra
+    };
+  }
+
+  /**
+   * Run a structured-output prompt
+   * @param {string} prompt - Rendered prompt
+   * @param {Object} [options]
+   * @param {Object} [options.schema] - JSON schema, sent as `response_format`
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<string>} Raw model output
+   */
+  async classify(prompt, { schema, signal } = {}) {
+    const extra = schema
+      ? { response_format: { type: 'json_schema', json_schema: { name: 'response', schema } } }
+      : {};
+    const response = await this.request('/chat/completions', this.chatBody(prompt, extra), undefined, signal);
+    const data = await response.json();
+    return data?.choices?.[0]?.message?.content ?? '';
+  }
+
+  // The summary context (see PROMPT_KINDS.SUMMARY_CONTEXT) goes before the article
+  summaryPrompt(text, style, context = '') {
+    const { type, format, length } = normalizeSummaryStyle(style);
+    return `Write ${OPENAI_PROVIDER_CONFIG.SUMMARY_TYPES[type] || OPENAI_PROVIDER_CONFIG.SUMMARY_TYPES.tldr}. ` +
+      `${OPENAI_PROVIDER_CONFIG.SUMMARY_LENGTHS[length]} ` +
+      (format === 'markdown' ? 'Use Markdown.' : 'Use plain text without Markdown.') +
+      ` Reply with the summary only.${context ? `\n\n${context}` : ''}\n\nArticle:\n${text}`;
+  }
+
+  async summarize(text, style, { context, signal } = {}) {
+    const response = await this.request('/chat/completions', this.chatBody(this.summaryPrompt(text, style, context)), undefined, signal);
+    const data = await response.json();
+    return (data?.choices?.[0]?.message?.content ?? '').trim();
+  }
+
+  /**
+   * Summarize with a streamed (server-sent events) completion
+   * Yields the full summary text so far after every chunk.
+   * @param {string} text - Article text
+   * @param {Object} [style] - Summary style (type, format, length)
+   * @param {Object} [options]
+   * @param {string} [options.context] - Instructions for the summary
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   */
+  async *summarizeStreaming(text, style, { context, signal } = {}) {
+    const body = this.chatBody(this.summaryPrompt(text, style, context), { stream: true });
+    const response = await this.request('/chat/completions', body, undefined, signal);
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    let summary = '';
+    let finished = false;
+    try {
+      while (!finished) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += value;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          if (!line.startsWith('data:')) continue;
+          const data = line.slice(5).trim();
+          if (data === '[DONE]') {
+            finished = true;
+            break;
+          }
+          const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (delta) {
+            summary += delta;
+            yield summary;
+          }
+        }
+      }
+      finished = true;
+    } finally {
+      // Stop the generation when the consumer gives up early
+      if (!finished) reader.cancel().catch(() => {});
+      reader.releaseLock();
+    }
+  }
+}
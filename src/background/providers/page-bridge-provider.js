@@ -0,0 +1,90 @@
+// src/background/providers/page-bridge-provider.js
+// Chrome's built-in AI, run in a web page when the service worker has no LanguageModel/Summarizer.
+// Prompts are sent to the tab whose content script has injected the in-page bridge
+// (src/content/page-bridge.js). Only the tab that asked runs its own work: scripts on a
+// page can read and answer what goes through its bridge, so one site's headlines and
+// fetched articles must not reach another site, and the answers are never cached.
+import { AI_PROVIDERS, MODEL_AVAILABILITY } from '../../../config/config.js';
+import { abortable } from '../../lib/abort.js';
+
+export class PageBridgeProvider {
+  constructor() {
+    this.id = AI_PROVIDERS.CHROME;
+    this.tabs = new Map();           // Tab id -> {prompt, summarizer}
+  }
+
+  register(tabId, capabilities) {
+    this.tabs.set(tabId, { prompt: !!capabilities?.prompt, summarizer: !!capabilities?.summarizer });
+  }
+
+  unregister(tabId) {
+    this.tabs.delete(tabId);
+  }
+
+  get hasPrompt() {
+    return [...this.tabs.values()].some(c => c.prompt);
+  }
+
+  get hasSummarizer() {
+    return [...this.tabs.values()].some(c => c.summarizer);
+  }
+
+  get capabilities() {
+    return { prompt: this.hasPrompt, summarizer: this.hasSummarizer };
+  }
+
+  // Downloads happen in the page, so only whether a tab offers the API is known here
+  getStatus() {
+    const status = (ready) => ({
+      availability: ready ? MODEL_AVAILABILITY.AVAILABLE : MODEL_AVAILABILITY.UNAVAILABLE,
+      progress: null,
+      error: ready ? null : 'No open tab offers this API'
+    });
+    return { prompt: status(this.hasPrompt), summarizer: status(this.hasSummarizer) };
+  }
+
+  async availability() {
+    return this.tabs.size ? 'available' : 'unavailable';
+  }
+
+  async initialize() {
+    if (!this.hasPrompt && !this.hasSummarizer) throw new Error('No page bridge available');
+  }
+
+  /**
+   * Send a request to the bridge of the tab that asked
+   * A tab that no longer answers (closed, navigated away) is forgotten.
+   * @param {string} capability - 'prompt' or 'summarizer'
+   * @param {Object} message - Message for the content script
+   * @param {number} [tabId] - Requesting tab
+   * @returns {Promise<Object>} The content script's `{ok: true, ...}` response
+   */
+  async send(capability, message, tabId) {
+    if (tabId == null || !this.tabs.get(tabId)?.[capability]) {
+      throw new Error('No page bridge available in this tab');
+    }
+    let response;
+    try {
+      response = await chrome.tabs.sendMessage(tabId, message);
+    } catch (error) {
+      console.warn(`BaitBreaker: Page bridge in tab ${tabId} is gone:`, error.message);
+      this.unregister(tabId);
+      throw new Error('No page bridge available in this tab');
+    }
+    if (!response?.ok) throw new Error(response?.error || 'Page bridge request failed');
+    return response;
+  }
+
+  // The page gets no cancel message; an aborted request only stops waiting for its answer
+  async classify(prompt, { schema, signal, tabId } = {}) {
+    const response = await abortable(this.send('prompt', { action: 'bridgePrompt', prompt, schema }, tabId), signal);
+    return response.raw;
+  }
+
+  // Not streamed
+  async summarize(articleText, style, { context, signal, tabId } = {}) {
+    const message = { action: 'bridgeSummarize', articleText, style, summaryContext: context };
+    const response = await abortable(this.send('summarizer', message, tabId), signal);
+    return response.summary;
+  }
+}
@@ -2,17 +2,59 @@
 import { AIManager } from './ai-manager.js';
 import { CacheManager } from './cache-manager.js';
 import { ArticleFetcher } from './article-fetcher.js';
-import { regexDetect } from '../content/clickbait-detector.js';
-import { TIMEOUT_CONFIG, PERFORMANCE_CONFIG, SENSITIVITY_CONFIG, getClassificationTimeout } from '../../config/config.js';
+import { createProvider, PageBridgeProvider } from './providers/index.js';
+import { StatisticalClassifier } from './statistical-classifier.js';
+import { WorkRegistry } from './work-registry.js';
+import { InFlightRequests } from './in-flight.js';
+import { SettingsManager } from '../lib/settings-manager.js';
+import { regexDetect, heuristicDetect } from '../content/clickbait-detector.js';
+import { lexicalDeliveryScore } from '../lib/delivery-score.js';
+import { normalizeUrl } from '../lib/url-normalizer.js';
+import { combineDetectors } from '../lib/ensemble.js';
+import { withTimeout, childController, abortable, throwIfAborted, isAbortError, cancelledError, timeoutError } from '../lib/abort.js';
+import {
+  TIMEOUT_CONFIG,
+  STREAM_CONFIG,
+  PERFORMANCE_CONFIG,
+  SENSITIVITY_CONFIG,
+  SUMMARY_CONFIG,
+  DETECTION_MODES,
+  AI_DETECTION_MODES,
+  HYBRID_CONFIG,
+  ENSEMBLE_CONFIG,
+  LANGUAGE_CONFIG,
+  AI_BACKENDS,
+  AI_PROVIDERS,
+  PAGE_TYPES,
+  getClassificationTimeout,
+  getSensitivityThreshold,
+  normalizeSummaryStyle,
+  getSummaryStyleKey,
+  getFailureCacheTtlMs
+} from '../../config/config.js';
+
+const LAST_INFERENCE_KEY = 'lastInferenceAt';
 
 class BaitBreakerService {
   constructor() {
     this.aiManager = new AIManager();
     this.cacheManager = new CacheManager();
     this.articleFetcher = new ArticleFetcher();
+    this.statisticalClassifier = new StatisticalClassifier();
+    this.settingsManager = new SettingsManager();
+    this.pageBridge = new PageBridgeProvider();
+    this.work = new WorkRegistry();
+    this.inFlight = new InFlightRequests();
     this.initialized = false;
     this.initError = null;
+    this.initialization = null;     // Promise of initialize() or of the latest provider switch
+    this.providerId = AI_PROVIDERS.CHROME;
+    this.providerKey = null;        // Provider settings in use, to notice changes
+    this.backend = AI_BACKENDS.NONE;
+    this.initializing = false;      // A provider is starting (possibly downloading its model)
     this.keepaliveInterval = null;
+    // Kept in session storage so the popup still shows it after the worker restarts
+    this.aiManager.onInference = (time) => chrome.storage.session?.set({ [LAST_INFERENCE_KEY]: time });
   }
 
   // Aggressive keepalive mechanism to prevent service worker from going idle
@@ -52,28 +94,144 @@ class BaitBreakerService {
     }
   }
 
-  async initialize() {
+  initialize() {
+    if (!this.initialization) this.initialization = this.initializeBackends();
+    return this.initialization;
+  }
+
+  async initializeBackends() {
+    console.log('BaitBreaker: Initializing service worker...');
+    await this.cacheManager.initialize();
+    await this.applyProviderSettings(await this.settingsManager.load());
+  }
+
+  /**
+   * Switch to the AI provider selected in the settings, if it changed
+   * @param {Object} settings - Settings with `aiProvider`, `aiEndpoint`, `aiModel`, `aiApiKey`
+   * @returns {Promise<void>} Resolves when the provider is initialized (or failed to)
+   */
+  applyProviderSettings(settings) {
+    const key = JSON.stringify([settings.aiProvider, settings.aiEndpoint, settings.aiModel, settings.aiApiKey]);
+    if (key === this.providerKey && this.initialization) return this.initialization;
+    this.providerKey = key;
+
+    const provider = createProvider(settings);
+    this.initialization = this.initializeProvider(provider);
+    return this.initialization;
+  }
+
+  async initializeProvider(provider) {
+    this.providerId = provider.id;
+    this.aiManager.setProvider(provider);
+    this.initialized = false;
+    this.initializing = true;
+    this.backend = AI_BACKENDS.NONE;
     try {
-      console.log('BaitBreaker: Initializing service worker...');
       await this.aiManager.initialize();
-      await this.cacheManager.initialize();
+      // The settings changed again (or a page bridge took over) while this one started
+      if (this.aiManager.provider !== provider) return;
+      this.initializing = false;
       this.initialized = true;
-      console.log('BaitBreaker: Service worker initialized successfully');
+      this.initError = null;
+      this.backend = provider.id === AI_PROVIDERS.CHROME ? AI_BACKENDS.SERVICE_WORKER : AI_BACKENDS.OPENAI_COMPATIBLE;
+      console.log(`BaitBreaker: Service worker initialized successfully (${provider.id})`);
     } catch (error) {
+      if (this.aiManager.provider !== provider) return;
+      this.initializing = false;
       this.initError = error;
       console.error('BaitBreaker: Failed to initialize service worker:', error);
       console.error('Error details:', error.message, error.stack);
     }
   }
 
-  async handleMessage(request) {
+  /**
+   * Accept a tab's in-page bridge; used as the AI backend if this worker has none
+   * Content scripts send their bridge capabilities with every request, so the bridge is
+   * registered again after the worker restarts.
+   * @param {number} tabId - Tab with the injected bridge
+   * @param {{prompt: boolean, summarizer: boolean}} capabilities - APIs available in that page
+   */
+  registerPageBridge(tabId, capabilities) {
+    this.pageBridge.register(tabId, capabilities);
+    if (this.providerId !== AI_PROVIDERS.CHROME || this.backend === AI_BACKENDS.SERVICE_WORKER) return;
+    if (!this.pageBridge.hasPrompt && !this.pageBridge.hasSummarizer) return;
+
+    if (this.backend !== AI_BACKENDS.PAGE_BRIDGE) {
+      console.log('BaitBreaker: Using the in-page AI bridge of tab', tabId);
+      this.aiManager.setProvider(this.pageBridge);
+      this.backend = AI_BACKENDS.PAGE_BRIDGE;
+    }
+    // Capabilities may have grown with this tab
+    this.aiManager.initialized = true;
+    this.initialized = true;
+    this.initializing = false;
+  }
+
+  async getBackendStatus() {
+    await this.initialize();
+    return {
+      backend: this.backend,
+      provider: this.providerId,
+      prompt: this.aiManager.canPrompt,
+      summarizer: this.aiManager.canSummarize,
+      error: this.backend === AI_BACKENDS.NONE ? this.initError?.message || null : null
+    };
+  }
+
+  /**
+   * Model state for the popup; answers while the provider is still starting
+   * @returns {Promise<Object>} `apis` holds `{availability, progress, error}` for the prompt
+   *   and summarizer APIs (see ChromeAIProvider.getStatus()); `session` the prompt session
+   *   counters, if the provider keeps any; `lastInferenceAt` is a timestamp
+   */
+  async getModelStatus() {
+    let lastInferenceAt = this.aiManager.lastInferenceAt;
+    if (!lastInferenceAt && chrome.storage.session) {
+      const stored = await chrome.storage.session.get(LAST_INFERENCE_KEY);
+      lastInferenceAt = stored[LAST_INFERENCE_KEY] || null;
+    }
+    return {
+      provider: this.providerId,
+      backend: this.backend,
+      initializing: this.initializing,
+      apis: this.aiManager.provider.getStatus(),
+      session: this.aiManager.provider.getSessionStats?.() || null,
+      error: this.initialized ? null : this.initError?.message || null,
+      lastInferenceAt
+    };
+  }
+
+  /**
+   * Start the provider again after it failed, which downloads missing Chrome AI models
+   * Does not wait for the download; the popup follows it through getModelStatus.
+   */
+  async downloadModel() {
+    if (!this.initialized && !this.initializing) {
+      this.providerKey = null;
+      this.applyProviderSettings(await this.settingsManager.load());
+    }
+    return this.getModelStatus();
+  }
+
+  async handleMessage(request, sender) {
     console.log('BaitBreaker: Received message:', request.action);
 
-    // Check if service is initialized (allow cache-related actions regardless)
-    if (!this.initialized && request.action !== 'clearCache' && request.action !== 'getCacheStats') {
+    if (request.bridge && sender?.tab?.id != null) {
+      this.registerPageBridge(sender.tab.id, request.bridge);
+    }
+
+    // Check if service is initialized (allow cache-related actions and non-AI detection regardless)
+    const worksWithoutAI = request.action === 'clearCache' ||
+      request.action === 'getCacheStats' ||
+      request.action === 'getBackendStatus' ||
+      request.action === 'getModelStatus' ||
+      request.action === 'downloadModel' ||
+      request.action === 'cancelWork' ||
+      (request.action === 'classifyLinks' && !AI_DETECTION_MODES.includes(request.detectionMode));
+    if (!this.initialized && !worksWithoutAI) {
       const errorMsg = this.initError
         ? `Service failed to initialize: ${this.initError.message}`
-        : 'Service not initialized. Chrome AI APIs may not be available.';
+        : 'Service not initialized. The AI provider may not be available.';
       console.error('BaitBreaker:', errorMsg);
       return { error: true, message: errorMsg };
     }
@@ -85,12 +243,32 @@ class BaitBreakerService {
       }
 
       let result;
+      const tabId = sender?.tab?.id;
       switch (request.action) {
-        case 'classifyLinks':
-          result = await this.classifyMultipleLinksWithTimeout(request.links, request.detectionMode, request.sensitivity);
+        case 'classifyLinks': {
+          const work = this.work.track(tabId, request.requestId);
+          try {
+            result = await this.classifyMultipleLinksWithTimeout(request.links, request.detectionMode, request.sensitivity, {
+              signal: work.signal,
+              tabId
+            });
+          } finally {
+            work.release();
+          }
+          break;
+        }
+        case 'getSummary': {
+          const work = this.work.track(tabId, request.requestId);
+          try {
+            result = await this.getSummaryWithTimeout(request.url, request.style, request.title, work.signal, tabId);
+          } finally {
+            work.release();
+          }
           break;
-        case 'getSummary':
-          result = await this.getSummaryWithTimeout(request.url);
+        }
+        case 'cancelWork':
+          // Without workIds everything of the tab is cancelled (it is unloading)
+          result = { cancelled: tabId != null ? this.work.cancel(tabId, request.workIds) : 0 };
           break;
         case 'clearCache':
           result = await this.cacheManager.clearAll();
@@ -98,6 +276,15 @@ class BaitBreakerService {
         case 'getCacheStats':
           result = await this.cacheManager.getStats();
           break;
+        case 'getBackendStatus':
+          result = await this.getBackendStatus();
+          break;
+        case 'getModelStatus':
+          result = await this.getModelStatus();
+          break;
+        case 'downloadModel':
+          result = await this.downloadModel();
+          break;
         default:
           console.warn('BaitBreaker: Unknown action:', request.action);
           result = { error: true, message: 'Unknown action: ' + request.action };
@@ -114,101 +301,539 @@ class BaitBreakerService {
   }
 
   // Timeout wrapper for classifyLinks to prevent indefinite hangs
-  // Dynamic timeout based on number of links: ~8 seconds per link with concurrency
-  async classifyMultipleLinksWithTimeout(links, detectionMode = 'regex', sensitivity = SENSITIVITY_CONFIG.DEFAULT) {
+  // Dynamic timeout based on number of links: ~8 seconds per link with concurrency.
+  // The timeout aborts the signal, which stops the AI calls still running.
+  async classifyMultipleLinksWithTimeout(links, detectionMode = 'regex', sensitivity = SENSITIVITY_CONFIG.DEFAULT, { signal, tabId } = {}) {
     // Calculate timeout based on config: base + per-link timeout
     const TIMEOUT_MS = getClassificationTimeout(links.length);
 
     console.log(`BaitBreaker: Setting classification timeout to ${TIMEOUT_MS}ms for ${links.length} links`);
 
-    return Promise.race([
-      this.classifyMultipleLinks(links, detectionMode, sensitivity),
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error(`Classification timed out after ${TIMEOUT_MS}ms`)), TIMEOUT_MS)
-      )
-    ]);
+    const timeout = withTimeout(signal, TIMEOUT_MS, `Classification timed out after ${TIMEOUT_MS}ms`);
+    try {
+      return await abortable(
+        this.classifyMultipleLinks(links, detectionMode, sensitivity, { signal: timeout.signal, tabId }),
+        timeout.signal
+      );
+    } finally {
+      timeout.clear();
+    }
   }
 
-  // Timeout wrapper for getSummary to prevent indefinite hangs
-  async getSummaryWithTimeout(url) {
+  // Timeout wrapper for getSummary to prevent indefinite hangs; stops the fetch and the model too
+  async getSummaryWithTimeout(url, style, title, signal, tabId) {
     const TIMEOUT_MS = TIMEOUT_CONFIG.SUMMARY;
 
-    return Promise.race([
-      this.getSummaryForUrl(url),
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Summary generation timed out after 30s')), TIMEOUT_MS)
-      )
-    ]);
+    const timeout = withTimeout(signal, TIMEOUT_MS, 'Summary generation timed out after 30s');
+    try {
+      return await abortable(this.getSummaryForUrl(url, style, title, timeout.signal, tabId), timeout.signal);
+    } finally {
+      timeout.clear();
+    }
   }
 
-  async classifyMultipleLinks(links, detectionMode = 'regex', sensitivity = SENSITIVITY_CONFIG.DEFAULT) {
+  /**
+   * Classify links with the selected detection mode
+   * @param {Array<Object>} links - `{text, href, language, context, workId}` per link
+   * @param {string} [detectionMode] - One of DETECTION_MODES
+   * @param {number} [sensitivity] - 1-10
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the whole request
+   * @param {number} [options.tabId] - Requesting tab; its `cancelWork` messages can cancel
+   *   single links by their `workId`
+   * @returns {Promise<Array<Object>>} One result per link; `{cancelled: true}` for cancelled links
+   */
+  async classifyMultipleLinks(links, detectionMode = 'regex', sensitivity = SENSITIVITY_CONFIG.DEFAULT, { signal, tabId } = {}) {
     console.log(`BaitBreaker: Classifying ${links.length} links (mode=${detectionMode}, sensitivity=${sensitivity})`);
+    // Registered up front so links can be cancelled before their turn
+    const linkWork = links.map(link => this.work.track(tabId, link.workId, signal));
+    const linkSignals = linkWork.map(work => work.signal);
+    try {
+      // Process links in parallel with concurrency limit to improve performance
+      // while not overwhelming the AI service
+      const CONCURRENT_LIMIT = PERFORMANCE_CONFIG.CONCURRENT_LIMIT;
+      const { customPatterns, hybridBand, ensembleWeights, aiBatchSize, promptTemplates } = await this.settingsManager.load();
+      this.aiManager.setPromptTemplates(promptTemplates);
+
+      // Headlines that will reach the Prompt API are classified in batches first; the
+      // per-link path below then reads them from the cache and only calls the model
+      // itself for headlines the batches did not answer
+      if (this.initialized) {
+        const aiLinks = links.filter((link, i) => {
+          if (linkSignals[i].aborted) return false;
+          if (detectionMode === DETECTION_MODES.CHROME_AI) return true;
+          if (detectionMode === DETECTION_MODES.ENSEMBLE) {
+            return ((ensembleWeights || ENSEMBLE_CONFIG.WEIGHTS)[DETECTION_MODES.CHROME_AI] ?? 0) > 0;
+          }
+          if (detectionMode === DETECTION_MODES.HYBRID) {
+            const band = hybridBand || HYBRID_CONFIG.UNCERTAINTY_BAND;
+            const confidence = regexDetect(link.text, customPatterns, link.language, link.context).confidence || 0;
+            return confidence >= band.min && confidence < band.max;
+          }
+          return false;
+        });
+        await this.prefetchAIClassifications(aiLinks, aiBatchSize, signal);
+      }
 
-    // Process links in parallel with concurrency limit to improve performance
-    // while not overwhelming the AI service
-    const CONCURRENT_LIMIT = PERFORMANCE_CONFIG.CONCURRENT_LIMIT;
-
-    const classifyLink = async (link) => {
-      try {
-        const cached = await this.cacheManager.getClassification(link.text);
-        if (cached && detectionMode === 'chrome-ai') {
-          console.log('BaitBreaker: Using cached classification for:', link.text.substring(0, 50));
-          return cached;
-        } else {
-          if (detectionMode === 'regex') {
-            const result = regexDetect(link.text);
+      const classifyLink = async (link, index) => {
+        const linkSignal = linkSignals[index];
+        try {
+          throwIfAborted(linkSignal);
+          if (detectionMode === DETECTION_MODES.REGEX) {
+            const result = regexDetect(link.text, customPatterns, link.language, link.context);
             console.log('BaitBreaker: RegEx result:', result.isClickbait ? 'CLICKBAIT' : 'NOT CLICKBAIT',
-                        `(${Math.round((result.confidence || 0) * 100)}%)`);
+                        `(${Math.round((result.confidence || 0) * 100)}%)`, `pack=${result.language}`);
             return result;
+          } else if (detectionMode === DETECTION_MODES.HEURISTIC) {
+            const language = LANGUAGE_CONFIG.SUPPORTED.includes(link.language) ? link.language : LANGUAGE_CONFIG.DEFAULT;
+            const result = this.applySensitivity({ ...heuristicDetect(link.text, language), language }, sensitivity);
+            console.log('BaitBreaker: Heuristic result:', result.isClickbait ? 'CLICKBAIT' : 'NOT CLICKBAIT',
+                        `(${Math.round((result.confidence || 0) * 100)}%)`, result.reason || '-');
+            return result;
+          } else if (detectionMode === DETECTION_MODES.STATISTICAL) {
+            const result = this.statisticalClassifier.classify(link.text);
+            // Confidence is a calibrated clickbait probability, so the threshold alone decides
+            const isClickbait = result.confidence >= getSensitivityThreshold(sensitivity);
+            console.log('BaitBreaker: Offline model result:', isClickbait ? 'CLICKBAIT' : 'NOT CLICKBAIT',
+                        `(${Math.round(result.confidence * 100)}%)`);
+            return { ...result, isClickbait };
+          } else if (detectionMode === DETECTION_MODES.HYBRID) {
+            return await this.classifyHybrid(link, customPatterns, sensitivity, hybridBand, linkSignal, tabId);
+          } else if (detectionMode === DETECTION_MODES.ENSEMBLE) {
+            return await this.classifyEnsemble(link, customPatterns, sensitivity, ensembleWeights, linkSignal, tabId);
           } else {
-            console.log('BaitBreaker: Classifying (AI):', link.text.substring(0, 50));
-            const classification = await this.aiManager.classifyClickbait(link.text);
-            await this.cacheManager.saveClassification(link.text, classification);
-            const threshold = Math.max(1, Math.min(10, Number(sensitivity) || SENSITIVITY_CONFIG.DEFAULT)) / 10;
-            const isClickbait = (classification.confidence || 0) >= threshold && !!classification.isClickbait;
-            const adjusted = { ...classification, isClickbait };
-            console.log('BaitBreaker: AI result:', adjusted.isClickbait ? 'CLICKBAIT' : 'NOT CLICKBAIT',
-                        `(${Math.round((adjusted.confidence || 0) * 100)}%)`, `threshold=${Math.round(threshold*100)}%`);
-            return adjusted;
+            return await this.classifyWithAI(link.text, sensitivity, link.context, linkSignal, tabId);
+          }
+        } catch (error) {
+          if (isAbortError(error) && linkSignal.aborted) {
+            return { isClickbait: false, cancelled: true };
           }
+          console.error('BaitBreaker: Error classifying link:', error);
+          return { isClickbait: false, error: true, errorMessage: error.message };
         }
+      };
+
+      // Process in batches to control concurrency
+      const results = [];
+      for (let i = 0; i < links.length; i += CONCURRENT_LIMIT) {
+        throwIfAborted(signal);
+        const batch = links.slice(i, i + CONCURRENT_LIMIT);
+        const batchResults = await Promise.all(batch.map((link, j) => classifyLink(link, i + j)));
+        results.push(...batchResults);
+      }
+      throwIfAborted(signal);
+
+      console.log(`BaitBreaker: Classification complete. Found ${results.filter(r => r.isClickbait).length} clickbait links`);
+      return results;
+    } finally {
+      linkWork.forEach(work => work.release());
+    }
+  }
+
+  // Answers of a tab's in-page bridge come from a page that can forge them, so they stay
+  // out of the caches every tab reads
+  usesPageBridge() {
+    return this.backend === AI_BACKENDS.PAGE_BRIDGE;
+  }
+
+  // Raw Prompt API classification, served from cache when possible.
+  // The link context and the prompt template version are part of the cache key.
+  async getAIClassification(text, context = null, signal, tabId) {
+    const version = this.aiManager.getClassificationVersion();
+    const cached = await this.cacheManager.getClassification(text, context, version);
+    if (cached) {
+      console.log('BaitBreaker: Using cached classification for:', text.substring(0, 50));
+      return cached;
+    }
+
+    console.log('BaitBreaker: Classifying (AI):', text.substring(0, 50));
+    const classification = await this.aiManager.classifyClickbait(text, context, { signal, tabId });
+    if (classification.failure) {
+      // Not a verdict; keep it out of the cache so the next scan asks again
+      console.warn('BaitBreaker: Unusable AI response:', classification.failure);
+      return classification;
+    }
+    if (this.usesPageBridge()) return classification;
+    await this.cacheManager.saveClassification(text, classification, context, version);
+    return classification;
+  }
+
+  // Classify uncached headlines in batched prompts and store the answers in the cache.
+  // Failures are only logged: unanswered headlines fall back to single calls. Answers of
+  // the in-page bridge are not cached, so there is nothing to batch for.
+  async prefetchAIClassifications(links, batchSize = PERFORMANCE_CONFIG.AI_BATCH_SIZE, signal) {
+    const size = Math.min(Math.max(Math.floor(Number(batchSize)) || 1, 1), PERFORMANCE_CONFIG.AI_BATCH_MAX);
+    if (size < 2 || links.length < 2 || this.usesPageBridge()) return;
+
+    const version = this.aiManager.getClassificationVersion();
+    const cached = await Promise.all(links.map(link => this.cacheManager.getClassification(link.text, link.context, version)));
+    const pending = links.filter((_, i) => !cached[i]);
+
+    for (let i = 0; i < pending.length; i += size) {
+      throwIfAborted(signal);
+      const batch = pending.slice(i, i + size);
+      if (batch.length < 2) break;
+      const timeout = withTimeout(signal, TIMEOUT_CONFIG.AI_BATCH, 'Batch classification timed out');
+      try {
+        console.log(`BaitBreaker: Classifying batch of ${batch.length} (AI)`);
+        const classifications = await abortable(
+          this.aiManager.classifyClickbaitBatch(batch, { signal: timeout.signal }),
+          timeout.signal
+        );
+        const missing = classifications.filter(c => !c).length;
+        if (missing) {
+          console.warn(`BaitBreaker: Batch left ${missing} of ${batch.length} headlines unanswered, using single calls`);
+        }
+        await Promise.all(batch.map((link, j) => classifications[j]
+          ? this.cacheManager.saveClassification(link.text, classifications[j], link.context, version)
+          : null));
       } catch (error) {
-        console.error('BaitBreaker: Error classifying link:', error);
-        return { isClickbait: false, error: true, errorMessage: error.message };
+        throwIfAborted(signal);
+        console.warn('BaitBreaker: Batch classification failed, using single calls:', error.message);
+      } finally {
+        timeout.clear();
       }
-    };
+    }
+  }
+
+  async classifyWithAI(text, sensitivity, context = null, signal, tabId) {
+    const classification = await this.getAIClassification(text, context, signal, tabId);
+    const adjusted = this.applySensitivity(classification, sensitivity);
+    console.log('BaitBreaker: AI result:', adjusted.isClickbait ? 'CLICKBAIT' : 'NOT CLICKBAIT',
+                `(${Math.round((adjusted.confidence || 0) * 100)}%)`,
+                `threshold=${Math.round(getSensitivityThreshold(sensitivity) * 100)}%`);
+    return adjusted;
+  }
 
-    // Process in batches to control concurrency
-    const results = [];
-    for (let i = 0; i < links.length; i += CONCURRENT_LIMIT) {
-      const batch = links.slice(i, i + CONCURRENT_LIMIT);
-      const batchResults = await Promise.all(batch.map(classifyLink));
-      results.push(...batchResults);
+  // Cascade: the RegEx rules decide confident cases, only headlines whose RegEx
+  // confidence falls inside the uncertainty band [min, max) go to the Prompt API
+  async classifyHybrid(link, customPatterns, sensitivity, band = HYBRID_CONFIG.UNCERTAINTY_BAND, signal, tabId) {
+    const cheap = regexDetect(link.text, customPatterns, link.language, link.context);
+    const confidence = cheap.confidence || 0;
+
+    if (confidence < band.min || confidence >= band.max || !this.initialized) {
+      const isClickbait = confidence >= band.max ||
+        (!this.initialized && cheap.isClickbait && confidence >= band.min);
+      const result = this.applySensitivity({ ...cheap, isClickbait }, sensitivity);
+      console.log('BaitBreaker: Hybrid decided by RegEx:', result.isClickbait ? 'CLICKBAIT' : 'NOT CLICKBAIT',
+                  `(${Math.round(confidence * 100)}%)`);
+      // Without Chrome AI there was no call to save
+      return { ...result, stage: DETECTION_MODES.REGEX, aiCallSaved: this.initialized };
     }
 
-    console.log(`BaitBreaker: Classification complete. Found ${results.filter(r => r.isClickbait).length} clickbait links`);
-    return results;
+    const result = await this.classifyWithAI(link.text, sensitivity, link.context, signal, tabId);
+    return { ...result, language: cheap.language, stage: DETECTION_MODES.CHROME_AI };
   }
 
-  async getSummaryForUrl(url) {
+  // Weighted average of the RegEx, heuristic and AI clickbait probabilities (src/lib/ensemble.js).
+  // A detector that throws or times out is dropped from the average and the result is tagged as degraded.
+  async classifyEnsemble(link, customPatterns, sensitivity, weights = ENSEMBLE_CONFIG.WEIGHTS, signal, tabId) {
+    const language = LANGUAGE_CONFIG.SUPPORTED.includes(link.language) ? link.language : LANGUAGE_CONFIG.DEFAULT;
+    const detectors = {
+      [DETECTION_MODES.REGEX]: async () => regexDetect(link.text, customPatterns, language, link.context),
+      [DETECTION_MODES.HEURISTIC]: async () => heuristicDetect(link.text, language),
+      [DETECTION_MODES.CHROME_AI]: async (detectorSignal) => {
+        if (!this.initialized) throw new Error('Chrome AI not available');
+        const result = await this.getAIClassification(link.text, link.context, detectorSignal, tabId);
+        if (result.failure) throw new Error(`Invalid AI response: ${result.failure}`);
+        return result;
+      }
+    };
+
+    const active = ENSEMBLE_CONFIG.DETECTORS.filter(id => (weights[id] ?? 0) > 0);
+    const outcomes = await Promise.allSettled(active.map(id => {
+      const timeout = withTimeout(signal, ENSEMBLE_CONFIG.DETECTOR_TIMEOUT, `${id} timed out`);
+      return abortable(detectors[id](timeout.signal), timeout.signal).finally(timeout.clear);
+    }));
+    // A cancelled link has no result, not a degraded one
+    throwIfAborted(signal);
+
+    outcomes.forEach((outcome, i) => {
+      if (outcome.status === 'rejected') {
+        console.warn(`BaitBreaker: Ensemble detector ${active[i]} failed:`, outcome.reason?.message);
+      }
+    });
+    const result = combineDetectors(active, outcomes, weights, getSensitivityThreshold(sensitivity));
+    console.log('BaitBreaker: Ensemble result:', result.isClickbait ? 'CLICKBAIT' : 'NOT CLICKBAIT',
+                `(${Math.round(result.confidence * 100)}%)`, result.degraded ? `degraded: ${result.failedDetectors.join(', ')}` : '');
+
+    return { ...result, language };
+  }
+
+  // Only count a result as clickbait if its confidence reaches the sensitivity threshold
+  applySensitivity(classification, sensitivity) {
+    const threshold = getSensitivityThreshold(sensitivity);
+    const isClickbait = (classification.confidence || 0) >= threshold && !!classification.isClickbait;
+    return { ...classification, isClickbait };
+  }
+
+  // A requested style (from the tooltip) overrides the style in the settings
+  async resolveSummaryStyle(requested) {
+    const { summaryStyle, promptTemplates } = await this.settingsManager.load();
+    this.aiManager.setPromptTemplates(promptTemplates);
+    return normalizeSummaryStyle({ ...summaryStyle, ...(requested || {}) });
+  }
+
+  // Summaries are keyed by their prompt template too (the answer prompt or the summarizer
+  // context), so editing the prompt starts fresh
+  getSummaryCacheKey(style) {
+    const styleKey = getSummaryStyleKey(style);
+    const version = style.type === SUMMARY_CONFIG.ANSWER_TYPE
+      ? this.aiManager.getAnswerVersion()
+      : this.aiManager.getSummaryContextVersion();
+    return `${styleKey}+${version}`;
+  }
+
+  // Ask the Prompt API to answer the headline; invalid answers are thrown so they are not cached
+  async answerHeadline(title, articleContent, signal, tabId) {
+    const answer = await this.aiManager.answerHeadline(title, articleContent, { signal, tabId });
+    if (answer.failure) throw new Error(`Invalid answer response (${answer.failure})`);
+    return answer;
+  }
+
+  // Delivery scores are cached per scorer: the prompt template key, or 'lexical' without the Prompt API
+  getDeliveryVersion() {
+    return this.aiManager.canPrompt ? this.aiManager.getDeliveryVersion() : 'lexical';
+  }
+
+  /**
+   * Score whether a fetched article delivers what its headline promises
+   * Uses the Prompt API when available and word overlap otherwise (or when the model's
+   * answer is unusable).
+   * @returns {Promise<{score: number, reason: string, method: 'ai'|'lexical'}|null>} null if
+   *   the headline cannot be scored
+   */
+  async getDeliveryScore(url, title, articleContent, signal, tabId) {
+    if (!title) return null;
+    const version = this.getDeliveryVersion();
+    const cached = await this.cacheManager.getDelivery(url, title, version);
+    if (cached) return cached;
+
+    let delivery = null;
+    if (this.aiManager.canPrompt) {
+      try {
+        const result = await this.aiManager.scoreDelivery(title, articleContent, { signal, tabId });
+        if (!result.failure) delivery = { score: result.score, reason: result.reason, method: 'ai' };
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.warn('BaitBreaker: Delivery scoring failed, using word overlap:', error);
+      }
+    }
+    if (!delivery) {
+      const lexical = lexicalDeliveryScore(title, articleContent);
+      if (!lexical) return null;
+      delivery = { ...lexical, method: 'lexical' };
+    }
+    if (delivery.method !== 'ai' || !this.usesPageBridge()) {
+      await this.cacheManager.saveDelivery(url, title, delivery, version);
+    }
+    return delivery;
+  }
+
+  async getSummaryForUrl(url, requestedStyle, title = '', signal, tabId) {
     try {
-      const cached = await this.cacheManager.getSummary(url);
+      const style = await this.resolveSummaryStyle(requestedStyle);
+      const cacheKey = this.getSummaryCacheKey(style);
+      const articleUrl = await this.resolveArticleUrl(url);
+      const cached = await this.cacheManager.getSummary(articleUrl, cacheKey);
       if (cached) return cached;
 
-      const articleContent = await this.articleFetcher.fetchAndParse(url);
-      const summary = await this.aiManager.summarizeArticle(articleContent);
-      await this.cacheManager.saveSummary(url, summary);
-      return summary;
+      return await this.inFlight.run(this.inFlightKey(`summary ${articleUrl} ${cacheKey}`, tabId), (shared, publish) =>
+        this.summarizeLinkedArticle(articleUrl, style, cacheKey, title, shared, tabId, publish), signal);
     } catch (error) {
       console.error('Error getting summary:', error);
       return 'Unable to generate summary. ' + error.message;
     }
   }
+
+  // In-page bridge work belongs to the tab that asked, so tabs do not share it
+  inFlightKey(key, tabId) {
+    return this.usesPageBridge() ? `${key} ${tabId}` : key;
+  }
+
+  /**
+   * Fetch and summarize an article that has no cached summary in this style
+   * Run once per article and style however many requests and streams wait for it; see
+   * streamSummary() for the updates it publishes ('metadata', 'article', 'chunk').
+   * @returns {Promise<string|Object>} The summary: text, an answer, or `{page}`
+   */
+  async summarizeLinkedArticle(articleUrl, style, cacheKey, title, signal, tabId, publish) {
+    const { article, cached: known } = await this.fetchLinkedArticle(articleUrl, cacheKey, signal);
+    const metadata = await this.saveArticleMetadata(article.url, article.metadata);
+    if (metadata) publish({ type: 'metadata', metadata });
+    if (known) return known;
+    if (article.page.type !== PAGE_TYPES.ARTICLE) return this.saveUnavailablePage(article.url, article.page, cacheKey);
+    // Not posted: each stream scores the article against its own headline
+    publish({ type: 'article', article });
+
+    if (style.type === SUMMARY_CONFIG.ANSWER_TYPE) {
+      // Structured output is not streamed; the answer arrives in one piece
+      const answer = await this.answerHeadline(title, article.text, signal, tabId);
+      await this.cacheSummary(article.url, answer, cacheKey);
+      return answer;
+    }
+
+    const { controller, release } = childController(signal);
+    const chunks = this.aiManager.summarizeArticleStreaming(article.text, style, { title, signal: controller.signal, tabId });
+    let text = '';
+    try {
+      while (true) {
+        // A stalled stream is aborted, which stops the model as well
+        const timer = setTimeout(() => controller.abort(timeoutError('Summary stream stalled')), STREAM_CONFIG.IDLE_TIMEOUT);
+        const next = await abortable(chunks.next(), controller.signal).finally(() => clearTimeout(timer));
+        if (next.done) break;
+        text = next.value;
+        publish({ type: 'chunk', text });
+      }
+    } finally {
+      chunks.return().catch(() => {});
+      release();
+    }
+    await this.cacheSummary(article.url, text, cacheKey);
+    return text;
+  }
+
+  // URL a link's summary is cached under: the canonical URL of its article if the link was
+  // fetched before, the link without redirectors and tracking parameters otherwise
+  async resolveArticleUrl(url) {
+    return (await this.cacheManager.getCanonicalUrl(url)) || normalizeUrl(url);
+  }
+
+  // Fetch the article behind a link and remember its canonical URL. A link can turn out to
+  // be another way to an article that is already summarized (a shortener, a mirror URL);
+  // that summary is returned as `cached`. Requests for the same link share one fetch.
+  async fetchLinkedArticle(url, cacheKey, signal) {
+    return this.inFlight.run(`fetch ${url} ${cacheKey}`, async (shared) => {
+      const article = await this.articleFetcher.fetchArticle(url, { signal: shared });
+      if (article.url === url) return { article, cached: null };
+      await this.cacheManager.saveCanonicalUrl(url, article.url);
+      return { article, cached: await this.cacheManager.getSummary(article.url, cacheKey) };
+    }, signal);
+  }
+
+  // Publisher, author and date from the article's JSON-LD or Open Graph tags, if it has any
+  async saveArticleMetadata(url, metadata) {
+    if (!metadata || Object.keys(metadata).length === 0) return null;
+    await this.cacheManager.saveMetadata(url, metadata);
+    return metadata;
+  }
+
+  // Summaries from the in-page bridge are kept by the tab that asked for them only
+  async cacheSummary(url, summary, cacheKey) {
+    if (this.usesPageBridge()) return;
+    await this.cacheManager.saveSummary(url, summary, cacheKey);
+  }
+
+  // Paywalls, consent walls, error pages and non-articles are not summarized. Their summary
+  // is `{page: {type, reason}}`, cached only briefly since the page may work next time.
+  async saveUnavailablePage(url, page, cacheKey) {
+    console.log(`BaitBreaker: Not summarizing ${url}: ${page.type} (${page.reason})`);
+    const summary = { page };
+    await this.cacheManager.saveSummary(url, summary, cacheKey, getFailureCacheTtlMs());
+    return summary;
+  }
+
+  // Stream a summary over a long-lived port. Messages carry the URL and style key plus:
+  //   {type: 'chunk', text}           - summary text so far
+  //   {type: 'metadata', metadata}    - publisher, author, date etc. of the article, see
+  //                                     src/lib/article-metadata.js; sent before the first chunk
+  //   {type: 'delivery', delivery}    - "bait delivered" score for the headline, sent before 'done'
+  //   {type: 'done', summary}         - final text (cached unless the in-page bridge wrote it);
+  //                                     {answered, answer, quote} in answer mode,
+  //                                     {page: {type, reason}} for pages that are not articles
+  //   {type: 'error', partial, message} - the stream was cut off; partial text is not cached
+  // Streams of the same article and style share one fetch and one model run. Closing the
+  // port (the page cancelled or unloaded) aborts them once no other stream is waiting.
+  async streamSummary(port, url, requestedStyle, title = '') {
+    const tabId = port.sender?.tab?.id;
+    const controller = new AbortController();
+    const { signal } = controller;
+    let disconnected = false;
+    port.onDisconnect.addListener(() => {
+      disconnected = true;
+      controller.abort(cancelledError('Summary stream closed by the page'));
+    });
+    const post = (message) => {
+      if (disconnected) return;
+      try {
+        port.postMessage({ url, style: styleKey, ...message });
+      } catch {
+        disconnected = true;
+      }
+    };
+
+    let text = '';
+    let delivery = null;
+    let styleKey = '';
+    this.startKeepalive();
+    try {
+      const style = await this.resolveSummaryStyle(requestedStyle);
+      styleKey = getSummaryStyleKey(style);
+      const cacheKey = this.getSummaryCacheKey(style);
+      const articleUrl = await this.resolveArticleUrl(url);
+      const cached = await this.cacheManager.getSummary(articleUrl, cacheKey);
+      if (cached) {
+        const metadata = await this.cacheManager.getMetadata(articleUrl);
+        if (metadata) post({ type: 'metadata', metadata });
+        const delivery = title && await this.cacheManager.getDelivery(articleUrl, title, this.getDeliveryVersion());
+        if (delivery) post({ type: 'delivery', delivery });
+        post({ type: 'done', summary: cached, cached: true });
+        return;
+      }
+      if (!this.initialized) {
+        throw new Error(this.initError ? this.initError.message : 'The AI provider may not be available.');
+      }
+
+      const onUpdate = (update) => {
+        if (update.type === 'article') {
+          // Scored alongside the summary; posted as soon as it is ready
+          delivery ??= this.shareDeliveryScore(update.article, title, signal, tabId)
+            .then(result => { if (result) post({ type: 'delivery', delivery: result }); })
+            .catch(error => { if (!signal.aborted) console.warn('BaitBreaker: Delivery score failed:', error); });
+          return;
+        }
+        if (update.type === 'chunk') text = update.text;
+        post(update);
+      };
+      const summary = await this.inFlight.run(this.inFlightKey(`summary ${articleUrl} ${cacheKey}`, tabId), (shared, publish) =>
+        this.summarizeLinkedArticle(articleUrl, style, cacheKey, title, shared, tabId, publish), signal, onUpdate);
+      await delivery;
+      post({ type: 'done', summary });
+    } catch (error) {
+      if (disconnected) {
+        console.log('BaitBreaker: Summary stream closed by the page:', url);
+        return;
+      }
+      console.error('BaitBreaker: Summary stream failed:', error);
+      post({ type: 'error', partial: text, message: error.message || String(error) });
+    } finally {
+      this.stopKeepalive();
+    }
+  }
+
+  // Delivery score of one headline; streams showing the same headline share it
+  shareDeliveryScore(article, title, signal, tabId) {
+    return this.inFlight.run(this.inFlightKey(`delivery ${article.url} ${title}`, tabId), (shared) =>
+      this.getDeliveryScore(article.url, title, article.text, shared, tabId), signal);
+  }
 }
 
 const service = new BaitBreakerService();
 service.initialize();
 
+// Pick up a changed AI provider, endpoint or API key (kept in local storage)
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if ((area === 'sync' && changes.settings) || (area === 'local' && changes.aiApiKey)) {
+    service.applyProviderSettings(await service.settingsManager.load());
+  }
+});
+
+// Forget bridges of closed tabs and stop their work
+chrome.tabs.onRemoved.addListener((tabId) => {
+  service.pageBridge.unregister(tabId);
+  service.work.cancel(tabId, undefined, 'Tab closed');
+});
+
 // Service worker lifecycle logging
 self.addEventListener('install', (event) => {
   console.log('BaitBreaker: Service worker INSTALLED');
@@ -221,6 +846,17 @@ self.addEventListener('activate', (event) => {
 // Log when service worker starts (this runs on every wake-up)
 console.log('BaitBreaker: Service worker script executed at', new Date().toISOString());
 
+// Long-lived ports for streamed summaries
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== STREAM_CONFIG.SUMMARY_PORT) return;
+  port.onMessage.addListener((msg) => {
+    if (msg?.action === 'streamSummary' && msg.url) {
+      if (msg.bridge && port.sender?.tab?.id != null) service.registerPageBridge(port.sender.tab.id, msg.bridge);
+      service.streamSummary(port, msg.url, msg.style, msg.title);
+    }
+  });
+});
+
 // Ultra-robust message listener with Promise-based async handling (MV3 pattern)
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   console.log('BaitBreaker: Message listener triggered for action:', request?.action);
@@ -230,7 +866,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   const handleMessagePromise = (async () => {
     try {
       console.log('BaitBreaker: Starting handleMessage for:', request?.action);
-      const result = await service.handleMessage(request);
+      const result = await service.handleMessage(request, sender);
       console.log('BaitBreaker: handleMessage completed successfully for:', request?.action);
 
       // Stop keepalive after response is ready
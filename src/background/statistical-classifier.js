@@ -0,0 +1,47 @@
+// src/background/statistical-classifier.js
+// Offline headline classifier: logistic regression over word and character n-grams.
+// Runs entirely in the service worker; the model is bundled and retrained with
+// `npm run train:classifier`.
+import { HEADLINE_MODEL } from './models/headline-model.js';
+import { extractFeatures, describeFeature } from '../lib/headline-features.js';
+
+const TOP_SIGNALS = 3;
+
+export class StatisticalClassifier {
+  constructor(model = HEADLINE_MODEL) {
+    this.model = model;
+  }
+
+  /**
+   * Classify a headline
+   * @param {string} text - Headline text
+   * @returns {{isClickbait: boolean, confidence: number, reason: string}} `confidence` is the
+   *   calibrated probability that the headline is clickbait
+   */
+  classify(text) {
+    const { weights, bias, calibration } = this.model;
+    const contributions = [];
+    let z = bias;
+
+    for (const feature of extractFeatures(text)) {
+      const weight = weights[feature];
+      if (weight) {
+        z += weight;
+        contributions.push({ feature, weight });
+      }
+    }
+
+    const confidence = 1 / (1 + Math.exp(-(calibration.a * z + calibration.b)));
+    const signals = contributions
+      .filter(c => c.weight > 0 && describeFeature(c.feature))
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, TOP_SIGNALS)
+      .map(c => describeFeature(c.feature));
+
+    return {
+      isClickbait: confidence >= 0.5,
+      confidence,
+      reason: signals.length ? `model signals: ${signals.join(', ')}` : ''
+    };
+  }
+}
@@ -0,0 +1,51 @@
+// src/background/work-registry.js
+// In-flight classification and summary work, per tab. Content scripts cancel their
+// requests (or single links of a request) with `cancelWork` messages; all work of a tab
+// is cancelled when it closes or navigates away.
+import { childController, cancelledError } from '../lib/abort.js';
+
+export class WorkRegistry {
+  constructor() {
+    this.controllers = new Map();    // `${tabId}:${workId}` -> AbortController
+  }
+
+  /**
+   * Register work that can be cancelled
+   * @param {number} [tabId] - Requesting tab; without it the work can only be aborted by `parent`
+   * @param {string} [workId] - Id chosen by the content script
+   * @param {AbortSignal} [parent] - Aborting it aborts this work too
+   * @returns {{signal: AbortSignal, release: function(): void}} Call release() when the work ends
+   */
+  track(tabId, workId, parent) {
+    const { controller, release } = childController(parent);
+    const key = tabId != null && workId != null ? `${tabId}:${workId}` : null;
+    if (key) this.controllers.set(key, controller);
+    return {
+      signal: controller.signal,
+      release: () => {
+        release();
+        if (key && this.controllers.get(key) === controller) this.controllers.delete(key);
+      }
+    };
+  }
+
+  /**
+   * Abort work of a tab
+   * @param {number} tabId - Tab
+   * @param {string[]} [workIds] - Work to abort; everything of the tab if omitted
+   * @param {string} [reason] - Message of the AbortError
+   * @returns {number} How much work was aborted
+   */
+  cancel(tabId, workIds, reason = 'Cancelled') {
+    const prefix = `${tabId}:`;
+    let count = 0;
+    for (const [key, controller] of this.controllers) {
+      if (!key.startsWith(prefix)) continue;
+      if (workIds && !workIds.includes(key.slice(prefix.length))) continue;
+      this.controllers.delete(key);
+      controller.abort(cancelledError(reason));
+      count++;
+    }
+    return count;
+  }
+}
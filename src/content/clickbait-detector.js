@@ -1,5 +1,7 @@
 // src/content/clickbait-detector.js
-import { getCompiledRegexPatterns, CONFIDENCE_CONFIG } from '../../config/config.js';
+import { getCompiledRegexPatterns, CONFIDENCE_CONFIG, LANGUAGE_CONFIG, CONTEXT_CONFIG } from '../../config/config.js';
+import { evaluateRules, describeMatches } from '../lib/rule-engine.js';
+import { validatePattern } from '../lib/pattern-validator.js';
 
 export const CLICKBAIT_PATTERNS = {
   questions: [/^(what|why|how|when|where|who|which)\s/i, /\?$/],
@@ -8,34 +10,80 @@ export const CLICKBAIT_PATTERNS = {
   listicles: [/^\d+\s+(ways|things|reasons|tips)/i, /top\s+\d+/i]
 };
 
-export function heuristicDetect(text) {
+export const CLICKBAIT_PATTERN_PACKS = {
+  en: CLICKBAIT_PATTERNS,
+  de: {
+    questions: [/^(was|warum|wieso|weshalb|wie|wann|wo|wer|welche[rsnm]?)\s/iu, /\?$/],
+    curiosityGap: [/du wirst (es )?nicht glauben/iu, /schockierend/iu, /dieser eine trick/iu, /ärzte hassen/iu, /was dann (geschah|passierte)/iu],
+    emotional: [/herzzerreißend/iu, /atemberaubend/iu, /unfassbar/iu, /unglaublich/iu],
+    listicles: [/^\d+\s+(wege|dinge|gründe|tipps)/iu, /top\s+\d+/iu]
+  },
+  es: {
+    questions: [/^¿?\s*(qué|por qué|cómo|cuándo|dónde|quién|cuál)\s/iu, /\?$/],
+    curiosityGap: [/no vas a creer/iu, /impactante/iu, /este truco/iu, /los médicos odian/iu, /lo que pasó después/iu],
+    emotional: [/desgarrador/iu, /alucinante/iu, /increíble/iu, /insólito/iu],
+    listicles: [/^\d+\s+(formas|maneras|cosas|razones|consejos)/iu, /top\s+\d+/iu]
+  },
+  fr: {
+    questions: [/^(qu['’]|(que|quoi|pourquoi|comment|quand|où|qui|quel(le)?s?)\s)/iu, /\?$/],
+    curiosityGap: [/vous n['’]allez pas (le )?croire/iu, /choquant/iu, /cette astuce/iu, /les médecins détestent/iu, /ce qui s['’]est passé ensuite/iu],
+    emotional: [/déchirant/iu, /hallucinant/iu, /incroyable/iu, /époustouflant/iu],
+    listicles: [/^\d+\s+(façons|manières|choses|raisons|conseils)/iu, /top\s+\d+/iu]
+  }
+};
+
+export function heuristicDetect(text, language = LANGUAGE_CONFIG.DEFAULT) {
   const reasons = [];
   const t = text.trim();
-  if (CLICKBAIT_PATTERNS.questions.some(r => r.test(t))) reasons.push('question form');
-  if (CLICKBAIT_PATTERNS.curiosityGap.some(r => r.test(t))) reasons.push('curiosity gap');
-  if (CLICKBAIT_PATTERNS.emotional.some(r => r.test(t))) reasons.push('emotional language');
-  if (CLICKBAIT_PATTERNS.listicles.some(r => r.test(t))) reasons.push('listicle');
+  const patterns = CLICKBAIT_PATTERN_PACKS[language] || CLICKBAIT_PATTERNS;
+  if (patterns.questions.some(r => r.test(t))) reasons.push('question form');
+  if (patterns.curiosityGap.some(r => r.test(t))) reasons.push('curiosity gap');
+  if (patterns.emotional.some(r => r.test(t))) reasons.push('emotional language');
+  if (patterns.listicles.some(r => r.test(t))) reasons.push('listicle');
   const confidence = reasons.length > 0 
     ? Math.min(CONFIDENCE_CONFIG.HEURISTIC.BASE + reasons.length * CONFIDENCE_CONFIG.HEURISTIC.MULTIPLIER, CONFIDENCE_CONFIG.HEURISTIC.MAX)
     : 0;
   return { isClickbait: reasons.length > 0, confidence, reason: reasons.join(', ') };
 }
 
-// Get compiled regex patterns from config
-function getRegexPatterns() {
-  return getCompiledRegexPatterns();
+// Get compiled regex rules from config, skipping user patterns that fail validation
+function getRegexPatterns(customPatterns = [], language = LANGUAGE_CONFIG.DEFAULT) {
+  const safePatterns = customPatterns.filter(p => validatePattern(p?.pattern, p?.flags ?? 'i').valid);
+  return getCompiledRegexPatterns(safePatterns, language);
+}
+
+// Match offsets refer to the trimmed headline text
+// Context text (teaser, image alt, aria-label) can only add a damped score from a few rule categories
+function evaluateContext(context, rules) {
+  const contextRules = rules.filter(r => CONTEXT_CONFIG.RULE_CATEGORIES.includes(r.category));
+  const matches = [];
+  let score = 0;
+  for (const field of CONTEXT_CONFIG.RULE_FIELDS) {
+    const value = String(context?.[field] || '').trim();
+    if (!value) continue;
+    evaluateRules(value, contextRules).matches.forEach(match => {
+      const weight = match.weight * CONTEXT_CONFIG.RULE_WEIGHT_FACTOR;
+      score += weight;
+      matches.push({ ...match, weight, source: field });
+    });
+  }
+  return { score, matches };
 }
 
-export function regexDetect(text) {
+export function regexDetect(text, customPatterns = [], language = LANGUAGE_CONFIG.DEFAULT, context = null) {
+  const pack = LANGUAGE_CONFIG.SUPPORTED.includes(language) ? language : LANGUAGE_CONFIG.DEFAULT;
   const t = text.trim();
-  if (!t) return { isClickbait: false, confidence: 0 };
+  if (!t) return { isClickbait: false, confidence: 0, score: 0, matches: [], reason: '', language: pack };
 
-  const patterns = getRegexPatterns();
-  const matches = patterns.filter(r => r.test(t));
-  const isClickbait = matches.length > 0;
-  // Confidence scales with number of distinct regex matches
-  const confidence = isClickbait 
-    ? Math.min(CONFIDENCE_CONFIG.REGEX.BASE + matches.length * CONFIDENCE_CONFIG.REGEX.MULTIPLIER, CONFIDENCE_CONFIG.REGEX.MAX)
+  const rules = getRegexPatterns(customPatterns, pack);
+  const headline = evaluateRules(t, rules);
+  const extra = context ? evaluateContext(context, rules) : { score: 0, matches: [] };
+  const score = headline.score + extra.score;
+  const matches = [...headline.matches, ...extra.matches];
+  const isClickbait = score > 0 && matches.some(m => m.weight > 0);
+  // Confidence scales with the summed weight of the matched rules
+  const confidence = isClickbait
+    ? Math.min(CONFIDENCE_CONFIG.REGEX.BASE + score * CONFIDENCE_CONFIG.REGEX.MULTIPLIER, CONFIDENCE_CONFIG.REGEX.MAX)
     : 0;
-  return { isClickbait, confidence };
+  return { isClickbait, confidence, score, matches, reason: describeMatches(matches), language: pack };
 }
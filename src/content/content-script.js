@@ -5,10 +5,29 @@
 
 import {
   TIMEOUT_CONFIG,
+  STREAM_CONFIG,
   RETRY_CONFIG,
   PERFORMANCE_CONFIG,
-  SENSITIVITY_CONFIG
+  SENSITIVITY_CONFIG,
+  LANGUAGE_CONFIG,
+  DETECTION_MODE_LABELS,
+  UI_CONFIG,
+  SUMMARY_CONFIG,
+  DETECTION_MODES,
+  AI_BACKENDS,
+  AI_PROVIDERS,
+  PAGE_TYPE_LABELS,
+  getSensitivityThreshold,
+  getClassificationTimeout
 } from '../../config/config.js';
+import { normalizeLanguage, detectLanguage } from '../lib/language-detector.js';
+import { normalizeUrl } from '../lib/url-normalizer.js';
+import { adjustForDelivery } from '../lib/delivery-score.js';
+import { extractLinkContext } from './link-context.js';
+import { PageBridge } from './page-bridge.js';
+
+// Modes that never call Chrome AI, so they need not wait for the in-page bridge
+const LOCAL_DETECTION_MODES = [DETECTION_MODES.REGEX, DETECTION_MODES.HEURISTIC, DETECTION_MODES.STATISTICAL];
 
 /**
  * Main Content Manager Class
@@ -21,9 +40,24 @@ class BaitBreakerContentManager {
     this.summaryCache = new Map();
     this.summaryLoadingStatus = new Map(); // 'loading' | 'ready' | 'error'
     this.summarizedClickbait = new Set();
+    this.summaryPartial = new Map();      // Streamed text so far, per URL
+    this.summaryIncomplete = new Set();   // URLs whose stream was cut off
+    this.summaryStreams = new Map();      // Open summary streams ({port, cancel}), per URL
+    this.summaryStyleOverrides = new Map(); // Style picked in the tooltip, per URL
+    this.deliveryScores = new Map();      // "Bait delivered" score of the fetched article, per URL
+    this.articleMetadata = new Map();     // Publisher, author and date of the fetched article, per URL
+    this.pendingRequests = new Map();     // classifyLinks request id -> [{workId, element, cancelled}]
+    this.nextRequestId = 0;
     
     // UI elements
     this.tooltip = null;
+    this.tooltipAnchor = null;
+    this.tooltipMeta = null;
+    this.tooltipHideTimer = null;
+
+    // In-page AI bridge, set up when the service worker has no Chrome AI
+    this.pageBridge = null;
+    this.pageBridgeReady = Promise.resolve();
     
     // Observers and timers
     this.mutationObserver = null;
@@ -33,6 +67,8 @@ class BaitBreakerContentManager {
     this.isScanning = false;
     this.contextInvalidated = false;
     this.clickbaitCount = 0;
+    this.aiCallsSaved = 0;           // Hybrid mode: links decided without calling the Prompt API
+    this.aiCallsMade = 0;            // Hybrid mode: links sent to the Prompt API
     
     // Settings
     this.settings = {
@@ -61,6 +97,9 @@ class BaitBreakerContentManager {
       // Load settings from storage
       await this.loadSettings();
 
+      // Not awaited: links that need Chrome AI wait for it in processLinks
+      this.pageBridgeReady = this.setupPageBridge();
+
       // Start scanning if enabled
       if (this.settings.enabled !== false) {
         await this.scanPageForLinks();
@@ -72,6 +111,11 @@ class BaitBreakerContentManager {
       // Listen for messages from background script
       chrome.runtime.onMessage.addListener(this.handleMessage);
 
+      // Stop the service worker's work for this page; summary ports close by themselves
+      window.addEventListener('pagehide', () => {
+        if (this.pendingRequests.size) this.cancelWork();
+      });
+
       console.log('BaitBreaker: Content script initialized successfully');
     } catch (error) {
       console.error('BaitBreaker: Failed to initialize content script:', error);
@@ -92,16 +136,22 @@ class BaitBreakerContentManager {
   }
 
   /**
-   * Load settings from chrome.storage.sync
+   * Load settings from chrome.storage.sync (custom patterns from chrome.storage.local)
    */
   async loadSettings() {
     try {
-      const stored = await chrome.storage.sync.get('settings');
+      const [stored, local] = await Promise.all([
+        chrome.storage.sync.get('settings'),
+        chrome.storage.local.get('customPatterns')
+      ]);
       if (stored?.settings) {
         this.settings = {
           enabled: stored.settings.enabled !== false,
           detectionMode: stored.settings.detectionMode || 'regex',
-          sensitivity: stored.settings.sensitivity ?? SENSITIVITY_CONFIG.DEFAULT
+          sensitivity: stored.settings.sensitivity ?? SENSITIVITY_CONFIG.DEFAULT,
+          // Saved in sync storage by older versions
+          customPatterns: local?.customPatterns || stored.settings.customPatterns || [],
+          summaryStyle: stored.settings.summaryStyle
         };
       }
     } catch (error) {
@@ -109,17 +159,50 @@ class BaitBreakerContentManager {
     }
   }
 
+  /**
+   * Inject the in-page AI bridge if the service worker reports no Chrome AI of its own
+   */
+  async setupPageBridge() {
+    try {
+      const status = await this.safeRuntimeMessage({ action: 'getBackendStatus' });
+      // `error: true` marks a failed request; a string is the reason the worker has no AI
+      if (!status || status.error === true) return;
+      // The bridge stands in for Chrome AI only; a local server needs no page
+      if (status.provider !== AI_PROVIDERS.CHROME || status.backend === AI_BACKENDS.SERVICE_WORKER) return;
+
+      const bridge = new PageBridge();
+      const capabilities = await bridge.connect();
+      if (!capabilities.prompt && !capabilities.summarizer) {
+        console.warn('BaitBreaker: Chrome AI is not available in the page either');
+        bridge.disconnect();
+        return;
+      }
+      this.pageBridge = bridge;
+      console.log('BaitBreaker: Using the in-page AI bridge', capabilities);
+    } catch (error) {
+      console.warn('BaitBreaker: In-page AI bridge unavailable:', error.message);
+    }
+  }
+
+  // Sent with requests so the service worker can route AI calls through this tab
+  get bridgeCapabilities() {
+    return this.pageBridge?.capabilities || undefined;
+  }
+
   /**
    * Safely send message to background service worker with retry and timeout
    * @param {Object} message - Message to send
    * @param {Object} options - Options for timeout and retry
+   * @param {function(Object): ?Object} [options.onTimeout] - Called before retrying a message
+   *   that timed out; returns the message to retry with, or null to give up
    * @returns {Promise<any>} Response from service worker
    */
   async safeRuntimeMessage(message, options = {}) {
     const {
       timeout = TIMEOUT_CONFIG.MESSAGE,
       maxRetries = RETRY_CONFIG.MAX_RETRIES,
-      retryDelay = RETRY_CONFIG.RETRY_DELAY
+      retryDelay = RETRY_CONFIG.RETRY_DELAY,
+      onTimeout = null
     } = options;
 
     // Validate context before attempting
@@ -129,6 +212,7 @@ class BaitBreakerContentManager {
     }
 
     let lastError = null;
+    let current = message;
 
     // Retry loop
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
@@ -146,7 +230,7 @@ class BaitBreakerContentManager {
       try {
         // Race between message and timeout
         const response = await Promise.race([
-          chrome.runtime.sendMessage(message),
+          chrome.runtime.sendMessage(current),
           new Promise((_, reject) =>
             setTimeout(() => reject(new Error('TIMEOUT')), timeout)
           )
@@ -179,7 +263,11 @@ class BaitBreakerContentManager {
         // Timeout - retry might help
         if (errorMsg === 'TIMEOUT') {
           console.warn(`BaitBreaker: Operation timed out after ${timeout}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
-          
+
+          if (attempt < maxRetries && onTimeout) {
+            current = onTimeout(current);
+            if (!current) throw new Error('TIMEOUT');
+          }
           if (attempt < maxRetries) {
             continue;
           }
@@ -264,17 +352,57 @@ class BaitBreakerContentManager {
     const linkData = links.map(link => ({
       element: link,
       text: (link.textContent || '').trim(),
-      href: link.href
+      href: link.href,
+      context: extractLinkContext(link)
     }));
 
+    // Pick a pattern pack: declared page language first, then the link text itself,
+    // then all link texts in this batch together
+    const pageLanguage = normalizeLanguage(document.documentElement.lang);
+    const batchLanguage = pageLanguage || detectLanguage(linkData.map(l => l.text).join(' '));
+    linkData.forEach(l => {
+      l.language = pageLanguage || detectLanguage(l.text) || batchLanguage || LANGUAGE_CONFIG.DEFAULT;
+    });
+
+    // Links can be cancelled one by one (see cancelDetachedWork) by their work id
+    const track = (previous = []) => {
+      const id = `classify-${++this.nextRequestId}`;
+      linkData.forEach((l, i) => { l.workId = `${id}/${i}`; });
+      this.pendingRequests.set(id, linkData.map((l, i) => ({ workId: l.workId, element: l.element, cancelled: !!previous[i]?.cancelled })));
+      return id;
+    };
+    let requestId = track();
+
     try {
-      const results = await this.safeRuntimeMessage({
+      const detectionMode = this.settings?.detectionMode || 'regex';
+      if (!LOCAL_DETECTION_MODES.includes(detectionMode)) await this.pageBridgeReady;
+
+      const request = () => ({
         action: 'classifyLinks',
-        links: linkData.map(l => ({ text: l.text, href: l.href })),
-        detectionMode: this.settings?.detectionMode || 'regex',
-        sensitivity: this.settings?.sensitivity ?? SENSITIVITY_CONFIG.DEFAULT
+        requestId,
+        links: linkData.map(l => ({ text: l.text, href: l.href, language: l.language, context: l.context, workId: l.workId })),
+        detectionMode,
+        sensitivity: this.settings?.sensitivity ?? SENSITIVITY_CONFIG.DEFAULT,
+        bridge: this.bridgeCapabilities
+      });
+      const results = await this.safeRuntimeMessage(request(), {
+        // The service worker gives up (and answers) first unless it is gone
+        timeout: Math.max(TIMEOUT_CONFIG.MESSAGE, getClassificationTimeout(linkData.length) + TIMEOUT_CONFIG.MESSAGE_MARGIN),
+        // Stop the work the page no longer waits for, and retry under new ids so the
+        // retry can be cancelled on its own
+        onTimeout: () => {
+          const previous = this.pendingRequests.get(requestId);
+          if (!previous) return null;
+          this.pendingRequests.delete(requestId);
+          this.cancelWork([requestId]);
+          requestId = track(previous);
+          return request();
+        }
       });
 
+      // Cancelled by clearAllBadges() or because every link left the page
+      if (!this.pendingRequests.has(requestId)) return;
+
       // Check for error response
       if (results?.error) {
         console.warn('BaitBreaker: Service error:', results.message);
@@ -290,10 +418,16 @@ class BaitBreakerContentManager {
       // Process results
       results.forEach((result, index) => {
         const linkElement = linkData[index].element;
+        // Removed from the page while it was classified
+        if (result?.cancelled || !linkElement.isConnected) return;
         
         // Mark link as processed
         this.processedLinks.add(linkElement);
 
+        // Track which cascade stage decided the link (hybrid mode only)
+        if (result?.aiCallSaved) this.aiCallsSaved++;
+        else if (result?.stage === 'chrome-ai') this.aiCallsMade++;
+
         // If clickbait detected, mark it
         if (result?.isClickbait) {
           this.markAsClickbait(linkElement, result);
@@ -310,12 +444,68 @@ class BaitBreakerContentManager {
         return;
       }
 
+      // The page stopped waiting, so the service worker can stop too
+      if (errorType === 'TIMEOUT' && this.pendingRequests.has(requestId)) {
+        this.cancelWork([requestId]);
+      }
+
       if (errorType === 'MESSAGE_CHANNEL_CLOSED' || errorType === 'TIMEOUT') {
         console.warn(`BaitBreaker: Cannot classify links - service worker ${errorType.toLowerCase()}`);
         return;
       }
 
       console.error('BaitBreaker: Failed to classify links:', error);
+    } finally {
+      this.pendingRequests.delete(requestId);
+    }
+  }
+
+  /**
+   * Ask the service worker to stop classification work of this tab
+   * @param {string[]} [workIds] - Requests or single links; everything if omitted
+   */
+  cancelWork(workIds) {
+    if (!this.isExtensionContextValid()) return;
+    try {
+      chrome.runtime.sendMessage({ action: 'cancelWork', workIds }).catch(() => {});
+    } catch {
+      // Context invalidated; the service worker's work is gone anyway
+    }
+  }
+
+  /**
+   * Cancel work for links that left the page: whole requests if none of their links is
+   * left, single links otherwise, and summary streams of badges that are gone
+   */
+  cancelDetachedWork() {
+    const workIds = [];
+    this.pendingRequests.forEach((links, requestId) => {
+      const detached = links.filter(link => !link.cancelled && !link.element.isConnected);
+      if (!detached.length) return;
+      if (links.every(link => !link.element.isConnected)) {
+        this.pendingRequests.delete(requestId);
+        workIds.push(requestId);
+        return;
+      }
+      detached.forEach(link => {
+        link.cancelled = true;
+        workIds.push(link.workId);
+      });
+    });
+    if (workIds.length) {
+      console.log(`BaitBreaker: Cancelling ${workIds.length} classification request(s) for removed links`);
+      this.cancelWork(workIds);
+    }
+
+    if (this.summaryStreams.size) {
+      const shown = new Set(Array.from(document.querySelectorAll('.bb-indicator'), badge => badge.dataset.href));
+      this.summaryStreams.forEach((stream, url) => {
+        if (shown.has(url)) return;
+        // Fetched again if a badge for the URL comes back
+        this.summaryLoadingStatus.delete(url);
+        this.summaryPartial.delete(url);
+        stream.cancel();
+      });
     }
   }
 
@@ -330,8 +520,29 @@ class BaitBreakerContentManager {
     indicator.className = 'bb-indicator';
     indicator.textContent = '[B]';
     indicator.title = `Clickbait (p≈${Math.round((classificationResult.confidence || 0) * 100)}%)`;
+    if (classificationResult.reason) {
+      indicator.title += `: ${classificationResult.reason}`;
+      indicator.dataset.reason = classificationResult.reason;
+    }
+    if (classificationResult.stage) {
+      indicator.title += ` · decided by ${classificationResult.stage === 'regex' ? 'RegEx' : 'Chrome AI'}`;
+      indicator.dataset.stage = classificationResult.stage;
+    }
+    if (classificationResult.scores) {
+      indicator.dataset.scores = JSON.stringify(classificationResult.scores);
+    }
+    if (classificationResult.degraded) {
+      indicator.title += ` · degraded (${classificationResult.failedDetectors.join(', ')} unavailable)`;
+      indicator.dataset.failedDetectors = classificationResult.failedDetectors.join(',');
+    }
+    if (classificationResult.language) {
+      const languageName = LANGUAGE_CONFIG.NAMES[classificationResult.language] || classificationResult.language;
+      indicator.title += ` · ${languageName} patterns`;
+      indicator.dataset.language = classificationResult.language;
+    }
     indicator.dataset.confidence = classificationResult.confidence || 0;
-    indicator.dataset.href = linkElement.href;
+    // Summaries are kept per article, not per tracking link to it
+    indicator.dataset.href = normalizeUrl(linkElement.href);
     indicator.dataset.linkText = (linkElement.textContent || '').trim();
 
     // Insert badge after link
@@ -341,7 +552,88 @@ class BaitBreakerContentManager {
     this.attachHoverHandler(indicator, linkElement);
 
     // Start background summarization
-    this.prefetchSummary(linkElement.href, indicator);
+    this.prefetchSummary(indicator.dataset.href, indicator);
+  }
+
+  /**
+   * Stream a summary from the service worker over a long-lived port
+   * The text so far is kept in `summaryPartial` and pushed into an open tooltip.
+   * @param {string} url - Article URL
+   * @param {string} [title] - Link text, answered in answer mode
+   * @returns {Promise<{summary: string|Object, complete: boolean, error?: string}>} Rejects only
+   *   with CONTEXT_INVALIDATED
+   */
+  streamSummary(url, title = '') {
+    if (!this.isExtensionContextValid()) {
+      this.contextInvalidated = true;
+      return Promise.reject(new Error('CONTEXT_INVALIDATED'));
+    }
+
+    return new Promise((resolve, reject) => {
+      let port;
+      try {
+        port = chrome.runtime.connect({ name: STREAM_CONFIG.SUMMARY_PORT });
+      } catch (error) {
+        if ((error.message || '').includes('Extension context invalidated')) {
+          this.contextInvalidated = true;
+          reject(new Error('CONTEXT_INVALIDATED'));
+        } else {
+          resolve({ summary: '', complete: false, error: 'MESSAGE_CHANNEL_CLOSED' });
+        }
+        return;
+      }
+
+      let text = '';
+      let idleTimer = null;
+      let settled = false;
+
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(idleTimer);
+        this.summaryStreams.delete(url);
+        try { port.disconnect(); } catch { /* already closed */ }
+        resolve(result);
+      };
+      // The first chunk also waits for the article fetch
+      const waitFor = (ms) => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => finish({ summary: text, complete: false, error: 'TIMEOUT' }), ms);
+      };
+
+      port.onMessage.addListener((msg) => {
+        if (msg?.type === 'chunk') {
+          text = msg.text || '';
+          this.summaryPartial.set(url, text);
+          this.updateStreamingTooltip(url, text);
+          waitFor(STREAM_CONFIG.IDLE_TIMEOUT);
+        } else if (msg?.type === 'metadata') {
+          this.applyArticleMetadata(url, msg.metadata);
+        } else if (msg?.type === 'delivery') {
+          this.applyDeliveryScore(url, msg.delivery);
+        } else if (msg?.type === 'done') {
+          finish({ summary: msg.summary || '', complete: true });
+        } else if (msg?.type === 'error') {
+          finish({ summary: msg.partial || text, complete: false, error: msg.message });
+        }
+      });
+      port.onDisconnect.addListener(() => {
+        finish({ summary: text, complete: false, error: 'MESSAGE_CHANNEL_CLOSED' });
+      });
+
+      this.summaryStreams.set(url, {
+        port,
+        cancel: () => finish({ summary: '', complete: false, error: 'CANCELLED' })
+      });
+      waitFor(TIMEOUT_CONFIG.SUMMARY + STREAM_CONFIG.IDLE_TIMEOUT);
+      port.postMessage({
+        action: 'streamSummary',
+        url,
+        title,
+        style: this.summaryStyleOverrides.get(url),
+        bridge: this.bridgeCapabilities
+      });
+    });
   }
 
   /**
@@ -359,46 +651,49 @@ class BaitBreakerContentManager {
     this.summaryLoadingStatus.set(url, 'loading');
 
     try {
-      const response = await this.safeRuntimeMessage({ action: 'getSummary', url });
+      await this.pageBridgeReady;
+      const result = await this.streamSummary(url, indicator.dataset.linkText);
+      // A newer stream for this URL (e.g. another style) owns the state now
+      if (result.error === 'CANCELLED') return;
+      this.summaryPartial.delete(url);
 
-      if (response?.error) {
-        this.summaryLoadingStatus.set(url, 'error');
-        this.summaryCache.set(url, 'Service unavailable: ' + response.message);
-      } else {
+      if (result.complete) {
         this.summaryLoadingStatus.set(url, 'ready');
-        this.summaryCache.set(url, response);
+        this.summaryCache.set(url, result.summary);
+        this.summaryIncomplete.delete(url);
         this.summarizedClickbait.add(url);
 
         // Update indicator visual state
         indicator.classList.add('bb-summary-ready');
+      } else if (result.summary) {
+        // Keep the partial text, but show it as incomplete
+        console.warn('BaitBreaker: Summary stream cut off:', result.error);
+        this.summaryLoadingStatus.set(url, 'error');
+        this.summaryCache.set(url, result.summary);
+        this.summaryIncomplete.add(url);
+      } else {
+        console.warn('BaitBreaker: Summary stream failed:', result.error);
+        this.summaryLoadingStatus.set(url, 'error');
+        if (result.error === 'MESSAGE_CHANNEL_CLOSED') {
+          this.summaryCache.set(url, '⚠️ Connection lost to extension service. Hover to retry.');
+        } else if (result.error === 'TIMEOUT') {
+          this.summaryCache.set(url, '⏱️ Request timed out. Hover to retry.');
+        } else {
+          this.summaryCache.set(url, 'Service unavailable: ' + result.error);
+        }
       }
     } catch (error) {
-      const errorType = error.message;
-
-      if (errorType === 'CONTEXT_INVALIDATED') {
+      if (error.message === 'CONTEXT_INVALIDATED') {
         console.warn('BaitBreaker: Cannot prefetch summary - extension context invalidated');
         this.summaryLoadingStatus.set(url, 'error');
         this.summaryCache.set(url, '⚠️ Extension was reloaded. Please refresh this page.');
-        return;
-      }
-
-      if (errorType === 'MESSAGE_CHANNEL_CLOSED') {
-        console.warn('BaitBreaker: Cannot prefetch summary - message channel closed');
-        this.summaryLoadingStatus.set(url, 'error');
-        this.summaryCache.set(url, '⚠️ Connection lost to extension service. Hover to retry.');
-        return;
-      }
-
-      if (errorType === 'TIMEOUT') {
-        console.warn('BaitBreaker: Cannot prefetch summary - timeout');
+      } else {
+        console.error('BaitBreaker: Background summary failed:', error);
         this.summaryLoadingStatus.set(url, 'error');
-        this.summaryCache.set(url, '⏱️ Request timed out. Hover to retry.');
-        return;
       }
-
-      console.error('BaitBreaker: Background summary failed:', error);
-      this.summaryLoadingStatus.set(url, 'error');
     }
+
+    this.refreshSummaryTooltip(url);
   }
 
   /**
@@ -407,72 +702,51 @@ class BaitBreakerContentManager {
    * @param {HTMLElement} link - Original link element
    */
   attachHoverHandler(indicator, link) {
-    indicator.addEventListener('mouseenter', async () => {
+    indicator.addEventListener('mouseenter', () => {
       const linkText = indicator.dataset.linkText || 'Article';
       const url = indicator.dataset.href;
 
+      // Back from the tooltip of this badge: keep it as it is
+      this.cancelHideTooltip();
+      if (this.tooltip?.dataset.url === url && this.tooltipAnchor === indicator) return;
+
       try {
-        // Check if summary is cached
-        let summary = this.summaryCache.get(url);
+        if (this.contextInvalidated) {
+          this.handleContextInvalidation(indicator, linkText);
+          return;
+        }
+
+        const meta = {
+          url,
+          linkText: linkText,
+          domain: new URL(url).hostname.replace(/^www\./, '')
+        };
+        const status = this.summaryLoadingStatus.get(url);
 
-        if (summary) {
+        if (status === 'ready') {
           // Summary ready - show immediately
-          this.showSummary(indicator, summary, {
-            linkText: linkText,
-            domain: new URL(url).hostname.replace(/^www\./, '')
-          });
+          this.showSummary(indicator, this.summaryCache.get(url), meta);
+          return;
+        }
+
+        // Show what we have so far: streamed text, an earlier incomplete summary, or a spinner
+        const partial = this.summaryPartial.get(url);
+        const previous = this.summaryIncomplete.has(url) ? this.summaryCache.get(url) : null;
+        if (partial) {
+          this.showSummary(indicator, partial, { ...meta, streaming: true });
+        } else if (previous) {
+          this.showSummary(indicator, previous, { ...meta, incomplete: true });
         } else {
-          // Show loading state
           this.showLoading(indicator, linkText);
+          this.tooltip.dataset.url = url;
+          this.tooltipMeta = meta;
+        }
 
-          // Fetch summary if not started
-          if (!this.summaryLoadingStatus.has(url)) {
-            try {
-              const response = await this.safeRuntimeMessage({ action: 'getSummary', url });
-
-              if (response?.error) {
-                summary = 'Service unavailable: ' + response.message;
-              } else {
-                summary = response;
-              }
-
-              this.summaryCache.set(url, summary);
-            } catch (error) {
-              const errorType = error.message;
-
-              if (errorType === 'CONTEXT_INVALIDATED') {
-                this.handleContextInvalidation(indicator, linkText);
-                return;
-              }
-
-              if (errorType === 'MESSAGE_CHANNEL_CLOSED' || errorType === 'TIMEOUT') {
-                this.handleServiceWorkerFailure(indicator, linkText, errorType);
-                return;
-              }
-
-              summary = 'Could not summarize this article.';
-            }
-          } else {
-            // Wait for prefetch to complete
-            const MAX_ATTEMPTS = 30; // 3 seconds max wait
-            let attempts = 0;
-            
-            while (!this.summaryCache.has(url) && attempts++ < MAX_ATTEMPTS) {
-              await new Promise(resolve => setTimeout(resolve, 100));
-            }
-
-            if (this.summaryCache.has(url)) {
-              summary = this.summaryCache.get(url);
-            } else {
-              summary = 'Could not summarize this article (timed out).';
-            }
-          }
-
-          // Show summary
-          this.showSummary(indicator, summary, {
-            linkText: linkText,
-            domain: new URL(url).hostname.replace(/^www\./, '')
-          });
+        // Start the stream, or retry one that failed; the tooltip follows its progress
+        if (status !== 'loading') {
+          this.summaryLoadingStatus.delete(url);
+          this.summaryCache.delete(url);
+          this.prefetchSummary(url, indicator);
         }
       } catch (error) {
         console.error('BaitBreaker: Failed to get summary:', error);
@@ -483,9 +757,91 @@ class BaitBreakerContentManager {
       }
     });
 
-    // Hide tooltip on mouse leave
+    // Hide tooltip on mouse leave, unless the pointer moves into the tooltip
     indicator.addEventListener('mouseleave', () => {
-      this.hideTooltip();
+      this.scheduleHideTooltip();
+    });
+  }
+
+  /**
+   * Re-summarize one link in another style, picked from the tooltip
+   * @param {HTMLElement} indicator - Indicator badge
+   * @param {Object} style - Summary style (type, length)
+   */
+  switchSummaryStyle(indicator, style) {
+    const url = indicator.dataset.href;
+    this.summaryStyleOverrides.set(url, style);
+
+    this.summaryStreams.get(url)?.cancel();
+    this.summaryLoadingStatus.delete(url);
+    this.summaryCache.delete(url);
+    this.summaryPartial.delete(url);
+    this.summaryIncomplete.delete(url);
+    indicator.classList.remove('bb-summary-ready');
+
+    const meta = this.tooltipMeta;
+    this.showLoading(indicator, indicator.dataset.linkText);
+    this.tooltip.dataset.url = url;
+    this.tooltipMeta = meta;
+    this.prefetchSummary(url, indicator);
+  }
+
+  /**
+   * Build the style buttons shown under a summary
+   * @param {HTMLElement} anchor - Indicator badge
+   * @param {string} url - Article URL
+   * @returns {HTMLElement} Button row
+   */
+  createStyleSwitcher(anchor, url) {
+    const current = this.summaryStyleOverrides.get(url) ||
+      this.settings?.summaryStyle || SUMMARY_CONFIG.DEFAULT;
+    const row = document.createElement('div');
+    row.className = 'bb-styles';
+
+    SUMMARY_CONFIG.PRESETS.forEach(preset => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'bb-style';
+      button.textContent = SUMMARY_CONFIG.LABELS[preset.type];
+      const active = preset.type === current.type;
+      button.classList.toggle('bb-style-active', active);
+      button.disabled = active;
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.switchSummaryStyle(anchor, preset);
+      });
+      row.appendChild(button);
+    });
+    return row;
+  }
+
+  /**
+   * Push streamed text into the open tooltip for a URL
+   * @param {string} url - Article URL
+   * @param {string} text - Summary text so far
+   */
+  updateStreamingTooltip(url, text) {
+    if (!this.tooltip || this.tooltip.dataset.url !== url) return;
+    const summaryEl = this.tooltip.querySelector('.bb-summary');
+    if (summaryEl && this.tooltip.classList.contains('bb-streaming')) {
+      summaryEl.textContent = text.slice(0, PERFORMANCE_CONFIG.TOOLTIP_SUMMARY_LIMIT);
+    } else {
+      // Replace the spinner or an earlier incomplete summary
+      this.showSummary(this.tooltipAnchor, text, { ...this.tooltipMeta, incomplete: false, streaming: true });
+    }
+  }
+
+  /**
+   * Show the final (or cut-off) summary in the open tooltip for a URL
+   * @param {string} url - Article URL
+   */
+  refreshSummaryTooltip(url) {
+    if (!this.tooltip || this.tooltip.dataset.url !== url || !this.summaryCache.has(url)) return;
+    this.showSummary(this.tooltipAnchor, this.summaryCache.get(url), {
+      ...this.tooltipMeta,
+      streaming: false,
+      incomplete: this.summaryIncomplete.has(url)
     });
   }
 
@@ -556,6 +912,8 @@ class BaitBreakerContentManager {
       // Update settings
       const oldMode = this.settings?.detectionMode;
       const oldSensitivity = this.settings?.sensitivity;
+      const oldPatterns = JSON.stringify(this.settings?.customPatterns || []);
+      const oldSummaryStyle = JSON.stringify(this.settings?.summaryStyle || {});
       this.settings = msg.settings;
       console.log('BaitBreaker: Settings updated', this.settings);
 
@@ -563,15 +921,38 @@ class BaitBreakerContentManager {
       if (this.settings.enabled === false) {
         this.clearAllBadges();
       } else {
-        // If mode/sensitivity changed, reset and rescan
-        if (oldMode !== this.settings.detectionMode || oldSensitivity !== this.settings.sensitivity) {
+        // If mode/sensitivity/patterns changed, reset and rescan
+        if (oldMode !== this.settings.detectionMode ||
+            oldSensitivity !== this.settings.sensitivity ||
+            oldPatterns !== JSON.stringify(this.settings.customPatterns || [])) {
           this.clearAllBadges();
+        } else if (oldSummaryStyle !== JSON.stringify(this.settings.summaryStyle || {})) {
+          // Summaries are fetched again in the new style on the next hover
+          this.summaryStreams.forEach(stream => stream.cancel());
+          this.summaryLoadingStatus.clear();
+          this.summaryCache.clear();
+          this.summaryPartial.clear();
+          this.summaryIncomplete.clear();
+          document.querySelectorAll('.bb-summary-ready').forEach(badge => badge.classList.remove('bb-summary-ready'));
         }
         this.scanPageForLinks();
       }
       return false;
     }
 
+    // AI calls the service worker routes through this tab's in-page bridge
+    if (msg?.action === 'bridgePrompt' || msg?.action === 'bridgeSummarize') {
+      if (!this.pageBridge) {
+        sendResponse({ ok: false, error: 'In-page AI bridge is not active in this tab' });
+        return false;
+      }
+      const call = msg.action === 'bridgePrompt'
+        ? this.pageBridge.classify(msg.prompt, msg.schema).then(raw => ({ ok: true, raw }))
+        : this.pageBridge.summarize(msg.articleText, msg.style, msg.summaryContext).then(summary => ({ ok: true, summary }));
+      call.catch(error => ({ ok: false, error: error.message })).then(sendResponse);
+      return true; // Async response
+    }
+
     if (msg?.action === 'getMetrics') {
       try {
         const allAnchors = Array.from(document.querySelectorAll('a[href]'));
@@ -585,13 +966,17 @@ class BaitBreakerContentManager {
           linksProcessed: this.processedLinks.size,
           clickbaitDetected: this.clickbaitCount,
           linksDetected,
-          clickbaitSummarized: this.summarizedClickbait.size
+          clickbaitSummarized: this.summarizedClickbait.size,
+          aiCallsSaved: this.aiCallsSaved,
+          aiCallsMade: this.aiCallsMade
         });
       } catch (e) {
         sendResponse({
           linksProcessed: this.processedLinks.size,
           clickbaitDetected: this.clickbaitCount,
-          clickbaitSummarized: this.summarizedClickbait.size
+          clickbaitSummarized: this.summarizedClickbait.size,
+          aiCallsSaved: this.aiCallsSaved,
+          aiCallsMade: this.aiCallsMade
         });
       }
       return true; // Async response
@@ -614,15 +999,32 @@ class BaitBreakerContentManager {
     this.processedLinks.clear();
     this.summaryLoadingStatus.clear();
     this.clickbaitCount = 0;
+    this.aiCallsSaved = 0;
+    this.aiCallsMade = 0;
     this.summarizedClickbait.clear();
     this.summaryCache.clear();
+    this.summaryPartial.clear();
+    this.summaryIncomplete.clear();
+    this.summaryStreams.forEach(stream => stream.cancel());
+    this.summaryStreams.clear();
+    this.summaryStyleOverrides.clear();
+    this.deliveryScores.clear();
+    this.articleMetadata.clear();
+    if (this.pendingRequests.size) {
+      this.cancelWork([...this.pendingRequests.keys()]);
+      this.pendingRequests.clear();
+    }
   }
 
   /**
    * Set up mutation observer for dynamic content
    */
   setupMutationObserver() {
-    this.mutationObserver = new MutationObserver(() => {
+    this.mutationObserver = new MutationObserver((mutations) => {
+      if (mutations.some(mutation => mutation.removedNodes.length)) {
+        this.cancelDetachedWork();
+      }
+
       // Debounce: clear existing timeout and set new one
       if (this.scanTimeout) {
         clearTimeout(this.scanTimeout);
@@ -657,15 +1059,19 @@ class BaitBreakerContentManager {
     tooltip.querySelector('.bb-link-title').textContent = linkText || 'Article';
     
     this.positionTooltip(tooltip, anchor);
+    this.attachTooltipHover(tooltip);
     document.body.appendChild(tooltip);
     this.tooltip = tooltip;
+    this.tooltipAnchor = anchor;
   }
 
   /**
    * Show summary tooltip
    * @param {HTMLElement} anchor - Element to anchor tooltip to
-   * @param {string} summary - Summary text
-   * @param {Object} meta - Metadata object
+   * @param {string|Object} summary - Summary text, an answer `{answered, answer, quote}`, or
+   *   `{page: {type, reason}}` for a page that is not an article (paywall, error, ...)
+   * @param {Object} meta - Metadata object; `url` ties the tooltip to a summary stream,
+   *   `streaming` marks text that is still arriving, `incomplete` text from a cut-off stream
    */
   showSummary(anchor, summary, meta) {
     this.hideTooltip();
@@ -683,20 +1089,217 @@ class BaitBreakerContentManager {
     `;
     
     tooltip.querySelector('.bb-link-title').textContent = meta.linkText || 'Article';
-    tooltip.querySelector('.bb-summary').textContent = String(summary || '').slice(
-      0,
-      PERFORMANCE_CONFIG.TOOLTIP_SUMMARY_LIMIT
-    );
+    if (summary?.page) {
+      this.renderUnavailablePage(tooltip.querySelector('.bb-summary'), summary.page);
+    } else if (summary && typeof summary === 'object') {
+      this.renderAnswer(tooltip.querySelector('.bb-summary'), summary);
+    } else {
+      tooltip.querySelector('.bb-summary').textContent = String(summary || '').slice(
+        0,
+        PERFORMANCE_CONFIG.TOOLTIP_SUMMARY_LIMIT
+      );
+    }
+
+    if (meta.url) {
+      tooltip.dataset.url = meta.url;
+      // Another style would not get past a paywall either
+      if (!summary?.page) tooltip.querySelector('.bb-content').appendChild(this.createStyleSwitcher(anchor, meta.url));
+    }
+    if (meta.streaming || meta.incomplete) {
+      const status = document.createElement('p');
+      status.className = meta.incomplete ? 'bb-stream-status bb-incomplete' : 'bb-stream-status';
+      status.textContent = meta.incomplete
+        ? '⚠️ Summary incomplete: the stream was interrupted. Hover again to retry.'
+        : 'Summarizing…';
+      tooltip.querySelector('.bb-summary').after(status);
+      tooltip.classList.toggle('bb-streaming', !!meta.streaming);
+    }
+
+    this.renderDeliveryLine(tooltip, this.deliveryScores.get(meta.url));
+    this.renderArticleMetadata(tooltip, this.articleMetadata.get(meta.url));
+
+    const breakdown = this.formatScoreBreakdown(anchor);
+    if (breakdown) {
+      const breakdownEl = document.createElement('div');
+      breakdownEl.className = 'bb-breakdown';
+      breakdownEl.textContent = breakdown;
+      tooltip.querySelector('.bb-content').appendChild(breakdownEl);
+    }
 
     this.positionTooltip(tooltip, anchor);
+    this.attachTooltipHover(tooltip);
     document.body.appendChild(tooltip);
     this.tooltip = tooltip;
+    this.tooltipAnchor = anchor;
+    this.tooltipMeta = meta;
+  }
+
+  /**
+   * Re-rate the badges of a URL once its article has been scored
+   * The confidence from the headline alone is kept, so a repeated score is not applied twice.
+   * Badges that fall below the sensitivity threshold stay, but are marked as delivered.
+   * @param {string} url - Article URL
+   * @param {{score: number, reason: string, method: string}} delivery - Delivery score
+   */
+  applyDeliveryScore(url, delivery) {
+    if (!delivery || typeof delivery.score !== 'number') return;
+    this.deliveryScores.set(url, delivery);
+    const threshold = getSensitivityThreshold(this.settings?.sensitivity);
+
+    document.querySelectorAll('.bb-indicator').forEach(indicator => {
+      if (indicator.dataset.href !== url) return;
+      if (!('baseConfidence' in indicator.dataset)) {
+        indicator.dataset.baseConfidence = indicator.dataset.confidence;
+        indicator.dataset.baseTitle = indicator.title;
+      }
+
+      const confidence = adjustForDelivery(indicator.dataset.baseConfidence, delivery.score);
+      indicator.dataset.confidence = confidence;
+      indicator.dataset.delivery = delivery.score;
+      indicator.classList.toggle('bb-delivered', confidence < threshold);
+      indicator.title = indicator.dataset.baseTitle.replace(/p≈\d+%/, `p≈${Math.round(confidence * 100)}%`) +
+        ` · bait delivered ${Math.round(delivery.score * 100)}%`;
+    });
+
+    if (this.tooltip?.dataset.url === url) this.renderDeliveryLine(this.tooltip, delivery);
+  }
+
+  /**
+   * Keep the metadata of a fetched article and show it if its tooltip is open
+   * @param {string} url - Article URL
+   * @param {Object} metadata - `{publisher, author, datePublished, ...}` from JSON-LD or Open Graph
+   */
+  applyArticleMetadata(url, metadata) {
+    if (!metadata) return;
+    this.articleMetadata.set(url, metadata);
+    if (this.tooltip?.dataset.url === url) this.renderArticleMetadata(this.tooltip, metadata);
+  }
+
+  /**
+   * Show publisher, author and publication date in a tooltip's `.bb-metadata` line
+   * The publisher replaces the domain, which stays available as the source's title.
+   * @param {HTMLElement} tooltip - Tooltip element
+   * @param {Object} [metadata] - Article metadata
+   */
+  renderArticleMetadata(tooltip, metadata) {
+    const line = tooltip.querySelector('.bb-metadata');
+    if (!metadata || !line) return;
+    line.querySelectorAll('.bb-author, .bb-date').forEach(el => el.remove());
+
+    const source = line.querySelector('.bb-source');
+    if (metadata.publisher && source) {
+      if (!source.title) source.title = source.textContent;
+      source.textContent = metadata.publisher;
+    }
+    if (metadata.author) {
+      const author = document.createElement('span');
+      author.className = 'bb-author';
+      author.textContent = /^by\s/i.test(metadata.author) ? metadata.author : `By ${metadata.author}`;
+      line.appendChild(author);
+    }
+    const published = new Date(metadata.datePublished || NaN);
+    if (!isNaN(published.getTime())) {
+      const date = document.createElement('time');
+      date.className = 'bb-date';
+      date.dateTime = metadata.datePublished;
+      date.textContent = published.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+      line.appendChild(date);
+    }
+  }
+
+  /**
+   * Add or update the "bait delivered" line of a tooltip
+   * @param {HTMLElement} tooltip - Tooltip element
+   * @param {Object} [delivery] - Delivery score
+   */
+  renderDeliveryLine(tooltip, delivery) {
+    if (!delivery) return;
+    let line = tooltip.querySelector('.bb-delivery');
+    if (!line) {
+      line = document.createElement('div');
+      line.className = 'bb-delivery';
+      tooltip.querySelector('.bb-metadata')?.before(line);
+    }
+    const method = delivery.method === 'ai' ? 'Chrome AI' : 'word overlap';
+    line.textContent = `Bait delivered: ${Math.round(delivery.score * 100)}% (${method})`;
+    line.title = delivery.reason || '';
+    line.classList.toggle('bb-not-delivered', delivery.score < 0.5);
+  }
+
+  /**
+   * Say why a page has no summary instead of summarizing a paywall or consent text
+   * @param {HTMLElement} summaryEl - `.bb-summary` element
+   * @param {{type: string, reason: string}} page - Page type from the ArticleFetcher
+   */
+  renderUnavailablePage(summaryEl, page) {
+    summaryEl.textContent = PAGE_TYPE_LABELS[page.type] || 'No summary available';
+    summaryEl.title = page.reason || '';
+    summaryEl.classList.add('bb-unavailable');
+  }
+
+  /**
+   * Show a headline answer: the answer first, then the article quote backing it
+   * @param {HTMLElement} summaryEl - `.bb-summary` element
+   * @param {{answered: boolean, answer: string, quote: string}} answer - Answer from the Prompt API
+   */
+  renderAnswer(summaryEl, answer) {
+    summaryEl.textContent = answer.answered
+      ? answer.answer.slice(0, PERFORMANCE_CONFIG.TOOLTIP_SUMMARY_LIMIT)
+      : 'The article does not answer the headline.';
+    summaryEl.classList.toggle('bb-unanswered', !answer.answered);
+
+    if (answer.answered && answer.quote) {
+      const evidence = document.createElement('blockquote');
+      evidence.className = 'bb-evidence';
+      evidence.textContent = `“${answer.quote.slice(0, PERFORMANCE_CONFIG.TOOLTIP_SUMMARY_LIMIT)}”`;
+      summaryEl.after(evidence);
+    }
+  }
+
+  /**
+   * Format the per-detector scores stored on an ensemble badge
+   * @param {HTMLElement} anchor - Indicator badge
+   * @returns {string} e.g. "RegEx 45% · Heuristic 40% · Chrome AI n/a", or '' if none
+   */
+  formatScoreBreakdown(anchor) {
+    if (!anchor?.dataset?.scores) return '';
+    try {
+      const scores = JSON.parse(anchor.dataset.scores);
+      const failed = (anchor.dataset.failedDetectors || '').split(',').filter(Boolean);
+      return [
+        ...Object.entries(scores).map(([id, score]) =>
+          `${DETECTION_MODE_LABELS[id] || id} ${Math.round(score * 100)}%`),
+        ...failed.map(id => `${DETECTION_MODE_LABELS[id] || id} n/a`)
+      ].join(' · ');
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * Keep the tooltip open while the pointer is over it, so its buttons can be used
+   * @param {HTMLElement} tooltip - Tooltip element
+   */
+  attachTooltipHover(tooltip) {
+    tooltip.addEventListener('mouseenter', () => this.cancelHideTooltip());
+    tooltip.addEventListener('mouseleave', () => this.scheduleHideTooltip());
+  }
+
+  scheduleHideTooltip() {
+    this.cancelHideTooltip();
+    this.tooltipHideTimer = setTimeout(() => this.hideTooltip(), UI_CONFIG.TOOLTIP_HIDE_DELAY);
+  }
+
+  cancelHideTooltip() {
+    clearTimeout(this.tooltipHideTimer);
+    this.tooltipHideTimer = null;
   }
 
   /**
    * Hide tooltip
    */
   hideTooltip() {
+    this.cancelHideTooltip();
     if (this.tooltip?.parentNode) {
       this.tooltip.remove();
     }
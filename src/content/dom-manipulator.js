@@ -1,10 +1,12 @@
 // src/content/dom-manipulator.js
+import { normalizeUrl } from '../lib/url-normalizer.js';
+
 export function insertIndicator(afterNode, data) {
   const indicator = document.createElement('span');
   indicator.className = 'bb-indicator';
   indicator.textContent = '[B]';
   indicator.dataset.confidence = String(data.confidence ?? 0);
-  indicator.dataset.href = afterNode.href || '';
+  indicator.dataset.href = afterNode.href ? normalizeUrl(afterNode.href) : '';
   afterNode.insertAdjacentElement('afterend', indicator);
   return indicator;
 }
@@ -1,7 +1,14 @@
 // Page-context script for Chrome Built-in AI
+// Prompts are rendered by the sender from the templates in config/config.js
+// (src/lib/prompt-templates.js); this script has no prompt text of its own.
+// Classification answers are returned as raw text: the sender validates them with
+// src/lib/response-validator.js and sends a repair prompt if needed.
+// Injected by src/content/page-bridge.js when the service worker has no Chrome AI.
+// Requests arrive on the MessagePort handed over with BB_CONNECT, and every request
+// carries an id that is echoed in its *_RESULT message on the same port.
 (() => {
   let promptSession = null;
-  let summarizer = null;
+  const summarizers = {};
 
   async function ensurePromptSession() {
     if (promptSession) return promptSession;
@@ -17,23 +24,32 @@
     } catch (e) { return null; }
   }
 
-  async function ensureSummarizer() {
-    if (summarizer) return summarizer;
+  // One summarizer per style (type/format/length)
+  async function ensureSummarizer(style) {
+    const options = {
+      type: (style && style.type) || 'tldr',
+      format: (style && style.format) || 'plain-text',
+      length: (style && style.length) || 'short'
+    };
+    const key = options.type + '/' + options.format + '/' + options.length;
+    if (summarizers[key]) return summarizers[key];
     try {
       const availability = await Summarizer.availability();
       if (availability === 'unavailable') throw new Error('Summarizer unavailable');
-      summarizer = await Summarizer.create({
-        type: 'tldr', format: 'plain-text', length: 'short',
+      summarizers[key] = await Summarizer.create({
+        ...options,
         monitor(m){ m.addEventListener('downloadprogress', (e)=>{}); }
       });
-      return summarizer;
+      return summarizers[key];
     } catch (e) { return null; }
   }
 
-  async function classify(text) {
+  // Without a schema the classification schema is used
+  async function classify(prompt, schema) {
+    if (!prompt) throw new Error('Missing prompt');
     const session = await ensurePromptSession();
     if (!session) throw new Error('Prompt session not ready');
-    const schema = {
+    const classificationSchema = {
       "type":"object",
       "properties":{
         "isClickbait":{"type":"boolean"},
@@ -42,46 +58,60 @@
       },
       "required":["isClickbait","confidence"]
     };
-    const prompt = 'Analyze if this title is clickbait (uses curiosity gap, emotional triggers, or withholds key information).\n' +
-                   'Title: "' + text.replace(/"/g, '\"') + '"\n' +
-                   'Return JSON with fields: isClickbait (boolean), confidence (0-1), reason (short).';
-    const res = await session.prompt(prompt, { responseConstraint: schema });
-    return JSON.parse(res);
+    // A clone of the clean session per prompt, so no history builds up
+    let clone = null;
+    try {
+      clone = typeof session.clone === 'function' ? await session.clone() : null;
+      return await (clone || session).prompt(prompt, { responseConstraint: schema || classificationSchema });
+    } catch (e) {
+      // Start over with a new session next time if this one was destroyed or filled up
+      if (!clone || (e && e.name === 'InvalidStateError')) promptSession = null;
+      throw e;
+    } finally {
+      if (clone) clone.destroy();
+    }
   }
 
-  async function summarize(text, context) {
-    const s = await ensureSummarizer();
+  async function summarize(text, summaryContext, style) {
+    const s = await ensureSummarizer(style);
     if (!s) throw new Error('Summarizer not ready');
-    const ctx = {
-      context: 'Answer the clickbait-style question concisely in one short sentence. Title: ' +
-               (context && context.questionLikeTitle ? context.questionLikeTitle : '')
-    };
-    const out = await s.summarize(text, ctx);
+    const out = await s.summarize(text, summaryContext ? { context: summaryContext } : {});
     return out;
   }
 
-  window.addEventListener('message', async (ev) => {
-    if (ev.source !== window || !ev.data || ev.data.source !== 'BB_CONTENT') return;
-    const d = ev.data;
+  async function handle(port, d) {
+    if (!d) return;
     if (d.type === 'BB_INIT') {
-      try { await ensurePromptSession(); await ensureSummarizer(); } catch {}
+      let prompt = false;
+      let summarizer = false;
+      try { prompt = !!(await ensurePromptSession()); summarizer = !!(await ensureSummarizer()); } catch {}
+      port.postMessage({ type:'BB_INIT_RESULT', id: d.id, ok:true, prompt, summarizer });
     } else if (d.type === 'BB_CLASSIFY') {
-      const { id, text } = d;
+      const { id, prompt, schema } = d;
       try {
-        const result = await classify(text);
-        window.postMessage({ type:'BB_CLASSIFY_RESULT', id, ok:true, result }, '*');
+        const raw = await classify(prompt, schema);
+        port.postMessage({ type:'BB_CLASSIFY_RESULT', id, ok:true, raw });
       } catch (e) {
-        window.postMessage({ type:'BB_CLASSIFY_RESULT', id, ok:false, error: e && e.message }, '*');
+        port.postMessage({ type:'BB_CLASSIFY_RESULT', id, ok:false, error: e && e.message });
       }
     } else if (d.type === 'BB_SUMMARIZE') {
-      const { id, articleText, context } = d;
+      const { id, articleText, summaryContext, style } = d;
       try {
-        const summary = await summarize(articleText, context);
-        window.postMessage({ type:'BB_SUMMARY_RESULT', id, ok:true, summary, meta:{ confidence: 0.85 } }, '*');
+        const summary = await summarize(articleText, summaryContext, style);
+        port.postMessage({ type:'BB_SUMMARY_RESULT', id, ok:true, summary, meta:{ confidence: 0.85 } });
       } catch (e) {
-        window.postMessage({ type:'BB_SUMMARY_RESULT', id, ok:false, error: e && e.message }, '*');
+        port.postMessage({ type:'BB_SUMMARY_RESULT', id, ok:false, error: e && e.message });
       }
     }
+  }
+
+  // Only the first channel offered is used
+  window.addEventListener('message', function onConnect(ev) {
+    if (ev.source !== window || !ev.data || ev.data.source !== 'BB_CONTENT' || ev.data.type !== 'BB_CONNECT') return;
+    const port = ev.ports && ev.ports[0];
+    if (!port) return;
+    window.removeEventListener('message', onConnect);
+    port.onmessage = (e) => handle(port, e.data);
   });
 
   window.postMessage({ type:'BB_INPAGE_READY' }, '*');
@@ -0,0 +1,77 @@
+// src/content/link-context.js
+// Collects the text shown around a link on card layouts (heading, teaser, image alt,
+// aria-label, section label). Every field is bounded so messages and cache keys stay small.
+import { CONTEXT_CONFIG } from '../../config/config.js';
+
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6, [role="heading"], [class*="section-header"], [class*="widget-header"]';
+const SECTION_SELECTOR = '[class*="category"], [class*="kicker"], [class*="section-label"], [class*="eyebrow"], [class*="tag"]';
+const CARD_SELECTOR = 'article, li, [class*="card"], [class*="teaser"], [class*="item"], [class*="story"]';
+
+function clean(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().slice(0, CONTEXT_CONFIG.MAX_FIELD_LENGTH);
+}
+
+function precedes(a, b) {
+  return !!(a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING);
+}
+
+/**
+ * Find the card element that holds the link, without climbing too far
+ * @param {HTMLElement} link - Link element
+ * @returns {HTMLElement} Card container, or the link's parent
+ */
+function findCard(link) {
+  let node = link.parentElement;
+  for (let depth = 0; node && depth < CONTEXT_CONFIG.MAX_DEPTH; depth++) {
+    if (node.matches(CARD_SELECTOR)) return node;
+    node = node.parentElement;
+  }
+  return link.parentElement || link;
+}
+
+/**
+ * Find the closest heading before the link, searching outward through its ancestors
+ * @param {HTMLElement} link - Link element
+ * @returns {string} Heading text, or ''
+ */
+function findHeading(link) {
+  const linkText = clean(link.textContent);
+  let node = link.parentElement;
+  for (let depth = 0; node && depth < CONTEXT_CONFIG.MAX_DEPTH + 2; depth++) {
+    const headings = Array.from(node.querySelectorAll(HEADING_SELECTOR))
+      .filter(h => !h.contains(link) && !link.contains(h) && precedes(h, link))
+      .filter(h => clean(h.textContent) && clean(h.textContent) !== linkText);
+    if (headings.length) return clean(headings[headings.length - 1].textContent);
+    node = node.parentElement;
+  }
+  return '';
+}
+
+/**
+ * Gather a bounded context object for a link
+ * @param {HTMLElement} link - Link element
+ * @returns {Object} Context with optional heading, teaser, imageAlt, ariaLabel and section fields
+ */
+export function extractLinkContext(link) {
+  const card = findCard(link);
+  const linkText = clean(link.textContent);
+
+  const teaserEl = Array.from(card.querySelectorAll('p, [class*="teaser"], [class*="summary"], [class*="excerpt"], [class*="description"]'))
+    .find(el => !el.contains(link) && !link.contains(el) && clean(el.textContent).length >= CONTEXT_CONFIG.MIN_TEASER_LENGTH);
+  const image = link.querySelector('img[alt]') || card.querySelector('img[alt]');
+  const sectionEl = Array.from(card.querySelectorAll(SECTION_SELECTOR))
+    .find(el => !el.contains(link) && !link.contains(el) && clean(el.textContent).length <= CONTEXT_CONFIG.MAX_SECTION_LENGTH);
+
+  const context = {
+    heading: findHeading(link),
+    teaser: teaserEl ? clean(teaserEl.textContent) : '',
+    imageAlt: image ? clean(image.getAttribute('alt')) : '',
+    ariaLabel: clean(link.getAttribute('aria-label') || link.getAttribute('title')),
+    section: sectionEl ? clean(sectionEl.textContent) : ''
+  };
+
+  // Drop empty fields and ones that only repeat the link text
+  return Object.fromEntries(
+    Object.entries(context).filter(([, value]) => value && value !== linkText)
+  );
+}
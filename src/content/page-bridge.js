@@ -0,0 +1,131 @@
+// src/content/page-bridge.js
+// Content-script side of the in-page AI bridge (src/content/inpage.js). Used when the
+// service worker has no Chrome AI: the script is injected into the page and handed one
+// end of a MessageChannel, so requests and replies stay off window messages. Requests
+// carry random ids, are matched to their *_RESULT replies and given up after a timeout.
+// The page's own scripts share the world inpage.js runs in and could still get at the
+// channel; the service worker only sends this tab's work here and never caches the answers.
+import { BRIDGE_CONFIG } from '../../config/config.js';
+
+const RESULT_TYPES = {
+  BB_INIT: 'BB_INIT_RESULT',
+  BB_CLASSIFY: 'BB_CLASSIFY_RESULT',
+  BB_SUMMARIZE: 'BB_SUMMARY_RESULT'
+};
+
+// Path of the web-accessible copy of inpage.js (differs between source and dist builds)
+function inpageScriptUrl() {
+  const resources = chrome.runtime.getManifest().web_accessible_resources || [];
+  const path = resources.flatMap(entry => entry.resources || []).find(r => r.endsWith('inpage.js'));
+  if (!path) throw new Error('inpage.js is not web accessible');
+  return chrome.runtime.getURL(path);
+}
+
+// Not guessable from earlier ids; crypto.randomUUID() needs a secure context
+function requestId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return `bb-${Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')}`;
+}
+
+export class PageBridge {
+  constructor() {
+    this.pending = new Map();        // Request id -> {resultType, resolve, reject, timer}
+    this.port = null;                // Our end of the channel to inpage.js
+    this.capabilities = null;        // {prompt, summarizer} once connected
+    this.onMessage = this.onMessage.bind(this);
+  }
+
+  /**
+   * Inject the in-page script and create its AI sessions
+   * @returns {Promise<{prompt: boolean, summarizer: boolean}>} Which APIs the page context has
+   */
+  async connect() {
+    await this.inject();
+    const channel = new MessageChannel();
+    this.port = channel.port1;
+    this.port.onmessage = this.onMessage;
+    window.postMessage({ source: 'BB_CONTENT', type: 'BB_CONNECT' }, '*', [channel.port2]);
+    const result = await this.request('BB_INIT', {}, BRIDGE_CONFIG.INIT_TIMEOUT);
+    this.capabilities = { prompt: !!result.prompt, summarizer: !!result.summarizer };
+    return this.capabilities;
+  }
+
+  inject() {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        window.removeEventListener('message', onReady);
+        reject(new Error('In-page script did not load'));
+      }, BRIDGE_CONFIG.READY_TIMEOUT);
+      const onReady = (ev) => {
+        if (ev.source !== window || ev.data?.type !== 'BB_INPAGE_READY') return;
+        clearTimeout(timer);
+        window.removeEventListener('message', onReady);
+        resolve();
+      };
+      window.addEventListener('message', onReady);
+
+      const script = document.createElement('script');
+      script.src = inpageScriptUrl();
+      script.onload = () => script.remove();
+      (document.head || document.documentElement).appendChild(script);
+    });
+  }
+
+  /**
+   * Run a prompt in the page context
+   * @param {string} prompt - Rendered prompt
+   * @param {Object} [schema] - Response constraint; the classification schema if omitted
+   * @returns {Promise<string>} Raw model output
+   */
+  async classify(prompt, schema) {
+    const result = await this.request('BB_CLASSIFY', { prompt, schema }, BRIDGE_CONFIG.CLASSIFY_TIMEOUT);
+    return result.raw;
+  }
+
+  /**
+   * Summarize text in the page context
+   * @param {string} articleText - Article text
+   * @param {Object} [style] - Summary style (type, format, length)
+   * @param {string} [summaryContext] - Summarizer context
+   * @returns {Promise<string>} Summary
+   */
+  async summarize(articleText, style, summaryContext) {
+    const result = await this.request('BB_SUMMARIZE', { articleText, style, summaryContext }, BRIDGE_CONFIG.SUMMARIZE_TIMEOUT);
+    return result.summary;
+  }
+
+  request(type, payload, timeout) {
+    if (!this.port) return Promise.reject(new Error('Page bridge is not connected'));
+    const id = requestId();
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`${type} timed out after ${timeout}ms`));
+      }, timeout);
+      this.pending.set(id, { resultType: RESULT_TYPES[type], resolve, reject, timer });
+      this.port.postMessage({ type, id, ...payload });
+    });
+  }
+
+  onMessage(ev) {
+    if (!ev.data?.id) return;
+    const request = this.pending.get(ev.data.id);
+    if (!request || request.resultType !== ev.data.type) return;
+
+    this.pending.delete(ev.data.id);
+    clearTimeout(request.timer);
+    if (ev.data.ok) request.resolve(ev.data);
+    else request.reject(new Error(ev.data.error || 'In-page AI request failed'));
+  }
+
+  disconnect() {
+    this.port?.close();
+    this.port = null;
+    this.pending.forEach(request => {
+      clearTimeout(request.timer);
+      request.reject(new Error('Page bridge closed'));
+    });
+    this.pending.clear();
+    this.capabilities = null;
+  }
+}
@@ -0,0 +1,74 @@
+// src/lib/abort.js
+// AbortSignal helpers for classification and summary work. A cancelled request aborts
+// with an 'AbortError', a timeout with a 'TimeoutError'; both stop the fetches and AI
+// calls that were given the signal instead of leaving them to run unobserved.
+
+export function cancelledError(message = 'Cancelled') {
+  return new DOMException(message, 'AbortError');
+}
+
+export function timeoutError(message) {
+  return new DOMException(message, 'TimeoutError');
+}
+
+// True for errors caused by an aborted signal, as opposed to failures of the work itself
+export function isAbortError(error) {
+  return error?.name === 'AbortError' || error?.name === 'TimeoutError';
+}
+
+export function throwIfAborted(signal) {
+  if (signal?.aborted) throw signal.reason ?? cancelledError();
+}
+
+/**
+ * Controller that also aborts when `parent` does
+ * @param {AbortSignal} [parent]
+ * @returns {{controller: AbortController, release: function(): void}} release() detaches
+ *   from the parent once the work is done
+ */
+export function childController(parent) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(parent.reason);
+  if (parent?.aborted) controller.abort(parent.reason);
+  else parent?.addEventListener('abort', onAbort, { once: true });
+  return { controller, release: () => parent?.removeEventListener('abort', onAbort) };
+}
+
+/**
+ * Signal that aborts when `parent` does or after `ms`, whichever comes first
+ * @param {AbortSignal} [parent]
+ * @param {number} ms - Timeout
+ * @param {string} message - Message of the TimeoutError
+ * @returns {{signal: AbortSignal, clear: function(): void}} clear() stops the timer
+ */
+export function withTimeout(parent, ms, message) {
+  const { controller, release } = childController(parent);
+  const timer = setTimeout(() => controller.abort(timeoutError(message)), ms);
+  return {
+    signal: controller.signal,
+    clear: () => {
+      clearTimeout(timer);
+      release();
+    }
+  };
+}
+
+/**
+ * Settle like `promise`, but reject as soon as `signal` aborts
+ * For steps that take no signal of their own; the caller stops waiting for them.
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise}
+ */
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) {
+    promise.catch(() => {});
+    return Promise.reject(signal.reason ?? cancelledError());
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason ?? cancelledError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
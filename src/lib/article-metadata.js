@@ -0,0 +1,128 @@
+// src/lib/article-metadata.js
+// Structured metadata that news sites embed for search engines and social previews:
+// schema.org JSON-LD (NewsArticle and friends) and Open Graph / article: meta tags.
+// JSON-LD wins where both are present, since it is usually the more complete of the two.
+import { walk } from './html-tokenizer.js';
+
+const ARTICLE_TYPES = new Set([
+  'Article', 'NewsArticle', 'ReportageNewsArticle', 'AnalysisNewsArticle', 'OpinionNewsArticle',
+  'BackgroundNewsArticle', 'BlogPosting', 'LiveBlogPosting', 'Report', 'ScholarlyArticle', 'TechArticle'
+]);
+
+/**
+ * @typedef {Object} ArticleMetadata
+ * @property {string} [headline]
+ * @property {string} [description]
+ * @property {string} [author] - Names, comma-separated
+ * @property {string} [datePublished] - As given by the page (usually ISO 8601)
+ * @property {string} [publisher]
+ * @property {string} [articleBody] - Full text, JSON-LD only
+ * @property {boolean} [accessibleForFree] - JSON-LD `isAccessibleForFree`; false marks
+ *   paywalled content
+ * @property {string} [canonicalUrl] - <link rel="canonical"> or og:url, as given (may be relative)
+ */
+
+function clean(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+}
+
+// Person/Organization objects, plain names, or arrays of either
+function names(value) {
+  const list = [].concat(value || []).map(entry => clean(typeof entry === 'string' ? entry : entry?.name));
+  // Author URLs (common in article:author) are not names
+  return [...new Set(list.filter(name => name && !/^https?:\/\//i.test(name)))].join(', ');
+}
+
+function isArticle(entry) {
+  return [].concat(entry?.['@type'] || []).some(type => ARTICLE_TYPES.has(type));
+}
+
+// Article objects anywhere in a JSON-LD document: top level, arrays, @graph or mainEntity
+function findArticles(data, found = []) {
+  if (Array.isArray(data)) {
+    data.forEach(entry => findArticles(entry, found));
+  } else if (data && typeof data === 'object') {
+    if (isArticle(data)) found.push(data);
+    if (data['@graph']) findArticles(data['@graph'], found);
+    if (data.mainEntity) findArticles(data.mainEntity, found);
+  }
+  return found;
+}
+
+function fromJsonLd(root) {
+  const articles = [];
+  walk(root, node => {
+    if (node.tag !== 'script' || !/ld\+json/i.test(node.attrs.type || '')) return;
+    try {
+      findArticles(JSON.parse(node.children.map(child => child.text || '').join('')), articles);
+    } catch {
+      // Broken JSON-LD is common; the meta tags and the page itself remain
+    }
+    return false;
+  });
+  // The entry with a body is the page's own article rather than a related one
+  const article = articles.find(entry => clean(entry.articleBody)) || articles[0];
+  if (!article) return {};
+  return {
+    headline: clean(article.headline || article.name),
+    description: clean(article.description),
+    author: names(article.author),
+    datePublished: clean(article.datePublished || article.dateCreated),
+    publisher: names(article.publisher),
+    // Line breaks separate paragraphs, so they are kept
+    articleBody: typeof article.articleBody === 'string' ? article.articleBody.trim() : '',
+    // Booleans are often given as strings ("False")
+    accessibleForFree: article.isAccessibleForFree === undefined
+      ? undefined
+      : !/^false$/i.test(String(article.isAccessibleForFree))
+  };
+}
+
+function fromMetaTags(root) {
+  const tags = {};
+  let canonical = '';
+  walk(root, node => {
+    if (node.tag === 'link' && !canonical && /(?:^|\s)canonical(?:\s|$)/i.test(node.attrs.rel || '')) {
+      canonical = node.attrs.href || '';
+    }
+    if (node.tag !== 'meta') return;
+    const key = (node.attrs.property || node.attrs.name || '').toLowerCase();
+    if (key && !(key in tags)) tags[key] = node.attrs.content;
+  });
+  return {
+    headline: clean(tags['og:title']),
+    description: clean(tags['og:description'] || tags.description),
+    author: names(tags['article:author'] || tags.author),
+    datePublished: clean(tags['article:published_time']),
+    publisher: clean(tags['og:site_name']),
+    canonicalUrl: clean(canonical || tags['og:url'])
+  };
+}
+
+/**
+ * Read JSON-LD and Open Graph metadata of a page
+ * Must run before scripts are pruned from the tree.
+ * @param {import('./html-tokenizer.js').HtmlNode} root - Parsed page
+ * @returns {ArticleMetadata} Only the fields the page provides
+ */
+export function extractMetadata(root) {
+  const jsonLd = fromJsonLd(root);
+  const meta = fromMetaTags(root);
+  const metadata = {};
+  for (const field of ['headline', 'description', 'author', 'datePublished', 'publisher', 'articleBody']) {
+    const value = jsonLd[field] || meta[field];
+    if (value) metadata[field] = value;
+  }
+  if (meta.canonicalUrl) metadata.canonicalUrl = meta.canonicalUrl;
+  if (typeof jsonLd.accessibleForFree === 'boolean') metadata.accessibleForFree = jsonLd.accessibleForFree;
+  return metadata;
+}
+
+/**
+ * Split a JSON-LD articleBody into paragraphs
+ * @param {string} body
+ * @returns {string[]}
+ */
+export function bodyParagraphs(body) {
+  return String(body || '').split(/\n+/).map(clean).filter(Boolean);
+}
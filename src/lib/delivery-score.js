@@ -0,0 +1,57 @@
+// src/lib/delivery-score.js
+// "Bait delivered" scoring: does the fetched article back up its headline?
+// The lexical score is the fallback for when the Prompt API is not available; the
+// content script uses adjustForDelivery() to update a badge once a score arrives.
+import { DELIVERY_CONFIG } from '../../config/config.js';
+import { tokenize } from './headline-features.js';
+
+const STOPWORDS = new Set(DELIVERY_CONFIG.STOPWORDS);
+
+// Crude plural folding so "bridges" in a title matches "bridge" in the article
+function stem(word) {
+  return word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word;
+}
+
+function contentTerms(text) {
+  return tokenize(text)
+    .filter(t => t.length >= DELIVERY_CONFIG.MIN_TERM_LENGTH || /^\p{N}+$/u.test(t))
+    .filter(t => !STOPWORDS.has(t))
+    .map(stem);
+}
+
+/**
+ * Score how well an article covers its headline by word overlap
+ * Terms found anywhere count toward coverage; terms found in the lead count extra,
+ * since padded articles tend to bury the headline's subject.
+ * @param {string} title - Headline
+ * @param {string} article - Article text
+ * @returns {{score: number, reason: string}|null} null when the title has too few content words
+ */
+export function lexicalDeliveryScore(title, article) {
+  const terms = [...new Set(contentTerms(title))];
+  if (terms.length < DELIVERY_CONFIG.MIN_TITLE_TERMS) return null;
+
+  const body = new Set(contentTerms(article));
+  const lead = new Set(contentTerms(String(article || '').slice(0, DELIVERY_CONFIG.LEAD_LENGTH)));
+  const found = terms.filter(t => body.has(t));
+  const inLead = terms.filter(t => lead.has(t));
+
+  const score = (1 - DELIVERY_CONFIG.LEAD_WEIGHT) * (found.length / terms.length) +
+    DELIVERY_CONFIG.LEAD_WEIGHT * (inLead.length / terms.length);
+  return {
+    score: Math.round(score * 100) / 100,
+    reason: `${found.length} of ${terms.length} headline terms appear in the article`
+  };
+}
+
+/**
+ * Move a clickbait confidence by a delivery score
+ * A score of 0.5 leaves it unchanged; an article that does not deliver raises it.
+ * @param {number} confidence - Clickbait confidence before the article was read
+ * @param {number} score - Delivery score (0-1)
+ * @returns {number} Adjusted confidence (0-1)
+ */
+export function adjustForDelivery(confidence, score) {
+  const shift = DELIVERY_CONFIG.WEIGHT * (1 - 2 * score);
+  return Math.min(Math.max((Number(confidence) || 0) + shift, 0), 1);
+}
@@ -0,0 +1,62 @@
+// src/lib/ensemble.js
+// Combines the detector results of ensemble mode. The detectors report on different
+// scales: the AI gives the confidence in its verdict, the rule-based detectors give a
+// clickbait confidence when a rule fires and nothing otherwise. Each is converted to a
+// clickbait probability first, so the user's weights mix comparable numbers.
+import { DETECTION_MODES, ENSEMBLE_CONFIG } from '../../config/config.js';
+
+/**
+ * Clickbait probability of one detector result
+ * @param {string} id - Detector (one of ENSEMBLE_CONFIG.DETECTORS)
+ * @param {{isClickbait: boolean, confidence?: number}} result - Detector result
+ * @returns {number} Probability in [0, 1]; 0.5 is undecided
+ */
+export function detectorProbability(id, result) {
+  const confidence = result.confidence || 0;
+  if (id === DETECTION_MODES.CHROME_AI) {
+    return result.isClickbait ? confidence : 1 - confidence;
+  }
+  // A rule that fires leans towards clickbait, by how strongly it fired; no rule firing is
+  // weak evidence against it
+  return result.isClickbait ? 0.5 + confidence / 2 : ENSEMBLE_CONFIG.RULE_MISS_PROBABILITY;
+}
+
+/**
+ * Weighted average of the detector probabilities
+ * Detectors that failed are left out and the result is marked as degraded.
+ * @param {string[]} ids - Detectors that ran
+ * @param {PromiseSettledResult<Object>[]} outcomes - Their results, in the same order
+ * @param {Object<string, number>} weights - Weight per detector
+ * @param {number} threshold - Probability at which a headline counts as clickbait
+ * @returns {{isClickbait: boolean, confidence: number, scores: Object<string, number>,
+ *   reason: string, degraded?: boolean, failedDetectors?: string[]}}
+ */
+export function combineDetectors(ids, outcomes, weights, threshold) {
+  const scores = {};
+  const reasons = [];
+  const failedDetectors = [];
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  outcomes.forEach((outcome, i) => {
+    const id = ids[i];
+    if (outcome.status === 'rejected') {
+      failedDetectors.push(id);
+      return;
+    }
+    const score = detectorProbability(id, outcome.value);
+    scores[id] = score;
+    weightedSum += score * weights[id];
+    totalWeight += weights[id];
+    if (outcome.value.reason) reasons.push(outcome.value.reason);
+  });
+
+  const confidence = totalWeight > 0 ? weightedSum / totalWeight : 0;
+  return {
+    isClickbait: totalWeight > 0 && confidence >= threshold,
+    confidence,
+    scores,
+    reason: [...new Set(reasons.join(', ').split(', ').filter(Boolean))].join(', '),
+    ...(failedDetectors.length ? { degraded: true, failedDetectors } : {})
+  };
+}
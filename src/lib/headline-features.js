@@ -0,0 +1,57 @@
+// src/lib/headline-features.js
+// Feature extraction shared by the statistical classifier and its training script.
+// Changing a feature here requires retraining the bundled model.
+
+/**
+ * Split a headline into lowercase word tokens plus '?' and '!' tokens
+ * @param {string} text - Headline text
+ * @returns {string[]} Tokens
+ */
+export function tokenize(text) {
+  return (String(text || '').toLowerCase().replace(/[’‘]/g, "'").match(/[\p{L}\p{N}']+|[?!]/gu) || [])
+    .map(token => token.replace(/^'+|'+$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Extract binary features from a headline
+ * - `w:` word unigrams, `b:` word bigrams
+ * - `c:` character trigrams inside words (padded with spaces)
+ * - `f:` shape flags (question, exclamation, leading number, second person)
+ * @param {string} text - Headline text
+ * @returns {Set<string>} Feature names
+ */
+export function extractFeatures(text) {
+  const tokens = tokenize(text);
+  const words = tokens.filter(t => t !== '?' && t !== '!');
+  const features = new Set();
+
+  words.forEach((word, i) => {
+    features.add(`w:${word}`);
+    if (i > 0) features.add(`b:${words[i - 1]} ${word}`);
+    const padded = ` ${word} `;
+    for (let j = 0; j + 3 <= padded.length; j++) {
+      features.add(`c:${padded.slice(j, j + 3)}`);
+    }
+  });
+
+  const trimmed = String(text || '').trim();
+  if (trimmed.endsWith('?')) features.add('f:question');
+  if (trimmed.includes('!')) features.add('f:exclamation');
+  if (/^\d/.test(trimmed)) features.add('f:leading-number');
+  if (words.some(w => w === 'you' || w === 'your' || w.startsWith("you'"))) features.add('f:second-person');
+
+  return features;
+}
+
+/**
+ * Turn a feature name into something readable for tooltips
+ * @param {string} feature - Feature name
+ * @returns {string|null} Readable label, or null for features not worth showing
+ */
+export function describeFeature(feature) {
+  const [kind, value] = [feature.slice(0, 1), feature.slice(2)];
+  if (kind === 'w' || kind === 'b') return `"${value}"`;
+  if (kind === 'f') return value.replace(/-/g, ' ');
+  return null;
+}
@@ -0,0 +1,242 @@
+// src/lib/html-tokenizer.js
+// Tolerant HTML tokenizer and tree builder for the service worker, which has no DOMParser.
+// It never throws on bad markup: stray end tags are dropped, unclosed elements are closed
+// by their parent's end tag, and <p>/<li>-style elements close implicitly like in browsers.
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param',
+  'source', 'track', 'wbr'
+]);
+
+// Elements whose content is raw text up to their own end tag
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'noscript', 'template', 'xmp']);
+
+// Start tags that implicitly close an open element of the listed names
+const IMPLIED_END = {
+  p: ['p'],
+  li: ['li'],
+  dt: ['dt', 'dd'],
+  dd: ['dt', 'dd'],
+  tr: ['tr', 'td', 'th'],
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  option: ['option']
+};
+const BLOCK_CLOSES_P = new Set([
+  'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset', 'figure', 'footer',
+  'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'pre',
+  'section', 'table', 'ul', 'li', 'dt', 'dd'
+]);
+// An implied end never reaches past these
+const SCOPE_BOUNDARIES = new Set(['table', 'ul', 'ol', 'dl', 'td', 'th', 'blockquote', 'article', 'section', 'div', 'main', 'body']);
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/y;
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–',
+  hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+  larr: '←', rarr: '→', copy: '©', reg: '®', trade: '™', middot: '·', bull: '•', shy: '',
+  euro: '€', pound: '£', deg: '°', times: '×', eacute: 'é', egrave: 'è', aacute: 'á',
+  agrave: 'à', ouml: 'ö', uuml: 'ü', auml: 'ä', szlig: 'ß', ccedil: 'ç', ntilde: 'ñ'
+};
+
+/**
+ * Decode character references
+ * Unknown named references are left as they are.
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeEntities(text) {
+  return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);?/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const named = NAMED_ENTITIES[ref.toLowerCase()];
+    return named === undefined ? match : named;
+  });
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  const pattern = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    const name = match[1].toLowerCase();
+    if (name in attrs) continue;
+    attrs[name] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attrs;
+}
+
+/**
+ * Split HTML into tokens
+ * @param {string} html
+ * @returns {Array<{type: 'start'|'end'|'text'|'comment', name?: string, attrs?: Object,
+ *   selfClosing?: boolean, text?: string}>} Text is decoded, except in raw text elements
+ */
+export function tokenize(html) {
+  const source = String(html || '');
+  const tokens = [];
+  let pos = 0;
+
+  const pushText = (text, raw = false) => {
+    if (text) tokens.push({ type: 'text', text: raw ? text : decodeEntities(text) });
+  };
+
+  while (pos < source.length) {
+    const lt = source.indexOf('<', pos);
+    if (lt === -1) {
+      pushText(source.slice(pos));
+      break;
+    }
+    pushText(source.slice(pos, lt));
+    pos = lt;
+
+    if (source.startsWith('<!--', pos)) {
+      const end = source.indexOf('-->', pos + 4);
+      tokens.push({ type: 'comment', text: source.slice(pos + 4, end === -1 ? source.length : end) });
+      pos = end === -1 ? source.length : end + 3;
+      continue;
+    }
+    if (source[pos + 1] === '!' || source[pos + 1] === '?') {
+      // Doctype, CDATA or processing instruction: skipped
+      const end = source.indexOf('>', pos);
+      pos = end === -1 ? source.length : end + 1;
+      continue;
+    }
+
+    TAG_PATTERN.lastIndex = pos;
+    const tag = TAG_PATTERN.exec(source);
+    if (!tag) {
+      // A '<' that does not start a tag is text
+      pushText('<');
+      pos++;
+      continue;
+    }
+    pos += tag[0].length;
+    const name = tag[2].toLowerCase();
+
+    if (tag[1]) {
+      tokens.push({ type: 'end', name });
+      continue;
+    }
+    const selfClosing = /\/\s*$/.test(tag[3]);
+    tokens.push({ type: 'start', name, attrs: parseAttributes(tag[3].replace(/\/\s*$/, '')), selfClosing });
+
+    if (RAW_TEXT_ELEMENTS.has(name) && !selfClosing) {
+      const close = new RegExp(`</${name}\\s*>`, 'i');
+      const rest = source.slice(pos);
+      const match = close.exec(rest);
+      const end = match ? match.index : rest.length;
+      pushText(rest.slice(0, end), name !== 'title' && name !== 'textarea');
+      tokens.push({ type: 'end', name });
+      pos += match ? end + match[0].length : end;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * @typedef {Object} HtmlNode
+ * @property {string} tag - Lowercase element name, '#text' or '#root'
+ * @property {Object} attrs
+ * @property {HtmlNode[]} children
+ * @property {HtmlNode|null} parent
+ * @property {string} [text] - For text nodes
+ */
+
+function createNode(tag, attrs, parent) {
+  return { tag, attrs: attrs || {}, children: [], parent };
+}
+
+/**
+ * Build an element tree from HTML
+ * @param {string} html
+ * @returns {HtmlNode} Root node
+ */
+export function parseHtml(html) {
+  const root = createNode('#root', {}, null);
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+
+  const closeTo = (index) => {
+    stack.length = Math.max(index, 1);
+  };
+
+  // Index of the innermost open element named one of `names` within scope, or -1
+  const findOpen = (names, scoped) => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (names.includes(stack[i].tag)) return i;
+      if (scoped && SCOPE_BOUNDARIES.has(stack[i].tag)) return -1;
+    }
+    return -1;
+  };
+
+  for (const token of tokenize(html)) {
+    if (token.type === 'text') {
+      current().children.push({ tag: '#text', attrs: {}, children: [], parent: current(), text: token.text });
+    } else if (token.type === 'start') {
+      const implied = [BLOCK_CLOSES_P.has(token.name) && ['p'], IMPLIED_END[token.name]];
+      for (const names of implied.filter(Boolean)) {
+        const open = findOpen(names, true);
+        if (open !== -1) closeTo(open);
+      }
+      const node = createNode(token.name, token.attrs, current());
+      current().children.push(node);
+      if (!VOID_ELEMENTS.has(token.name) && !token.selfClosing) stack.push(node);
+    } else if (token.type === 'end') {
+      const open = findOpen([token.name], false);
+      if (open !== -1) closeTo(open);
+    }
+  }
+  return root;
+}
+
+/**
+ * Copy a DOM tree into the same shape parseHtml() returns
+ * For pages parsed by a real DOMParser (offscreen document); comments are dropped.
+ * @param {Node} domNode - Document or element
+ * @returns {HtmlNode} Root node
+ */
+export function fromDom(domNode) {
+  const copy = (source, parent) => {
+    const node = createNode(source.localName.toLowerCase(), {}, parent);
+    for (const attr of source.attributes) node.attrs[attr.name.toLowerCase()] = attr.value;
+    for (const child of source.childNodes) {
+      if (child.nodeType === 3) {
+        node.children.push({ tag: '#text', attrs: {}, children: [], parent: node, text: child.nodeValue });
+      } else if (child.nodeType === 1) {
+        node.children.push(copy(child, node));
+      }
+    }
+    return node;
+  };
+  const root = createNode('#root', {}, null);
+  const top = domNode.nodeType === 9 ? domNode.documentElement : domNode;
+  if (top) root.children.push(copy(top, root));
+  return root;
+}
+
+/**
+ * Visit the elements below `node` in document order
+ * @param {HtmlNode} node
+ * @param {function(HtmlNode): (boolean|void)} visit - Return false to skip an element's children
+ */
+export function walk(node, visit) {
+  for (const child of node.children) {
+    if (child.tag === '#text') continue;
+    if (visit(child) === false) continue;
+    walk(child, visit);
+  }
+}
+
+/**
+ * Concatenated text below a node, whitespace collapsed
+ * @param {HtmlNode} node
+ * @returns {string}
+ */
+export function textContent(node) {
+  if (node.tag === '#text') return node.text.replace(/\s+/g, ' ');
+  return node.children.map(textContent).join('').replace(/\s+/g, ' ');
+}
@@ -0,0 +1,52 @@
+// src/lib/language-detector.js
+// Lightweight language detection for picking a pattern pack.
+// Counts common function words; good enough for headlines, no model needed.
+import { LANGUAGE_CONFIG } from '../../config/config.js';
+
+const STOPWORDS = {
+  en: ['the', 'a', 'an', 'and', 'of', 'to', 'in', 'is', 'you', 'this', 'that', 'for', 'with', 'what', 'why', 'how', 'your', 'will', 'are', 'on'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'mit', 'von', 'zu', 'den', 'dem', 'sie', 'du', 'wie', 'was', 'warum', 'auf', 'für', 'im', 'sich'],
+  es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'un', 'una', 'por', 'con', 'para', 'es', 'lo', 'no', 'qué', 'cómo', 'del', 'se', 'su'],
+  fr: ['le', 'la', 'les', 'de', 'des', 'et', 'un', 'une', 'est', 'en', 'du', 'que', 'qui', 'pour', 'pas', 'vous', 'ce', 'dans', 'sur', 'au', 'pourquoi', 'comment']
+};
+
+// Letters that only occur in one of the supported languages
+const DISTINCTIVE_LETTERS = {
+  de: /[äöüß]/,
+  es: /[ñ¿¡]/,
+  fr: /[çœèêëîûù]/
+};
+
+/**
+ * Map a BCP 47 tag (e.g. "de-AT") to a supported pack code
+ * @param {string} tag - Language tag from `<html lang>` or similar
+ * @returns {string|null} Supported language code, or null if unsupported
+ */
+export function normalizeLanguage(tag) {
+  const code = String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+  return LANGUAGE_CONFIG.SUPPORTED.includes(code) ? code : null;
+}
+
+/**
+ * Guess the language of a piece of text from function words
+ * @param {string} text - Text to inspect
+ * @returns {string|null} Supported language code, or null when there is no evidence
+ */
+export function detectLanguage(text) {
+  const lower = String(text || '').toLowerCase();
+  const words = lower.split(/[^\p{L}]+/u).filter(Boolean);
+  if (!words.length) return null;
+
+  const scores = Object.fromEntries(Object.keys(STOPWORDS).map(code => [code, 0]));
+  for (const word of words) {
+    for (const [code, list] of Object.entries(STOPWORDS)) {
+      if (list.includes(word)) scores[code]++;
+    }
+  }
+  for (const [code, letters] of Object.entries(DISTINCTIVE_LETTERS)) {
+    if (letters.test(lower)) scores[code] += 2;
+  }
+
+  const [best, bestScore] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  return bestScore > 0 ? best : null;
+}
@@ -0,0 +1,56 @@
+// src/lib/page-classifier.js
+// Decide whether a fetched page is an article worth summarizing, or a paywall, a cookie
+// consent interstitial, an error page or something else. Wall and error markers only count
+// on pages with little extracted text, since full articles mention subscriptions and
+// cookies in their footers too.
+import { PAGE_TYPES, PAGE_CHECK_CONFIG } from '../../config/config.js';
+import { decodeEntities } from './html-tokenizer.js';
+
+const PAYWALL_CLASS = new RegExp(`\\b(?:class|id)\\s*=\\s*["'][^"']*(?:${PAGE_CHECK_CONFIG.PAYWALL_CLASS_PATTERN})`, 'i');
+const CONSENT_URL = new RegExp(PAGE_CHECK_CONFIG.CONSENT_URL_PATTERN, 'i');
+const SOFT_404 = new RegExp(PAGE_CHECK_CONFIG.SOFT_404_PATTERN, 'i');
+
+// Text of the whole page, including the overlays that article extraction prunes
+function pageText(html) {
+  return decodeEntities(String(html || '')
+    .replace(/<(script|style|noscript|template)\b[\s\S]*?<\/\1\s*>/gi, ' ')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+}
+
+/**
+ * Classify a fetched page
+ * @param {Object} page
+ * @param {number} [page.status] - HTTP status
+ * @param {string} [page.url] - Final URL after redirects
+ * @param {string} page.html - Page HTML
+ * @param {import('./readability.js').ExtractedArticle} page.article - Extracted article
+ * @returns {{type: string, reason: string}} type is one of PAGE_TYPES
+ */
+export function classifyPage({ status, url, html, article }) {
+  if (status >= 400) return { type: PAGE_TYPES.ERROR, reason: `HTTP ${status}` };
+  if (url && CONSENT_URL.test(url)) return { type: PAGE_TYPES.CONSENT_WALL, reason: 'Redirected to a consent page' };
+
+  const length = (article?.paragraphs || []).join(' ').length;
+  if (length < PAGE_CHECK_CONFIG.MAX_TEASER_LENGTH) {
+    if (article?.metadata?.accessibleForFree === false) {
+      return { type: PAGE_TYPES.PAYWALLED, reason: 'Marked as not accessible for free' };
+    }
+    const text = pageText(html);
+    const paywallPhrase = PAGE_CHECK_CONFIG.PAYWALL_PHRASES.find(phrase => text.includes(phrase));
+    if (paywallPhrase || PAYWALL_CLASS.test(html)) {
+      return { type: PAGE_TYPES.PAYWALLED, reason: paywallPhrase ? `"${paywallPhrase}"` : 'Paywall overlay' };
+    }
+    const consentPhrase = PAGE_CHECK_CONFIG.CONSENT_PHRASES.find(phrase => text.includes(phrase));
+    if (consentPhrase) return { type: PAGE_TYPES.CONSENT_WALL, reason: `"${consentPhrase}"` };
+    if (length < PAGE_CHECK_CONFIG.SOFT_404_MAX_LENGTH && SOFT_404.test(article?.title || '')) {
+      return { type: PAGE_TYPES.ERROR, reason: 'Error page' };
+    }
+  }
+
+  if (length < PAGE_CHECK_CONFIG.MIN_ARTICLE_LENGTH) {
+    return { type: PAGE_TYPES.NON_ARTICLE, reason: 'Too little article text' };
+  }
+  return { type: PAGE_TYPES.ARTICLE, reason: '' };
+}
@@ -0,0 +1,198 @@
+// src/lib/pattern-validator.js
+// Validates user-supplied RegEx patterns before they are saved or compiled.
+// A pattern that backtracks catastrophically would freeze every page it runs on,
+// so besides syntax we reject the constructs that cause exponential matching.
+import { CUSTOM_PATTERN_CONFIG } from '../../config/config.js';
+
+const MAX_CACHED_RESULTS = 500;
+const results = new Map();     // `${flags}/${pattern}` -> validation result
+
+const UNBOUNDED_QUANTIFIER = /^(?:[*+]|\{\d+,\d*\})/;
+// Group prefixes: non-capturing, lookarounds and named groups
+const GROUP_PREFIX = /^\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/;
+// Assertions that match no text
+const ZERO_WIDTH_ESCAPE = /^\\[bB]$/;
+// One escape sequence: \x61, \u0061, \cJ or a single escaped character, and with the
+// u flag also \u{61} and \p{L}
+const ESCAPE = /^\\(?:x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|c[A-Za-z]|[\s\S])/;
+const UNICODE_ESCAPE = /^\\(?:x[0-9a-fA-F]{2}|u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|c[A-Za-z]|[pP]\{[^}]*\}|[\s\S])/;
+
+/**
+ * Read the quantifier starting at position i, if any
+ * @param {string} pattern - Pattern source
+ * @param {number} i - Index right after an atom
+ * @returns {{length: number, repeats: boolean, optional: boolean}|null} Quantifier length,
+ *   whether it allows repetition and whether it allows zero matches
+ */
+function readQuantifier(pattern, i) {
+  const rest = pattern.slice(i);
+  const match = rest.match(/^(?:[*+?]|\{\d+(?:,\d*)?\})\??/);
+  if (!match) return null;
+  const bounded = match[0].match(/^\{(\d+)(?:,(\d+))?\}/);
+  const repeats = UNBOUNDED_QUANTIFIER.test(match[0]) ||
+    (bounded ? Number(bounded[2] ?? bounded[1]) > 1 : false);
+  const optional = /^[*?]/.test(match[0]) || (bounded ? Number(bounded[1]) === 0 : false);
+  return { length: match[0].length, repeats, optional };
+}
+
+// Characters tried when comparing atoms; characters the atoms name themselves are added
+const PROBE_RANGE = 0x300;
+const NAMED_CHAR = /\\(?:x([0-9a-fA-F]{2})|u([0-9a-fA-F]{4})|u\{([0-9a-fA-F]{1,6})\})|[^\x00-\x7f]/gu;
+
+// Characters written into atom sources, literally or as \x, \u escapes
+function namedChars(atoms) {
+  const chars = [];
+  for (const atom of atoms) {
+    for (const match of atom.matchAll(NAMED_CHAR)) {
+      const hex = match[1] || match[2] || match[3];
+      const code = hex ? parseInt(hex, 16) : match[0].codePointAt(0);
+      if (code <= 0x10ffff) chars.push(String.fromCodePoint(code));
+    }
+  }
+  return chars;
+}
+
+/**
+ * Check whether alternation branches can start with the same character
+ * Each branch is described by the single-character atoms its match can begin with, so
+ * optional leading atoms, escapes (\x61 is a) and classes are compared by what they match.
+ * @param {string[][]} firsts - Per branch, the sources of the atoms it can start with
+ * @param {string} flags - RegExp flags of the pattern
+ * @returns {boolean} True if two branches can match the same first character
+ */
+function branchesOverlap(firsts, flags) {
+  if (firsts.some(atoms => atoms.length === 0)) return true;
+  const atomFlags = flags.replace(/[gy]/g, '');
+  const matchers = firsts.map(atoms => atoms.map(atom => new RegExp(`^(?:${atom})$`, atomFlags)));
+  const probes = new Set(namedChars(firsts.flat()));
+  for (let code = 0; code < PROBE_RANGE; code++) probes.add(String.fromCharCode(code));
+
+  for (const probe of probes) {
+    const starting = matchers.filter(branch => branch.some(regex => regex.test(probe)));
+    if (starting.length > 1) return true;
+  }
+  return false;
+}
+
+function openGroup(lookaround = false) {
+  // Per branch: whether it has to consume text, and the atoms a match of it can start with
+  return { repeats: false, required: [false], firsts: [[]], lookaround };
+}
+
+/**
+ * Scan a pattern for nested repetition that leads to catastrophic backtracking
+ * @param {string} pattern - Pattern source
+ * @param {string} flags - RegExp flags of the pattern
+ * @returns {string|null} Description of the problem, or null when safe
+ */
+function findBacktrackingRisk(pattern, flags) {
+  const stack = [openGroup()];
+  const escapes = flags.includes('u') ? UNICODE_ESCAPE : ESCAPE;
+  let classStart = -1;
+
+  // Add an atom ending before `next` to the current branch, with its quantifier. `firsts`
+  // are the single-character atoms it can start with; they can start the branch as long
+  // as everything before them may match empty text.
+  const addAtom = (frame, firsts, next, consumes = true) => {
+    const quantifier = readQuantifier(pattern, next);
+    const last = frame.required.length - 1;
+    if (!frame.required[last]) frame.firsts[last].push(...firsts);
+    if (consumes && !quantifier?.optional) frame.required[last] = true;
+    if (quantifier?.repeats) frame.repeats = true;
+    return quantifier ? quantifier.length : 0;
+  };
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    const frame = stack[stack.length - 1];
+
+    if (ch === '\\') {
+      const next = pattern[i + 1] || '';
+      if (classStart < 0 && (/[1-9]/.test(next) || pattern.startsWith('k<', i + 1))) {
+        return 'Backreferences are not allowed';
+      }
+      const escape = pattern.slice(i).match(escapes)[0];
+      i += escape.length - 1;
+      if (classStart < 0) {
+        const zeroWidth = ZERO_WIDTH_ESCAPE.test(escape);
+        i += addAtom(frame, zeroWidth ? [] : [escape], i + 1, !zeroWidth);
+      }
+    } else if (classStart >= 0) {
+      if (ch === ']') {
+        const source = pattern.slice(classStart, i + 1);
+        classStart = -1;
+        i += addAtom(frame, [source], i + 1);
+      }
+    } else if (ch === '[') {
+      classStart = i;
+    } else if (ch === '(') {
+      const prefix = pattern.slice(i + 1).match(GROUP_PREFIX)?.[0] || '';
+      stack.push(openGroup(/^\?<?[=!]/.test(prefix)));
+      i += prefix.length;
+    } else if (ch === ')') {
+      const closed = stack.pop();
+      const parent = stack[stack.length - 1];
+      const quantifier = readQuantifier(pattern, i + 1);
+      const nullable = closed.required.some(required => !required);
+      if (quantifier?.repeats) {
+        if (closed.repeats) return 'Nested quantifiers such as (a+)+ are not allowed';
+        if (nullable && !closed.lookaround) {
+          return 'Repeated groups that can match empty text, such as (a?)+, are not allowed';
+        }
+        if (closed.firsts.length > 1 && branchesOverlap(closed.firsts, flags)) {
+          return 'Repeated alternatives that can match the same text are not allowed';
+        }
+      }
+      parent.repeats = parent.repeats || closed.repeats;
+      // A lookaround matches no text, so it starts nothing
+      const firsts = closed.lookaround ? [] : closed.firsts.flat();
+      i += addAtom(parent, firsts, i + 1, !nullable && !closed.lookaround);
+    } else if (ch === '|') {
+      frame.required.push(false);
+      frame.firsts.push([]);
+    } else if (ch === '^' || ch === '$') {
+      i += addAtom(frame, [], i + 1, false);
+    } else {
+      i += addAtom(frame, [ch.replace(/[{}\]]/, '\\$&')], i + 1);
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a user-defined pattern
+ * @param {string} pattern - Pattern source
+ * @param {string} flags - RegExp flags the pattern will be compiled with
+ * @returns {{valid: boolean, error?: string}} Validation result
+ */
+export function validatePattern(pattern, flags = 'i') {
+  if (typeof pattern !== 'string' || !pattern.trim()) {
+    return { valid: false, error: 'Pattern is empty' };
+  }
+  if (pattern.length > CUSTOM_PATTERN_CONFIG.MAX_LENGTH) {
+    return { valid: false, error: `Pattern is longer than ${CUSTOM_PATTERN_CONFIG.MAX_LENGTH} characters` };
+  }
+
+  // Patterns are validated again every time the rules are compiled
+  const key = `${flags}/${pattern}`;
+  if (!results.has(key)) {
+    if (results.size >= MAX_CACHED_RESULTS) results.clear();
+    results.set(key, checkPattern(pattern, flags));
+  }
+  return { ...results.get(key) };
+}
+
+function checkPattern(pattern, flags) {
+  try {
+    new RegExp(pattern, flags);
+  } catch (error) {
+    return { valid: false, error: `Invalid syntax: ${error.message}` };
+  }
+
+  const risk = findBacktrackingRisk(pattern, flags);
+  if (risk) {
+    return { valid: false, error: risk };
+  }
+
+  return { valid: true };
+}
@@ -0,0 +1,78 @@
+// src/lib/prompt-templates.js
+// Resolves and renders the prompt templates registered in config/config.js.
+// Shared by the service worker (AIManager), the options page and the in-page bridge.
+import { PROMPT_TEMPLATES, PROMPT_CONFIG } from '../../config/config.js';
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+function hashString(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) - hash) + text.charCodeAt(i);
+    hash |= 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * List the registered templates of one kind
+ * @param {string} kind - One of PROMPT_KINDS
+ * @returns {Array<Object>} Templates
+ */
+export function getTemplatesForKind(kind) {
+  return PROMPT_TEMPLATES.filter(t => t.kind === kind);
+}
+
+/**
+ * Pick the template for a kind from the user's prompt settings
+ * A non-empty override wins over the selected template; its version is derived from
+ * its text so editing the override also changes the cache key.
+ * @param {string} kind - One of PROMPT_KINDS
+ * @param {Object} [promptSettings] - `settings.promptTemplates`: `{[kind]: {id, override}}`
+ * @returns {{id: string, version: string|number, key: string, text: string, custom: boolean}}
+ */
+export function resolvePromptTemplate(kind, promptSettings = {}) {
+  const choice = promptSettings?.[kind] || {};
+  const override = typeof choice.override === 'string' ? choice.override.trim() : '';
+  if (override && validateTemplate(kind, override).valid) {
+    const version = hashString(override);
+    return { id: 'custom', version, key: `custom@${version}`, text: override, custom: true };
+  }
+
+  const templates = getTemplatesForKind(kind);
+  const template = templates.find(t => t.id === choice.id) ||
+    templates.find(t => t.id === PROMPT_CONFIG.DEFAULTS[kind]) ||
+    templates[0];
+  if (!template) throw new Error(`No prompt template registered for ${kind}`);
+  return { id: template.id, version: template.version, key: `${template.id}@${template.version}`, text: template.text, custom: false };
+}
+
+/**
+ * Fill `{{name}}` placeholders; unknown placeholders become empty strings
+ * @param {string} text - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string} Prompt
+ */
+export function renderTemplate(text, values = {}) {
+  return text.replace(PLACEHOLDER, (_, name) => String(values[name] ?? ''));
+}
+
+/**
+ * Check a user override before saving it
+ * @param {string} kind - One of PROMPT_KINDS
+ * @param {string} text - Template text
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateTemplate(kind, text) {
+  const value = String(text || '').trim();
+  if (!value) return { valid: false, error: 'Template is empty.' };
+  if (value.length > PROMPT_CONFIG.MAX_OVERRIDE_LENGTH) {
+    return { valid: false, error: `Template is longer than ${PROMPT_CONFIG.MAX_OVERRIDE_LENGTH} characters.` };
+  }
+  const used = new Set([...value.matchAll(PLACEHOLDER)].map(m => m[1]));
+  const missing = (PROMPT_CONFIG.REQUIRED_PLACEHOLDERS[kind] || []).filter(name => !used.has(name));
+  if (missing.length) {
+    return { valid: false, error: `Template must contain ${missing.map(n => `{{${n}}}`).join(', ')}.` };
+  }
+  return { valid: true };
+}
@@ -0,0 +1,336 @@
+// src/lib/readability.js
+// Main-content extraction for fetched articles, after Mozilla's Readability: boilerplate is
+// pruned, paragraphs score their ancestors, and the best block (plus siblings that score
+// close to it) is returned as ordered paragraphs. Works on html-tokenizer trees, so it runs
+// in the service worker.
+import { READABILITY_CONFIG } from '../../config/config.js';
+import { parseHtml, walk, textContent } from './html-tokenizer.js';
+import { extractMetadata, bodyParagraphs } from './article-metadata.js';
+
+const POSITIVE = new RegExp(READABILITY_CONFIG.POSITIVE_PATTERN, 'i');
+const NEGATIVE = new RegExp(READABILITY_CONFIG.NEGATIVE_PATTERN, 'i');
+const BYLINE = new RegExp(READABILITY_CONFIG.BYLINE_PATTERN, 'i');
+
+// Never content
+const REMOVED_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'nav', 'aside', 'form', 'button', 'iframe', 'svg',
+  'select', 'input', 'textarea', 'object', 'embed', 'canvas', 'dialog', 'head', 'title', 'meta', 'link'
+]);
+// Page chrome unless they belong to an article
+const CHROME_TAGS = new Set(['header', 'footer']);
+// Elements whose text is scored as a paragraph
+const PARAGRAPH_TAGS = new Set(['p', 'pre', 'td', 'blockquote']);
+// Elements emitted as one paragraph each
+const OUTPUT_BLOCKS = new Set(['p', 'pre', 'blockquote', 'li', 'dt', 'dd', 'td', 'th', 'figcaption', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const HEADINGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const BLOCK_TAGS = new Set([
+  ...OUTPUT_BLOCKS, 'address', 'article', 'div', 'dl', 'fieldset', 'figure', 'footer', 'header',
+  'hr', 'main', 'ol', 'section', 'table', 'tbody', 'thead', 'tr', 'ul', 'br'
+]);
+const TAG_WEIGHTS = {
+  article: 10, main: 5, div: 5, section: 3, pre: 3, td: 3, blockquote: 3,
+  address: -3, ol: -3, ul: -3, dl: -3, dd: -3, dt: -3, li: -3, form: -3,
+  h1: -5, h2: -5, h3: -5, h4: -5, h5: -5, h6: -5, th: -5
+};
+
+/**
+ * @typedef {Object} ExtractedArticle
+ * @property {string} title - Headline, without the site name
+ * @property {string|null} byline - Author line, if the page has one
+ * @property {string[]} paragraphs - Main content in document order
+ * @property {'json-ld'|'page'} source - Whether the paragraphs are the JSON-LD articleBody
+ *   or were extracted from the page
+ * @property {import('./article-metadata.js').ArticleMetadata} metadata - Without articleBody
+ *   and canonicalUrl
+ * @property {string|null} canonicalUrl - <link rel="canonical"> or og:url, as given
+ */
+
+/** @typedef {import('./html-tokenizer.js').HtmlNode} HtmlNode */
+
+function classAndId(node) {
+  return `${node.attrs.class || ''} ${node.attrs.id || ''}`;
+}
+
+function classWeight(node) {
+  const names = classAndId(node);
+  let weight = 0;
+  if (NEGATIVE.test(names)) weight -= 25;
+  if (POSITIVE.test(names)) weight += 25;
+  return weight;
+}
+
+function isHidden(node) {
+  return 'hidden' in node.attrs ||
+    node.attrs['aria-hidden'] === 'true' ||
+    /display\s*:\s*none|visibility\s*:\s*hidden/i.test(node.attrs.style || '');
+}
+
+function hasAncestor(node, tags) {
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (tags.includes(parent.tag)) return true;
+  }
+  return false;
+}
+
+function findFirst(root, predicate) {
+  let found = null;
+  walk(root, node => {
+    if (found) return false;
+    if (predicate(node)) found = node;
+  });
+  return found;
+}
+
+function findAll(root, predicate) {
+  const found = [];
+  walk(root, node => {
+    if (predicate(node)) found.push(node);
+  });
+  return found;
+}
+
+function isByline(node) {
+  return node.attrs.rel === 'author' ||
+    /\bauthor\b/i.test(node.attrs.itemprop || '') ||
+    BYLINE.test(classAndId(node));
+}
+
+/**
+ * Remove boilerplate below `root`, taking the byline out on the way
+ * @returns {string|null} Byline
+ */
+function prune(root) {
+  let byline = null;
+  const visit = (node) => {
+    node.children = node.children.filter(child => {
+      if (child.tag === '#text') return true;
+      if (REMOVED_TAGS.has(child.tag) || isHidden(child)) return false;
+      if (CHROME_TAGS.has(child.tag) && !hasAncestor(child, ['article', 'main'])) return false;
+
+      if (!byline && isByline(child)) {
+        const text = textContent(child).trim();
+        if (text && text.length <= READABILITY_CONFIG.BYLINE_MAX_LENGTH) {
+          byline = text;
+          return false;
+        }
+      }
+
+      const names = classAndId(child);
+      if (NEGATIVE.test(names) && !POSITIVE.test(names) && !['article', 'main', 'body'].includes(child.tag)) {
+        return false;
+      }
+      visit(child);
+      return true;
+    });
+  };
+  visit(root);
+  return byline;
+}
+
+/**
+ * Text, link text and element counts of every element below `root`
+ * @returns {Map<Object, {text: number, links: number, elements: number}>}
+ */
+function measure(root) {
+  const stats = new Map();
+  const visit = (node, inLink) => {
+    const own = { text: 0, links: 0, elements: 1 };
+    for (const child of node.children) {
+      if (child.tag === '#text') {
+        const length = child.text.replace(/\s+/g, ' ').trim().length;
+        own.text += length;
+        if (inLink) own.links += length;
+      } else {
+        const sub = visit(child, inLink || child.tag === 'a');
+        own.text += sub.text;
+        own.links += sub.links;
+        own.elements += sub.elements;
+      }
+    }
+    stats.set(node, own);
+    return own;
+  };
+  visit(root, false);
+  return stats;
+}
+
+function linkDensity(stats, node) {
+  const { text, links } = stats.get(node);
+  return text ? links / text : 0;
+}
+
+// A div without block children is a paragraph
+function isParagraph(node) {
+  if (PARAGRAPH_TAGS.has(node.tag)) return true;
+  return node.tag === 'div' && !node.children.some(child => BLOCK_TAGS.has(child.tag));
+}
+
+/**
+ * Score blocks: each paragraph adds to its parent, half to its grandparent and a
+ * third to the great-grandparent; the totals are scaled by link and text density
+ * @returns {Map<Object, number>} Final scores
+ */
+function scoreCandidates(root, stats) {
+  const scores = new Map();
+  const initialScore = (node) => (TAG_WEIGHTS[node.tag] || 0) + classWeight(node);
+
+  walk(root, node => {
+    if (!isParagraph(node)) return;
+    const text = textContent(node).trim();
+    if (text.length < READABILITY_CONFIG.MIN_PARAGRAPH_LENGTH) return;
+
+    const commas = (text.match(/[,،，]/g) || []).length;
+    const score = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+    let ancestor = node.parent;
+    // Ancestors above `root` were not measured and are not candidates
+    for (let level = 0; ancestor && stats.has(ancestor) && level < 3; level++) {
+      if (!scores.has(ancestor)) scores.set(ancestor, initialScore(ancestor));
+      scores.set(ancestor, scores.get(ancestor) + score / (level === 0 ? 1 : level + 1));
+      ancestor = ancestor.parent;
+    }
+  });
+
+  for (const [node, score] of scores) {
+    const { text, elements } = stats.get(node);
+    const density = text / elements;
+    const densityFactor = density < READABILITY_CONFIG.MIN_TEXT_DENSITY ? density / READABILITY_CONFIG.MIN_TEXT_DENSITY : 1;
+    scores.set(node, score * (1 - linkDensity(stats, node)) * densityFactor);
+  }
+  return scores;
+}
+
+/**
+ * The top block and those of its siblings that belong to the article
+ */
+function selectContent(root, stats, scores) {
+  let top = null;
+  for (const [node, score] of scores) {
+    if (!top || score > scores.get(top)) top = node;
+  }
+  if (!top) return [root];
+
+  // A parent that scores nearly as well holds more of the article, e.g. a lead paragraph
+  // in its own wrapper next to the body text
+  while (top.parent && (scores.get(top.parent) || 0) >= scores.get(top) * READABILITY_CONFIG.PARENT_SCORE_SHARE) {
+    top = top.parent;
+  }
+
+  const threshold = Math.max(10, scores.get(top) * READABILITY_CONFIG.SIBLING_SCORE_SHARE);
+  const parent = top.parent;
+  if (!parent || parent.tag === '#root') return [top];
+
+  return parent.children.filter(sibling => {
+    if (sibling === top) return true;
+    if (sibling.tag === '#text') return false;
+    if ((scores.get(sibling) || 0) >= threshold) return true;
+    if (sibling.tag !== 'p') return false;
+    const length = stats.get(sibling).text;
+    const density = linkDensity(stats, sibling);
+    return (length > 80 && density < 0.25) ||
+      (length > 0 && density === 0 && /\.( |$)/.test(textContent(sibling)));
+  });
+}
+
+/**
+ * Flatten blocks to paragraphs; inline runs between blocks become paragraphs too
+ */
+function collectParagraphs(nodes, stats, title) {
+  const paragraphs = [];
+  let inline = '';
+  let inlineLinks = 0;
+
+  const emit = (text, density) => {
+    const clean = text.replace(/\s+/g, ' ').trim();
+    if (!clean || density > READABILITY_CONFIG.MAX_LINK_DENSITY) return;
+    if (paragraphs[paragraphs.length - 1] !== clean) paragraphs.push(clean);
+  };
+  const flush = () => {
+    const length = inline.replace(/\s+/g, ' ').trim().length;
+    if (length >= READABILITY_CONFIG.MIN_BLOCK_LENGTH) emit(inline, inlineLinks / length);
+    inline = '';
+    inlineLinks = 0;
+  };
+  const visit = (node, inLink) => {
+    if (node.tag === '#text') {
+      inline += node.text;
+      if (inLink) inlineLinks += node.text.replace(/\s+/g, ' ').trim().length;
+      return;
+    }
+    if (OUTPUT_BLOCKS.has(node.tag)) {
+      flush();
+      const text = textContent(node).trim();
+      if (HEADINGS.has(node.tag) ? text !== title : text.length >= READABILITY_CONFIG.MIN_BLOCK_LENGTH) {
+        emit(text, linkDensity(stats, node));
+      }
+      return;
+    }
+    const block = BLOCK_TAGS.has(node.tag) || node.tag === '#root' || node.tag === 'body';
+    if (block) flush();
+    node.children.forEach(child => visit(child, inLink || node.tag === 'a'));
+    if (block) flush();
+  };
+  nodes.forEach(node => visit(node, false));
+  flush();
+  return paragraphs;
+}
+
+/**
+ * Headline from the page title, preferring an <h1> that the title contains
+ */
+function findTitle(root) {
+  const titleNode = findFirst(root, node => node.tag === 'title');
+  const docTitle = titleNode ? textContent(titleNode).trim() : '';
+  const headings = findAll(root, node => node.tag === 'h1').map(node => textContent(node).trim()).filter(Boolean);
+
+  const lower = docTitle.toLowerCase();
+  const matching = headings
+    .filter(heading => lower.includes(heading.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  if (matching) return matching;
+
+  // "Headline - Site name": drop the part after the last separator
+  const separator = /\s+(?:[|\-–—»]|::)\s+/g;
+  let last = -1;
+  let match;
+  while ((match = separator.exec(docTitle))) last = match.index;
+  if (last > 0) {
+    const headline = docTitle.slice(0, last).trim();
+    if (headline.split(/\s+/).length >= 3) return headline;
+  }
+  return docTitle || headings[0] || '';
+}
+
+/**
+ * Extract the headline, byline and main content of a parsed page
+ * The tree is pruned in place.
+ * @param {HtmlNode} root - From parseHtml() or fromDom()
+ * @returns {ExtractedArticle}
+ */
+export function extractArticleFromTree(root) {
+  const { articleBody, canonicalUrl = null, ...metadata } = extractMetadata(root);
+  const title = metadata.headline || findTitle(root);
+
+  const body = findFirst(root, node => node.tag === 'body') || root;
+  const byline = prune(body) || metadata.author || null;
+
+  const stats = measure(body);
+  const content = selectContent(body, stats, scoreCandidates(body, stats));
+  const paragraphs = collectParagraphs(content, stats, title);
+
+  // Some sites put only a teaser into articleBody; it has to hold up against the page
+  const scrapedLength = paragraphs.join(' ').length;
+  if (articleBody && articleBody.length >= READABILITY_CONFIG.MIN_ARTICLE_BODY_LENGTH &&
+      articleBody.length >= scrapedLength * READABILITY_CONFIG.ARTICLE_BODY_SHARE) {
+    return { title, byline, paragraphs: bodyParagraphs(articleBody), source: 'json-ld', metadata, canonicalUrl };
+  }
+  return { title, byline, paragraphs, source: 'page', metadata, canonicalUrl };
+}
+
+/**
+ * Extract the headline, byline and main content of an HTML page
+ * @param {string} html
+ * @returns {ExtractedArticle}
+ */
+export function extractArticle(html) {
+  return extractArticleFromTree(parseHtml(html));
+}
@@ -0,0 +1,176 @@
+// src/lib/response-validator.js
+// Validates and repairs classification, headline-answer and delivery responses from the
+// Prompt API before they are used or cached. Shared by AIManager and the in-page bridge, which only returns raw text.
+
+// Machine-readable reasons why a response could not be used
+export const RESPONSE_FAILURES = {
+  EMPTY: 'empty-response',
+  NO_JSON: 'no-json',
+  INVALID_JSON: 'invalid-json',
+  NOT_OBJECT: 'not-object',
+  MISSING_VERDICT: 'missing-is-clickbait',
+  INVALID_CONFIDENCE: 'invalid-confidence',
+  MISSING_ANSWERED: 'missing-answered',
+  MISSING_ANSWER: 'missing-answer',
+  INVALID_SCORE: 'invalid-score'
+};
+
+const TRUE_WORDS = ['true', 'yes', 'clickbait', '1'];
+const FALSE_WORDS = ['false', 'no', 'not clickbait', '0'];
+
+/**
+ * Find the first balanced JSON object or array in a string
+ * @param {string} text - Text that may contain JSON
+ * @returns {string|null} JSON source, or null
+ */
+function findBalancedJson(text) {
+  const start = text.search(/[{[]/);
+  if (start === -1) return null;
+
+  const stack = [];
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return null;
+      if (!stack.length) return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse JSON out of model output, tolerating code fences and text around it
+ * @param {string} raw - Model output
+ * @returns {{ok: true, value: *}|{ok: false, failure: string}}
+ */
+export function extractJson(raw) {
+  const text = String(raw ?? '').trim();
+  if (!text) return { ok: false, failure: RESPONSE_FAILURES.EMPTY };
+  if (!/[{[]/.test(text)) return { ok: false, failure: RESPONSE_FAILURES.NO_JSON };
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [text, fenced?.[1]?.trim(), findBalancedJson(fenced?.[1] || text)].filter(Boolean);
+
+  for (const candidate of candidates) {
+    try {
+      return { ok: true, value: JSON.parse(candidate) };
+    } catch {
+      // Try the next candidate
+    }
+  }
+  return { ok: false, failure: RESPONSE_FAILURES.INVALID_JSON };
+}
+
+function coerceBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number' && (value === 0 || value === 1)) return value === 1;
+  if (typeof value === 'string') {
+    const word = value.trim().toLowerCase();
+    if (TRUE_WORDS.includes(word)) return true;
+    if (FALSE_WORDS.includes(word)) return false;
+  }
+  return null;
+}
+
+// Accepts 0-1, percentages (85 or "85%") and numeric strings; clamps to [0, 1]
+function coerceConfidence(value) {
+  let number = value;
+  let percent = false;
+  if (typeof value === 'string') {
+    percent = value.trim().endsWith('%');
+    number = parseFloat(value);
+  }
+  if (typeof number !== 'number' || !Number.isFinite(number)) return null;
+  if (percent || (number > 1 && number <= 100)) number /= 100;
+  return Math.min(Math.max(number, 0), 1);
+}
+
+/**
+ * Coerce a parsed object into a classification
+ * @param {*} value - Parsed model output
+ * @returns {{ok: true, value: {isClickbait: boolean, confidence: number, reason: string}}|{ok: false, failure: string}}
+ */
+export function coerceClassification(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { ok: false, failure: RESPONSE_FAILURES.NOT_OBJECT };
+  }
+  const isClickbait = coerceBoolean(value.isClickbait ?? value.is_clickbait ?? value.clickbait);
+  if (isClickbait === null) return { ok: false, failure: RESPONSE_FAILURES.MISSING_VERDICT };
+  const confidence = coerceConfidence(value.confidence);
+  if (confidence === null) return { ok: false, failure: RESPONSE_FAILURES.INVALID_CONFIDENCE };
+  const reason = typeof value.reason === 'string' ? value.reason.trim() : '';
+  return { ok: true, value: { isClickbait, confidence, reason } };
+}
+
+/**
+ * Validate a raw classification response
+ * @param {string} raw - Model output
+ * @returns {{ok: true, value: Object}|{ok: false, failure: string}}
+ */
+export function parseClassification(raw) {
+  const parsed = extractJson(raw);
+  return parsed.ok ? coerceClassification(parsed.value) : parsed;
+}
+
+function normalizeForSearch(text) {
+  return String(text || '').toLowerCase().replace(/[“”„"‘’']/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Coerce a parsed object into a headline answer
+ * The quote is only kept if it really appears in the article, so the tooltip never
+ * shows invented evidence.
+ * @param {*} value - Parsed model output
+ * @param {string} article - Article text the model was given
+ * @returns {{ok: true, value: {answered: boolean, answer: string, quote: string}}|{ok: false, failure: string}}
+ */
+export function coerceAnswer(value, article = '') {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { ok: false, failure: RESPONSE_FAILURES.NOT_OBJECT };
+  }
+  const answered = coerceBoolean(value.answered);
+  if (answered === null) return { ok: false, failure: RESPONSE_FAILURES.MISSING_ANSWERED };
+  const answer = typeof value.answer === 'string' ? value.answer.trim() : '';
+  if (answered && !answer) return { ok: false, failure: RESPONSE_FAILURES.MISSING_ANSWER };
+
+  const quote = typeof value.quote === 'string' ? value.quote.trim().replace(/^["“]|["”]$/g, '').trim() : '';
+  const verified = quote && normalizeForSearch(article).includes(normalizeForSearch(quote));
+  return { ok: true, value: { answered, answer, quote: verified ? quote : '' } };
+}
+
+/**
+ * Validate a raw headline answer response
+ * @param {string} raw - Model output
+ * @param {string} article - Article text the model was given
+ * @returns {{ok: true, value: Object}|{ok: false, failure: string}}
+ */
+export function parseAnswer(raw, article) {
+  const parsed = extractJson(raw);
+  return parsed.ok ? coerceAnswer(parsed.value, article) : parsed;
+}
+
+/**
+ * Validate a raw "bait delivered" response
+ * @param {string} raw - Model output
+ * @returns {{ok: true, value: {score: number, reason: string}}|{ok: false, failure: string}}
+ */
+export function parseDelivery(raw) {
+  const parsed = extractJson(raw);
+  if (!parsed.ok) return parsed;
+  const value = parsed.value;
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { ok: false, failure: RESPONSE_FAILURES.NOT_OBJECT };
+  }
+  const score = coerceConfidence(value.score);
+  if (score === null) return { ok: false, failure: RESPONSE_FAILURES.INVALID_SCORE };
+  const reason = typeof value.reason === 'string' ? value.reason.trim() : '';
+  return { ok: true, value: { score, reason } };
+}
@@ -0,0 +1,67 @@
+// src/lib/rule-engine.js
+// Weighted, explainable rule evaluation for headline detection
+
+/**
+ * Collect the character offsets of every match of a regex in text
+ * @param {RegExp} regex - Compiled pattern
+ * @param {string} text - Text to search
+ * @returns {Array<{start: number, end: number, text: string}>} Match offsets
+ */
+export function findMatchOffsets(regex, text) {
+  const flags = regex.flags.includes('g') ? regex.flags : regex.flags + 'g';
+  const global = new RegExp(regex.source, flags);
+  const offsets = [];
+  for (const match of text.matchAll(global)) {
+    offsets.push({ start: match.index, end: match.index + match[0].length, text: match[0] });
+  }
+  return offsets;
+}
+
+/**
+ * Evaluate compiled rules against a headline
+ * A rule fires only when every one of its regexes matches.
+ * @param {string} text - Headline text
+ * @param {Array<Object>} rules - Rules with `id`, `category`, `weight` and compiled `regexes`
+ * @returns {{score: number, matches: Array<Object>}} Summed weight and the rules that fired
+ */
+export function evaluateRules(text, rules) {
+  const matches = [];
+  let score = 0;
+
+  for (const rule of rules) {
+    if (rule.enabled === false) continue;
+
+    const offsets = [];
+    let fired = rule.regexes.length > 0;
+    for (const regex of rule.regexes) {
+      const found = findMatchOffsets(regex, text);
+      if (!found.length) {
+        fired = false;
+        break;
+      }
+      offsets.push(...found);
+    }
+    if (!fired) continue;
+
+    const weight = Number(rule.weight ?? 1);
+    score += weight;
+    matches.push({
+      id: rule.id,
+      category: rule.category,
+      weight,
+      offsets: offsets.sort((a, b) => a.start - b.start)
+    });
+  }
+
+  return { score, matches };
+}
+
+/**
+ * Build a short human-readable reason from matched rules
+ * @param {Array<Object>} matches - Matches returned by evaluateRules
+ * @returns {string} Comma separated categories of the positive matches
+ */
+export function describeMatches(matches) {
+  const categories = matches.filter(m => m.weight > 0).map(m => m.category);
+  return [...new Set(categories)].join(', ');
+}
@@ -1,5 +1,35 @@
 // src/lib/settings-manager.js
-import { DEFAULT_DETECTION_MODE, SENSITIVITY_CONFIG } from '../../config/config.js';
+import {
+  DEFAULT_DETECTION_MODE,
+  SENSITIVITY_CONFIG,
+  HYBRID_CONFIG,
+  ENSEMBLE_CONFIG,
+  PERFORMANCE_CONFIG,
+  SUMMARY_CONFIG,
+  AI_PROVIDERS,
+  OPENAI_PROVIDER_CONFIG
+} from '../../config/config.js';
+
+// Settings kept in chrome.storage.local instead of sync: the API key, and lists too large
+// for one sync item (up to 8 KB). They are not synced to other devices.
+const LOCAL_KEYS = ['aiApiKey', 'customPatterns', 'promptTemplates'];
+
+// Local settings never sent to content scripts
+const PRIVATE_KEYS = ['aiApiKey'];
+
+// chrome.storage.sync.QUOTA_BYTES_PER_ITEM
+const SYNC_ITEM_QUOTA = 8192;
+
+// Split settings into the synced part and the local-only part
+function splitLocal(settings) {
+  const synced = { ...settings };
+  const local = {};
+  LOCAL_KEYS.forEach(key => {
+    if (key in synced) local[key] = synced[key];
+    delete synced[key];
+  });
+  return { synced, local };
+}
 
 export class SettingsManager {
   static DEFAULTS = {
@@ -8,16 +38,53 @@ export class SettingsManager {
     detectionMode: DEFAULT_DETECTION_MODE,
     showConfidence: false,
     cacheEnabled: true,
+    customPatterns: [],
+    hybridBand: { ...HYBRID_CONFIG.UNCERTAINTY_BAND },
+    ensembleWeights: { ...ENSEMBLE_CONFIG.WEIGHTS },
+    aiBatchSize: PERFORMANCE_CONFIG.AI_BATCH_SIZE,
+    promptTemplates: {},
+    summaryStyle: { ...SUMMARY_CONFIG.DEFAULT },
+    aiProvider: AI_PROVIDERS.CHROME,
+    aiEndpoint: OPENAI_PROVIDER_CONFIG.DEFAULT_ENDPOINT,
+    aiModel: '',                     // Empty: the server's first model
+    aiApiKey: '',
     domains: { whitelist: [], blacklist: [] }
   };
 
   async load() {
-    const stored = await chrome.storage.sync.get('settings');
-    return { ...SettingsManager.DEFAULTS, ...(stored?.settings || {}) };
+    const [stored, local] = await Promise.all([
+      chrome.storage.sync.get('settings'),
+      chrome.storage.local.get(LOCAL_KEYS)
+    ]);
+    const saved = stored?.settings || {};
+
+    // Move a key saved by an older version out of sync storage
+    if (LOCAL_KEYS.some(key => key in saved)) {
+      const moved = splitLocal(saved);
+      await chrome.storage.local.set({ ...moved.local, ...(local || {}) });
+      await chrome.storage.sync.set({ settings: moved.synced });
+    }
+    return { ...SettingsManager.DEFAULTS, ...saved, ...(local || {}) };
   }
 
-  async save(settings) {
-    await chrome.storage.sync.set({ settings });
+  /**
+   * Save settings and send them to open tabs
+   * @param {Object} allSettings - Complete settings, as returned by load()
+   * @throws {Error} If the synced settings exceed the sync item quota; nothing is saved
+   */
+  async save(allSettings) {
+    const { synced, local } = splitLocal(allSettings);
+    // Chrome counts the key plus the JSON of the value, in UTF-8 bytes
+    const size = 'settings'.length + new Blob([JSON.stringify(synced)]).size;
+    const quota = chrome.storage.sync.QUOTA_BYTES_PER_ITEM ?? SYNC_ITEM_QUOTA;
+    if (size > quota) {
+      throw new Error(`Settings are too large to sync (${size} of ${quota} bytes).`);
+    }
+    await chrome.storage.local.set(local);
+    await chrome.storage.sync.set({ settings: synced });
+
+    const settings = { ...allSettings };
+    PRIVATE_KEYS.forEach(key => delete settings[key]);
 
     // Notify all tabs about settings update
     chrome.tabs.query({}, (tabs) => {
@@ -0,0 +1,87 @@
+// src/lib/url-normalizer.js
+// One URL per article: links through redirectors are unwrapped and tracking parameters
+// dropped before anything is fetched, cached or deduplicated. After the fetch, the page's
+// <link rel="canonical"> names the URL the article is cached under.
+import { URL_CONFIG } from '../../config/config.js';
+
+const REDIRECTORS = URL_CONFIG.REDIRECTORS.map(({ HOST, PATH, PARAMS }) => ({
+  host: new RegExp(HOST, 'i'),
+  path: new RegExp(PATH, 'i'),
+  params: PARAMS
+}));
+const TRACKING_PARAM = new RegExp(URL_CONFIG.TRACKING_PARAM_PATTERN, 'i');
+const SECOND_LEVEL_SUFFIX = new RegExp(URL_CONFIG.SECOND_LEVEL_SUFFIX_PATTERN, 'i');
+
+function parseHttpUrl(href, base) {
+  try {
+    const url = new URL(href, base);
+    return /^https?:$/.test(url.protocol) ? url : null;
+  } catch {
+    return null;
+  }
+}
+
+// Registrable domain of a host name: news.example.co.uk -> example.co.uk
+function siteOf(hostname) {
+  if (/^[\d.]+$|^\[/.test(hostname)) return hostname;  // IP address
+  const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+  const size = SECOND_LEVEL_SUFFIX.test(labels.slice(-2).join('.')) ? 3 : 2;
+  return labels.slice(-size).join('.');
+}
+
+// Target of a redirector link, or null
+function unwrap(url) {
+  const redirector = REDIRECTORS.find(r => r.host.test(url.hostname) && r.path.test(url.pathname));
+  if (!redirector) return null;
+  for (const param of redirector.params) {
+    const target = parseHttpUrl(url.searchParams.get(param) || '');
+    if (target) return target;
+  }
+  return null;
+}
+
+/**
+ * Unwrap known redirectors and strip tracking parameters and fragments
+ * @param {string} href - Link URL
+ * @returns {string} Normalized URL; href itself if it is not an http(s) URL
+ */
+export function normalizeUrl(href) {
+  let url = parseHttpUrl(href);
+  if (!url) return href;
+  for (let depth = 0; depth < URL_CONFIG.MAX_UNWRAP_DEPTH; depth++) {
+    const target = unwrap(url);
+    if (!target) break;
+    url = target;
+  }
+
+  const tracking = [...url.searchParams.keys()].filter(key => TRACKING_PARAM.test(key));
+  // Rewriting the query re-encodes it, so it is only touched when something goes
+  if (tracking.length) {
+    tracking.forEach(key => url.searchParams.delete(key));
+    if (!url.searchParams.toString()) url.search = '';
+  }
+  // Hash-bang routes address content; other fragments only scroll
+  if (!url.hash.startsWith('#!')) url.hash = '';
+  return url.href;
+}
+
+/**
+ * URL a fetched page is cached under: its canonical link if it has a usable one on the
+ * same site, the URL it was served from otherwise
+ * @param {string} [canonicalHref] - href of <link rel="canonical">, possibly relative
+ * @param {string} pageUrl - URL the page was served from (after redirects)
+ * @returns {string} Normalized URL
+ */
+export function canonicalUrl(canonicalHref, pageUrl) {
+  const page = parseHttpUrl(pageUrl);
+  const canonical = canonicalHref && parseHttpUrl(canonicalHref.trim(), page || undefined);
+  // Some sites point every page, error pages included, at their front page. A canonical
+  // link on another site would let one page plant its summary under another site's URL.
+  if (!canonical || (page && (
+    (canonical.pathname === '/' && page.pathname !== '/') ||
+    siteOf(canonical.hostname) !== siteOf(page.hostname)
+  ))) {
+    return normalizeUrl(pageUrl);
+  }
+  return normalizeUrl(canonical.href);
+}
@@ -0,0 +1,40 @@
+// src/offscreen/offscreen.js
+// Offscreen document that parses fetched articles with a real DOMParser. The service
+// worker sends the HTML (src/background/offscreen-extractor.js) and gets the extracted
+// article back; scripts in the parsed page never run.
+import { OFFSCREEN_CONFIG } from '../../config/config.js';
+import { fromDom } from '../lib/html-tokenizer.js';
+import { extractArticleFromTree } from '../lib/readability.js';
+
+/**
+ * Parse a page and extract its article
+ * @param {string} html - Page HTML
+ * @returns {import('../lib/readability.js').ExtractedArticle}
+ */
+export function extractFromHtml(html) {
+  const doc = new DOMParser().parseFromString(String(html || ''), 'text/html');
+  return extractArticleFromTree(fromDom(doc));
+}
+
+/**
+ * Answer an extraction request
+ * @param {Object} message - Runtime message
+ * @returns {{article?: Object, error?: string}|null} null for messages meant for others
+ */
+export function handleOffscreenMessage(message) {
+  if (message?.target !== OFFSCREEN_CONFIG.MESSAGE_TARGET) return null;
+  if (message.action !== 'extractArticle') return { error: `Unknown action: ${message.action}` };
+  try {
+    return { article: extractFromHtml(message.html) };
+  } catch (error) {
+    console.error('BaitBreaker: Offscreen extraction failed:', error);
+    return { error: error.message };
+  }
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const response = handleOffscreenMessage(message);
+  if (!response) return false;
+  sendResponse(response);
+  return false;
+});
@@ -0,0 +1,480 @@
+// src/options/options.js
+import { SettingsManager } from '../lib/settings-manager.js';
+import { validatePattern } from '../lib/pattern-validator.js';
+import { detectLanguage } from '../lib/language-detector.js';
+import { regexDetect } from '../content/clickbait-detector.js';
+import { getTemplatesForKind, resolvePromptTemplate, validateTemplate } from '../lib/prompt-templates.js';
+import { OpenAICompatibleProvider } from '../background/providers/openai-compatible-provider.js';
+import {
+  RULE_CATEGORIES,
+  CUSTOM_PATTERN_CONFIG,
+  LANGUAGE_CONFIG,
+  HYBRID_CONFIG,
+  ENSEMBLE_CONFIG,
+  PERFORMANCE_CONFIG,
+  PROMPT_KINDS,
+  PROMPT_CONFIG,
+  SUMMARY_CONFIG,
+  DETECTION_MODE_LABELS,
+  AI_PROVIDERS,
+  AI_PROVIDER_LABELS,
+  OPENAI_PROVIDER_CONFIG,
+  normalizeSummaryStyle
+} from '../../config/config.js';
+
+const settingsManager = new SettingsManager();
+let settings = null;
+
+async function init() {
+  settings = await settingsManager.load();
+
+  const categorySelect = document.getElementById('pattern-category');
+  Object.values(RULE_CATEGORIES).forEach(category => {
+    const option = document.createElement('option');
+    option.value = category;
+    option.textContent = category;
+    categorySelect.appendChild(option);
+  });
+  categorySelect.value = RULE_CATEGORIES.CUSTOM;
+
+  document.getElementById('pattern-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await addPattern();
+  });
+
+  const languageSelect = document.getElementById('test-language');
+  LANGUAGE_CONFIG.SUPPORTED.forEach(code => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = LANGUAGE_CONFIG.NAMES[code];
+    languageSelect.appendChild(option);
+  });
+
+  document.getElementById('test-headline').addEventListener('input', runTestBench);
+  languageSelect.addEventListener('change', runTestBench);
+
+  const hybridMin = document.getElementById('hybrid-min');
+  const hybridMax = document.getElementById('hybrid-max');
+  const band = settings.hybridBand || HYBRID_CONFIG.UNCERTAINTY_BAND;
+  hybridMin.value = band.min;
+  hybridMax.value = band.max;
+  hybridMin.addEventListener('change', saveHybridBand);
+  hybridMax.addEventListener('change', saveHybridBand);
+
+  const batchInput = document.getElementById('ai-batch-size');
+  batchInput.max = PERFORMANCE_CONFIG.AI_BATCH_MAX;
+  batchInput.value = settings.aiBatchSize ?? PERFORMANCE_CONFIG.AI_BATCH_SIZE;
+  batchInput.addEventListener('change', async () => {
+    const value = Math.floor(Number(batchInput.value));
+    if (!(value >= 1 && value <= PERFORMANCE_CONFIG.AI_BATCH_MAX)) {
+      batchInput.value = settings.aiBatchSize ?? PERFORMANCE_CONFIG.AI_BATCH_SIZE;
+      return;
+    }
+    settings = { ...settings, aiBatchSize: value };
+    await settingsManager.save(settings);
+  });
+
+  renderAIProvider();
+  renderSummaryStyle();
+  renderEnsembleWeights();
+  renderPromptTemplates();
+  renderPatterns();
+  runTestBench();
+}
+
+function renderEnsembleWeights() {
+  const container = document.getElementById('ensemble-weights');
+  const weights = { ...ENSEMBLE_CONFIG.WEIGHTS, ...(settings.ensembleWeights || {}) };
+
+  ENSEMBLE_CONFIG.DETECTORS.forEach(id => {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.max = '10';
+    input.step = '0.5';
+    input.value = weights[id];
+    input.addEventListener('change', async () => {
+      const value = Number(input.value);
+      if (!(value >= 0)) {
+        input.value = weights[id];
+        return;
+      }
+      weights[id] = value;
+      settings = { ...settings, ensembleWeights: { ...weights } };
+      await settingsManager.save(settings);
+    });
+    label.append(`${DETECTION_MODE_LABELS[id]} `, input);
+    container.appendChild(label);
+  });
+}
+
+function renderAIProvider() {
+  const select = document.getElementById('ai-provider');
+  const serverFields = document.getElementById('ai-server-fields');
+  const inputs = {
+    aiEndpoint: document.getElementById('ai-endpoint'),
+    aiModel: document.getElementById('ai-model'),
+    aiApiKey: document.getElementById('ai-api-key')
+  };
+
+  Object.values(AI_PROVIDERS).forEach(id => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = AI_PROVIDER_LABELS[id];
+    select.appendChild(option);
+  });
+  select.value = settings.aiProvider || AI_PROVIDERS.CHROME;
+  serverFields.classList.toggle('hidden', select.value !== AI_PROVIDERS.OPENAI_COMPATIBLE);
+  select.addEventListener('change', async () => {
+    serverFields.classList.toggle('hidden', select.value !== AI_PROVIDERS.OPENAI_COMPATIBLE);
+    settings = { ...settings, aiProvider: select.value };
+    await settingsManager.save(settings);
+  });
+
+  inputs.aiEndpoint.placeholder = OPENAI_PROVIDER_CONFIG.DEFAULT_ENDPOINT;
+  Object.entries(inputs).forEach(([key, input]) => {
+    input.value = settings[key] || '';
+    input.addEventListener('change', async () => {
+      const value = input.value.trim();
+      settings = { ...settings, [key]: key === 'aiEndpoint' ? value || OPENAI_PROVIDER_CONFIG.DEFAULT_ENDPOINT : value };
+      input.value = settings[key];
+      await settingsManager.save(settings);
+    });
+  });
+
+  const result = document.getElementById('ai-test-result');
+  document.getElementById('ai-test').addEventListener('click', async () => {
+    result.textContent = 'Connecting…';
+    const provider = new OpenAICompatibleProvider({
+      endpoint: inputs.aiEndpoint.value || OPENAI_PROVIDER_CONFIG.DEFAULT_ENDPOINT,
+      model: inputs.aiModel.value,
+      apiKey: inputs.aiApiKey.value
+    });
+    result.textContent = await provider.availability() === 'available'
+      ? `Connected${provider.model ? ` (model: ${provider.model})` : ''}`
+      : 'Server not reachable';
+  });
+}
+
+function renderSummaryStyle() {
+  const style = normalizeSummaryStyle(settings.summaryStyle);
+  const fields = { type: SUMMARY_CONFIG.TYPES, format: SUMMARY_CONFIG.FORMATS, length: SUMMARY_CONFIG.LENGTHS };
+
+  Object.entries(fields).forEach(([field, values]) => {
+    const select = document.getElementById(`summary-${field}`);
+    values.forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = SUMMARY_CONFIG.LABELS[value];
+      select.appendChild(option);
+    });
+    select.value = style[field];
+    select.addEventListener('change', async () => {
+      settings = {
+        ...settings,
+        summaryStyle: normalizeSummaryStyle({ ...settings.summaryStyle, [field]: select.value })
+      };
+      await settingsManager.save(settings);
+    });
+  });
+}
+
+const PROMPT_KIND_LABELS = {
+  [PROMPT_KINDS.CLASSIFY]: 'Classification',
+  [PROMPT_KINDS.CLASSIFY_BATCH]: 'Batch classification',
+  [PROMPT_KINDS.REPAIR]: 'Repair invalid answer',
+  [PROMPT_KINDS.SUMMARY_CONTEXT]: 'Summary context',
+  [PROMPT_KINDS.ANSWER]: 'Headline answer',
+  [PROMPT_KINDS.DELIVERY]: 'Bait delivered score'
+};
+
+function renderPromptTemplates() {
+  const container = document.getElementById('prompt-templates');
+  container.textContent = '';
+
+  Object.values(PROMPT_KINDS).forEach(kind => {
+    const choice = settings.promptTemplates?.[kind] || {};
+    const block = document.createElement('div');
+    block.className = 'prompt-template';
+    block.innerHTML = `
+      <div class="prompt-template-header">
+        <span class="prompt-kind"></span>
+        <select class="prompt-select"></select>
+        <span class="prompt-version"></span>
+      </div>
+      <textarea class="prompt-text" rows="5" spellcheck="false"></textarea>
+      <div class="prompt-actions">
+        <button type="button" class="options-button prompt-save">Save override</button>
+        <button type="button" class="options-button prompt-reset">Use template</button>
+      </div>
+      <p class="form-error hidden"></p>
+    `;
+    block.querySelector('.prompt-kind').textContent = PROMPT_KIND_LABELS[kind];
+
+    const select = block.querySelector('.prompt-select');
+    getTemplatesForKind(kind).forEach(t => {
+      const option = document.createElement('option');
+      option.value = t.id;
+      option.textContent = `${t.label} (v${t.version})`;
+      select.appendChild(option);
+    });
+    select.value = resolvePromptTemplate(kind, { [kind]: { id: choice.id } }).id;
+
+    const textarea = block.querySelector('.prompt-text');
+    const error = block.querySelector('.form-error');
+    const placeholders = PROMPT_CONFIG.REQUIRED_PLACEHOLDERS[kind].map(n => `{{${n}}}`).join(', ');
+    textarea.maxLength = PROMPT_CONFIG.MAX_OVERRIDE_LENGTH;
+    textarea.value = resolvePromptTemplate(kind, settings.promptTemplates).text;
+    block.querySelector('.prompt-version').textContent =
+      `${choice.override ? 'custom override' : 'template'}${placeholders ? ` · needs ${placeholders}` : ''}`;
+
+    const persist = async (next) => {
+      const updated = { ...settings, promptTemplates: { ...(settings.promptTemplates || {}), [kind]: next } };
+      try {
+        await settingsManager.save(updated);
+      } catch (saveError) {
+        error.textContent = `Could not save the prompt: ${saveError.message}`;
+        error.classList.remove('hidden');
+        return;
+      }
+      settings = updated;
+      renderPromptTemplates();
+    };
+
+    select.addEventListener('change', () => persist({ id: select.value }));
+    block.querySelector('.prompt-reset').addEventListener('click', () => persist({ id: select.value }));
+    block.querySelector('.prompt-save').addEventListener('click', () => {
+      const validation = validateTemplate(kind, textarea.value);
+      if (!validation.valid) {
+        error.textContent = validation.error;
+        error.classList.remove('hidden');
+        return;
+      }
+      persist({ id: select.value, override: textarea.value.trim() });
+    });
+
+    container.appendChild(block);
+  });
+}
+
+/**
+ * Validate and save the hybrid uncertainty band
+ */
+async function saveHybridBand() {
+  const min = Number(document.getElementById('hybrid-min').value);
+  const max = Number(document.getElementById('hybrid-max').value);
+  const error = document.getElementById('hybrid-error');
+
+  if (!(min >= 0 && max <= 1 && min < max)) {
+    error.textContent = 'The band needs 0 ≤ from < to ≤ 1.';
+    error.classList.remove('hidden');
+    return;
+  }
+
+  error.classList.add('hidden');
+  settings = { ...settings, hybridBand: { min, max } };
+  await settingsManager.save(settings);
+}
+
+/**
+ * Validate the form input and append a new user pattern
+ */
+async function addPattern() {
+  const input = document.getElementById('pattern-input');
+  const weightInput = document.getElementById('pattern-weight');
+  const pattern = input.value.trim();
+  const patterns = settings.customPatterns || [];
+
+  if (patterns.length >= CUSTOM_PATTERN_CONFIG.MAX_PATTERNS) {
+    showError(`You can save at most ${CUSTOM_PATTERN_CONFIG.MAX_PATTERNS} patterns.`);
+    return;
+  }
+
+  const validation = validatePattern(pattern);
+  if (!validation.valid) {
+    showError(validation.error);
+    return;
+  }
+
+  const weight = Number(weightInput.value);
+  const saved = await persistPatterns([
+    ...patterns,
+    {
+      id: `custom-${Date.now().toString(36)}`,
+      pattern,
+      category: document.getElementById('pattern-category').value,
+      weight: Number.isFinite(weight) ? weight : CUSTOM_PATTERN_CONFIG.DEFAULT_WEIGHT,
+      enabled: true
+    }
+  ]);
+  if (!saved) return;
+
+  input.value = '';
+  showError(null);
+}
+
+/**
+ * Save the pattern list and refresh the page
+ * @param {Array<Object>} patterns - Ordered user patterns
+ * @returns {Promise<boolean>} False if saving failed; the error is shown
+ */
+async function persistPatterns(patterns) {
+  const next = { ...settings, customPatterns: patterns };
+  try {
+    await settingsManager.save(next);
+  } catch (error) {
+    showError(`Could not save the patterns: ${error.message}`);
+    renderPatterns();
+    return false;
+  }
+  settings = next;
+  renderPatterns();
+  runTestBench();
+  return true;
+}
+
+/**
+ * Move a pattern one position up or down
+ * @param {number} index - Current index
+ * @param {number} delta - -1 to move up, 1 to move down
+ */
+function movePattern(index, delta) {
+  const patterns = [...settings.customPatterns];
+  const target = index + delta;
+  if (target < 0 || target >= patterns.length) return;
+  [patterns[index], patterns[target]] = [patterns[target], patterns[index]];
+  persistPatterns(patterns);
+}
+
+function renderPatterns() {
+  const list = document.getElementById('pattern-list');
+  const patterns = settings.customPatterns || [];
+  list.textContent = '';
+  document.getElementById('pattern-empty').classList.toggle('hidden', patterns.length > 0);
+
+  patterns.forEach((p, index) => {
+    const item = document.createElement('li');
+    item.className = 'pattern-item';
+    item.classList.toggle('disabled', p.enabled === false);
+    item.innerHTML = `
+      <input type="checkbox" class="pattern-enabled" title="Enabled">
+      <span class="pattern-source"></span>
+      <span class="pattern-meta"></span>
+      <span class="pattern-actions">
+        <button type="button" class="pattern-up" title="Move up">↑</button>
+        <button type="button" class="pattern-down" title="Move down">↓</button>
+        <button type="button" class="pattern-delete" title="Delete">×</button>
+      </span>
+    `;
+    item.querySelector('.pattern-source').textContent = p.pattern;
+    item.querySelector('.pattern-meta').textContent = `${p.category} · ${p.weight}`;
+
+    const enabled = item.querySelector('.pattern-enabled');
+    enabled.checked = p.enabled !== false;
+    enabled.addEventListener('change', () => {
+      const patterns = settings.customPatterns.map((q, i) => (i === index ? { ...q, enabled: enabled.checked } : q));
+      persistPatterns(patterns);
+    });
+
+    const up = item.querySelector('.pattern-up');
+    const down = item.querySelector('.pattern-down');
+    up.disabled = index === 0;
+    down.disabled = index === patterns.length - 1;
+    up.addEventListener('click', () => movePattern(index, -1));
+    down.addEventListener('click', () => movePattern(index, 1));
+
+    item.querySelector('.pattern-delete').addEventListener('click', () => {
+      persistPatterns(settings.customPatterns.filter((_, i) => i !== index));
+    });
+
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Run the test headline through the detector with the current patterns
+ */
+function runTestBench() {
+  const headline = document.getElementById('test-headline').value.trim();
+  const verdict = document.getElementById('test-verdict');
+  const highlight = document.getElementById('test-highlight');
+  const matchList = document.getElementById('test-matches');
+
+  highlight.textContent = '';
+  matchList.textContent = '';
+  verdict.classList.remove('is-clickbait');
+
+  if (!headline) {
+    verdict.textContent = '-';
+    return;
+  }
+
+  const selectedLanguage = document.getElementById('test-language').value;
+  const language = selectedLanguage === 'auto'
+    ? detectLanguage(headline) || LANGUAGE_CONFIG.DEFAULT
+    : selectedLanguage;
+  const result = regexDetect(headline, settings.customPatterns || [], language);
+  const packName = LANGUAGE_CONFIG.NAMES[result.language];
+  verdict.textContent = result.isClickbait
+    ? `Clickbait (p≈${Math.round(result.confidence * 100)}%, score ${result.score}, ${packName} patterns)`
+    : `Not clickbait (score ${result.score}, ${packName} patterns)`;
+  verdict.classList.toggle('is-clickbait', result.isClickbait);
+
+  renderHighlight(highlight, headline, result.matches);
+
+  if (!result.matches.length) {
+    const item = document.createElement('li');
+    item.textContent = 'No patterns matched.';
+    matchList.appendChild(item);
+  }
+  result.matches.forEach(match => {
+    const item = document.createElement('li');
+    const spans = match.offsets.map(o => `"${o.text}" @${o.start}-${o.end}`).join(', ');
+    item.textContent = `${match.id} (${match.category}, weight ${match.weight}): ${spans}`;
+    matchList.appendChild(item);
+  });
+}
+
+/**
+ * Render the headline with matched ranges wrapped in <mark>
+ * @param {HTMLElement} container - Target element
+ * @param {string} text - Headline text
+ * @param {Array<Object>} matches - Rule matches with offsets
+ */
+function renderHighlight(container, text, matches) {
+  // Per-character marker: 0 = plain, 1 = positive match, -1 = negative-only match
+  const marks = new Array(text.length).fill(0);
+  matches.forEach(match => {
+    match.offsets.forEach(({ start, end }) => {
+      for (let i = start; i < end; i++) {
+        if (match.weight > 0) marks[i] = 1;
+        else if (marks[i] === 0) marks[i] = -1;
+      }
+    });
+  });
+
+  let i = 0;
+  while (i < text.length) {
+    let j = i;
+    while (j < text.length && marks[j] === marks[i]) j++;
+    const segment = text.slice(i, j);
+    if (marks[i] === 0) {
+      container.appendChild(document.createTextNode(segment));
+    } else {
+      const mark = document.createElement('mark');
+      if (marks[i] < 0) mark.className = 'negative';
+      mark.textContent = segment;
+      container.appendChild(mark);
+    }
+    i = j;
+  }
+}
+
+function showError(message) {
+  const error = document.getElementById('pattern-error');
+  error.textContent = message || '';
+  error.classList.toggle('hidden', !message);
+}
+
+document.addEventListener('DOMContentLoaded', init);
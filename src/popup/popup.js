@@ -1,12 +1,23 @@
 // src/popup/popup.js
 import { SettingsManager } from '../lib/settings-manager.js';
-import { UI_CONFIG, SENSITIVITY_CONFIG } from '../../config/config.js';
+import {
+  UI_CONFIG,
+  SENSITIVITY_CONFIG,
+  DETECTION_MODES,
+  DETECTION_MODE_LABELS,
+  THRESHOLDED_DETECTION_MODES,
+  AI_BACKEND_LABELS,
+  AI_PROVIDERS,
+  MODEL_AVAILABILITY,
+  MODEL_AVAILABILITY_LABELS
+} from '../../config/config.js';
 
 const settingsManager = new SettingsManager();
 
 async function init() {
-  const settings = await settingsManager.load();
+  let settings = await settingsManager.load();
   const enabled = document.getElementById('enabled');
+  const detectionMode = document.getElementById('detection-mode');
   const sensitivity = document.getElementById('sensitivity');
   const sensitivityPercent = document.getElementById('sensitivity-percent');
   const clearCacheBtn = document.getElementById('clear-cache');
@@ -16,21 +27,35 @@ async function init() {
   enabled.checked = !!settings.enabled;
   sensitivity.value = settings.sensitivity ?? SENSITIVITY_CONFIG.DEFAULT;
   
-  // Detection mode is preset to 'regex' in config, no need for switch
-  // Hide sensitivity slider since it only applies to Chrome AI mode
-  const sensitivitySliderLabel = document.querySelector('.slider');
-  if (sensitivitySliderLabel) {
-    sensitivitySliderLabel.classList.add('hidden');
+  if (sensitivityPercent) {
+    sensitivityPercent.textContent = String(Number(sensitivity.value) * 10);
   }
 
+  Object.values(DETECTION_MODES).forEach(mode => {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = DETECTION_MODE_LABELS[mode];
+    detectionMode.appendChild(option);
+  });
+  detectionMode.value = settings.detectionMode;
+  updateModeControls(settings.detectionMode);
+
   // Add event listeners
   enabled.addEventListener('change', async () => {
-    await persist({ ...settings, enabled: enabled.checked });
+    settings = { ...settings, enabled: enabled.checked };
+    await persist(settings);
     updateMetrics(); // Refresh metrics after settings change
   });
 
+  detectionMode.addEventListener('change', async () => {
+    settings = { ...settings, detectionMode: detectionMode.value };
+    updateModeControls(settings.detectionMode);
+    await persist(settings);
+  });
+
   sensitivity.addEventListener('input', () => {
-    persist({ ...settings, sensitivity: Number(sensitivity.value) });
+    settings = { ...settings, sensitivity: Number(sensitivity.value) };
+    persist(settings);
     if (sensitivityPercent) {
       sensitivityPercent.textContent = String((Number(sensitivity.value) || SENSITIVITY_CONFIG.DEFAULT) * 10);
     }
@@ -53,23 +78,154 @@ async function init() {
     }
   });
 
-  // Detection mode is fixed to 'regex', no mode change listeners needed
+  document.getElementById('open-options').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  const downloadBtn = document.getElementById('download-model');
+  downloadBtn.addEventListener('click', async () => {
+    downloadBtn.disabled = true;
+    try {
+      renderModelStatus(await chrome.runtime.sendMessage({ action: 'downloadModel' }));
+    } catch (e) {
+      console.log('Could not start the model download:', e.message);
+    }
+    downloadBtn.disabled = false;
+  });
 
   // Load metrics and mode display initially
   await updateMetrics();
   await updateModeDisplay();
-  // Auto-refresh metrics every second while popup is open
+  await updateModelStatus();
+  // Auto-refresh metrics and model status every second while popup is open
   metricsTimer = setInterval(async () => {
     await updateMetrics();
     await updateModeDisplay();
+    await updateModelStatus();
   }, UI_CONFIG.METRICS_UPDATE_INTERVAL);
 
   window.addEventListener('beforeunload', () => {
     if (metricsTimer) clearInterval(metricsTimer);
   });
+}
+
+const MODEL_API_LABELS = {
+  prompt: 'Prompt API',
+  summarizer: 'Summarizer API'
+};
+
+async function updateModelStatus() {
+  try {
+    renderModelStatus(await chrome.runtime.sendMessage({ action: 'getModelStatus' }));
+  } catch (e) {
+    renderModelStatus(null);
+  }
+}
+
+function describeAvailability(api) {
+  const label = MODEL_AVAILABILITY_LABELS[api.availability] || api.availability;
+  return api.availability === MODEL_AVAILABILITY.DOWNLOADING && api.progress != null
+    ? `${label} ${Math.round(api.progress * 100)}%`
+    : label;
+}
+
+// Prompt session health: context use of the last prompt and how often sessions broke
+function describeSession(session) {
+  const parts = [];
+  if (session.inputUsage != null) {
+    parts.push(session.inputQuota
+      ? `Context ${session.inputUsage}/${session.inputQuota} tokens`
+      : `Context ${session.inputUsage} tokens`);
+  }
+  parts.push(`${session.recreations} session${session.recreations === 1 ? '' : 's'} recreated`);
+  if (session.quotaErrors) parts.push(`${session.quotaErrors} over quota`);
+  return parts.join(' · ');
+}
 
-  // Model status
-  document.getElementById('model-state').textContent = 'Ready';
+function formatAge(timestamp) {
+  const seconds = Math.max(0, Math.round((Date.now() - timestamp) / 1000));
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+  return `${Math.floor(seconds / 3600)} h ago`;
+}
+
+/**
+ * Show the model state, each API's availability or download progress, and where the AI runs
+ * @param {Object|null} status - getModelStatus response
+ */
+function renderModelStatus(status) {
+  const stateEl = document.getElementById('model-state');
+  const backendEl = document.getElementById('ai-backend');
+  const apisEl = document.getElementById('model-apis');
+  const sessionEl = document.getElementById('model-session');
+  const lastEl = document.getElementById('model-last-inference');
+  const downloadBtn = document.getElementById('download-model');
+
+  if (!status || status.error === true) {
+    stateEl.textContent = '-';
+    backendEl.textContent = '-';
+    apisEl.replaceChildren();
+    sessionEl.classList.add('hidden');
+    lastEl.textContent = '';
+    downloadBtn.classList.add('hidden');
+    return;
+  }
+
+  const apis = Object.values(status.apis);
+  const downloading = apis.find(api => api.availability === MODEL_AVAILABILITY.DOWNLOADING);
+  if (status.error) {
+    stateEl.textContent = 'Not available';
+  } else if (status.initializing) {
+    stateEl.textContent = downloading ? describeAvailability(downloading) : 'Starting…';
+  } else {
+    stateEl.textContent = 'Ready';
+  }
+  stateEl.classList.toggle('model-problem', !!status.error);
+  stateEl.title = status.error || '';
+  backendEl.textContent = AI_BACKEND_LABELS[status.backend] || status.backend;
+
+  apisEl.replaceChildren(...Object.entries(status.apis).map(([id, api]) => {
+    const item = document.createElement('li');
+    item.textContent = `${MODEL_API_LABELS[id]}: ${describeAvailability(api)}`;
+    if (api.error) {
+      item.classList.add('model-api-error');
+      item.title = api.error;
+    }
+    return item;
+  }));
+
+  sessionEl.classList.toggle('hidden', !status.session);
+  if (status.session) {
+    sessionEl.textContent = describeSession(status.session);
+  }
+
+  lastEl.textContent = status.lastInferenceAt
+    ? `Last AI answer ${formatAge(status.lastInferenceAt)}`
+    : 'No AI answer yet';
+
+  // Downloads that did not start (or stopped) on their own can be retried from here
+  const canDownload = status.provider === AI_PROVIDERS.CHROME && !status.initializing && !!status.error &&
+    apis.some(api => api.availability === MODEL_AVAILABILITY.DOWNLOADABLE || api.availability === MODEL_AVAILABILITY.DOWNLOADING);
+  downloadBtn.classList.toggle('hidden', !canDownload);
+}
+
+/**
+ * Show the mode name and the sensitivity slider for modes that use a threshold
+ * @param {string} mode - Selected detection mode
+ */
+function updateModeControls(mode) {
+  const modeName = document.getElementById('detection-mode-name');
+  if (modeName) {
+    modeName.textContent = DETECTION_MODE_LABELS[mode] || mode;
+  }
+  const sensitivitySliderLabel = document.querySelector('.slider');
+  if (sensitivitySliderLabel) {
+    sensitivitySliderLabel.classList.toggle('hidden', !THRESHOLDED_DETECTION_MODES.includes(mode));
+  }
+  const hybridInfo = document.getElementById('hybrid-info');
+  if (hybridInfo) {
+    hybridInfo.classList.toggle('hidden', mode !== DETECTION_MODES.HYBRID);
+  }
 }
 
 /**
@@ -81,6 +237,8 @@ function setMetricsDisplay(value) {
   document.getElementById('links-processed').textContent = value;
   document.getElementById('clickbait-detected').textContent = value;
   document.getElementById('clickbait-summarized').textContent = value;
+  document.getElementById('ai-calls-saved').textContent = value;
+  document.getElementById('ai-calls-made').textContent = value;
 }
 
 /**
@@ -124,6 +282,8 @@ async function updateMetrics() {
       document.getElementById('links-processed').textContent = String(response.linksProcessed || 0);
       document.getElementById('clickbait-detected').textContent = String(response.clickbaitDetected || 0);
       document.getElementById('clickbait-summarized').textContent = String(response.clickbaitSummarized || 0);
+      document.getElementById('ai-calls-saved').textContent = String(response.aiCallsSaved || 0);
+      document.getElementById('ai-calls-made').textContent = String(response.aiCallsMade || 0);
     } else {
       // Content script not loaded or error
       setMetricsDisplay('0');
@@ -1,4 +1,10 @@
 // tests/ai-manager.test.js
+import { AIManager } from '../src/background/ai-manager.js';
+import { CacheManager } from '../src/background/cache-manager.js';
+import { PageBridgeProvider } from '../src/background/providers/page-bridge-provider.js';
+import { OpenAICompatibleProvider } from '../src/background/providers/openai-compatible-provider.js';
+import { getSummaryStyleKey } from '../config/config.js';
+
 describe('AIManager', () => {
   describe('Clickbait Classification', () => {
     test('should identify question-based clickbait', async () => {
@@ -22,4 +28,149 @@ describe('AIManager', () => {
       expect(result.isClickbait).toBe(false);
     });
   });
+
+  describe('Batch Classification', () => {
+    const items = [
+      { text: 'Doctors Hate This One Trick' },
+      { text: 'Council Approves Budget', context: { section: 'Politics' } },
+      { text: 'What Happened Next Will Shock You' }
+    ];
+
+    function managerReturning(response) {
+      const manager = new AIManager();
+      manager.provider.promptSession = { prompt: jest.fn(async () => response) };
+      return manager;
+    }
+
+    test('should send all titles in one prompt and map results by index', async () => {
+      const manager = managerReturning(JSON.stringify({
+        results: [
+          { index: 2, isClickbait: true, confidence: 0.8, reason: 'curiosity gap' },
+          { index: 0, isClickbait: true, confidence: 0.9 },
+          { index: 1, isClickbait: false, confidence: 0.7 }
+        ]
+      }));
+      const results = await manager.classifyClickbaitBatch(items);
+      expect(manager.provider.promptSession.prompt).toHaveBeenCalledTimes(1);
+      expect(manager.provider.promptSession.prompt.mock.calls[0][0]).toContain('- Section: "Politics"');
+      expect(results.map(r => r.isClickbait)).toEqual([true, false, true]);
+      expect(results[2].reason).toBe('curiosity gap');
+    });
+
+    test('should return null for missing or invalid items', async () => {
+      const manager = managerReturning(JSON.stringify({
+        results: [
+          { index: 0, isClickbait: 'maybe', confidence: 0.9 },
+          { index: 7, isClickbait: true, confidence: 0.9 },
+          { index: 1, isClickbait: false, confidence: 0.6 }
+        ]
+      }));
+      expect(await manager.classifyClickbaitBatch(items)).toEqual([
+        null,
+        { isClickbait: false, confidence: 0.6, reason: '' },
+        null
+      ]);
+    });
+
+    test('should return all nulls when the response does not parse', async () => {
+      const manager = managerReturning('not json');
+      expect(await manager.classifyClickbaitBatch(items)).toEqual([null, null, null]);
+    });
+  });
+
+  describe('Streaming Summaries', () => {
+    function managerStreaming(chunks) {
+      const reader = {
+        read: jest.fn(async () => (chunks.length ? { done: false, value: chunks.shift() } : { done: true })),
+        cancel: jest.fn(async () => {}),
+        releaseLock: jest.fn()
+      };
+      const manager = new AIManager();
+      manager.provider.summarizer = { summarizeStreaming: () => ({ getReader: () => reader }) };
+      return { manager, reader };
+    }
+
+    test('should yield the text so far for delta and cumulative chunks', async () => {
+      const deltas = managerStreaming(['The ', 'answer ', 'is 42.']);
+      const cumulative = managerStreaming(['The', 'The answer', 'The answer is 42.']);
+      const collect = async (manager) => {
+        const out = [];
+        for await (const text of manager.summarizeArticleStreaming('article')) out.push(text);
+        return out;
+      };
+      expect(await collect(deltas.manager)).toEqual(['The ', 'The answer ', 'The answer is 42.']);
+      expect(await collect(cumulative.manager)).toEqual(['The', 'The answer', 'The answer is 42.']);
+      expect(deltas.reader.cancel).not.toHaveBeenCalled();
+    });
+
+    test('should cancel the model stream when the consumer stops early', async () => {
+      const { manager, reader } = managerStreaming(['a', 'b', 'c']);
+      for await (const text of manager.summarizeArticleStreaming('article')) {
+        if (text) break;
+      }
+      expect(reader.cancel).toHaveBeenCalled();
+      expect(reader.releaseLock).toHaveBeenCalled();
+    });
+  });
+
+  describe('Summary Context', () => {
+    const override = { 'summary-context': { override: 'Say whether "{{title}}" is true.' } };
+
+    test('should give the rendered override to the Summarizer API', async () => {
+      const manager = new AIManager();
+      const summarize = jest.fn(async () => 'It is.');
+      manager.provider.getSummarizer = async () => ({ summarize });
+      manager.setPromptTemplates(override);
+
+      await manager.summarizeArticle('article', undefined, { title: 'Is the bridge safe?' });
+
+      expect(summarize).toHaveBeenCalledWith('article', expect.objectContaining({ context: 'Say whether "Is the bridge safe?" is true.' }));
+      expect(manager.getSummaryContextVersion()).toMatch(/^custom@/);
+    });
+
+    test('should send the context with streamed and bridged summaries', async () => {
+      const streamed = new AIManager({ summarizeStreaming: jest.fn(async function* () { yield 'It is.'; }) });
+      streamed.setPromptTemplates(override);
+      const texts = [];
+      for await (const text of streamed.summarizeArticleStreaming('article', undefined, { title: 'Why?' })) texts.push(text);
+      expect(texts).toEqual(['It is.']);
+      expect(streamed.provider.summarizeStreaming.mock.calls[0][2].context).toBe('Say whether "Why?" is true.');
+
+      const bridge = new PageBridgeProvider();
+      bridge.register(3, { summarizer: true });
+      chrome.tabs = { sendMessage: jest.fn(async () => ({ ok: true, summary: 'It is.' })) };
+      const bridged = new AIManager(bridge);
+      bridged.setPromptTemplates(override);
+      await bridged.summarizeArticle('article', undefined, { title: 'Why?', tabId: 3 });
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(3, expect.objectContaining({ summaryContext: 'Say whether "Why?" is true.' }));
+      delete chrome.tabs;
+    });
+
+    test('should put the context into the prompt of an OpenAI-compatible server', () => {
+      const provider = new OpenAICompatibleProvider({});
+      expect(provider.summaryPrompt('article', undefined, 'Say whether it is true.')).toMatch(/Say whether it is true\.\n\nArticle:\narticle$/);
+    });
+  });
+
+  describe('Summary Styles', () => {
+    test('should keep one summarizer per style', async () => {
+      const manager = new AIManager();
+      manager.provider.summarizerAPI = { create: jest.fn(async (options) => ({ options })) };
+
+      const a = await manager.provider.getSummarizer({ type: 'key-points' });
+      const b = await manager.provider.getSummarizer({ type: 'key-points', format: 'plain-text', length: 'short' });
+      const c = await manager.provider.getSummarizer({ type: 'teaser', length: 'medium' });
+
+      expect(a).toBe(b);
+      expect(c.options).toMatchObject({ type: 'teaser', format: 'plain-text', length: 'medium' });
+      expect(manager.provider.summarizerAPI.create).toHaveBeenCalledTimes(2);
+    });
+
+    test('should normalize style keys and cache summaries per style', () => {
+      expect(getSummaryStyleKey({ type: 'bogus', length: 'long' })).toBe('tldr/plain-text/long');
+      const cache = new CacheManager();
+      expect(cache._summaryKey('https://a.test/x', 'tldr/plain-text/short'))
+        .not.toBe(cache._summaryKey('https://a.test/x', 'key-points/plain-text/short'));
+    });
+  });
 });
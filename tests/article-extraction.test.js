@@ -0,0 +1,226 @@
+/**
+ * Tests for article extraction
+ *
+ * These tests verify that fetched pages are reduced to their headline, byline and main
+ * paragraphs without navigation, cookie banners or footers, on the sample news pages in
+ * Clickbait-Examples/news-articles and on markup the old regex extraction truncated.
+ * Pages are parsed in an offscreen document where possible, by the tokenizer otherwise.
+ * JSON-LD and Open Graph metadata are read before the page is scraped.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { extractArticle } from '../src/lib/readability.js';
+import { parseHtml, textContent } from '../src/lib/html-tokenizer.js';
+import { ArticleFetcher } from '../src/background/article-fetcher.js';
+import { OffscreenExtractor } from '../src/background/offscreen-extractor.js';
+import { extractFromHtml, handleOffscreenMessage } from '../src/offscreen/offscreen.js';
+
+const EXAMPLES = path.join(__dirname, '..', 'Clickbait-Examples', 'news-articles');
+
+function example(name) {
+  return fs.readFileSync(path.join(EXAMPLES, name), 'utf8');
+}
+
+describe('Article Extraction', () => {
+  describe('sample news articles', () => {
+    const files = fs.readdirSync(EXAMPLES).filter(file => file.endsWith('.html'));
+
+    test.each(files)('should extract the article of %s', (file) => {
+      const html = example(file);
+      const heading = /<h1>([^<]*)<\/h1>/.exec(html)[1];
+      const firstParagraph = textContent(parseHtml(/<article[^>]*>[\s\S]*?(<p>[\s\S]*?<\/p>)/.exec(html)[1])).trim();
+
+      const article = extractArticle(html);
+
+      expect(article.title).toBe(heading);
+      expect(article.paragraphs[0]).toBe(firstParagraph);
+      const text = article.paragraphs.join('\n');
+      ['Home', 'Our Story', 'Privacy Policy', 'Back to headlines', 'All rights reserved'].forEach(boilerplate => {
+        expect(text).not.toContain(boilerplate);
+      });
+    });
+
+    test('should keep long articles in order, with headings and list items', () => {
+      const { paragraphs } = extractArticle(example('article1.html'));
+
+      expect(paragraphs).toHaveLength(18);
+      expect(paragraphs.indexOf('What Science Says')).toBeLessThan(paragraphs.indexOf('The Bottom Line'));
+      expect(paragraphs).toContain('The habit in question: Pausing to take three deep breaths before every task transition.');
+      expect(paragraphs.some(p => p.startsWith('Chloe, 17, student:'))).toBe(true);
+    });
+  });
+
+  test('should pick the content block out of nested divs next to boilerplate', () => {
+    const html = `
+      <html><head><title>Council Approves New Bridge Budget | Daily Example</title></head>
+      <body>
+        <div id="cookie-consent"><p>We use cookies to improve your experience, personalise ads and analyse traffic.</p></div>
+        <div class="layout">
+          <div class="article-content">
+            <div class="meta"><span class="byline">By Jane Doe</span></div>
+            <div class="lead"><p>The city council approved the budget for the new bridge on Monday, after months of debate.</p></div>
+            <div class="body"><p>Construction is expected to begin next spring, and the bridge should open in two years.</p>
+            <p>Opponents said the money would be better spent on repairing existing roads &amp; tunnels.</p></div>
+          </div>
+          <div class="sidebar"><ul><li><a href="/a">Most read: a story about something else entirely</a></li></ul></div>
+        </div>
+        <div class="related-links"><a href="/b">Related: ten other stories you might like to read</a></div>
+      </body></html>`;
+
+    const article = extractArticle(html);
+
+    expect(article.title).toBe('Council Approves New Bridge Budget');
+    expect(article.byline).toBe('By Jane Doe');
+    expect(article.paragraphs).toEqual([
+      'The city council approved the budget for the new bridge on Monday, after months of debate.',
+      'Construction is expected to begin next spring, and the bridge should open in two years.',
+      'Opponents said the money would be better spent on repairing existing roads & tunnels.'
+    ]);
+  });
+
+  test('should tolerate unclosed and stray tags', () => {
+    const html = '<body><main><p>First paragraph of a page with sloppy markup, like many are.<p>Second one, ' +
+      'never closed either</span></div><li>And a list item without a list, which is quite long';
+
+    expect(extractArticle(html).paragraphs).toEqual([
+      'First paragraph of a page with sloppy markup, like many are.',
+      'Second one, never closed either',
+      'And a list item without a list, which is quite long'
+    ]);
+  });
+
+  test('should return the extracted text from the fetcher', async () => {
+    global.fetch = jest.fn(async () => ({ text: async () => example('article2.html') }));
+
+    const article = await new ArticleFetcher().fetchArticle('https://example.com/article2.html');
+
+    expect(article.title).toBe('Scientists Announce Breakthrough in Renewable Energy');
+    expect(article.text).toMatch(/^Researchers at Green Future Lab/);
+    delete global.fetch;
+  });
+
+  describe('structured metadata', () => {
+    const paragraphs = [
+      'The city council approved the budget for the new bridge on Monday, after months of debate.',
+      'Construction is expected to begin next spring, and the bridge should open in two years.'
+    ];
+    const page = (head) => `<html><head><title>Bridge budget | Daily Example</title>${head}</head>
+      <body><article>${paragraphs.map(p => `<p>${p}</p>`).join('')}</article></body></html>`;
+
+    test('should prefer a substantial JSON-LD articleBody and return its metadata', () => {
+      const body = paragraphs.concat('Opponents said the money would be better spent on repairing roads. '.repeat(6)).join('\n');
+      const jsonLd = {
+        '@context': 'https://schema.org',
+        '@graph': [
+          { '@type': 'WebPage', name: 'Bridge budget' },
+          {
+            '@type': ['NewsArticle'],
+            headline: 'Council Approves New Bridge Budget',
+            articleBody: body,
+            author: [{ '@type': 'Person', name: 'Jane Doe' }, { '@type': 'Person', name: 'John Roe' }],
+            datePublished: '2024-05-06T08:00:00Z',
+            publisher: { '@type': 'Organization', name: 'Daily Example' }
+          }
+        ]
+      };
+      const html = page(`<meta property="og:site_name" content="Example"><script type="application/ld+json">${JSON.stringify(jsonLd)}</script>`);
+
+      const article = extractArticle(html);
+
+      expect(article.source).toBe('json-ld');
+      expect(article.title).toBe('Council Approves New Bridge Budget');
+      expect(article.paragraphs).toHaveLength(3);
+      expect(article.byline).toBe('Jane Doe, John Roe');
+      expect(article.metadata).toEqual({
+        headline: 'Council Approves New Bridge Budget',
+        author: 'Jane Doe, John Roe',
+        datePublished: '2024-05-06T08:00:00Z',
+        publisher: 'Daily Example'
+      });
+      expect(extractFromHtml(html)).toEqual(article);
+    });
+
+    test('should scrape the page when articleBody is a teaser and fall back to Open Graph tags', () => {
+      const html = page(`
+        <meta property="og:title" content="Council approves bridge budget">
+        <meta property="og:site_name" content="Daily Example">
+        <meta property="article:published_time" content="2024-05-06">
+        <meta property="article:author" content="https://example.com/authors/jane">
+        <script type="application/ld+json">{"@type": "NewsArticle", "articleBody": "The council approved the budget."}</script>
+        <script type="application/ld+json">{ broken</script>`);
+
+      const article = extractArticle(html);
+
+      expect(article.source).toBe('page');
+      expect(article.paragraphs).toEqual(paragraphs);
+      expect(article.metadata).toEqual({
+        headline: 'Council approves bridge budget',
+        datePublished: '2024-05-06',
+        publisher: 'Daily Example'
+      });
+    });
+  });
+
+  describe('offscreen document', () => {
+    let contexts;
+
+    beforeEach(() => {
+      contexts = [];
+      chrome.offscreen = {
+        createDocument: jest.fn(async ({ url }) => { contexts.push({ documentUrl: url }); })
+      };
+      chrome.runtime.getManifest = () => ({ background: { service_worker: 'background.bundle.js' } });
+      chrome.runtime.getURL = (path) => `chrome-extension://test-extension-id/${path}`;
+      chrome.runtime.getContexts = jest.fn(async () => contexts);
+      chrome.runtime.sendMessage = jest.fn(async (message) => handleOffscreenMessage(message));
+      global.fetch = jest.fn(async () => ({ text: async () => example('article8.html') }));
+    });
+
+    afterEach(() => {
+      delete chrome.offscreen;
+      delete chrome.runtime.getManifest;
+      delete chrome.runtime.getURL;
+      delete chrome.runtime.getContexts;
+      chrome.runtime.sendMessage = jest.fn();
+      delete global.fetch;
+    });
+
+    test('should extract the same article from a DOMParser document as from the tokenizer', () => {
+      ['article1.html', 'article5.html', 'article8.html'].forEach(file => {
+        expect(extractFromHtml(example(file))).toEqual(extractArticle(example(file)));
+      });
+    });
+
+    test('should create the document once and extract there', async () => {
+      const fetcher = new ArticleFetcher();
+
+      const first = await fetcher.fetchArticle('https://example.com/a');
+      await fetcher.fetchArticle('https://example.com/b');
+
+      expect(chrome.offscreen.createDocument).toHaveBeenCalledTimes(1);
+      expect(chrome.offscreen.createDocument.mock.calls[0][0]).toMatchObject({
+        url: 'chrome-extension://test-extension-id/offscreen.html',
+        reasons: ['DOM_PARSER']
+      });
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(expect.objectContaining({ target: 'offscreen', action: 'extractArticle' }));
+      expect(first.title).toBe('Doctors Are Stunned by This One Food That Burns Fat');
+    });
+
+    test('should fall back to the tokenizer when the document fails', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      chrome.runtime.sendMessage = jest.fn(async () => { throw new Error('Receiving end does not exist'); });
+
+      const article = await new ArticleFetcher().fetchArticle('https://example.com/a');
+
+      expect(article.paragraphs).toEqual(extractArticle(example('article8.html')).paragraphs);
+      expect(console.warn).toHaveBeenCalled();
+      console.warn.mockRestore();
+    });
+
+    test('should ignore messages meant for other listeners', () => {
+      expect(handleOffscreenMessage({ action: 'classifyLinks' })).toBeNull();
+      expect(new OffscreenExtractor().isAvailable()).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Tests for cancelling classification and summary work
+ *
+ * These tests verify that cancel requests and timeouts abort the signals handed to the
+ * fetches and AI calls, so the work itself stops instead of running on unobserved.
+ */
+
+import { WorkRegistry } from '../src/background/work-registry.js';
+import { InFlightRequests } from '../src/background/in-flight.js';
+import { ArticleFetcher } from '../src/background/article-fetcher.js';
+import { ChromeAIProvider } from '../src/background/providers/chrome-ai-provider.js';
+import { AIManager } from '../src/background/ai-manager.js';
+import { withTimeout, abortable, isAbortError } from '../src/lib/abort.js';
+
+// Resolves with `value` unless the signal aborts first, like the Prompt API and fetch do
+function pendingUntilAborted(signal, value, delay = 1000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve(value), delay);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    });
+  });
+}
+
+describe('Cancellation', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    delete global.fetch;
+  });
+
+  describe('WorkRegistry', () => {
+    test('should cancel single links without touching the rest of the request', () => {
+      const registry = new WorkRegistry();
+      const request = registry.track(7, 'classify-1');
+      const first = registry.track(7, 'classify-1/0', request.signal);
+      const second = registry.track(7, 'classify-1/1', request.signal);
+
+      expect(registry.cancel(7, ['classify-1/1'])).toBe(1);
+      expect(second.signal.aborted).toBe(true);
+      expect(isAbortError(second.signal.reason)).toBe(true);
+      expect(first.signal.aborted).toBe(false);
+
+      registry.cancel(7, ['classify-1']);
+      expect(first.signal.aborted).toBe(true);
+    });
+
+    test('should cancel all work of a tab and nothing of other tabs', () => {
+      const registry = new WorkRegistry();
+      const mine = registry.track(1, 'classify-1');
+      const other = registry.track(2, 'classify-1');
+      const released = registry.track(1, 'classify-2');
+      released.release();
+
+      expect(registry.cancel(1)).toBe(1);
+      expect(mine.signal.aborted).toBe(true);
+      expect(other.signal.aborted).toBe(false);
+      expect(released.signal.aborted).toBe(false);
+    });
+  });
+
+  describe('InFlightRequests', () => {
+    test('should share one running task per key and forget it once settled', async () => {
+      const inFlight = new InFlightRequests();
+      let finish;
+      const task = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+
+      const first = inFlight.run('summary https://example.com/a tldr', task);
+      const second = inFlight.run('summary https://example.com/a tldr', task);
+      const otherStyle = inFlight.run('summary https://example.com/a bullets', async () => 'other');
+      await Promise.resolve();
+      finish('summary');
+
+      await expect(Promise.all([first, second, otherStyle])).resolves.toEqual(['summary', 'summary', 'other']);
+      expect(task).toHaveBeenCalledTimes(1);
+      expect(inFlight.pending.size).toBe(0);
+
+      const again = inFlight.run('summary https://example.com/a tldr', task);
+      await Promise.resolve();
+      finish('fresh');
+      await expect(again).resolves.toBe('fresh');
+      expect(task).toHaveBeenCalledTimes(2);
+    });
+
+    test('should forget failed tasks so they can be retried', async () => {
+      const inFlight = new InFlightRequests();
+
+      await expect(inFlight.run('a', async () => { throw new Error('Fetch failed'); })).rejects.toThrow('Fetch failed');
+      expect(inFlight.pending.size).toBe(0);
+      await expect(inFlight.run('a', async () => 'ok')).resolves.toBe('ok');
+    });
+
+    test('should only stop the task when every caller has left', async () => {
+      const inFlight = new InFlightRequests();
+      let taskSignal;
+      const task = (signal) => {
+        taskSignal = signal;
+        return pendingUntilAborted(signal, 'summary', 50);
+      };
+      const first = new AbortController();
+      const second = new AbortController();
+
+      const left = inFlight.run('a', task, first.signal);
+      const stayed = inFlight.run('a', task, second.signal);
+      first.abort();
+
+      await expect(left).rejects.toMatchObject({ name: 'AbortError' });
+      expect(taskSignal.aborted).toBe(false);
+      await expect(stayed).resolves.toBe('summary');
+
+      const alone = new AbortController();
+      const abandoned = inFlight.run('b', task, alone.signal);
+      alone.abort();
+      await expect(abandoned).rejects.toMatchObject({ name: 'AbortError' });
+      expect(taskSignal.aborted).toBe(true);
+      expect(inFlight.pending.size).toBe(0);
+    });
+  });
+
+  test('should stop the underlying work when a timeout fires', async () => {
+    jest.useFakeTimers();
+    const parent = new AbortController();
+    const timeout = withTimeout(parent.signal, 500, 'Too slow');
+    const result = abortable(new Promise(() => {}), timeout.signal);
+
+    jest.advanceTimersByTime(500);
+    await expect(result).rejects.toThrow('Too slow');
+    expect(timeout.signal.reason.name).toBe('TimeoutError');
+    expect(parent.signal.aborted).toBe(false);
+  });
+
+  test('should pass the signal to the article download', async () => {
+    global.fetch = jest.fn((url, { signal }) => pendingUntilAborted(signal, { text: async () => '<p>Text</p>' }));
+    const controller = new AbortController();
+    const fetched = new ArticleFetcher().fetchAndParse('https://example.com/a', { signal: controller.signal });
+
+    controller.abort();
+    await expect(fetched).rejects.toMatchObject({ name: 'AbortError' });
+    expect(global.fetch.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+
+  test('should abort the prompt of a cancelled classification', async () => {
+    const provider = new ChromeAIProvider();
+    const clone = {
+      prompt: jest.fn((prompt, { signal }) => pendingUntilAborted(signal, '{"isClickbait": true, "confidence": 0.9}')),
+      destroy: jest.fn()
+    };
+    provider.promptSession = { clone: jest.fn(async () => clone) };
+    const manager = new AIManager(provider);
+    const controller = new AbortController();
+
+    const classification = manager.classifyClickbait('Title', null, { signal: controller.signal });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    controller.abort();
+
+    await expect(classification).rejects.toMatchObject({ name: 'AbortError' });
+    expect(clone.destroy).toHaveBeenCalled();
+    expect(manager.lastInferenceAt).toBeNull();
+    expect(provider.getSessionStats().recreations).toBe(0);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Tests for the "bait delivered" score
+ *
+ * These tests verify the word-overlap fallback, how a score moves the clickbait
+ * confidence, and that a Prompt API score is validated before use.
+ */
+
+import { lexicalDeliveryScore, adjustForDelivery } from '../src/lib/delivery-score.js';
+import { parseDelivery, RESPONSE_FAILURES } from '../src/lib/response-validator.js';
+import { AIManager } from '../src/background/ai-manager.js';
+import { DELIVERY_CONFIG } from '../config/config.js';
+
+describe('Delivery Score', () => {
+  const article = 'City council approves new bridge budget. The bridges over the river will be repaired ' +
+    'next year, the council said on Monday.';
+
+  describe('lexicalDeliveryScore()', () => {
+    test('should score an article that covers the headline above one that does not', () => {
+      const covered = lexicalDeliveryScore('Council approves bridge repairs', article);
+      const padded = lexicalDeliveryScore('Celebrity chef reveals secret recipe', article);
+      expect(covered.score).toBeGreaterThan(0.5);
+      expect(padded.score).toBe(0);
+      expect(covered.reason).toMatch(/of 4 headline terms/);
+    });
+
+    test('should not score headlines without enough content words', () => {
+      expect(lexicalDeliveryScore("You won't believe what happened next", article)).toBeNull();
+    });
+  });
+
+  describe('adjustForDelivery()', () => {
+    test('should raise confidence when the article does not deliver and lower it when it does', () => {
+      expect(adjustForDelivery(0.6, 0)).toBeCloseTo(0.6 + DELIVERY_CONFIG.WEIGHT);
+      expect(adjustForDelivery(0.6, 1)).toBeCloseTo(0.6 - DELIVERY_CONFIG.WEIGHT);
+      expect(adjustForDelivery(0.6, 0.5)).toBeCloseTo(0.6);
+      expect(adjustForDelivery(0.9, 0)).toBe(1);
+    });
+  });
+
+  describe('Prompt API score', () => {
+    test('should validate the model output', () => {
+      expect(parseDelivery('{"score": "80%", "reason": " backed "}').value).toEqual({ score: 0.8, reason: 'backed' });
+      expect(parseDelivery('{"reason": "n/a"}').failure).toBe(RESPONSE_FAILURES.INVALID_SCORE);
+    });
+
+    test('should send the title and article to the model', async () => {
+      const manager = new AIManager();
+      manager.provider.promptSession = { prompt: jest.fn(async () => '{"score": 0.2, "reason": "padding"}') };
+      const result = await manager.scoreDelivery('Council approves bridge repairs', article);
+      expect(result).toEqual({ score: 0.2, reason: 'padding' });
+      expect(manager.provider.promptSession.prompt.mock.calls[0][0]).toContain(article);
+    });
+  });
+});
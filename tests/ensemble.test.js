@@ -0,0 +1,81 @@
+/**
+ * Tests for ensemble scoring
+ *
+ * These tests verify that the RegEx, heuristic and AI results are put on one clickbait
+ * probability scale before the user's weights combine them, and that failed detectors
+ * leave a degraded result decided by the others.
+ */
+
+import { combineDetectors, detectorProbability } from '../src/lib/ensemble.js';
+import { DETECTION_MODES, ENSEMBLE_CONFIG } from '../config/config.js';
+
+const { REGEX, HEURISTIC, CHROME_AI } = DETECTION_MODES;
+const ids = [REGEX, HEURISTIC, CHROME_AI];
+const fulfilled = (value) => ({ status: 'fulfilled', value });
+
+describe('Ensemble', () => {
+  test('should convert every detector to a clickbait probability', () => {
+    expect(detectorProbability(CHROME_AI, { isClickbait: true, confidence: 0.9 })).toBeCloseTo(0.9);
+    expect(detectorProbability(CHROME_AI, { isClickbait: false, confidence: 0.9 })).toBeCloseTo(0.1);
+    expect(detectorProbability(REGEX, { isClickbait: true, confidence: 0.45 })).toBeCloseTo(0.725);
+    expect(detectorProbability(HEURISTIC, { isClickbait: false, confidence: 0 })).toBe(ENSEMBLE_CONFIG.RULE_MISS_PROBABILITY);
+  });
+
+  test('should weigh the detectors by the user weights', () => {
+    const outcomes = [
+      fulfilled({ isClickbait: true, confidence: 0.45, reason: 'curiosity gap' }),
+      fulfilled({ isClickbait: false, confidence: 0 }),
+      fulfilled({ isClickbait: false, confidence: 0.8, reason: 'factual' })
+    ];
+
+    const aiHeavy = combineDetectors(ids, outcomes, { [REGEX]: 1, [HEURISTIC]: 1, [CHROME_AI]: 2 }, 0.5);
+    const rulesHeavy = combineDetectors(ids, outcomes, { [REGEX]: 4, [HEURISTIC]: 1, [CHROME_AI]: 1 }, 0.5);
+
+    expect(aiHeavy.confidence).toBeCloseTo((0.725 + 0.4 + 2 * 0.2) / 4);
+    expect(aiHeavy.isClickbait).toBe(false);
+    expect(rulesHeavy.confidence).toBeCloseTo((4 * 0.725 + 0.4 + 0.2) / 6);
+    expect(rulesHeavy.isClickbait).toBe(true);
+    expect(aiHeavy.scores).toEqual({ [REGEX]: 0.725, [HEURISTIC]: 0.4, [CHROME_AI]: expect.closeTo(0.2) });
+    expect(aiHeavy.reason).toBe('curiosity gap, factual');
+    expect(aiHeavy.degraded).toBeUndefined();
+  });
+
+  test('should not let a rule miss outweigh a confident AI verdict', () => {
+    const outcomes = [
+      fulfilled({ isClickbait: false, confidence: 0 }),
+      fulfilled({ isClickbait: false, confidence: 0 }),
+      fulfilled({ isClickbait: true, confidence: 0.95 })
+    ];
+
+    expect(combineDetectors(ids, outcomes, ENSEMBLE_CONFIG.WEIGHTS, 0.5).isClickbait).toBe(true);
+  });
+
+  test('should leave failed detectors out and mark the result as degraded', () => {
+    const outcomes = [
+      fulfilled({ isClickbait: true, confidence: 0.6, reason: 'listicle' }),
+      fulfilled({ isClickbait: false, confidence: 0 }),
+      { status: 'rejected', reason: new Error('Chrome AI not available') }
+    ];
+
+    const result = combineDetectors(ids, outcomes, ENSEMBLE_CONFIG.WEIGHTS, 0.5);
+
+    expect(result.degraded).toBe(true);
+    expect(result.failedDetectors).toEqual([CHROME_AI]);
+    expect(result.scores).not.toHaveProperty(CHROME_AI);
+    expect(result.confidence).toBeCloseTo((0.8 + 0.4) / 2);
+    expect(result.isClickbait).toBe(true);
+  });
+
+  test('should not call anything clickbait when every detector failed', () => {
+    const failed = { status: 'rejected', reason: new Error('timed out') };
+
+    expect(combineDetectors([REGEX, CHROME_AI], [failed, failed], ENSEMBLE_CONFIG.WEIGHTS, 0.1)).toEqual({
+      isClickbait: false,
+      confidence: 0,
+      scores: {},
+      reason: '',
+      degraded: true,
+      failedDetectors: [REGEX, CHROME_AI]
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests for Language-Aware Pattern Packs
+ *
+ * These tests verify that the page/link language picks the matching pattern
+ * pack and that non-English clickbait is detected.
+ */
+
+import { normalizeLanguage, detectLanguage } from '../src/lib/language-detector.js';
+import { regexDetect, heuristicDetect } from '../src/content/clickbait-detector.js';
+
+describe('Language Packs', () => {
+  describe('normalizeLanguage()', () => {
+    test.each([
+      ['de-AT', 'de'],
+      ['ES', 'es'],
+      ['fr_CA', 'fr'],
+      ['en', 'en'],
+      ['it', null],
+      ['', null],
+      [undefined, null]
+    ])('should map %p to %p', (tag, expected) => {
+      expect(normalizeLanguage(tag)).toBe(expected);
+    });
+  });
+
+  describe('detectLanguage()', () => {
+    test.each([
+      ['Du wirst nicht glauben, was dann passierte', 'de'],
+      ['No vas a creer lo que pasó después con el perro', 'es'],
+      ['Vous n’allez pas croire ce qui est arrivé ensuite', 'fr'],
+      ['You will not believe what this dog did', 'en']
+    ])('should detect %p as %p', (text, expected) => {
+      expect(detectLanguage(text)).toBe(expected);
+    });
+
+    test('should return null without evidence', () => {
+      expect(detectLanguage('12345')).toBeNull();
+    });
+  });
+
+  describe('regexDetect() with a pack', () => {
+    test.each([
+      ['de', 'Du wirst nicht glauben, was dieser Hund macht'],
+      ['de', 'Warum Ärzte sprachlos sind'],
+      ['es', '¿Por qué nadie habla de esto?'],
+      ['es', '10 cosas increíbles que no sabías'],
+      ['fr', 'Pourquoi les médecins détestent cette astuce'],
+      ['fr', 'Qu’est-ce qui se cache derrière ce secret ?']
+    ])('should flag %s clickbait: %s', (language, text) => {
+      const result = regexDetect(text, [], language);
+      expect(result.language).toBe(language);
+      expect(result.isClickbait).toBe(true);
+    });
+
+    test('should not flag German news with the German pack', () => {
+      const result = regexDetect('Bundestag beschließt neues Klimaschutzgesetz', [], 'de');
+      expect(result.isClickbait).toBe(false);
+    });
+
+    test('should miss German clickbait with the English pack', () => {
+      expect(regexDetect('Du wirst nicht glauben, was dieser Hund macht', [], 'en').isClickbait).toBe(false);
+    });
+
+    test('should fall back to the default pack for unsupported languages', () => {
+      expect(regexDetect('Top 10 gadgets', [], 'it').language).toBe('en');
+    });
+  });
+
+  describe('heuristicDetect() with a pack', () => {
+    test('should use the language-specific heuristic patterns', () => {
+      const result = heuristicDetect('Warum dieser eine Trick alles verändert', 'de');
+      expect(result.isClickbait).toBe(true);
+      expect(result.reason).toBe('question form, curiosity gap');
+    });
+  });
+});
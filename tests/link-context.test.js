@@ -0,0 +1,67 @@
+/**
+ * Tests for link context extraction
+ *
+ * These tests verify that the context gathered around a link is bounded,
+ * skips text that repeats the link, and that the rule engine weighs it.
+ */
+
+import { extractLinkContext } from '../src/content/link-context.js';
+import { regexDetect } from '../src/content/clickbait-detector.js';
+import { CONTEXT_CONFIG } from '../config/config.js';
+
+describe('Link Context', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('extractLinkContext()', () => {
+    test('should collect heading, section, teaser, image alt and aria-label from a card', () => {
+      document.body.innerHTML = `
+        <div class="section-header">Top Stories</div>
+        <ul class="articles-list">
+          <li class="article-item">
+            <div class="article-meta"><span class="article-category">Health</span></div>
+            <img src="x.jpg" alt="A doctor holding a jar">
+            <a href="/a1" aria-label="Read: one habit">This Simple Habit</a>
+            <p>Researchers say the secret is hiding in your kitchen.</p>
+          </li>
+        </ul>`;
+      const context = extractLinkContext(document.querySelector('a'));
+      expect(context).toEqual({
+        heading: 'Top Stories',
+        section: 'Health',
+        teaser: 'Researchers say the secret is hiding in your kitchen.',
+        imageAlt: 'A doctor holding a jar',
+        ariaLabel: 'Read: one habit'
+      });
+    });
+
+    test('should bound fields and drop ones that repeat the link text', () => {
+      document.body.innerHTML = `
+        <article>
+          <h2>Same Title</h2>
+          <a href="/a1">Same Title</a>
+          <p>${'word '.repeat(200)}</p>
+        </article>`;
+      const context = extractLinkContext(document.querySelector('a'));
+      expect(context.heading).toBeUndefined();
+      expect(context.teaser.length).toBe(CONTEXT_CONFIG.MAX_FIELD_LENGTH);
+    });
+  });
+
+  describe('regexDetect() with context', () => {
+    test('should add damped context matches tagged with their source field', () => {
+      const plain = regexDetect('Council Reviews Budget');
+      const withContext = regexDetect('Council Reviews Budget', [], 'en', {
+        teaser: "You won't believe what was in it",
+        section: 'Shocking'
+      });
+      expect(plain.isClickbait).toBe(false);
+      expect(withContext.isClickbait).toBe(true);
+      expect(withContext.score).toBe(CONTEXT_CONFIG.RULE_WEIGHT_FACTOR);
+      expect(withContext.matches).toEqual([
+        expect.objectContaining({ id: 'curiosity-withheld-outcome', source: 'teaser' })
+      ]);
+    });
+  });
+});
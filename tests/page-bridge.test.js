@@ -0,0 +1,117 @@
+/**
+ * Tests for the in-page AI bridge fallback
+ *
+ * These tests verify that the content script matches bridge replies on its channel to
+ * their requests and times them out, and that the service worker only sends a tab's
+ * prompts to that tab's bridge.
+ */
+
+import { PageBridge } from '../src/content/page-bridge.js';
+import { PageBridgeProvider } from '../src/background/providers/page-bridge-provider.js';
+import { AIManager } from '../src/background/ai-manager.js';
+import { BRIDGE_CONFIG } from '../config/config.js';
+
+describe('Page Bridge', () => {
+  describe('PageBridge (content script)', () => {
+    let bridge;
+    let posted;
+    const reply = (data) => bridge.onMessage({ data });
+
+    beforeEach(() => {
+      bridge = new PageBridge();
+      posted = [];
+      // Stands in for our end of the MessageChannel to inpage.js
+      bridge.port = { postMessage: data => posted.push(data), close: jest.fn() };
+    });
+
+    afterEach(() => {
+      bridge.disconnect();
+      jest.useRealTimers();
+    });
+
+    test('should resolve each request with the reply carrying its id', async () => {
+      const first = bridge.classify('Prompt one');
+      const second = bridge.classify('Prompt two', { type: 'object' });
+      expect(posted[1]).toMatchObject({ type: 'BB_CLASSIFY', prompt: 'Prompt two' });
+
+      reply({ type: 'BB_CLASSIFY_RESULT', id: posted[1].id, ok: true, raw: 'two' });
+      reply({ type: 'BB_SUMMARY_RESULT', id: posted[0].id, ok: true, summary: 'wrong type' });
+      reply({ type: 'BB_CLASSIFY_RESULT', id: posted[0].id, ok: false, error: 'Prompt session not ready' });
+
+      await expect(second).resolves.toBe('two');
+      await expect(first).rejects.toThrow('Prompt session not ready');
+    });
+
+    test('should use random ids and ignore replies posted to the window', async () => {
+      const summary = bridge.summarize('Article', { type: 'tldr' });
+      bridge.summarize('Other article').catch(() => {});
+      const [{ id }, { id: otherId }] = posted;
+      expect(id).toMatch(/^bb-[0-9a-f]{32}$/);
+      expect(otherId).not.toBe(id);
+
+      window.dispatchEvent(new MessageEvent('message', {
+        data: { type: 'BB_SUMMARY_RESULT', id, ok: true, summary: 'Forged' },
+        source: window
+      }));
+      reply({ type: 'BB_SUMMARY_RESULT', id, ok: true, summary: 'Real' });
+
+      await expect(summary).resolves.toBe('Real');
+    });
+
+    test('should give up on requests without a reply', async () => {
+      jest.useFakeTimers();
+      const summary = bridge.summarize('Article', { type: 'tldr' });
+      jest.advanceTimersByTime(BRIDGE_CONFIG.SUMMARIZE_TIMEOUT);
+      await expect(summary).rejects.toThrow('timed out');
+      expect(bridge.pending.size).toBe(0);
+    });
+
+    test('should refuse requests before it is connected', async () => {
+      await expect(new PageBridge().classify('Prompt')).rejects.toThrow('not connected');
+    });
+  });
+
+  describe('PageBridgeProvider (service worker)', () => {
+    afterEach(() => {
+      delete global.chrome.tabs;
+    });
+
+    test('should prompt the bridge of the requesting tab only', async () => {
+      global.chrome.tabs = {
+        sendMessage: jest.fn(async () => ({ ok: true, raw: '{"isClickbait": true, "confidence": 0.9}' }))
+      };
+      const backend = new PageBridgeProvider();
+      backend.register(1, { prompt: true, summarizer: false });
+      backend.register(2, { prompt: true, summarizer: true });
+
+      const manager = new AIManager();
+      manager.setProvider(backend);
+      await manager.initialize();
+      const result = await manager.classifyClickbait('You will not believe this', null, { tabId: 1 });
+
+      expect(result).toEqual({ isClickbait: true, confidence: 0.9, reason: '' });
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledTimes(1);
+      expect(chrome.tabs.sendMessage.mock.calls[0][0]).toBe(1);
+      expect(chrome.tabs.sendMessage.mock.calls[0][1].schema.required).toContain('isClickbait');
+      await expect(manager.summarizeArticle('Article', {}, { tabId: 1 })).rejects.toThrow('No page bridge');
+      await expect(manager.classifyClickbait('Headline')).rejects.toThrow('No page bridge');
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not fall back to another tab when the requesting one is gone', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      global.chrome.tabs = {
+        sendMessage: jest.fn(async () => { throw new Error('Could not establish connection. Receiving end does not exist.'); })
+      };
+      const backend = new PageBridgeProvider();
+      backend.register(1, { prompt: true, summarizer: true });
+      backend.register(2, { prompt: true, summarizer: true });
+
+      await expect(backend.classify('Prompt', { tabId: 2 })).rejects.toThrow('No page bridge');
+
+      expect(chrome.tabs.sendMessage.mock.calls.map(call => call[0])).toEqual([2]);
+      expect([...backend.tabs.keys()]).toEqual([1]);
+      console.warn.mockRestore();
+    });
+  });
+});
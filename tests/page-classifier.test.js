@@ -0,0 +1,86 @@
+/**
+ * Tests for page classification
+ *
+ * These tests verify that fetched pages are sorted into articles, paywalls, consent
+ * walls, error pages and non-articles, so only articles are summarized and the
+ * failure states are cached briefly.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { classifyPage } from '../src/lib/page-classifier.js';
+import { extractArticle } from '../src/lib/readability.js';
+import { ArticleFetcher } from '../src/background/article-fetcher.js';
+import { CacheManager } from '../src/background/cache-manager.js';
+import { PAGE_TYPES, getFailureCacheTtlMs } from '../config/config.js';
+
+const EXAMPLES = path.join(__dirname, '..', 'Clickbait-Examples');
+
+function classify(html, response = {}) {
+  return classifyPage({ status: 200, ...response, html, article: extractArticle(html) });
+}
+
+const teaser = '<p>The city council approved the budget for the new bridge on Monday, after months of debate ' +
+  'about the cost of the project and its route across the river.</p>';
+const longArticle = Array.from({ length: 12 }, (_, i) => teaser.replace('Monday', `day ${i + 1}`)).join('');
+
+describe('Page Classifier', () => {
+  test('should classify the sample news articles as articles and the front page as none', () => {
+    fs.readdirSync(path.join(EXAMPLES, 'news-articles')).forEach(file => {
+      const html = fs.readFileSync(path.join(EXAMPLES, 'news-articles', file), 'utf8');
+      expect(classify(html).type).toBe(PAGE_TYPES.ARTICLE);
+    });
+    const frontPage = fs.readFileSync(path.join(EXAMPLES, 'news.html'), 'utf8');
+    expect(classify(frontPage).type).toBe(PAGE_TYPES.NON_ARTICLE);
+  });
+
+  test('should detect error pages by status and by title', () => {
+    expect(classify(`<article>${longArticle}</article>`, { status: 404 })).toEqual({ type: PAGE_TYPES.ERROR, reason: 'HTTP 404' });
+
+    const soft404 = '<title>Page not found | Daily Example</title><main><p>Sorry, the page you were looking for ' +
+      'has moved or was removed. Try the search or go back to the front page.</p></main>';
+    expect(classify(soft404).type).toBe(PAGE_TYPES.ERROR);
+  });
+
+  test('should detect paywalls by JSON-LD, phrases and overlays on teaser pages only', () => {
+    const jsonLd = '<script type="application/ld+json">{"@type": "NewsArticle", "isAccessibleForFree": "False"}</script>';
+    expect(classify(`<head>${jsonLd}</head><article>${teaser}</article>`).type).toBe(PAGE_TYPES.PAYWALLED);
+    expect(classify(`<article>${teaser}<div class="subscribe"><p>Subscribe to continue reading.</p></div></article>`))
+      .toEqual({ type: PAGE_TYPES.PAYWALLED, reason: '"subscribe to continue reading"' });
+    expect(classify(`<article>${teaser}</article><div class="tp-modal"></div>`).type).toBe(PAGE_TYPES.PAYWALLED);
+
+    // A full article with a subscription footer is an article
+    expect(classify(`<article>${longArticle}</article><footer>Already a subscriber? Log in</footer>`).type).toBe(PAGE_TYPES.ARTICLE);
+  });
+
+  test('should detect consent walls by redirect and by their text', () => {
+    const consent = '<div id="consent"><h1>Before you continue</h1><p>We use cookies and data to deliver our services.</p>' +
+      '<button>Accept all</button></div>';
+    expect(classify(consent).type).toBe(PAGE_TYPES.CONSENT_WALL);
+    expect(classify(`<article>${longArticle}</article>`, { url: 'https://consent.example.com/?continue=x' }).type)
+      .toBe(PAGE_TYPES.CONSENT_WALL);
+  });
+
+  test('should return the page type with the fetched article', async () => {
+    global.fetch = jest.fn(async () => ({ status: 410, url: 'https://example.com/gone', text: async () => '<p>Gone</p>' }));
+
+    const article = await new ArticleFetcher().fetchArticle('https://example.com/gone');
+
+    expect(article.page).toEqual({ type: PAGE_TYPES.ERROR, reason: 'HTTP 410' });
+    delete global.fetch;
+  });
+
+  test('should cache pages that are not articles only briefly', async () => {
+    const cache = new CacheManager();
+    chrome.storage.local.get.mockResolvedValue({});
+    chrome.storage.local.set.mockResolvedValue();
+
+    await cache.saveSummary('https://example.com/a', { page: { type: PAGE_TYPES.PAYWALLED } }, 'tldr', getFailureCacheTtlMs());
+
+    const entry = Object.values(chrome.storage.local.set.mock.calls[0][0])[0];
+    expect(entry.ttl).toBe(getFailureCacheTtlMs());
+    expect(cache.isValid(entry)).toBe(true);
+    expect(cache.isValid({ ...entry, timestamp: Date.now() - getFailureCacheTtlMs() - 1 })).toBe(false);
+    expect(cache.isValid({ ...entry, ttl: undefined, timestamp: Date.now() - getFailureCacheTtlMs() - 1 })).toBe(true);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for User-Defined Pattern Validation
+ *
+ * These tests verify that invalid or backtracking-prone patterns are rejected
+ * and that valid user patterns are evaluated alongside the built-in rules.
+ */
+
+import { validatePattern } from '../src/lib/pattern-validator.js';
+import { regexDetect } from '../src/content/clickbait-detector.js';
+
+describe('Pattern Validation', () => {
+  describe('validatePattern()', () => {
+    test.each([
+      '\\bthe truth about\\b',
+      '^(here\'s|this is) why',
+      '(?:a|b)+c',
+      'top\\s+\\d{1,3}',
+      '(?<word>\\w+) (?:is|was) (?=back)',
+      '(?:, \\w)+!',
+      '(?:a|b?c)*$',
+      '(?:\\x61|b)+',
+      '(?:[a-m]|[n-z])+\\.',
+      '(\\d|[a-f])+h'
+    ])('should accept safe pattern %s', (pattern) => {
+      expect(validatePattern(pattern)).toEqual({ valid: true });
+    });
+
+    test('should reject empty patterns', () => {
+      expect(validatePattern('  ').valid).toBe(false);
+    });
+
+    test('should reject invalid syntax', () => {
+      const result = validatePattern('(unclosed');
+      expect(result.valid).toBe(false);
+      expect(result.error).toMatch(/Invalid syntax/);
+    });
+
+    test.each([
+      '(a+)+$',
+      '(\\w*)*x',
+      '((ab)*c)+',
+      '(a|a)*b',
+      '(.|\\s)+end',
+      '(\\d+){2,}',
+      '^(?:a|a)+$',
+      '(?:ab|a)+$',
+      '(?<x>a|a)*b',
+      '(a?){25}a{25}',
+      '(?:a*|b)+c',
+      '((a)?)+b',
+      '(a|b?a)*$',
+      '(a|\\x61)*$',
+      '(a|\\u0061)+$',
+      '(A|a)+$',
+      '(?:[ab]|b)*$',
+      '(?:[^x]|a)+$',
+      '(\\s|\\t)+$',
+      '(\\w|[0-9])+$',
+      '(?:(?:b?)c?a|a)+$',
+      '(?:(?=x)a|a)+$',
+      '(中|\\u4e2d)+$',
+      '(?:\\ba|a)+$'
+    ])('should reject catastrophic backtracking in %s', (pattern) => {
+      const result = validatePattern(pattern);
+      expect(result.valid).toBe(false);
+      expect(result.error).toMatch(/not allowed/);
+    });
+
+    test('should compare branches with the flags of the pattern', () => {
+      expect(validatePattern('(A|a)+$', '').valid).toBe(true);
+      expect(validatePattern('(\\p{L}|a)+$', 'iu').valid).toBe(false);
+    });
+
+    test('should reject backreferences', () => {
+      expect(validatePattern('(\\w)\\1').valid).toBe(false);
+      expect(validatePattern('(?<c>\\w)\\k<c>').valid).toBe(false);
+    });
+
+    test('should not treat quantifiers inside character classes as nesting', () => {
+      expect(validatePattern('([+*]x)+').valid).toBe(true);
+    });
+  });
+
+  describe('regexDetect() with custom patterns', () => {
+    const customPatterns = [
+      { id: 'custom-truth', pattern: '\\bthe truth about\\b', category: 'custom', weight: 2, enabled: true },
+      { id: 'custom-off', pattern: 'budget', category: 'custom', weight: 1, enabled: false },
+      { id: 'custom-evil', pattern: '(a+)+$', category: 'custom', weight: 1, enabled: true }
+    ];
+
+    test('should include enabled user patterns in the matches', () => {
+      const result = regexDetect('The truth about the city budget', customPatterns);
+      expect(result.isClickbait).toBe(true);
+      expect(result.matches.map(m => m.id)).toEqual(['custom-truth']);
+      expect(result.score).toBe(2);
+    });
+
+    test('should skip user patterns that fail validation', () => {
+      const result = regexDetect('aaaa', customPatterns);
+      expect(result.matches).toEqual([]);
+    });
+  });
+});
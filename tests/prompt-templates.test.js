@@ -0,0 +1,62 @@
+/**
+ * Tests for the prompt template registry
+ *
+ * These tests verify template resolution, user overrides, placeholder checks and
+ * that the template version separates cached classifications.
+ */
+
+import { resolvePromptTemplate, renderTemplate, validateTemplate } from '../src/lib/prompt-templates.js';
+import { AIManager } from '../src/background/ai-manager.js';
+import { CacheManager } from '../src/background/cache-manager.js';
+import { PROMPT_KINDS, PROMPT_CONFIG } from '../config/config.js';
+
+describe('Prompt Templates', () => {
+  describe('resolvePromptTemplate()', () => {
+    test('should fall back to the configured default', () => {
+      const template = resolvePromptTemplate(PROMPT_KINDS.CLASSIFY);
+      expect(template.id).toBe(PROMPT_CONFIG.DEFAULTS[PROMPT_KINDS.CLASSIFY]);
+      expect(template.key).toBe(`${template.id}@${template.version}`);
+    });
+
+    test('should prefer a valid override and version it by its text', () => {
+      const a = resolvePromptTemplate(PROMPT_KINDS.CLASSIFY, { classify: { override: 'Is "{{title}}" bait?' } });
+      const b = resolvePromptTemplate(PROMPT_KINDS.CLASSIFY, { classify: { override: 'Is "{{title}}" clickbait?' } });
+      expect(a.custom).toBe(true);
+      expect(a.key).not.toBe(b.key);
+    });
+
+    test('should ignore an override missing required placeholders', () => {
+      const template = resolvePromptTemplate(PROMPT_KINDS.CLASSIFY, { classify: { id: 'classify-strict', override: 'No title here' } });
+      expect(template.id).toBe('classify-strict');
+    });
+  });
+
+  describe('renderTemplate() and validateTemplate()', () => {
+    test('should fill placeholders and blank unknown ones', () => {
+      expect(renderTemplate('A {{title}} B {{ missing }}', { title: 'x' })).toBe('A x B ');
+    });
+
+    test('should report missing placeholders', () => {
+      expect(validateTemplate(PROMPT_KINDS.CLASSIFY_BATCH, 'Classify {{title}}')).toEqual({
+        valid: false,
+        error: 'Template must contain {{titles}}.'
+      });
+      expect(validateTemplate(PROMPT_KINDS.SUMMARY_CONTEXT, 'Be brief.').valid).toBe(true);
+    });
+  });
+
+  describe('Classification prompts', () => {
+    test('should render the selected template and change the cache key with it', async () => {
+      const manager = new AIManager();
+      manager.provider.promptSession = { prompt: jest.fn(async () => '{"isClickbait":false,"confidence":0.8}') };
+      const cache = new CacheManager();
+
+      const standardKey = cache._classificationKey('Title', null, manager.getClassificationVersion());
+      manager.setPromptTemplates({ classify: { id: 'classify-strict' } });
+      await manager.classifyClickbait('Title');
+
+      expect(manager.provider.promptSession.prompt.mock.calls[0][0]).toContain('deliberately withholds');
+      expect(cache._classificationKey('Title', null, manager.getClassificationVersion())).not.toBe(standardKey);
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Tests for the AI providers
+ *
+ * These tests verify that the settings pick the provider, that the OpenAI-compatible
+ * provider talks to the chat completions API the way AIManager expects, and that the
+ * model status shown in the popup follows downloads and inferences. Prompt sessions are
+ * cloned per classification and replaced when they break.
+ */
+
+import { createProvider, ChromeAIProvider, OpenAICompatibleProvider } from '../src/background/providers/index.js';
+import { AIManager } from '../src/background/ai-manager.js';
+import { AI_PROVIDERS, MODEL_AVAILABILITY } from '../config/config.js';
+
+function jsonResponse(body) {
+  return { ok: true, status: 200, json: async () => body };
+}
+
+describe('AI Providers', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('should create the provider selected in the settings', () => {
+    expect(createProvider({ aiProvider: AI_PROVIDERS.CHROME })).toBeInstanceOf(ChromeAIProvider);
+    const provider = createProvider({
+      aiProvider: AI_PROVIDERS.OPENAI_COMPATIBLE,
+      aiEndpoint: 'http://localhost:8080/v1/',
+      aiModel: ''
+    });
+    expect(provider).toBeInstanceOf(OpenAICompatibleProvider);
+    expect(provider.endpoint).toBe('http://localhost:8080/v1');
+  });
+
+  test('should use the first model the server lists when none is set', async () => {
+    global.fetch = jest.fn(async () => jsonResponse({ data: [{ id: 'qwen2.5:3b' }, { id: 'llama3.2' }] }));
+    const provider = new OpenAICompatibleProvider({ endpoint: 'http://localhost:11434/v1', apiKey: 'secret' });
+
+    await provider.initialize();
+
+    expect(provider.model).toBe('qwen2.5:3b');
+    expect(provider.capabilities).toEqual({ prompt: true, summarizer: true });
+    expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:11434/v1/models');
+    expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer secret');
+  });
+
+  test('should fail to initialize when the server is not reachable', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    global.fetch = jest.fn(async () => { throw new TypeError('Failed to fetch'); });
+    const provider = new OpenAICompatibleProvider({ endpoint: 'http://localhost:11434/v1' });
+
+    await expect(provider.initialize()).rejects.toThrow('not reachable');
+    expect(provider.capabilities.prompt).toBe(false);
+    console.warn.mockRestore();
+  });
+
+  test('should classify through AIManager with the schema as response_format', async () => {
+    global.fetch = jest.fn(async () => jsonResponse({
+      choices: [{ message: { content: '{"isClickbait": true, "confidence": 0.85, "reason": "teaser"}' } }]
+    }));
+    const manager = new AIManager(new OpenAICompatibleProvider({ endpoint: 'http://localhost:11434/v1', model: 'llama3.2' }));
+
+    const result = await manager.classifyClickbait('This one trick will change your life');
+
+    expect(result).toEqual({ isClickbait: true, confidence: 0.85, reason: 'teaser' });
+    const [url, init] = global.fetch.mock.calls[0];
+    const body = JSON.parse(init.body);
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(body.model).toBe('llama3.2');
+    expect(body.messages[0].content).toContain('This one trick will change your life');
+    expect(body.response_format.json_schema.schema.required).toContain('isClickbait');
+  });
+
+  describe('Model status', () => {
+    afterEach(() => {
+      delete self.LanguageModel;
+      delete self.Summarizer;
+    });
+
+    test('should report download progress and per-API errors', async () => {
+      let reportProgress;
+      let finishDownload;
+      self.LanguageModel = {
+        availability: async () => 'downloadable',
+        create: ({ monitor }) => new Promise(resolve => {
+          const listeners = {};
+          monitor({ addEventListener: (type, listener) => { listeners[type] = listener; } });
+          reportProgress = (loaded) => listeners.downloadprogress({ loaded });
+          finishDownload = () => resolve({ prompt: jest.fn() });
+        })
+      };
+      self.Summarizer = { availability: async () => 'unavailable', create: jest.fn() };
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const provider = new ChromeAIProvider();
+      const initialization = provider.initialize();
+      await new Promise(resolve => setTimeout(resolve, 0));
+      reportProgress(0.42);
+      expect(provider.getStatus().prompt).toEqual({ availability: MODEL_AVAILABILITY.DOWNLOADING, progress: 0.42, error: null });
+
+      finishDownload();
+      await expect(initialization).rejects.toThrow('Summarizer API unavailable');
+      const status = provider.getStatus();
+      expect(status.prompt.availability).toBe(MODEL_AVAILABILITY.AVAILABLE);
+      expect(status.summarizer).toMatchObject({ availability: MODEL_AVAILABILITY.UNAVAILABLE, error: 'Summarizer API unavailable on this device' });
+      console.log.mockRestore();
+      console.error.mockRestore();
+    });
+
+    test('should record the time of the last successful inference', async () => {
+      const provider = new ChromeAIProvider();
+      provider.promptSession = { prompt: jest.fn().mockRejectedValueOnce(new Error('busy')).mockResolvedValue('{"isClickbait": false, "confidence": 0.7}') };
+      const manager = new AIManager(provider);
+      manager.onInference = jest.fn();
+
+      await expect(manager.classifyClickbait('Title')).rejects.toThrow('busy');
+      expect(manager.lastInferenceAt).toBeNull();
+
+      await manager.classifyClickbait('Title');
+      expect(manager.lastInferenceAt).toEqual(expect.any(Number));
+      expect(manager.onInference).toHaveBeenCalledWith(manager.lastInferenceAt);
+    });
+  });
+
+  describe('Prompt sessions', () => {
+    function sessionError(name) {
+      const error = new Error(name);
+      error.name = name;
+      return error;
+    }
+
+    function clonableSession(answer = '{"isClickbait": true, "confidence": 0.9}') {
+      const base = {
+        prompt: jest.fn(),
+        destroy: jest.fn(),
+        clones: [],
+        clone: jest.fn(async () => {
+          const clone = { prompt: jest.fn(async () => answer), destroy: jest.fn(), inputUsage: 120, inputQuota: 6144 };
+          base.clones.push(clone);
+          return clone;
+        })
+      };
+      return base;
+    }
+
+    test('should run every classification in its own clone of the base session', async () => {
+      const provider = new ChromeAIProvider();
+      const base = clonableSession();
+      provider.promptSession = base;
+
+      await provider.classify('First');
+      await provider.classify('Second');
+
+      expect(base.prompt).not.toHaveBeenCalled();
+      expect(base.clones).toHaveLength(2);
+      base.clones.forEach(clone => expect(clone.destroy).toHaveBeenCalled());
+      expect(provider.getSessionStats()).toMatchObject({ prompts: 2, clones: 2, inputUsage: 120, inputQuota: 6144, peakInputUsage: 120 });
+    });
+
+    test('should replace a destroyed base session once and retry', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const provider = new ChromeAIProvider();
+      const broken = { clone: jest.fn(async () => { throw sessionError('InvalidStateError'); }), destroy: jest.fn() };
+      const fresh = clonableSession();
+      provider.promptSession = broken;
+      provider.languageModelAPI = { create: jest.fn(async () => fresh) };
+
+      const results = await Promise.all([provider.classify('One'), provider.classify('Two')]);
+
+      expect(results).toHaveLength(2);
+      expect(provider.languageModelAPI.create).toHaveBeenCalledTimes(1);
+      expect(provider.promptSession).toBe(fresh);
+      expect(provider.getSessionStats()).toMatchObject({ recreations: 1, destroyedErrors: 2, prompts: 2 });
+      console.warn.mockRestore();
+    });
+
+    test('should not retry a prompt that is too long for a clean session', async () => {
+      const provider = new ChromeAIProvider();
+      const base = clonableSession();
+      base.clone = jest.fn(async () => ({ prompt: jest.fn(async () => { throw sessionError('QuotaExceededError'); }), destroy: jest.fn() }));
+      provider.promptSession = base;
+      provider.languageModelAPI = { create: jest.fn() };
+
+      await expect(provider.classify('A very long article')).rejects.toThrow('QuotaExceededError');
+      expect(provider.languageModelAPI.create).not.toHaveBeenCalled();
+      expect(provider.getSessionStats().quotaErrors).toBe(1);
+    });
+
+    test('should replace an unclonable session before it fills up', async () => {
+      const provider = new ChromeAIProvider();
+      const full = { prompt: jest.fn(), destroy: jest.fn(), inputUsage: 5000, inputQuota: 6144 };
+      const fresh = { prompt: jest.fn(async () => '{"isClickbait": false, "confidence": 0.6}'), inputUsage: 90, inputQuota: 6144 };
+      provider.promptSession = full;
+      provider.languageModelAPI = { create: jest.fn(async () => fresh) };
+
+      await provider.classify('Title');
+
+      expect(full.prompt).not.toHaveBeenCalled();
+      expect(full.destroy).toHaveBeenCalled();
+      expect(fresh.prompt).toHaveBeenCalledTimes(1);
+      expect(provider.getSessionStats()).toMatchObject({ recreations: 1, inputUsage: 90 });
+    });
+  });
+});
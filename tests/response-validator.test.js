@@ -0,0 +1,98 @@
+/**
+ * Tests for AI response validation and repair
+ *
+ * These tests verify that model output is extracted from chatty or fenced text,
+ * coerced and clamped, and that failures carry a machine-readable reason.
+ */
+
+import { extractJson, parseClassification, parseAnswer, RESPONSE_FAILURES } from '../src/lib/response-validator.js';
+import { AIManager } from '../src/background/ai-manager.js';
+
+describe('Response Validator', () => {
+  describe('extractJson()', () => {
+    test('should read JSON from code fences and chatty output', () => {
+      expect(extractJson('```json\n{"a": 1}\n```')).toEqual({ ok: true, value: { a: 1 } });
+      expect(extractJson('Sure! Here it is: {"a": "}"} Hope it helps.')).toEqual({ ok: true, value: { a: '}' } });
+    });
+
+    test('should report why nothing could be parsed', () => {
+      expect(extractJson('   ')).toEqual({ ok: false, failure: RESPONSE_FAILURES.EMPTY });
+      expect(extractJson('It is clickbait.')).toEqual({ ok: false, failure: RESPONSE_FAILURES.NO_JSON });
+      expect(extractJson('{"a": 1,')).toEqual({ ok: false, failure: RESPONSE_FAILURES.INVALID_JSON });
+    });
+  });
+
+  describe('parseClassification()', () => {
+    test('should coerce and clamp fields', () => {
+      expect(parseClassification('{"isClickbait": "yes", "confidence": "85%", "reason": " gap "}').value)
+        .toEqual({ isClickbait: true, confidence: 0.85, reason: 'gap' });
+      expect(parseClassification('{"isClickbait": false, "confidence": -2}').value)
+        .toEqual({ isClickbait: false, confidence: 0, reason: '' });
+    });
+
+    test('should reject missing or unusable fields', () => {
+      expect(parseClassification('{"confidence": 0.5}').failure).toBe(RESPONSE_FAILURES.MISSING_VERDICT);
+      expect(parseClassification('{"isClickbait": true, "confidence": "high"}').failure)
+        .toBe(RESPONSE_FAILURES.INVALID_CONFIDENCE);
+      expect(parseClassification('[1, 2]').failure).toBe(RESPONSE_FAILURES.NOT_OBJECT);
+    });
+  });
+
+  describe('parseAnswer()', () => {
+    const article = 'The mayor said on Monday that the  bridge will reopen in May.';
+
+    test('should keep a quote only if the article contains it', () => {
+      expect(parseAnswer('{"answered": true, "answer": "In May.", "quote": "\\"the bridge will reopen in May\\""}', article).value)
+        .toEqual({ answered: true, answer: 'In May.', quote: 'the bridge will reopen in May' });
+      expect(parseAnswer('{"answered": true, "answer": "In May.", "quote": "It reopens in spring"}', article).value.quote)
+        .toBe('');
+    });
+
+    test('should require an answer when the headline is answered', () => {
+      expect(parseAnswer('{"answered": true, "answer": " "}', article).failure).toBe(RESPONSE_FAILURES.MISSING_ANSWER);
+      expect(parseAnswer('{"answer": "In May."}', article).failure).toBe(RESPONSE_FAILURES.MISSING_ANSWERED);
+      expect(parseAnswer('{"answered": false, "answer": "", "quote": ""}', article).ok).toBe(true);
+    });
+  });
+
+  describe('AIManager.answerHeadline()', () => {
+    test('should prompt a clone of the session with the title and article', async () => {
+      const clone = {
+        prompt: jest.fn(async () => '{"answered": true, "answer": "In May.", "quote": "reopen in May"}'),
+        destroy: jest.fn()
+      };
+      const manager = new AIManager();
+      manager.provider.promptSession = { prompt: jest.fn(), clone: jest.fn(async () => clone) };
+
+      const result = await manager.answerHeadline('When will the bridge reopen?', 'The bridge will reopen in May.');
+      expect(result).toEqual({ answered: true, answer: 'In May.', quote: 'reopen in May' });
+      expect(clone.prompt.mock.calls[0][0]).toContain('When will the bridge reopen?');
+      expect(clone.prompt.mock.calls[0][1].responseConstraint.required).toContain('quote');
+      expect(clone.destroy).toHaveBeenCalled();
+      expect(manager.provider.promptSession.prompt).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('AIManager.classifyClickbait()', () => {
+    function managerReturning(...responses) {
+      const manager = new AIManager();
+      manager.provider.promptSession = { prompt: jest.fn(async () => responses.shift()) };
+      return manager;
+    }
+
+    test('should retry once with the repair prompt', async () => {
+      const manager = managerReturning('not json', '{"isClickbait": true, "confidence": 0.9}');
+      const result = await manager.classifyClickbait('Title');
+      expect(manager.provider.promptSession.prompt).toHaveBeenCalledTimes(2);
+      expect(manager.provider.promptSession.prompt.mock.calls[1][0]).toContain(RESPONSE_FAILURES.NO_JSON);
+      expect(result).toEqual({ isClickbait: true, confidence: 0.9, reason: '' });
+    });
+
+    test('should return a failure code when the repair fails too', async () => {
+      const manager = managerReturning('not json', '{"isClickbait": true}');
+      const result = await manager.classifyClickbait('Title');
+      expect(result.failure).toBe(RESPONSE_FAILURES.INVALID_CONFIDENCE);
+      expect(result.isClickbait).toBe(false);
+    });
+  });
+});
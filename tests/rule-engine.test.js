@@ -0,0 +1,78 @@
+/**
+ * Tests for the weighted RegEx rule engine
+ *
+ * These tests verify that regexDetect reports which rules fired, where they
+ * matched, and that negative rules lower the score.
+ */
+
+import { evaluateRules, findMatchOffsets, describeMatches } from '../src/lib/rule-engine.js';
+import { regexDetect } from '../src/content/clickbait-detector.js';
+import { CONFIDENCE_CONFIG } from '../config/config.js';
+
+describe('Rule Engine', () => {
+  describe('findMatchOffsets()', () => {
+    test('should return start/end offsets for every match', () => {
+      const offsets = findMatchOffsets(/top\s+\d+/i, 'Top 5 picks and top 10 flops');
+      expect(offsets).toEqual([
+        { start: 0, end: 5, text: 'Top 5' },
+        { start: 16, end: 22, text: 'top 10' }
+      ]);
+    });
+  });
+
+  describe('evaluateRules()', () => {
+    const rules = [
+      { id: 'a', category: 'question', weight: 2, regexes: [/\?$/] },
+      { id: 'b', category: 'listicle', weight: 1, regexes: [/^\d+ ways/i] },
+      { id: 'c', category: 'specificity', weight: -0.5, regexes: [/\d/, /NASA/] },
+      { id: 'd', category: 'urgency', weight: 5, regexes: [/now/i], enabled: false }
+    ];
+
+    test('should sum weights of rules whose patterns all match', () => {
+      const { score, matches } = evaluateRules('7 ways NASA will surprise you now?', rules);
+      expect(matches.map(m => m.id)).toEqual(['a', 'b', 'c']);
+      expect(score).toBe(2.5);
+    });
+
+    test('should skip rules when only some of their patterns match', () => {
+      const { matches } = evaluateRules('7 ways to relax?', rules);
+      expect(matches.map(m => m.id)).toEqual(['a', 'b']);
+    });
+
+    test('should describe only positive matches', () => {
+      const { matches } = evaluateRules('7 ways NASA will surprise you?', rules);
+      expect(describeMatches(matches)).toBe('question, listicle');
+    });
+  });
+
+  describe('regexDetect()', () => {
+    test('should flag curiosity-gap headlines and explain why', () => {
+      const result = regexDetect("You Won't Believe What Happened Next");
+      expect(result.isClickbait).toBe(true);
+      const ids = result.matches.map(m => m.id);
+      expect(ids).toContain('curiosity-withheld-outcome');
+      const match = result.matches.find(m => m.id === 'curiosity-withheld-outcome');
+      expect(match.offsets[0]).toEqual({ start: 0, end: 17, text: "You Won't Believe" });
+      expect(result.reason).toContain('curiosity gap');
+    });
+
+    test('should keep the original confidence formula for unit weights', () => {
+      const result = regexDetect('10 Reasons Your Cat Is Secretly Judging You');
+      expect(result.matches.map(m => m.id)).toEqual(['listicle-leading-number']);
+      expect(result.confidence).toBeCloseTo(CONFIDENCE_CONFIG.REGEX.BASE + CONFIDENCE_CONFIG.REGEX.MULTIPLIER);
+    });
+
+    test('should lower the score for an explicit number with a named subject', () => {
+      const result = regexDetect('Why the ECB raised rates by 0.25% today');
+      expect(result.matches.map(m => m.id)).toEqual(['question-wh-word', 'specific-number-named-subject']);
+      expect(result.score).toBe(0);
+      expect(result.isClickbait).toBe(false);
+    });
+
+    test('should not flag plain news headlines', () => {
+      const result = regexDetect('Climate Summit Reaches Agreement on Carbon Emissions');
+      expect(result.isClickbait).toBe(false);
+      expect(result.matches).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Tests for the service worker
+ *
+ * These tests load the service worker with Chrome's built-in AI mocked and talk to it the
+ * way content scripts do: through its message listener and its summary ports.
+ */
+
+import { STREAM_CONFIG, DETECTION_MODES, getSensitivityThreshold } from '../config/config.js';
+import { regexDetect, heuristicDetect } from '../src/content/clickbait-detector.js';
+
+const listeners = {};
+const onEvent = (name) => ({ addListener: (listener) => { listeners[name] = listener; } });
+const store = {};
+const syncStore = {};
+
+const session = { prompt: jest.fn(), destroy: jest.fn() };
+const summarizer = { summarize: jest.fn(), summarizeStreaming: jest.fn() };
+
+const ARTICLE_HTML = '<html><head><title>Bridge</title></head><body><article>' +
+  Array.from({ length: 6 }, (_, i) =>
+    `<p>On day ${i + 1} the council discussed the new bridge, its budget and the timeline for construction.</p>`).join('') +
+  '</article></body></html>';
+
+// Resolve once `done()` is true, letting pending promises and timers run in between
+async function waitFor(done) {
+  for (let i = 0; i < 200 && !done(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  if (!done()) throw new Error('Timed out waiting for the service worker');
+}
+
+function send(request, tabId = 1) {
+  return new Promise(resolve => listeners.message(request, { tab: { id: tabId } }, resolve));
+}
+
+// Save settings the way the options page does; resolves once the provider has restarted
+async function saveSettings(settings) {
+  syncStore.settings = settings;
+  await listeners.storageChanged({ settings: { newValue: settings } }, 'sync');
+  return send({ action: 'getBackendStatus' });
+}
+
+function classify(links, detectionMode, sensitivity) {
+  return send({ action: 'classifyLinks', requestId: 'request-1', detectionMode, sensitivity, links });
+}
+
+function connect(tabId = 1) {
+  const port = {
+    name: STREAM_CONFIG.SUMMARY_PORT,
+    sender: { tab: { id: tabId } },
+    messages: [],
+    postMessage: (message) => port.messages.push(message),
+    onMessage: { addListener: (listener) => { port.receive = listener; } },
+    onDisconnect: { addListener: (listener) => { port.disconnect = listener; } }
+  };
+  listeners.connect(port);
+  return port;
+}
+
+// Summarizer stream that sends its chunks when `release()` is called
+function gatedStream(chunks) {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const queue = [...chunks];
+  const reader = {
+    read: jest.fn(async () => {
+      if (queue.length < chunks.length) await gate;
+      return queue.length ? { done: false, value: queue.shift() } : { done: true };
+    }),
+    cancel: jest.fn(async () => {}),
+    releaseLock: jest.fn()
+  };
+  return { stream: { getReader: () => reader }, release };
+}
+
+beforeAll(async () => {
+  ['log', 'warn', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+  global.chrome = {
+    runtime: { id: 'test-extension-id', onConnect: onEvent('connect'), onMessage: onEvent('message') },
+    storage: {
+      sync: { get: jest.fn(async () => ({ ...syncStore })), set: jest.fn(async () => {}) },
+      local: {
+        get: jest.fn(async (keys) => (keys == null
+          ? { ...store }
+          : Object.fromEntries([].concat(keys).filter(key => key in store).map(key => [key, store[key]])))),
+        set: jest.fn(async (items) => { Object.assign(store, items); }),
+        remove: jest.fn(async (keys) => { [].concat(keys).forEach(key => delete store[key]); })
+      },
+      session: { set: jest.fn() },
+      onChanged: onEvent('storageChanged')
+    },
+    tabs: { onRemoved: onEvent('tabRemoved'), query: jest.fn(), sendMessage: jest.fn() }
+  };
+  global.LanguageModel = { availability: async () => 'available', create: async () => session };
+  global.Summarizer = { availability: async () => 'available', create: async () => summarizer };
+  require('../src/background/service-worker.js');
+  await send({ action: 'getBackendStatus' });
+});
+
+afterAll(() => {
+  ['log', 'warn', 'error'].forEach(level => console[level].mockRestore());
+  delete global.LanguageModel;
+  delete global.Summarizer;
+});
+
+beforeEach(async () => {
+  Object.keys(store).forEach(key => delete store[key]);
+  await saveSettings({});
+  session.prompt.mockReset();
+  summarizer.summarizeStreaming.mockReset();
+  global.fetch = jest.fn(async (url) => ({ status: 200, url, text: async () => ARTICLE_HTML }));
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe('Service Worker', () => {
+  describe('Summary streams', () => {
+    test('should share one fetch, model run and delivery score between streams of one article', async () => {
+      const { stream, release } = gatedStream(['The council', 'The council approved the bridge.']);
+      summarizer.summarizeStreaming.mockReturnValue(stream);
+      session.prompt.mockResolvedValue('{"score": 0.9, "reason": "Explains the budget"}');
+      const title = 'You will not believe what the council did';
+
+      const first = connect(1);
+      first.receive({ action: 'streamSummary', url: 'https://news.example.com/bridge?utm_source=x', title });
+      await waitFor(() => first.messages.some(m => m.type === 'chunk'));
+      const second = connect(2);
+      second.receive({ action: 'streamSummary', url: 'https://news.example.com/bridge#comments', title });
+      await waitFor(() => second.messages.some(m => m.type === 'chunk'));
+      release();
+      await waitFor(() => [first, second].every(port => port.messages.some(m => m.type === 'done')));
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(summarizer.summarizeStreaming).toHaveBeenCalledTimes(1);
+      expect(session.prompt).toHaveBeenCalledTimes(1);
+      for (const port of [first, second]) {
+        expect(port.messages.filter(m => m.type === 'chunk').map(m => m.text).pop()).toBe('The council approved the bridge.');
+        expect(port.messages.find(m => m.type === 'delivery').delivery).toMatchObject({ score: 0.9, method: 'ai' });
+        expect(port.messages.find(m => m.type === 'done').summary).toBe('The council approved the bridge.');
+      }
+    });
+
+    test('should keep summarizing for the other stream when one closes', async () => {
+      const { stream, release } = gatedStream(['The council', 'The council approved the bridge.']);
+      summarizer.summarizeStreaming.mockReturnValue(stream);
+      session.prompt.mockResolvedValue('{"score": 0.5}');
+
+      const leaving = connect(1);
+      leaving.receive({ action: 'streamSummary', url: 'https://news.example.com/bridge' });
+      const staying = connect(2);
+      staying.receive({ action: 'streamSummary', url: 'https://news.example.com/bridge' });
+      await waitFor(() => staying.messages.some(m => m.type === 'chunk'));
+      leaving.disconnect();
+      release();
+      await waitFor(() => staying.messages.some(m => m.type === 'done'));
+
+      expect(staying.messages.find(m => m.type === 'done').summary).toBe('The council approved the bridge.');
+      expect(leaving.messages.some(m => m.type === 'done')).toBe(false);
+      expect(summarizer.summarizeStreaming).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Hybrid mode', () => {
+    const uncertain = 'You won\'t believe what happened next';
+    const unmatched = 'City council approves budget for new bridge';
+    const { confidence } = regexDetect(uncertain, [], 'en');
+    const links = (...texts) => texts.map((text, i) => ({ text, href: `https://news.example.com/${i}`, language: 'en', workId: `link-${i}` }));
+
+    beforeEach(() => {
+      session.prompt.mockResolvedValue('{"isClickbait": true, "confidence": 0.8, "reason": "Withholds the event"}');
+    });
+
+    test('should send headlines at the lower band edge to the Prompt API', async () => {
+      await saveSettings({ hybridBand: { min: confidence, max: 1 }, aiBatchSize: 1 });
+
+      const [result] = await classify(links(uncertain), DETECTION_MODES.HYBRID, 5);
+
+      expect(session.prompt).toHaveBeenCalledTimes(1);
+      expect(result).toMatchObject({ isClickbait: true, confidence: 0.8, stage: DETECTION_MODES.CHROME_AI });
+      expect(result.aiCallSaved).toBeUndefined();
+    });
+
+    test('should decide headlines at the upper band edge with the rules', async () => {
+      await saveSettings({ hybridBand: { min: 0, max: confidence }, aiBatchSize: 1 });
+
+      const [result] = await classify(links(uncertain), DETECTION_MODES.HYBRID, 1);
+
+      expect(session.prompt).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ isClickbait: true, stage: DETECTION_MODES.REGEX, aiCallSaved: true });
+    });
+
+    test('should count headlines no rule matched as decided by the rules', async () => {
+      await saveSettings({ aiBatchSize: 1 });
+
+      const [result] = await classify(links(unmatched), DETECTION_MODES.HYBRID, 5);
+
+      expect(session.prompt).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ isClickbait: false, stage: DETECTION_MODES.REGEX, aiCallSaved: true });
+      expect(result.matches).toEqual([]);
+    });
+
+    test('should decide uncertain headlines with the rules while the AI is unavailable', async () => {
+      const { availability } = global.LanguageModel;
+      global.LanguageModel.availability = async () => 'unavailable';
+      try {
+        const status = await saveSettings({ hybridBand: { min: 0, max: 1 }, aiBatchSize: 1, aiModel: 'unavailable' });
+        expect(status.error).toBeTruthy();
+
+        const [result, other] = await classify(links(uncertain, unmatched), DETECTION_MODES.HYBRID, 1);
+
+        expect(session.prompt).not.toHaveBeenCalled();
+        expect(result).toMatchObject({ isClickbait: true, stage: DETECTION_MODES.REGEX, aiCallSaved: false });
+        expect(other).toMatchObject({ isClickbait: false, stage: DETECTION_MODES.REGEX, aiCallSaved: false });
+      } finally {
+        global.LanguageModel.availability = availability;
+        await saveSettings({});
+      }
+    });
+  });
+
+  describe('Heuristic mode', () => {
+    const headline = 'You won\'t believe what happened next';
+    const heuristic = heuristicDetect(headline, 'en');
+    const link = { text: headline, href: 'https://news.example.com/story', language: 'en', workId: 'link-0' };
+
+    test('should return the heuristic reason with the result', async () => {
+      const [result] = await classify([link], DETECTION_MODES.HEURISTIC, 1);
+
+      expect(result).toMatchObject({ isClickbait: true, confidence: heuristic.confidence, language: 'en' });
+      expect(result.reason).toBe(heuristic.reason);
+      expect(result.reason).toBeTruthy();
+    });
+
+    test('should apply the sensitivity threshold like AI mode', async () => {
+      await saveSettings({ aiBatchSize: 1 });
+      session.prompt.mockResolvedValue(JSON.stringify({ isClickbait: true, confidence: heuristic.confidence, reason: 'Curiosity gap' }));
+
+      for (let sensitivity = 1; sensitivity <= 10; sensitivity++) {
+        const [byHeuristic] = await classify([link], DETECTION_MODES.HEURISTIC, sensitivity);
+        const [byAI] = await classify([link], DETECTION_MODES.CHROME_AI, sensitivity);
+
+        expect(byHeuristic.isClickbait).toBe(heuristic.confidence >= getSensitivityThreshold(sensitivity));
+        expect(byHeuristic.isClickbait).toBe(byAI.isClickbait);
+      }
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for the settings manager
+ *
+ * These tests verify that the AI server's API key stays in local storage: it is not
+ * synced to other devices, not sent to content scripts, and not removed by the cache.
+ * Custom patterns and prompt overrides are kept locally too, because sync storage cannot
+ * hold them all.
+ */
+
+import { SettingsManager } from '../src/lib/settings-manager.js';
+import { CacheManager } from '../src/background/cache-manager.js';
+import { CUSTOM_PATTERN_CONFIG, PROMPT_KINDS, PROMPT_CONFIG } from '../config/config.js';
+
+describe('Settings Manager', () => {
+  beforeEach(() => {
+    chrome.storage.sync.get.mockReset().mockResolvedValue({});
+    chrome.storage.sync.set.mockReset().mockResolvedValue();
+    chrome.storage.local.get.mockReset().mockResolvedValue({});
+    chrome.storage.local.set.mockReset().mockResolvedValue();
+    chrome.tabs = {
+      query: jest.fn((query, callback) => callback([{ id: 7, url: 'https://news.example.com/' }])),
+      sendMessage: jest.fn()
+    };
+  });
+
+  afterEach(() => {
+    delete chrome.tabs;
+  });
+
+  test('should keep the API key out of synced and broadcast settings', async () => {
+    await new SettingsManager().save({ ...SettingsManager.DEFAULTS, aiModel: 'llama3', aiApiKey: 'sk-secret' });
+
+    expect(chrome.storage.local.set).toHaveBeenCalledWith({ aiApiKey: 'sk-secret', customPatterns: [], promptTemplates: {} });
+    const synced = chrome.storage.sync.set.mock.calls[0][0].settings;
+    expect(synced.aiModel).toBe('llama3');
+    expect(synced).not.toHaveProperty('aiApiKey');
+    const broadcast = chrome.tabs.sendMessage.mock.calls[0][1];
+    expect(broadcast.action).toBe('settingsUpdated');
+    expect(broadcast.settings).not.toHaveProperty('aiApiKey');
+  });
+
+  test('should load the API key from local storage', async () => {
+    chrome.storage.sync.get.mockResolvedValue({ settings: { aiModel: 'llama3' } });
+    chrome.storage.local.get.mockResolvedValue({ aiApiKey: 'sk-secret' });
+
+    const settings = await new SettingsManager().load();
+
+    expect(settings).toMatchObject({ aiModel: 'llama3', aiApiKey: 'sk-secret', enabled: true });
+    expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+  });
+
+  test('should move an API key saved in sync storage to local storage', async () => {
+    chrome.storage.sync.get.mockResolvedValue({ settings: { aiModel: 'llama3', aiApiKey: 'sk-old' } });
+
+    const settings = await new SettingsManager().load();
+
+    expect(settings.aiApiKey).toBe('sk-old');
+    expect(chrome.storage.local.set).toHaveBeenCalledWith({ aiApiKey: 'sk-old' });
+    expect(chrome.storage.sync.set).toHaveBeenCalledWith({ settings: { aiModel: 'llama3' } });
+  });
+
+  test('should keep the largest allowed pattern list out of sync storage', async () => {
+    const customPatterns = Array.from({ length: CUSTOM_PATTERN_CONFIG.MAX_PATTERNS }, (_, i) => ({
+      id: `custom-${i}`,
+      pattern: `${i}`.padEnd(CUSTOM_PATTERN_CONFIG.MAX_LENGTH, 'x'),
+      category: 'custom',
+      weight: 1,
+      enabled: true
+    }));
+
+    await new SettingsManager().save({ ...SettingsManager.DEFAULTS, customPatterns });
+
+    expect(chrome.storage.local.set.mock.calls[0][0].customPatterns).toEqual(customPatterns);
+    expect(chrome.storage.sync.set.mock.calls[0][0].settings).not.toHaveProperty('customPatterns');
+    expect(chrome.tabs.sendMessage.mock.calls[0][1].settings.customPatterns).toEqual(customPatterns);
+  });
+
+  test('should move patterns saved in sync storage to local storage', async () => {
+    const customPatterns = [{ id: 'custom-1', pattern: 'shocking', weight: 1 }];
+    chrome.storage.sync.get.mockResolvedValue({ settings: { sensitivity: 7, customPatterns } });
+
+    const settings = await new SettingsManager().load();
+
+    expect(settings.customPatterns).toEqual(customPatterns);
+    expect(chrome.storage.local.set).toHaveBeenCalledWith({ customPatterns });
+    expect(chrome.storage.sync.set).toHaveBeenCalledWith({ settings: { sensitivity: 7 } });
+  });
+
+  test('should keep prompt overrides of every kind out of sync storage', async () => {
+    const promptTemplates = Object.fromEntries(Object.values(PROMPT_KINDS).map(kind =>
+      [kind, { id: `${kind}-v1`, override: 'x'.repeat(PROMPT_CONFIG.MAX_OVERRIDE_LENGTH) }]));
+
+    await new SettingsManager().save({ ...SettingsManager.DEFAULTS, promptTemplates });
+
+    expect(chrome.storage.local.set.mock.calls[0][0].promptTemplates).toEqual(promptTemplates);
+    expect(chrome.storage.sync.set.mock.calls[0][0].settings).not.toHaveProperty('promptTemplates');
+  });
+
+  test('should refuse settings larger than a sync item without saving any of them', async () => {
+    const whitelist = Array.from({ length: 600 }, (_, i) => `site-${i}.example.com`);
+
+    await expect(new SettingsManager().save({ ...SettingsManager.DEFAULTS, domains: { whitelist, blacklist: [] } }))
+      .rejects.toThrow(/too large to sync/);
+    expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+  });
+
+  test('should not expire or evict the API key with the cache', async () => {
+    chrome.storage.local.remove = jest.fn().mockResolvedValue();
+    chrome.storage.local.get.mockResolvedValue({
+      aiApiKey: 'sk-secret',
+      old: { data: {}, timestamp: 1, type: 'summary' }
+    });
+
+    await new CacheManager().cleanOldEntries();
+
+    expect(chrome.storage.local.remove).toHaveBeenCalledWith(['old']);
+    delete chrome.storage.local.remove;
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for the Offline Statistical Classifier
+ *
+ * These tests verify feature extraction and that the bundled model returns
+ * calibrated probabilities usable with the sensitivity threshold.
+ */
+
+import { tokenize, extractFeatures, describeFeature } from '../src/lib/headline-features.js';
+import { StatisticalClassifier } from '../src/background/statistical-classifier.js';
+
+describe('Statistical Classifier', () => {
+  describe('extractFeatures()', () => {
+    test('should tokenize words, apostrophes and punctuation', () => {
+      expect(tokenize('You Won’t Believe This?!')).toEqual(['you', "won't", 'believe', 'this', '?', '!']);
+    });
+
+    test('should produce word, bigram, char and shape features', () => {
+      const features = extractFeatures('5 tips you need?');
+      expect(features.has('w:tips')).toBe(true);
+      expect(features.has('b:tips you')).toBe(true);
+      expect(features.has('c: ti')).toBe(true);
+      expect(features.has('f:question')).toBe(true);
+      expect(features.has('f:leading-number')).toBe(true);
+      expect(features.has('f:second-person')).toBe(true);
+    });
+
+    test('should only describe readable features', () => {
+      expect(describeFeature('b:you won\'t')).toBe('"you won\'t"');
+      expect(describeFeature('f:second-person')).toBe('second person');
+      expect(describeFeature('c:ing')).toBeNull();
+    });
+  });
+
+  describe('classify()', () => {
+    test('should apply weights, bias and calibration', () => {
+      const classifier = new StatisticalClassifier({
+        bias: -1,
+        calibration: { a: 1, b: 0 },
+        weights: { 'w:secret': 3, 'f:question': 1 }
+      });
+      const result = classifier.classify('The secret?');
+      expect(result.confidence).toBeCloseTo(1 / (1 + Math.exp(-3)));
+      expect(result.isClickbait).toBe(true);
+      expect(result.reason).toBe('model signals: "secret", question');
+    });
+
+    test('should separate clickbait from news with the bundled model', () => {
+      const classifier = new StatisticalClassifier();
+      const bait = classifier.classify("You Won't Believe What This Dog Did Next");
+      const news = classifier.classify('Parliament Approves Pension Reform After Debate');
+      expect(bait.confidence).toBeGreaterThan(0.5);
+      expect(news.confidence).toBeLessThan(0.5);
+      [bait, news].forEach(r => {
+        expect(r.confidence).toBeGreaterThanOrEqual(0);
+        expect(r.confidence).toBeLessThanOrEqual(1);
+      });
+    });
+  });
+});
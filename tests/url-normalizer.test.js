@@ -0,0 +1,105 @@
+/**
+ * Tests for URL normalization
+ *
+ * These tests verify that links through redirectors and with tracking parameters map to
+ * one URL per article, for cache keys as well as for fetching, and that a fetched page's
+ * canonical link names the URL its summary is cached under.
+ */
+
+import { normalizeUrl, canonicalUrl } from '../src/lib/url-normalizer.js';
+import { extractArticle } from '../src/lib/readability.js';
+import { ArticleFetcher } from '../src/background/article-fetcher.js';
+import { CacheManager } from '../src/background/cache-manager.js';
+
+const ARTICLE = 'https://news.example.com/2024/05/bridge-budget?id=42';
+
+describe('URL Normalizer', () => {
+  test('should unwrap known redirectors, also when nested', () => {
+    const google = `https://www.google.com/url?sa=t&q=${encodeURIComponent(ARTICLE)}&usg=abc`;
+    expect(normalizeUrl(google)).toBe(ARTICLE);
+    expect(normalizeUrl(`https://l.facebook.com/l.php?u=${encodeURIComponent(ARTICLE)}&h=AT0`)).toBe(ARTICLE);
+    expect(normalizeUrl(`https://out.reddit.com/t3_abc?url=${encodeURIComponent(google)}&token=x`)).toBe(ARTICLE);
+  });
+
+  test('should leave redirector links without a usable target alone', () => {
+    expect(normalizeUrl('https://www.google.com/url?q=javascript:alert(1)')).toBe('https://www.google.com/url?q=javascript:alert(1)');
+    expect(normalizeUrl('https://www.google.com/search?q=https://example.com')).toBe('https://www.google.com/search?q=https://example.com');
+    expect(normalizeUrl('https://t.co/AbC123')).toBe('https://t.co/AbC123');
+  });
+
+  test('should strip tracking parameters and fragments only', () => {
+    expect(normalizeUrl(`${ARTICLE}&utm_source=twitter&UTM_Medium=social&fbclid=IwAR0#comments`)).toBe(ARTICLE);
+    expect(normalizeUrl('https://example.com/a?utm_campaign=x')).toBe('https://example.com/a');
+    // Untouched queries keep their encoding
+    expect(normalizeUrl('https://example.com/search?q=a+b&page=2')).toBe('https://example.com/search?q=a+b&page=2');
+    expect(normalizeUrl('https://example.com/#!/story/7')).toBe('https://example.com/#!/story/7');
+    expect(normalizeUrl('mailto:news@example.com')).toBe('mailto:news@example.com');
+  });
+
+  test('should resolve canonical links, but not to the front page', () => {
+    const page = 'https://amp.example.com/bridge-budget?utm_source=x';
+    expect(canonicalUrl('/2024/05/bridge-budget', page)).toBe('https://amp.example.com/2024/05/bridge-budget');
+    expect(canonicalUrl(' https://news.example.com/bridge ', page)).toBe('https://news.example.com/bridge');
+    expect(canonicalUrl('https://news.example.com/', page)).toBe('https://amp.example.com/bridge-budget');
+    expect(canonicalUrl(null, page)).toBe('https://amp.example.com/bridge-budget');
+  });
+
+  test('should ignore canonical links to another site', () => {
+    const page = 'https://blog.example.co.uk/bridge-budget';
+    expect(canonicalUrl('https://attacker.test/bridge-budget', page)).toBe(page);
+    expect(canonicalUrl('https://news.bbc.co.uk/bridge-budget', page)).toBe(page);
+    expect(canonicalUrl('//other.co.uk/bridge-budget', page)).toBe(page);
+    expect(canonicalUrl('https://www.example.co.uk/2024/bridge', page)).toBe('https://www.example.co.uk/2024/bridge');
+    expect(canonicalUrl('http://10.0.0.2/a', 'http://10.0.0.1/a')).toBe('http://10.0.0.1/a');
+  });
+
+  test('should read the canonical link of a page', () => {
+    const html = `<html><head><link rel="stylesheet" href="/a.css"><link rel="canonical" href="${ARTICLE}">
+      <meta property="og:url" content="https://example.com/other"></head>
+      <body><article><p>The city council approved the budget for the new bridge on Monday.</p></article></body></html>`;
+
+    const article = extractArticle(html);
+
+    expect(article.canonicalUrl).toBe(ARTICLE);
+    expect(article.metadata.canonicalUrl).toBeUndefined();
+    expect(extractArticle(html.replace(/<link rel="canonical"[^>]*>/, '')).canonicalUrl).toBe('https://example.com/other');
+  });
+
+  test('should fetch the unwrapped link and return the canonical URL of the article', async () => {
+    const paragraphs = Array.from({ length: 4 }, (_, i) =>
+      `<p>Paragraph ${i + 1} of the article about the new bridge, with enough words to count as content.</p>`).join('');
+    global.fetch = jest.fn(async () => ({
+      status: 200,
+      url: 'https://news.example.com/bridge?utm_source=x',
+      text: async () => `<link rel="canonical" href="/2024/05/bridge-budget?id=42"><article>${paragraphs}</article>`
+    }));
+
+    const article = await new ArticleFetcher().fetchArticle(`https://www.google.com/url?q=${encodeURIComponent('https://news.example.com/bridge?utm_source=x')}`);
+
+    expect(global.fetch.mock.calls[0][0]).toBe('https://news.example.com/bridge');
+    expect(article.url).toBe(ARTICLE);
+
+    global.fetch.mockResolvedValueOnce({
+      status: 200,
+      url: 'https://news.example.com/bridge',
+      text: async () => `<link rel="canonical" href="https://victim.example.org/bridge"><article>${paragraphs}</article>`
+    });
+    expect((await new ArticleFetcher().fetchArticle('https://news.example.com/bridge')).url).toBe('https://news.example.com/bridge');
+    delete global.fetch;
+  });
+
+  test('should key cache entries by normalized URL and remember canonical URLs', async () => {
+    const cache = new CacheManager();
+    expect(cache._summaryKey(`${ARTICLE}&utm_source=x`, 'tldr')).toBe(cache._summaryKey(ARTICLE, 'tldr'));
+    expect(cache._metadataKey(`https://l.facebook.com/l.php?u=${encodeURIComponent(ARTICLE)}`)).toBe(cache._metadataKey(ARTICLE));
+
+    chrome.storage.local.set.mockResolvedValue();
+    chrome.storage.local.get.mockResolvedValue({});
+    await cache.saveCanonicalUrl('https://t.co/AbC123', `${ARTICLE}#top`);
+    const stored = chrome.storage.local.set.mock.calls[0][0];
+    chrome.storage.local.get.mockResolvedValue(stored);
+
+    expect(stored[cache._aliasKey('https://t.co/AbC123')].data).toBe(ARTICLE);
+    expect(await cache.getCanonicalUrl('https://t.co/AbC123')).toBe(ARTICLE);
+  });
+});
@@ -7,7 +7,9 @@ module.exports = {
   entry: {
     'background': './src/background/service-worker.js',
     'content': './src/content/content-script.js',
-    'popup': './src/popup/popup.js'
+    'popup': './src/popup/popup.js',
+    'options': './src/options/options.js',
+    'offscreen': './src/offscreen/offscreen.js'
   },
   output: {
     path: path.resolve(__dirname, 'dist'),
@@ -48,14 +50,25 @@ module.exports = {
                 );
               }
             }
+            // In-page AI bridge is copied unbundled next to the bundles
+            if (manifest.web_accessible_resources) {
+              manifest.web_accessible_resources.forEach(entry => {
+                entry.resources = entry.resources.map(r => r.replace('src/content/', ''));
+              });
+            }
             // Update popup path
             if (manifest.action && manifest.action.default_popup) {
               manifest.action.default_popup = 'popup.html';
             }
+            // Update options page path
+            if (manifest.options_page) {
+              manifest.options_page = 'options.html';
+            }
             return JSON.stringify(manifest, null, 2);
           }
         },
         { from: 'icons', to: 'icons' },
+        { from: 'src/content/inpage.js' },
         { from: 'src/styles', to: 'styles' },
         {
           from: 'src/popup/popup.html',
@@ -65,7 +78,23 @@ module.exports = {
               .replace(/src=["']popup\.js["']/g, 'src="popup.bundle.js"');
           }
         },
-        { from: 'src/popup/popup.css' }
+        { from: 'src/popup/popup.css' },
+        {
+          from: 'src/options/options.html',
+          transform(content) {
+            return content.toString()
+              .replace(/type=["']module["']\s+src=["']options\.js["']/g, 'src="options.bundle.js"')
+              .replace(/src=["']options\.js["']/g, 'src="options.bundle.js"');
+          }
+        },
+        { from: 'src/options/options.css' },
+        {
+          from: 'src/offscreen/offscreen.html',
+          transform(content) {
+            return content.toString()
+              .replace(/type=["']module["']\s+src=["']offscreen\.js["']/g, 'src="offscreen.bundle.js"');
+          }
+        }
       ]
     })
   ]